@@ -7,6 +7,9 @@ import History from './components/History';
 import PopularPages from './components/PopularPages';
 import QuestionReview from './components/QuestionReview';
 import Settings from './components/Settings';
+import Queue from './components/Queue';
+import Duplicates from './components/Duplicates';
+import PromptTemplates from './components/PromptTemplates';
 
 const API_URL = process.env.REACT_APP_API_URL || '';
 
@@ -82,7 +85,10 @@ export default function App() {
               { id: 'progress', label: 'Progress Monitor', icon: '📊' },
               { id: 'questions', label: 'View Questions', icon: '❓' },
               { id: 'review', label: 'Question Review', icon: '👻' },
+              { id: 'duplicates', label: 'Duplicates', icon: '👯' },
+              { id: 'prompts', label: 'Prompt Templates', icon: '📝' },
               { id: 'history', label: 'Generation History', icon: '📜' },
+              { id: 'queue', label: 'Queue', icon: '🗂️' },
               { id: 'settings', label: 'Settings', icon: '⚙️' }
             ].map((tab) => (
               <button
@@ -120,17 +126,29 @@ export default function App() {
           />
         )}
         {activeTab === 'questions' && (
-          <QuestionsList stats={stats} />
+          <QuestionsList stats={stats} socket={socket} />
         )}
         {activeTab === 'review' && ( // NEW: Question Review component
           <QuestionReview socket={socket} />
         )}
+        {activeTab === 'duplicates' && (
+          <Duplicates />
+        )}
+        {activeTab === 'prompts' && (
+          <PromptTemplates />
+        )}
         {activeTab === 'history' && (
           <History onViewProcess={(id) => {
             setActiveProcess(id);
             setActiveTab('progress');
           }} />
         )}
+        {activeTab === 'queue' && (
+          <Queue onViewProcess={(id) => {
+            setActiveProcess(id);
+            setActiveTab('progress');
+          }} />
+        )}
         {activeTab === 'settings' && (
           <Settings />
         )}
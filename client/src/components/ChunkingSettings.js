@@ -0,0 +1,62 @@
+import React from 'react';
+
+// Placeholders match the server defaults for each sizing unit (chunkingService)
+const DEFAULT_SIZES = {
+  words: { minSize: 200, maxSize: 2000 },
+  tokens: { minSize: 270, maxSize: 2700 }
+};
+
+// How sections are merged and split into chunks before generation.
+// value: { strategy, sizing, minSize, maxSize, overlap } with '' meaning the default
+export default function ChunkingSettings({ value, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+  const defaults = DEFAULT_SIZES[value.sizing] || DEFAULT_SIZES.words;
+  const inputClass = 'shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-2 py-2';
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">Chunking</label>
+      <div className="mt-1 grid grid-cols-2 gap-1">
+        <select value={value.strategy} onChange={(e) => update({ strategy: e.target.value })} title="Split at" className={inputClass}>
+          <option value="paragraph">Paragraphs</option>
+          <option value="sentence">Sentences</option>
+          <option value="words">Words</option>
+        </select>
+        <select value={value.sizing} onChange={(e) => update({ sizing: e.target.value })} title="Size in" className={inputClass}>
+          <option value="words">Words</option>
+          <option value="tokens">Tokens (model)</option>
+        </select>
+      </div>
+      <div className="mt-1 grid grid-cols-3 gap-1">
+        <input
+          type="number"
+          min="0"
+          value={value.minSize}
+          onChange={(e) => update({ minSize: e.target.value })}
+          placeholder={`min ${defaults.minSize}`}
+          title="Sections below this size are merged with the next one"
+          className={inputClass}
+        />
+        <input
+          type="number"
+          min="50"
+          value={value.maxSize}
+          onChange={(e) => update({ maxSize: e.target.value })}
+          placeholder={`max ${defaults.maxSize}`}
+          title="Sections above this size are split into several chunks"
+          className={inputClass}
+        />
+        <input
+          type="number"
+          min="0"
+          value={value.overlap}
+          onChange={(e) => update({ overlap: e.target.value })}
+          placeholder="overlap 0"
+          title="Text repeated from the end of the previous chunk"
+          className={inputClass}
+        />
+      </div>
+      <p className="mt-1 text-xs text-gray-500">Small sections are merged, large ones split into parts; nothing is cut off</p>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || '';
+
+const THRESHOLDS = [
+  { value: '0.5', label: 'Loose (0.5)' },
+  { value: '0.6', label: 'Default (0.6)' },
+  { value: '0.7', label: 'Strict (0.7)' },
+  { value: '0.8', label: 'Very strict (0.8)' },
+];
+
+export default function Duplicates() {
+  const [categories, setCategories] = useState([]);
+  const [selectedCategoryId, setSelectedCategoryId] = useState('');
+  const [threshold, setThreshold] = useState('0.6');
+  const [clusters, setClusters] = useState(null);
+  const [keepIds, setKeepIds] = useState({});
+  const [scanning, setScanning] = useState(false);
+  const [mergingId, setMergingId] = useState(null);
+  const [usesEmbeddings, setUsesEmbeddings] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/review/categories`)
+      .then(r => r.json())
+      .then(data => setCategories(data.categories || []))
+      .catch(err => console.error('Error fetching categories:', err));
+  }, []);
+
+  const handleScan = async () => {
+    if (!selectedCategoryId) return;
+
+    setScanning(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ categoryId: selectedCategoryId, threshold });
+      const response = await fetch(`${API_URL}/api/questions/duplicates?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to find duplicates');
+
+      setClusters(data.clusters);
+      setUsesEmbeddings(data.embeddings);
+      setKeepIds(Object.fromEntries(data.clusters.map(c => [c.id, c.suggestedKeepId])));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const handleMerge = async (cluster) => {
+    const keepId = keepIds[cluster.id];
+    const duplicateIds = cluster.questions.map(q => q.id).filter(id => id !== keepId);
+    if (!window.confirm(`Keep the selected question and reject ${duplicateIds.length} duplicate(s)?`)) return;
+
+    setMergingId(cluster.id);
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/api/questions/duplicates/merge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ keepId, duplicateIds }),
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to merge duplicates');
+
+      setClusters(clusters.filter(c => c.id !== cluster.id));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setMergingId(null);
+    }
+  };
+
+  const handleDismiss = (cluster) => {
+    setClusters(clusters.filter(c => c.id !== cluster.id));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-4">Duplicate Questions</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Finds questions in the same manga that ask the same thing in different words. New questions are
+          checked automatically before they are saved; use this view to clean up what is already stored.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Manga</label>
+            <select
+              value={selectedCategoryId}
+              onChange={(e) => setSelectedCategoryId(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            >
+              <option value="">Select a manga</option>
+              {categories.map(cat => (
+                <option key={cat.id} value={cat.id}>
+                  {cat.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Similarity threshold</label>
+            <select
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            >
+              {THRESHOLDS.map(t => (
+                <option key={t.value} value={t.value}>{t.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-end">
+            <button
+              onClick={handleScan}
+              disabled={!selectedCategoryId || scanning}
+              className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              {scanning ? 'Scanning...' : 'Find Duplicates'}
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+      </div>
+
+      {clusters && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <p className="text-sm text-gray-500 mb-4">
+            {clusters.length} duplicate cluster{clusters.length === 1 ? '' : 's'} found
+            {usesEmbeddings && ' (text and embedding similarity)'}
+          </p>
+          <div className="space-y-4">
+            {clusters.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">No near-duplicates found</p>
+            ) : (
+              clusters.map(cluster => (
+                <div key={cluster.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-3">
+                    <span className="text-sm font-medium text-gray-700">
+                      {cluster.questions.length} questions · max similarity {Math.round(cluster.maxSimilarity * 100)}%
+                    </span>
+                    <div className="space-x-2">
+                      <button
+                        onClick={() => handleDismiss(cluster)}
+                        className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900"
+                      >
+                        Not duplicates
+                      </button>
+                      <button
+                        onClick={() => handleMerge(cluster)}
+                        disabled={mergingId === cluster.id}
+                        className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-gray-400"
+                      >
+                        {mergingId === cluster.id ? 'Merging...' : 'Keep selected, reject others'}
+                      </button>
+                    </div>
+                  </div>
+                  <div className="space-y-2">
+                    {cluster.questions.map(question => (
+                      <label
+                        key={question.id}
+                        className={`flex items-start space-x-3 p-3 rounded-md cursor-pointer ${
+                          keepIds[cluster.id] === question.id ? 'bg-green-50 border border-green-200' : 'bg-gray-50'
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name={`keep-${cluster.id}`}
+                          checked={keepIds[cluster.id] === question.id}
+                          onChange={() => setKeepIds({ ...keepIds, [cluster.id]: question.id })}
+                          className="mt-1"
+                        />
+                        <div className="flex-1">
+                          <p className="text-sm text-gray-900">{question.question_text}</p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            Answer: {question.options[question.correct_answer]}
+                            {question.review_score && ` · Score ${question.review_score}/5`}
+                            {' · '}{new Date(question.created_at).toLocaleDateString()}
+                          </p>
+                        </div>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React from 'react';
+
+const MAX_FALLBACK_MODELS = 3;
+
+// Fallback chain for a run: tried in order when the selected model fails.
+// value: model ids in order; the primary model and models already in the chain are not offered again
+export default function FallbackModelsPicker({ models, primaryModel, value, onChange }) {
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-medium text-gray-700 mb-2">Fallback Models</label>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {value.map((modelId, index) => (
+            <span key={modelId} className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-amber-100 text-amber-800">
+              {index + 1}. {models.find(m => m.id === modelId)?.name || modelId}
+              <button
+                type="button"
+                onClick={() => onChange(value.filter(m => m !== modelId))}
+                className="ml-2 text-amber-600 hover:text-amber-800"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      {value.length < MAX_FALLBACK_MODELS && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange([...value, e.target.value])}
+          className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+        >
+          <option value="">Add a fallback model...</option>
+          {models
+            .filter(m => m.id !== primaryModel && !value.includes(m.id))
+            .map(m => (
+              <option key={m.id} value={m.id}>{m.name}</option>
+            ))}
+        </select>
+      )}
+      <p className="mt-1 text-xs text-gray-500">
+        Tried in order when the selected model errors, returns invalid questions or its provider is down
+      </p>
+    </div>
+  );
+}
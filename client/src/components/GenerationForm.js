@@ -1,4 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import StoryArcPicker from './StoryArcPicker';
+import PromptTemplatePicker from './PromptTemplatePicker';
+import GenerationPlan from './GenerationPlan';
+import SectionPicker from './SectionPicker';
+import ChunkingSettings from './ChunkingSettings';
+import FallbackModelsPicker from './FallbackModelsPicker';
+import RunLimitSettings from './RunLimitSettings';
+import RefreshSettings from './RefreshSettings';
+import QuestionMixSettings from './QuestionMixSettings';
 
 const API_URL = process.env.REACT_APP_API_URL || '';
 
@@ -8,11 +17,24 @@ export default function GenerationForm({ onStart }) {
     fandomWikiName: '',
     categories: [],
     individualPages: [],
+    sectionSelection: {},
+    storyArcIds: [],
     maxApiCalls: 10,
     questionsPerChunk: 4,
     wordsPerChunk: 100,
+    chunking: { strategy: 'paragraph', sizing: 'words', minSize: '', maxSize: '', overlap: '' },
+    parallelism: 1,
+    costBudget: '',
+    difficultyMix: { easy: '', medium: '', hard: '' },
+    questionTypeMix: { multiple_choice: '', true_false: '', which_is_not: '', ordering: '', short_answer: '' },
+    fallbackModels: [],
+    refresh: false,
+    retireOutdated: false,
     openaiModel: '',
-    promptInstructions: 'Each question should have one correct answer and three incorrect but plausible options. Create challenging and fun questions. Try and be specific if you can. For example, mention names of characters, groups, or locations if you have this information. NEVER mention "according to the text" or something similar.'
+    promptInstructions: '',
+    promptTemplateId: null,
+    promptVariables: {},
+    experimentArms: []
   });
 
   const [animeSearchResults, setAnimeSearchResults] = useState([]);
@@ -29,6 +51,7 @@ export default function GenerationForm({ onStart }) {
   const [processingStats, setProcessingStats] = useState(null);
   const [availableModels, setAvailableModels] = useState([]);
   const [aiProviderStats, setAiProviderStats] = useState(null);
+  const [plan, setPlan] = useState(null);
 
 
   // Common anime presets
@@ -41,30 +64,6 @@ export default function GenerationForm({ onStart }) {
     { name: 'Jujutsu Kaisen', wiki: 'jujutsu-kaisen' }
   ];
 
-  // Prompt presets for different question styles
-  const promptPresets = [
-    {
-      name: 'Challenging & Specific (Default)',
-      value: 'Each question should have one correct answer and three incorrect but plausible options. Create challenging and fun questions. Try and be specific if you can. For example, mention names of characters, groups, or locations if you have this information. NEVER mention "according to the text" or something similar.'
-    },
-    {
-      name: 'Trivia Style',
-      value: 'Generate trivia-style questions with one correct answer and three plausible incorrect options. Focus on memorable details, character names, abilities, and plot points. Make the questions engaging for anime fans.'
-    },
-    {
-      name: 'Character Focused',
-      value: 'Create questions that focus on character details, relationships, abilities, and development. Include specific character names and traits. Make incorrect options believable but clearly wrong.'
-    },
-    {
-      name: 'Plot & Events',
-      value: 'Generate questions about plot events, story arcs, battles, and key moments. Focus on what happened, when, and why. Include specific details about locations and circumstances.'
-    },
-    {
-      name: 'Technical Details',
-      value: 'Create detailed questions about abilities, techniques, power systems, and world-building elements. Focus on specific mechanics and technical aspects of the anime universe.'
-    }
-  ];
-
   const fetchAvailableModels = useCallback(async () => {
     try {
       const response = await fetch(`${API_URL}/api/ai/models`);
@@ -166,7 +165,35 @@ export default function GenerationForm({ onStart }) {
     }
   }, [categorySearchTerm, formData.fandomWikiName, searchCategories]);
 
-  const handleSubmit = async () => {
+  // The form's own model and prompt are arm A; extra arms turn the run into an experiment.
+  // A run confirmed from a plan reuses the plan's seed so sections land in the arms it showed.
+  const buildRequest = (experimentSeed = null) => {
+    const { experimentArms, sectionSelection, ...settings } = formData;
+    const request = {
+      ...settings,
+      // Only pages still in the run; their other sections are skipped
+      sectionSelection: Object.entries(sectionSelection)
+        .filter(([pageTitle]) => settings.individualPages.includes(pageTitle))
+        .flatMap(([pageTitle, entries]) => entries.map(entry => ({ pageTitle, ...entry })))
+    };
+    if (experimentArms.length === 0) return request;
+    return { ...request, experiment: { arms: [{}, ...experimentArms], ...(experimentSeed ? { seed: experimentSeed } : {}) } };
+  };
+
+  const updateExperimentArm = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      experimentArms: prev.experimentArms.map((arm, i) => (i === index ? { ...arm, ...changes } : arm))
+    }));
+  };
+
+  // A plan only matches the settings it was made for
+  useEffect(() => {
+    setPlan(null);
+  }, [formData]);
+
+  // dryRun asks the server for the plan (sections, question counts, estimated cost) without starting
+  const handleSubmit = async (dryRun = false) => {
     if (!formData.animeName || !formData.fandomWikiName) return;
     
     setLoading(true);
@@ -178,16 +205,20 @@ export default function GenerationForm({ onStart }) {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(formData),
+        body: JSON.stringify({ ...buildRequest(dryRun ? null : plan?.experimentSeed), dryRun }),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to start generation');
+        throw new Error(data.error || (dryRun ? 'Failed to plan generation' : 'Failed to start generation'));
       }
 
-      onStart(data.processId);
+      if (dryRun) {
+        setPlan(data.plan);
+      } else {
+        onStart(data.processId);
+      }
     } catch (error) {
       setError(error.message);
     } finally {
@@ -232,16 +263,13 @@ export default function GenerationForm({ onStart }) {
     }
   };
 
-  const handlePromptPresetSelect = (preset) => {
-    setFormData(prev => ({
-      ...prev,
-      promptInstructions: preset.value
-    }));
-  };
+  const getProviderLabel = (provider) => aiProviderStats?.[provider]?.label
+    || { openai: 'OpenAI', gemini: 'Google Gemini', anthropic: 'Anthropic Claude' }[provider]
+    || provider;
 
   // Group models by provider
   const groupedModels = availableModels.reduce((groups, model) => {
-    const category = model.category || (model.provider === 'openai' ? 'OpenAI Models' : 'Google Gemini Models');
+    const category = model.category || `${getProviderLabel(model.provider)} Models`;
     if (!groups[category]) {
       groups[category] = [];
     }
@@ -520,6 +548,31 @@ export default function GenerationForm({ onStart }) {
                 ))}
               </div>
             )}
+            {formData.individualPages.length > 0 && formData.fandomWikiName && (
+              <SectionPicker
+                fandomWikiName={formData.fandomWikiName}
+                pages={formData.individualPages}
+                category="Individual"
+                skipSections={[]}
+                questionsPerChunk={formData.questionsPerChunk}
+                wordsPerChunk={formData.wordsPerChunk}
+                chunking={formData.chunking}
+                model={formData.openaiModel}
+                selection={formData.sectionSelection}
+                onChange={(sectionSelection) => setFormData(prev => ({ ...prev, sectionSelection }))}
+              />
+            )}
+          </div>
+
+          {/* Story Arcs: expanded into their pages and categories when the run starts */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Story Arcs (Optional)</label>
+            <StoryArcPicker
+              animeName={formData.animeName}
+              fandomWikiName={formData.fandomWikiName}
+              selectedArcIds={formData.storyArcIds}
+              onChange={(storyArcIds) => setFormData(prev => ({ ...prev, storyArcIds }))}
+            />
           </div>
 
           {/* Enhanced AI Configuration Section */}
@@ -531,14 +584,12 @@ export default function GenerationForm({ onStart }) {
               <div className="mb-4 p-3 bg-gray-50 rounded-md">
                 <p className="text-xs text-gray-600 mb-2">Provider Status:</p>
                 <div className="flex items-center space-x-4 text-xs">
-                  <div className="flex items-center">
-                    <div className={`w-2 h-2 rounded-full mr-2 ${isProviderAvailable('openai') ? 'bg-green-500' : 'bg-red-500'}`}></div>
-                    <span>OpenAI ({aiProviderStats.openai?.models || 0} models)</span>
-                  </div>
-                  <div className="flex items-center">
-                    <div className={`w-2 h-2 rounded-full mr-2 ${isProviderAvailable('gemini') ? 'bg-green-500' : 'bg-red-500'}`}></div>
-                    <span>Google Gemini ({aiProviderStats.gemini?.models || 0} models)</span>
-                  </div>
+                  {Object.entries(aiProviderStats).map(([provider, stats]) => (
+                    <div key={provider} className="flex items-center">
+                      <div className={`w-2 h-2 rounded-full mr-2 ${isProviderAvailable(provider) ? 'bg-green-500' : 'bg-red-500'}`}></div>
+                      <span>{getProviderLabel(provider)} ({stats.models || 0} models)</span>
+                    </div>
+                  ))}
                 </div>
               </div>
             )}
@@ -584,40 +635,91 @@ export default function GenerationForm({ onStart }) {
               </div>
             </div>
 
+            {/* Fallback chain: tried in order when the selected model fails */}
+            <FallbackModelsPicker
+              models={availableModels}
+              primaryModel={formData.openaiModel}
+              value={formData.fallbackModels}
+              onChange={(fallbackModels) => setFormData(prev => ({ ...prev, fallbackModels }))}
+            />
+
             {/* Custom Prompt Instructions */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Question Generation Instructions</label>
               
-              {/* Prompt Presets */}
-              <div className="mb-3">
-                <p className="text-xs text-gray-500 mb-2">Quick presets:</p>
-                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
-                  {promptPresets.map((preset) => (
-                    <button
-                      key={preset.name}
-                      onClick={() => handlePromptPresetSelect(preset)}
-                      className={`p-2 text-xs border rounded-md text-left transition-colors ${
-                        formData.promptInstructions === preset.value
-                          ? 'bg-blue-50 border-blue-200 text-blue-700'
-                          : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
-                      }`}
-                    >
-                      {preset.name}
-                    </button>
-                  ))}
-                </div>
-              </div>
-
-              {/* Custom Prompt Textarea */}
-              <textarea
-                value={formData.promptInstructions}
-                onChange={(e) => setFormData({ ...formData, promptInstructions: e.target.value })}
-                rows={4}
-                className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
-                placeholder="Describe how you want the AI to generate questions..."
+              <PromptTemplatePicker
+                instructions={formData.promptInstructions}
+                templateId={formData.promptTemplateId}
+                variables={formData.promptVariables}
+                onChange={(prompt) => setFormData(prev => ({ ...prev, ...prompt }))}
               />
+            </div>
+
+            {/* A/B experiment: sections are split between the settings above (arm A) and these arms */}
+            <div className="mt-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">A/B Experiment</label>
+              {formData.experimentArms.map((arm, index) => {
+                const key = String.fromCharCode(66 + index);
+                return (
+                  <div key={key} className="mb-3 p-4 border border-purple-200 rounded-md bg-purple-50">
+                    <div className="flex justify-between items-center mb-2">
+                      <span className="text-sm font-medium text-purple-800">Arm {key}</span>
+                      <button
+                        type="button"
+                        onClick={() => setFormData(prev => ({
+                          ...prev,
+                          experimentArms: prev.experimentArms.filter((_, i) => i !== index)
+                        }))}
+                        className="text-xs text-purple-600 hover:text-purple-800"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2 mb-2">
+                      <input
+                        type="text"
+                        value={arm.name}
+                        onChange={(e) => updateExperimentArm(index, { name: e.target.value })}
+                        placeholder={`Arm ${key}`}
+                        className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+                      />
+                      <select
+                        value={arm.model}
+                        onChange={(e) => updateExperimentArm(index, { model: e.target.value })}
+                        className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+                      >
+                        <option value="">Same model as arm A</option>
+                        {availableModels.map(m => (
+                          <option key={m.id} value={m.id}>{m.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <PromptTemplatePicker
+                      instructions={arm.promptInstructions}
+                      templateId={arm.promptTemplateId}
+                      variables={arm.promptVariables}
+                      placeholder="Leave empty to use the same prompt as arm A..."
+                      onChange={(prompt) => updateExperimentArm(index, prompt)}
+                    />
+                  </div>
+                );
+              })}
+              {formData.experimentArms.length < 3 && (
+                <button
+                  type="button"
+                  onClick={() => setFormData(prev => ({
+                    ...prev,
+                    experimentArms: [...prev.experimentArms, { name: '', model: '', promptInstructions: '', promptTemplateId: null, promptVariables: {} }]
+                  }))}
+                  className="px-3 py-1 text-sm border border-purple-300 text-purple-700 rounded-md hover:bg-purple-50"
+                >
+                  + Add experiment arm
+                </button>
+              )}
               <p className="mt-1 text-xs text-gray-500">
-                Customize how the AI should generate questions. This affects question style, difficulty, and focus areas.
+                {formData.experimentArms.length > 0
+                  ? 'Each section goes to one arm; the model and prompt above are arm A. Compare the arms from the History tab once the questions are reviewed.'
+                  : 'Split the run between this model and prompt and one or more alternatives to compare review scores, rejections, duplicates and cost.'}
               </p>
             </div>
           </div>
@@ -662,13 +764,32 @@ export default function GenerationForm({ onStart }) {
                 />
                 <p className="mt-1 text-xs text-gray-500">Word count that equals one chunk</p>
               </div>
+              <RunLimitSettings
+                parallelism={formData.parallelism}
+                costBudget={formData.costBudget}
+                onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+              />
+              <RefreshSettings
+                refresh={formData.refresh}
+                retireOutdated={formData.retireOutdated}
+                onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+              />
+              <QuestionMixSettings
+                difficultyMix={formData.difficultyMix}
+                questionTypeMix={formData.questionTypeMix}
+                onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+              />
+              <ChunkingSettings
+                value={formData.chunking}
+                onChange={(chunking) => setFormData(prev => ({ ...prev, chunking }))}
+              />
             </div>
           </div>
 
           {/* Submit Button */}
           <div>
             <button
-              onClick={handleSubmit}
+              onClick={() => handleSubmit(true)}
               disabled={loading || !formData.animeName || !formData.fandomWikiName}
               className={`
                 w-full flex justify-center py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white transition-colors
@@ -681,9 +802,18 @@ export default function GenerationForm({ onStart }) {
               {loading ? (
                 <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
               ) : (
-                'Start Enhanced AI-Powered Generation'
+                plan ? 'Refresh Generation Plan' : 'Preview Generation Plan'
               )}
             </button>
+
+            {plan && (
+              <GenerationPlan
+                plan={plan}
+                starting={loading}
+                onConfirm={() => handleSubmit(false)}
+                onCancel={() => setPlan(null)}
+              />
+            )}
             
             {/* Model info display */}
             {formData.openaiModel && (
@@ -0,0 +1,108 @@
+import React from 'react';
+
+const formatCost = (cost) => (cost === null || cost === undefined ? '—' : `$${Number(cost).toFixed(4)}`);
+
+const ACTION_STYLES = {
+  generate: 'bg-green-100 text-green-800',
+  regenerate: 'bg-blue-100 text-blue-800',
+  skip: 'bg-gray-100 text-gray-600'
+};
+
+// Shows the dry-run plan from /api/generation/start so the user can confirm before any API budget is spent
+export default function GenerationPlan({ plan, starting, onConfirm, onCancel }) {
+  const { totals } = plan;
+
+  return (
+    <div className="mt-6 border border-blue-200 rounded-lg p-4 bg-blue-50">
+      <h3 className="text-lg font-medium text-gray-900 mb-3">📋 Generation Plan</h3>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4">
+        <div className="bg-white p-3 rounded-md">
+          <p className="text-xs text-gray-500">Sections to generate</p>
+          <p className="text-xl font-bold text-gray-900">{totals.apiCalls}</p>
+          <p className="text-xs text-gray-500">of {totals.sections} on {totals.pages} pages</p>
+        </div>
+        <div className="bg-white p-3 rounded-md">
+          <p className="text-xs text-gray-500">Planned questions</p>
+          <p className="text-xl font-bold text-gray-900">{totals.questions}</p>
+          <p className="text-xs text-gray-500">{totals.words.toLocaleString()} words</p>
+        </div>
+        <div className="bg-white p-3 rounded-md">
+          <p className="text-xs text-gray-500">Estimated tokens</p>
+          <p className="text-xl font-bold text-gray-900">{(totals.promptTokens + totals.completionTokens).toLocaleString()}</p>
+          <p className="text-xs text-gray-500">{totals.promptTokens.toLocaleString()} in / {totals.completionTokens.toLocaleString()} out</p>
+        </div>
+        <div className="bg-white p-3 rounded-md">
+          <p className="text-xs text-gray-500">Estimated cost</p>
+          <p className="text-xl font-bold text-gray-900">{formatCost(totals.costUsd)}</p>
+          <p className="text-xs text-gray-500">{totals.alreadyProcessed} sections already processed</p>
+        </div>
+      </div>
+
+      {totals.unpricedModels.length > 0 && (
+        <p className="mb-2 text-xs text-yellow-700">
+          No pricing configured for {totals.unpricedModels.join(', ')}; those sections are not included in the cost. Set rates in the Settings tab.
+        </p>
+      )}
+      {totals.skippedForBudget > 0 && (
+        <p className="mb-2 text-xs text-yellow-700">
+          {totals.skippedForBudget} sections do not fit the API call or cost budget and would be left for a resumed run.
+        </p>
+      )}
+
+      <div className="max-h-80 overflow-y-auto bg-white rounded-md border border-gray-200">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="px-3 py-2">Page / Section</th>
+              <th className="px-3 py-2 text-right">Words</th>
+              <th className="px-3 py-2 text-right">Questions</th>
+              <th className="px-3 py-2">Plan</th>
+              <th className="px-3 py-2 text-right">Est. Cost</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {plan.sections.map((section, index) => (
+              <tr key={`${section.sectionId}-${index}`} className={section.action === 'skip' ? 'text-gray-400' : 'text-gray-900'}>
+                <td className="px-3 py-1">
+                  <span className="text-gray-500">{section.pageTitle}</span> › {section.sectionTitle}
+                </td>
+                <td className="px-3 py-1 text-right">{section.wordCount}</td>
+                <td className="px-3 py-1 text-right">{section.questionCount}</td>
+                <td className="px-3 py-1">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${ACTION_STYLES[section.action]}`}>
+                    {section.action === 'skip' ? `skip (${section.reason})` : section.action}
+                  </span>
+                  {section.arm && <span className="ml-1 text-xs text-purple-600">arm {section.arm}</span>}
+                </td>
+                <td className="px-3 py-1 text-right">{section.action === 'skip' ? '' : formatCost(section.costUsd)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500">
+        Token counts are estimated from the prompts the run would send; no model was called for this plan.
+      </p>
+
+      <div className="mt-4 flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Back to Settings
+        </button>
+        <button
+          type="button"
+          onClick={onConfirm}
+          disabled={starting || totals.apiCalls === 0}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400"
+        >
+          {starting ? 'Starting...' : `Confirm & Start (${totals.apiCalls} sections)`}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -2,15 +2,26 @@ import React, { useState, useEffect } from 'react';
 
 const API_URL = process.env.REACT_APP_API_URL || '';
 
+const RESUMABLE_STATUSES = ['stopped', 'interrupted', 'error'];
+
 export default function History({ onViewProcess }) {
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [resumingId, setResumingId] = useState(null);
+  const [error, setError] = useState('');
+  const [usage, setUsage] = useState(null);
+  const [report, setReport] = useState(null);
+  const [loadingReportId, setLoadingReportId] = useState(null);
+
+  useEffect(() => {
+    fetchUsage();
+  }, []);
 
   useEffect(() => {
     fetchHistory();
     // Refresh every 5 seconds if there are running processes
     const interval = setInterval(() => {
-      if (history.some(p => p.status === 'running')) {
+      if (history.some(p => ['queued', 'running', 'stopping'].includes(p.status))) {
         fetchHistory();
       }
     }, 5000);
@@ -29,22 +40,86 @@ export default function History({ onViewProcess }) {
     }
   };
 
+  const fetchUsage = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/ai/usage`);
+      const data = await response.json();
+      if (data.success) setUsage(data.summary);
+    } catch (error) {
+      console.error('Error fetching usage:', error);
+    }
+  };
+
+  const formatCost = (cost) => `$${(Number(cost) || 0).toFixed(4)}`;
+
+  const formatTokens = (totals) => ((totals.promptTokens || 0) + (totals.completionTokens || 0)).toLocaleString();
+
+  const handleResume = async (processId) => {
+    setResumingId(processId);
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/api/generation/resume/${processId}`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to resume generation');
+      }
+
+      onViewProcess(processId);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setResumingId(null);
+    }
+  };
+
+  const toggleReport = async (processId) => {
+    if (report && report.runId === processId) {
+      setReport(null);
+      return;
+    }
+    setLoadingReportId(processId);
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/api/generation/experiments/${processId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load experiment report');
+      }
+
+      setReport(data.report);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoadingReportId(null);
+    }
+  };
+
+  const formatRate = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 1000) / 10}%`);
+
   const getStatusIcon = (status) => {
     switch (status) {
+      case 'queued': return '🕒';
       case 'running': return '⏳';
       case 'completed': return '✅';
       case 'error': return '❌';
       case 'stopping': return '⏸️';
+      case 'stopped': return '⏹️';
+      case 'interrupted': return '⚠️';
       default: return '❓';
     }
   };
 
   const getStatusColor = (status) => {
     switch (status) {
+      case 'queued': return 'text-gray-600';
       case 'running': return 'text-blue-600';
       case 'completed': return 'text-green-600';
       case 'error': return 'text-red-600';
       case 'stopping': return 'text-yellow-600';
+      case 'stopped': return 'text-yellow-600';
+      case 'interrupted': return 'text-orange-600';
       default: return 'text-gray-600';
     }
   };
@@ -66,83 +141,230 @@ export default function History({ onViewProcess }) {
   }
 
   return (
-    <div className="bg-white shadow rounded-lg p-6">
-      <h2 className="text-2xl font-bold text-gray-900 mb-6">Generation History</h2>
-      
-      {history.length === 0 ? (
-        <p className="text-center text-gray-500 py-8">No generation history yet</p>
-      ) : (
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Status
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Anime
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Wiki
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Started
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Duration
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Questions
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  API Calls
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {history.map((process) => (
-                <tr key={process.id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`flex items-center ${getStatusColor(process.status)}`}>
-                      <span className="mr-2">{getStatusIcon(process.status)}</span>
-                      {process.status}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm font-medium text-gray-900">{process.animeName}</div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-500">{process.fandomWikiName}</div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {new Date(process.startTime).toLocaleString()}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatDuration(process.duration)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900">{process.questionsGenerated || 0}</div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900">{process.apiCallsMade || 0}</div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <button
-                      onClick={() => onViewProcess(process.id)}
-                      className="text-blue-600 hover:text-blue-900"
-                    >
-                      View Details
-                    </button>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
+    <div className="space-y-6">
+      {usage && usage.totals.calls > 0 && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">AI Usage &amp; Cost</h2>
+          <div className="grid grid-cols-3 gap-4 mb-6">
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-500">Total Cost</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCost(usage.totals.costUsd)}</p>
+              {usage.totals.unpricedCalls > 0 && (
+                <p className="text-xs text-yellow-600">{usage.totals.unpricedCalls} calls without pricing</p>
+              )}
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-500">Tokens</p>
+              <p className="text-2xl font-bold text-gray-900">{formatTokens(usage.totals)}</p>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-500">AI Calls</p>
+              <p className="text-2xl font-bold text-gray-900">{usage.totals.calls}</p>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-6">
+            {[
+              { title: 'By Model', rows: Object.entries(usage.byModel).map(([model, totals]) => ({ key: model, label: model, totals })) },
+              { title: 'By Anime', rows: Object.entries(usage.byAnime).map(([animeId, totals]) => ({ key: animeId, label: totals.animeName || `Category ${animeId}`, totals })) },
+            ].map(group => (
+              <div key={group.title}>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">{group.title}</h3>
+                <table className="min-w-full text-sm">
+                  <tbody className="divide-y divide-gray-100">
+                    {group.rows
+                      .sort((a, b) => b.totals.costUsd - a.totals.costUsd)
+                      .map(row => (
+                        <tr key={row.key}>
+                          <td className="py-1 text-gray-900">{row.label}</td>
+                          <td className="py-1 text-right text-gray-500">{formatTokens(row.totals)} tokens</td>
+                          <td className="py-1 text-right text-gray-900">{formatCost(row.totals.costUsd)}</td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
         </div>
       )}
+
+      <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">Generation History</h2>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+      
+        {history.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No generation history yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Anime
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Wiki
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Model
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Started
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Duration
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Questions
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    API Calls
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Cost
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {history.map((process) => (
+                  <React.Fragment key={process.id}>
+                    <tr className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`flex items-center ${getStatusColor(process.status)}`}>
+                          <span className="mr-2">{getStatusIcon(process.status)}</span>
+                          {process.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{process.animeName}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-500">{process.fandomWikiName}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-500">{process.openaiModel || 'N/A'}</div>
+                        {process.experiment && (
+                          <div className="text-xs text-purple-600">Experiment, {process.experiment.arms.length} arms</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {new Date(process.startTime).toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatDuration(process.duration)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{process.questionsGenerated || 0}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{process.apiCallsMade || 0}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{formatCost(process.costUsd)}</div>
+                        <div className="text-xs text-gray-500">{formatTokens(process)} tokens</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <button
+                          onClick={() => onViewProcess(process.id)}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          View Details
+                        </button>
+                        {RESUMABLE_STATUSES.includes(process.status) && (
+                          <button
+                            onClick={() => handleResume(process.id)}
+                            disabled={resumingId === process.id}
+                            className="ml-4 text-green-600 hover:text-green-900 disabled:text-gray-400"
+                          >
+                            {resumingId === process.id ? 'Resuming...' : 'Resume'}
+                          </button>
+                        )}
+                        {process.experiment && (
+                          <button
+                            onClick={() => toggleReport(process.id)}
+                            disabled={loadingReportId === process.id}
+                            className="ml-4 text-purple-600 hover:text-purple-900 disabled:text-gray-400"
+                          >
+                            {loadingReportId === process.id ? 'Loading...' : report?.runId === process.id ? 'Hide Report' : 'Report'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {report?.runId === process.id && (
+                      <tr>
+                        <td colSpan={10} className="px-6 py-4 bg-purple-50">
+                          <table className="min-w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-xs text-gray-500 uppercase">
+                                <th className="py-1 pr-4">Arm</th>
+                                <th className="py-1 pr-4">Model / Prompt</th>
+                                <th className="py-1 pr-4 text-right">Sections</th>
+                                <th className="py-1 pr-4 text-right">Questions</th>
+                                <th className="py-1 pr-4 text-right">Avg Score</th>
+                                <th className="py-1 pr-4 text-right">Rejected</th>
+                                <th className="py-1 pr-4 text-right">Duplicates</th>
+                                <th className="py-1 pr-4 text-right">Cost</th>
+                                <th className="py-1 text-right">Cost / Question</th>
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-purple-100">
+                              {report.arms.map(arm => (
+                                <tr key={arm.key}>
+                                  <td className="py-1 pr-4 font-medium text-gray-900">{arm.key}. {arm.name}</td>
+                                  <td className="py-1 pr-4 text-gray-600">
+                                    {arm.model}
+                                    <div className="text-xs text-gray-500">
+                                      {arm.promptTemplate ? `${arm.promptTemplate.name} v${arm.promptTemplate.version}` : 'Custom instructions'}
+                                    </div>
+                                  </td>
+                                  <td className="py-1 pr-4 text-right">{arm.sections}</td>
+                                  <td className="py-1 pr-4 text-right">{arm.questions}</td>
+                                  <td className="py-1 pr-4 text-right">
+                                    {arm.averageScore ?? '—'}
+                                    <div className="text-xs text-gray-500">{arm.reviewed}/{arm.questions} reviewed</div>
+                                  </td>
+                                  <td className="py-1 pr-4 text-right">{formatRate(arm.rejectionRate)}</td>
+                                  <td className="py-1 pr-4 text-right">
+                                    {formatRate(arm.duplicateRate)}
+                                    <div className="text-xs text-gray-500">{arm.duplicates} skipped</div>
+                                  </td>
+                                  <td className="py-1 pr-4 text-right">
+                                    {formatCost(arm.costUsd)}
+                                    {arm.unpricedCalls > 0 && (
+                                      <div className="text-xs text-yellow-600">{arm.unpricedCalls} unpriced calls</div>
+                                    )}
+                                  </td>
+                                  <td className="py-1 text-right">{arm.costPerQuestion === null ? '—' : formatCost(arm.costPerQuestion)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {report.unreviewed > 0 && (
+                            <p className="mt-2 text-xs text-gray-500">
+                              {report.unreviewed} questions from this run are not reviewed yet; review them in the Question Review tab to complete the score comparison.
+                            </p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   );
 }
\ No newline at end of file
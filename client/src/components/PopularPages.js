@@ -1,4 +1,13 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import StoryArcPicker from './StoryArcPicker';
+import PromptTemplatePicker from './PromptTemplatePicker';
+import GenerationPlan from './GenerationPlan';
+import SectionPicker from './SectionPicker';
+import ChunkingSettings from './ChunkingSettings';
+import FallbackModelsPicker from './FallbackModelsPicker';
+import RunLimitSettings from './RunLimitSettings';
+import RefreshSettings from './RefreshSettings';
+import QuestionMixSettings from './QuestionMixSettings';
 
 const API_URL = process.env.REACT_APP_API_URL || '';
 
@@ -7,11 +16,23 @@ export default function PopularPages({ onStart }) {
     animeName: '',
     fandomWikiName: '',
     selectedPages: [],
+    sectionSelection: {},
+    storyArcIds: [],
     maxApiCalls: 10,
     questionsPerChunk: 4,
     wordsPerChunk: 100,
+    chunking: { strategy: 'paragraph', sizing: 'words', minSize: '', maxSize: '', overlap: '' },
+    parallelism: 1,
+    costBudget: '',
+    difficultyMix: { easy: '', medium: '', hard: '' },
+    questionTypeMix: { multiple_choice: '', true_false: '', which_is_not: '', ordering: '', short_answer: '' },
+    fallbackModels: [],
+    refresh: false,
+    retireOutdated: false,
     openaiModel: 'gpt-4o-mini',
-    promptInstructions: 'Each question should have one correct answer and three incorrect but plausible options. Create challenging and fun questions. Try and be specific if you can. For example, mention names of characters, groups, or locations if you have this information. NEVER mention "according to the text" or something similar.',
+    promptInstructions: '',
+    promptTemplateId: null,
+    promptVariables: {},
     skipSections: [ // Default sections to skip
       'References',
       'Navigation', 
@@ -66,6 +87,7 @@ export default function PopularPages({ onStart }) {
   const [availableModels, setAvailableModels] = useState([]);
   const [aiProviderStats, setAiProviderStats] = useState(null);
   const [customSkipSection, setCustomSkipSection] = useState('');
+  const [plan, setPlan] = useState(null);
 
   // Default models (unchanged)
   const defaultModels = useMemo(() => [
@@ -123,30 +145,6 @@ export default function PopularPages({ onStart }) {
     { name: 'Jujutsu Kaisen', wiki: 'jujutsu-kaisen' }
   ];
 
-  // Prompt presets (unchanged)
-  const promptPresets = [
-    {
-      name: 'Challenging & Specific (Default)',
-      value: 'Create challenging and fun multiple-choice questions with one correct answer and three wrong but believable options.\n\n## Rules:\n- Use specific names of characters, groups, locations, and abilities when possible\n- Make wrong answers seem reasonable (not obviously fake)\n- Keep language natural and conversational\n- NEVER NEVER say "according to the text" or something similar\n- Mix up where you put the correct answer (A, B, C, or D)\n- Review your questions to make sure they\'re high quality\n- It\'s okay to test memory of specific details\n- Avoid asking questions that don\'t have any specific details that can happen at any time during the story\n\n## What makes good questions:\n- Use your broader anime knowledge if you\'re confident, but base it on the text\n- Include specific character names, jutsu/abilities, locations, and plot details\n- Wrong answers should be from the same universe or similar situations\n- Make questions challenging but fair\n\n## Format:\nWrite a clear question, then list A, B, C, D options.'
-    },
-    {
-      name: 'Trivia Style',
-      value: 'Generate trivia-style questions with one correct answer and three plausible incorrect options. Focus on memorable details, character names, abilities, and plot points. Make the questions engaging for anime fans.'
-    },
-    {
-      name: 'Character Focused',
-      value: 'Create questions that focus on character details, relationships, abilities, and development. Include specific character names and traits. Make incorrect options believable but clearly wrong.'
-    },
-    {
-      name: 'Plot & Events',
-      value: 'Generate questions about plot events, story arcs, battles, and key moments. Focus on what happened, when, and why. Include specific details about locations and circumstances.'
-    },
-    {
-      name: 'Technical Details',
-      value: 'Create detailed questions about abilities, techniques, power systems, and world-building elements. Focus on specific mechanics and technical aspects of the anime universe.'
-    }
-  ];
-
   // Section skip presets (unchanged)
   const sectionSkipPresets = [
     {
@@ -378,11 +376,23 @@ export default function PopularPages({ onStart }) {
           animeName: setting.anime_name || '',
           fandomWikiName: setting.fandom_wiki_name || '',
           selectedPages: setting.selected_pages || [],
+          sectionSelection: {},
+          storyArcIds: [],
           maxApiCalls: setting.max_api_calls || 10,
           questionsPerChunk: setting.questions_per_chunk || 4,
           wordsPerChunk: setting.words_per_chunk || 100,
+          chunking: formData.chunking,
+          parallelism: formData.parallelism,
+          costBudget: formData.costBudget,
+          difficultyMix: formData.difficultyMix,
+          questionTypeMix: formData.questionTypeMix,
+          fallbackModels: formData.fallbackModels,
+          refresh: formData.refresh,
+          retireOutdated: formData.retireOutdated,
           openaiModel: setting.model || 'gpt-4o-mini',
           promptInstructions: setting.prompt_instructions || formData.promptInstructions,
+          promptTemplateId: setting.prompt_instructions ? null : formData.promptTemplateId,
+          promptVariables: setting.prompt_instructions ? {} : formData.promptVariables,
           skipSections: setting.skip_sections || []
         });
 
@@ -500,9 +510,15 @@ export default function PopularPages({ onStart }) {
     }
   };
 
-  const handleSubmit = async () => {
-    if (!formData.animeName || !formData.fandomWikiName || formData.selectedPages.length === 0) {
-      setError('Please select anime, wiki, and at least one page');
+  // A plan only matches the settings it was made for
+  useEffect(() => {
+    setPlan(null);
+  }, [formData]);
+
+  // dryRun asks the server for the plan (sections, question counts, estimated cost) without starting
+  const handleSubmit = async (dryRun = false) => {
+    if (!formData.animeName || !formData.fandomWikiName || (formData.selectedPages.length === 0 && formData.storyArcIds.length === 0)) {
+      setError('Please select anime, wiki, and at least one page or story arc');
       return;
     }
     
@@ -519,17 +535,26 @@ export default function PopularPages({ onStart }) {
           ...formData,
           categories: [],
           individualPages: formData.selectedPages,
-          skipSections: formData.skipSections
+          // Only pages still selected; their other sections are skipped
+          sectionSelection: Object.entries(formData.sectionSelection)
+            .filter(([pageTitle]) => formData.selectedPages.includes(pageTitle))
+            .flatMap(([pageTitle, entries]) => entries.map(entry => ({ pageTitle, ...entry }))),
+          skipSections: formData.skipSections,
+          dryRun
         }),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to start generation');
+        throw new Error(data.error || (dryRun ? 'Failed to plan generation' : 'Failed to start generation'));
       }
 
-      onStart(data.processId);
+      if (dryRun) {
+        setPlan(data.plan);
+      } else {
+        onStart(data.processId);
+      }
     } catch (error) {
       setError(error.message);
     } finally {
@@ -537,15 +562,12 @@ export default function PopularPages({ onStart }) {
     }
   };
 
-  const handlePromptPresetSelect = (preset) => {
-    setFormData(prev => ({
-      ...prev,
-      promptInstructions: preset.value
-    }));
-  };
+  const getProviderLabel = (provider) => aiProviderStats?.[provider]?.label
+    || { openai: 'OpenAI', gemini: 'Google Gemini', anthropic: 'Anthropic Claude' }[provider]
+    || provider;
 
   const groupedModels = availableModels.reduce((groups, model) => {
-    const category = model.category || (model.provider === 'openai' ? 'OpenAI Models' : 'Google Gemini Models');
+    const category = model.category || `${getProviderLabel(model.provider)} Models`;
     if (!groups[category]) {
       groups[category] = [];
     }
@@ -821,6 +843,20 @@ export default function PopularPages({ onStart }) {
                     </span>
                   ))}
                 </div>
+                {formData.fandomWikiName && (
+                  <SectionPicker
+                    fandomWikiName={formData.fandomWikiName}
+                    pages={formData.selectedPages}
+                    category="Individual"
+                    skipSections={formData.skipSections}
+                    questionsPerChunk={formData.questionsPerChunk}
+                    wordsPerChunk={formData.wordsPerChunk}
+                    chunking={formData.chunking}
+                    model={formData.openaiModel}
+                    selection={formData.sectionSelection}
+                    onChange={(sectionSelection) => setFormData(prev => ({ ...prev, sectionSelection }))}
+                  />
+                )}
               </div>
             )}
 
@@ -878,6 +914,17 @@ export default function PopularPages({ onStart }) {
             )}
           </div>
 
+          {/* Story Arcs: expanded into their pages and categories when the run starts */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Story Arcs (Optional)</label>
+            <StoryArcPicker
+              animeName={formData.animeName}
+              fandomWikiName={formData.fandomWikiName}
+              selectedArcIds={formData.storyArcIds}
+              onChange={(storyArcIds) => setFormData(prev => ({ ...prev, storyArcIds }))}
+            />
+          </div>
+
           {/* Enhanced AI Configuration */}
           <div className="border-t pt-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4">🤖 AI Configuration</h3>
@@ -887,14 +934,12 @@ export default function PopularPages({ onStart }) {
               <div className="mb-4 p-3 bg-gray-50 rounded-md">
                 <p className="text-xs text-gray-600 mb-2">Provider Status:</p>
                 <div className="flex items-center space-x-4 text-xs">
-                  <div className="flex items-center">
-                    <div className={`w-2 h-2 rounded-full mr-2 ${isProviderAvailable('openai') ? 'bg-green-500' : 'bg-red-500'}`}></div>
-                    <span>OpenAI ({aiProviderStats.openai?.models || 0} models)</span>
-                  </div>
-                  <div className="flex items-center">
-                    <div className={`w-2 h-2 rounded-full mr-2 ${isProviderAvailable('gemini') ? 'bg-green-500' : 'bg-red-500'}`}></div>
-                    <span>Google Gemini ({aiProviderStats.gemini?.models || 0} models)</span>
-                  </div>
+                  {Object.entries(aiProviderStats).map(([provider, stats]) => (
+                    <div key={provider} className="flex items-center">
+                      <div className={`w-2 h-2 rounded-full mr-2 ${isProviderAvailable(provider) ? 'bg-green-500' : 'bg-red-500'}`}></div>
+                      <span>{getProviderLabel(provider)} ({stats.models || 0} models)</span>
+                    </div>
+                  ))}
                 </div>
               </div>
             )}
@@ -940,37 +985,23 @@ export default function PopularPages({ onStart }) {
               </div>
             </div>
 
+            {/* Fallback chain: tried in order when the selected model fails */}
+            <FallbackModelsPicker
+              models={availableModels}
+              primaryModel={formData.openaiModel}
+              value={formData.fallbackModels}
+              onChange={(fallbackModels) => setFormData(prev => ({ ...prev, fallbackModels }))}
+            />
+
             {/* Custom Prompt Instructions */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Question Generation Instructions</label>
               
-              {/* Prompt Presets */}
-              <div className="mb-3">
-                <p className="text-xs text-gray-500 mb-2">Quick presets:</p>
-                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
-                  {promptPresets.map((preset) => (
-                    <button
-                      key={preset.name}
-                      onClick={() => handlePromptPresetSelect(preset)}
-                      className={`p-2 text-xs border rounded-md text-left transition-colors ${
-                        formData.promptInstructions === preset.value
-                          ? 'bg-blue-50 border-blue-200 text-blue-700'
-                          : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
-                      }`}
-                    >
-                      {preset.name}
-                    </button>
-                  ))}
-                </div>
-              </div>
-
-              {/* Custom Prompt Textarea */}
-              <textarea
-                value={formData.promptInstructions}
-                onChange={(e) => setFormData({ ...formData, promptInstructions: e.target.value })}
-                rows={4}
-                className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
-                placeholder="Describe how you want the AI to generate questions..."
+              <PromptTemplatePicker
+                instructions={formData.promptInstructions}
+                templateId={formData.promptTemplateId}
+                variables={formData.promptVariables}
+                onChange={(prompt) => setFormData(prev => ({ ...prev, ...prompt }))}
               />
             </div>
           </div>
@@ -1015,17 +1046,36 @@ export default function PopularPages({ onStart }) {
                 />
                 <p className="mt-1 text-xs text-gray-500">Word count that equals one chunk</p>
               </div>
+              <RunLimitSettings
+                parallelism={formData.parallelism}
+                costBudget={formData.costBudget}
+                onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+              />
+              <RefreshSettings
+                refresh={formData.refresh}
+                retireOutdated={formData.retireOutdated}
+                onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+              />
+              <QuestionMixSettings
+                difficultyMix={formData.difficultyMix}
+                questionTypeMix={formData.questionTypeMix}
+                onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+              />
+              <ChunkingSettings
+                value={formData.chunking}
+                onChange={(chunking) => setFormData(prev => ({ ...prev, chunking }))}
+              />
             </div>
           </div>
 
           {/* Submit Button */}
           <div>
             <button
-              onClick={handleSubmit}
-              disabled={loading || !formData.animeName || !formData.fandomWikiName || formData.selectedPages.length === 0}
+              onClick={() => handleSubmit(true)}
+              disabled={loading || !formData.animeName || !formData.fandomWikiName || (formData.selectedPages.length === 0 && formData.storyArcIds.length === 0)}
               className={`
                 w-full flex justify-center py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white transition-colors
-                ${loading || !formData.animeName || !formData.fandomWikiName || formData.selectedPages.length === 0
+                ${loading || !formData.animeName || !formData.fandomWikiName || (formData.selectedPages.length === 0 && formData.storyArcIds.length === 0)
                   ? 'bg-gray-400 cursor-not-allowed'
                   : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
                 }
@@ -1034,9 +1084,18 @@ export default function PopularPages({ onStart }) {
               {loading ? (
                 <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
               ) : (
-                `Generate Questions from ${formData.selectedPages.length} Selected Pages`
+                `Plan Questions from ${formData.selectedPages.length} Selected Pages${formData.storyArcIds.length > 0 ? ` and ${formData.storyArcIds.length} Story Arcs` : ''}`
               )}
             </button>
+
+            {plan && (
+              <GenerationPlan
+                plan={plan}
+                starting={loading}
+                onConfirm={() => handleSubmit(false)}
+                onCancel={() => setPlan(null)}
+              />
+            )}
             
             {/* Model info display */}
             {formData.openaiModel && (
@@ -1106,6 +1165,7 @@ export default function PopularPages({ onStart }) {
                     <p><strong>Anime:</strong> {formData.animeName || 'Not set'}</p>
                     <p><strong>Wiki:</strong> {formData.fandomWikiName || 'Not set'}</p>
                     <p><strong>Pages:</strong> {formData.selectedPages.length} selected</p>
+                    <p><strong>Story Arcs:</strong> {formData.storyArcIds.length} selected</p>
                     <p><strong>Model:</strong> {formData.openaiModel}</p>
                     <p><strong>Max API Calls:</strong> {formData.maxApiCalls}</p>
                     <p><strong>Skip Sections:</strong> {formData.skipSections.length} configured</p>
@@ -2,12 +2,17 @@ import React, { useState, useEffect, useCallback } from 'react';
 
 const API_URL = process.env.REACT_APP_API_URL || '';
 
+const RESUMABLE_STATUSES = ['stopped', 'interrupted', 'error'];
+
 export default function ProgressMonitor({ processId, socket, onComplete }) {
   const [process, setProcess] = useState(null);
   const [logs, setLogs] = useState([]);
   const [prompts, setPrompts] = useState([]); // NEW: Store prompts
   const [loading, setLoading] = useState(true);
   const [expandedPrompts, setExpandedPrompts] = useState(new Set()); // NEW: Track expanded prompts
+  const [resuming, setResuming] = useState(false);
+  const [resumeError, setResumeError] = useState('');
+  const [sections, setSections] = useState([]); // Live per-section status, in the order sections were queued
 
   // FIX: Move fetchProcessStatus inside useCallback to prevent dependency issues
   const fetchProcessStatus = useCallback(async () => {
@@ -41,10 +46,28 @@ export default function ProgressMonitor({ processId, socket, onComplete }) {
     if (onComplete) onComplete();
   }, [onComplete]);
 
+  const handleUsage = useCallback(({ promptTokens, completionTokens, costUsd }) => {
+    setProcess(prev => ({ ...prev, promptTokens, completionTokens, costUsd }));
+  }, []);
+
+  const handleStatus = useCallback(({ status }) => {
+    setProcess(prev => ({ ...prev, status }));
+  }, []);
+
   const handleError = useCallback(({ message }) => {
     setProcess(prev => ({ ...prev, status: 'error', error: message }));
   }, []);
 
+  const handleSection = useCallback((update) => {
+    setSections(prev => {
+      const index = prev.findIndex(s => s.id === update.id);
+      if (index === -1) return [...prev, update];
+      const next = [...prev];
+      next[index] = { ...next[index], ...update };
+      return next;
+    });
+  }, []);
+
   // NEW: Handle prompt data
   const handlePromptGenerated = useCallback((promptData) => {
     setPrompts(prev => [...prev, { ...promptData, id: `prompt_${prev.length + 1}` }]);
@@ -56,6 +79,8 @@ export default function ProgressMonitor({ processId, socket, onComplete }) {
       return;
     }
 
+    setSections([]);
+
     // Fetch initial status
     fetchProcessStatus();
 
@@ -66,6 +91,9 @@ export default function ProgressMonitor({ processId, socket, onComplete }) {
       socket.on(`generation:${processId}:questionsGenerated`, handleQuestionsGenerated);
       socket.on(`generation:${processId}:completed`, handleCompleted);
       socket.on(`generation:${processId}:error`, handleError);
+      socket.on(`generation:${processId}:status`, handleStatus);
+      socket.on(`generation:${processId}:section`, handleSection);
+      socket.on(`generation:${processId}:usage`, handleUsage);
       socket.on(`generation:${processId}:promptGenerated`, handlePromptGenerated); // NEW: Prompt listener
 
       return () => {
@@ -74,19 +102,42 @@ export default function ProgressMonitor({ processId, socket, onComplete }) {
         socket.off(`generation:${processId}:questionsGenerated`);
         socket.off(`generation:${processId}:completed`);
         socket.off(`generation:${processId}:error`);
+        socket.off(`generation:${processId}:status`);
+        socket.off(`generation:${processId}:section`);
+        socket.off(`generation:${processId}:usage`);
         socket.off(`generation:${processId}:promptGenerated`); // NEW: Cleanup
       };
     }
-  }, [processId, socket, fetchProcessStatus, handleLog, handleProgress, handleQuestionsGenerated, handleCompleted, handleError, handlePromptGenerated]);
+  }, [processId, socket, fetchProcessStatus, handleLog, handleProgress, handleQuestionsGenerated, handleCompleted, handleError, handleStatus, handleSection, handleUsage, handlePromptGenerated]);
 
   const handleStop = async () => {
     try {
       await fetch(`${API_URL}/api/generation/stop/${processId}`, { method: 'POST' });
+      fetchProcessStatus();
     } catch (error) {
       console.error('Error stopping process:', error);
     }
   };
 
+  const handleResume = async () => {
+    setResuming(true);
+    setResumeError('');
+    try {
+      const response = await fetch(`${API_URL}/api/generation/resume/${processId}`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to resume generation');
+      }
+
+      setProcess(prev => ({ ...prev, status: 'running', error: null }));
+    } catch (error) {
+      setResumeError(error.message);
+    } finally {
+      setResuming(false);
+    }
+  };
+
   // NEW: Toggle prompt expansion
   const togglePromptExpansion = (promptId) => {
     setExpandedPrompts(prev => {
@@ -102,14 +153,32 @@ export default function ProgressMonitor({ processId, socket, onComplete }) {
 
   const getStatusColor = (status) => {
     switch (status) {
+      case 'queued': return 'bg-gray-100 text-gray-800';
       case 'running': return 'bg-blue-100 text-blue-800';
       case 'completed': return 'bg-green-100 text-green-800';
       case 'error': return 'bg-red-100 text-red-800';
       case 'stopping': return 'bg-yellow-100 text-yellow-800';
+      case 'stopped': return 'bg-yellow-100 text-yellow-800';
+      case 'interrupted': return 'bg-orange-100 text-orange-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
 
+  const getSectionStatusColor = (status) => {
+    switch (status) {
+      case 'generating': return 'bg-blue-100 text-blue-800';
+      case 'done': return 'bg-green-100 text-green-800';
+      case 'skipped': return 'bg-gray-100 text-gray-600';
+      case 'failed': return 'bg-red-100 text-red-800';
+      default: return 'bg-yellow-100 text-yellow-800';
+    }
+  };
+
+  const sectionCounts = sections.reduce((counts, s) => {
+    counts[s.status] = (counts[s.status] || 0) + 1;
+    return counts;
+  }, {});
+
   const getLogIcon = (type) => {
     switch (type) {
       case 'success': return '✅';
@@ -141,16 +210,31 @@ export default function ProgressMonitor({ processId, socket, onComplete }) {
       <div className="bg-white shadow rounded-lg p-6">
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-2xl font-bold text-gray-900">Generation Progress</h2>
-          {process?.status === 'running' && (
+          {['queued', 'running'].includes(process?.status) && (
             <button
               onClick={handleStop}
               className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
             >
-              Stop Generation
+              {process.status === 'queued' ? 'Cancel Queued Run' : 'Stop Generation'}
+            </button>
+          )}
+          {RESUMABLE_STATUSES.includes(process?.status) && (
+            <button
+              onClick={handleResume}
+              disabled={resuming}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-gray-400"
+            >
+              {resuming ? 'Resuming...' : 'Resume Generation'}
             </button>
           )}
         </div>
 
+        {resumeError && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{resumeError}</p>
+          </div>
+        )}
+
         {process && (
           <div className="space-y-4">
             {/* Status Badge */}
@@ -161,6 +245,11 @@ export default function ProgressMonitor({ processId, socket, onComplete }) {
               <span className="text-sm text-gray-500">
                 Started: {new Date(process.startTime).toLocaleString()}
               </span>
+              {process.parallelism > 1 && (
+                <span className="text-sm text-gray-500">
+                  {process.parallelism} sections in parallel
+                </span>
+              )}
             </div>
 
             {/* Anime Info */}
@@ -199,6 +288,22 @@ export default function ProgressMonitor({ processId, socket, onComplete }) {
                 <p className="text-sm text-gray-500">API Calls Made</p>
                 <p className="text-2xl font-bold text-gray-900">{process.apiCallsMade || 0}</p>
               </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500">Tokens Used</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {((process.promptTokens || 0) + (process.completionTokens || 0)).toLocaleString()}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {(process.promptTokens || 0).toLocaleString()} prompt / {(process.completionTokens || 0).toLocaleString()} completion
+                </p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500">Cost</p>
+                <p className="text-2xl font-bold text-gray-900">${(process.costUsd || 0).toFixed(4)}</p>
+                {process.costBudget && (
+                  <p className="text-xs text-gray-500">of ${process.costBudget} budget</p>
+                )}
+              </div>
             </div>
 
             {/* Error Message */}
@@ -211,6 +316,42 @@ export default function ProgressMonitor({ processId, socket, onComplete }) {
         )}
       </div>
 
+      {/* Section Status */}
+      {sections.length > 0 && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-medium text-gray-900">Sections ({sections.length})</h3>
+            <div className="flex space-x-2">
+              {['queued', 'generating', 'done', 'skipped', 'failed'].filter(status => sectionCounts[status]).map(status => (
+                <span key={status} className={`px-2 py-1 text-xs rounded-full ${getSectionStatusColor(status)}`}>
+                  {status}: {sectionCounts[status]}
+                </span>
+              ))}
+            </div>
+          </div>
+          <div className="space-y-1 max-h-64 overflow-y-auto">
+            {sections.map((section) => (
+              <div key={section.id} className="flex items-center justify-between text-sm py-1 border-b border-gray-100">
+                <div className="flex-1 min-w-0">
+                  <span className="font-medium text-gray-900">{section.sectionTitle}</span>
+                  <span className="text-gray-500"> · {section.pageTitle}</span>
+                  {section.reason && <span className="text-xs text-gray-400"> ({section.reason})</span>}
+                  {section.error && <span className="text-xs text-red-600"> {section.error}</span>}
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                  {section.status === 'done' && (
+                    <span className="text-xs text-gray-500">{section.questionsGenerated} questions</span>
+                  )}
+                  <span className={`px-2 py-1 text-xs rounded-full ${getSectionStatusColor(section.status)}`}>
+                    {section.status}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* NEW: Prompts Section */}
       {prompts.length > 0 && (
         <div className="bg-white shadow rounded-lg p-6">
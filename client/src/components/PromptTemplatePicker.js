@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || '';
+
+// Picks a prompt template from the library (or lets the user write instructions by hand) and
+// fills in the template's own variables. Editing the text turns the selection into custom
+// instructions, so a run only records a template when its text was used unchanged.
+export default function PromptTemplatePicker({ instructions, templateId, variables, onChange, placeholder }) {
+  const [templates, setTemplates] = useState([]);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/prompts`)
+      .then(r => r.json())
+      .then(data => {
+        if (data.success) setTemplates(data.templates);
+      })
+      .catch(err => console.error('Error fetching prompt templates:', err));
+  }, []);
+
+  const selected = templates.find(t => t.id === templateId);
+
+  const selectTemplate = (template) => {
+    const defaults = {};
+    template.variables.forEach(v => { defaults[v.name] = v.defaultValue || ''; });
+    onChange({
+      promptTemplateId: template.id,
+      promptInstructions: template.body,
+      promptVariables: defaults
+    });
+  };
+
+  return (
+    <div>
+      {templates.length > 0 && (
+        <div className="mb-3">
+          <p className="text-xs text-gray-500 mb-2">Prompt templates:</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+            {templates.map((template) => (
+              <button
+                key={template.id}
+                onClick={() => selectTemplate(template)}
+                title={template.description || ''}
+                className={`p-2 text-xs border rounded-md text-left transition-colors ${
+                  template.id === templateId
+                    ? 'bg-blue-50 border-blue-200 text-blue-700'
+                    : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
+                }`}
+              >
+                {template.name}
+                <span className="ml-1 text-gray-400">v{template.currentVersion}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {selected && selected.variables.length > 0 && (
+        <div className="mb-3 grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {selected.variables.map(variable => (
+            <div key={variable.name}>
+              <label className="block text-xs font-medium text-gray-600">
+                {`{${variable.name}}`}{variable.required && ' *'}
+                {variable.description && <span className="ml-1 font-normal text-gray-400">{variable.description}</span>}
+              </label>
+              <input
+                type="text"
+                value={variables?.[variable.name] ?? ''}
+                onChange={(e) => onChange({ promptVariables: { ...variables, [variable.name]: e.target.value } })}
+                className="mt-1 shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-1"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <textarea
+        value={instructions}
+        onChange={(e) => onChange({ promptInstructions: e.target.value, promptTemplateId: null, promptVariables: {} })}
+        rows={4}
+        className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+        placeholder={placeholder || 'Describe how you want the AI to generate questions, or leave empty for the default instructions...'}
+      />
+      <p className="mt-1 text-xs text-gray-500">
+        {selected
+          ? `Using template "${selected.name}" (version ${selected.currentVersion}). Editing the text switches to custom instructions.`
+          : 'Custom instructions. Questions from templates can be traced back to the template version in the Prompt Templates tab.'}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || '';
+
+const EMPTY_TEMPLATE = { name: '', description: '', body: '', variables: [], active: true, changeNote: '' };
+
+const EMPTY_VARIABLE = { name: '', description: '', defaultValue: '', required: false };
+
+export default function PromptTemplates() {
+  const [templates, setTemplates] = useState([]);
+  const [builtInVariables, setBuiltInVariables] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [versionStats, setVersionStats] = useState([]);
+  const [viewingVersion, setViewingVersion] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/prompts?includeInactive=true`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to fetch prompt templates');
+      setTemplates(data.templates);
+      setBuiltInVariables(data.builtInVariables || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const openTemplate = async (id) => {
+    setError('');
+    setMessage('');
+    setViewingVersion(null);
+    try {
+      const [templateResponse, statsResponse] = await Promise.all([
+        fetch(`${API_URL}/api/prompts/${id}`),
+        fetch(`${API_URL}/api/prompts/${id}/stats`)
+      ]);
+      const templateData = await templateResponse.json();
+      const statsData = await statsResponse.json();
+      if (!templateData.success) throw new Error(templateData.error || 'Failed to load prompt template');
+
+      const { versions: history, ...template } = templateData.template;
+      setSelectedId(id);
+      setDraft({ ...template, changeNote: '' });
+      setVersions(history);
+      setVersionStats(statsData.success ? statsData.versions : []);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const newTemplate = () => {
+    setSelectedId(null);
+    setDraft(EMPTY_TEMPLATE);
+    setVersions([]);
+    setVersionStats([]);
+    setViewingVersion(null);
+    setError('');
+    setMessage('');
+  };
+
+  const updateVariable = (index, field, value) => {
+    const variables = draft.variables.map((v, i) => (i === index ? { ...v, [field]: value } : v));
+    setDraft({ ...draft, variables });
+  };
+
+  const saveTemplate = async () => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const response = await fetch(`${API_URL}/api/prompts${selectedId ? `/${selectedId}` : ''}`, {
+        method: selectedId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draft)
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to save prompt template');
+
+      setMessage(`Saved "${data.template.name}" (version ${data.template.currentVersion})`);
+      await fetchTemplates();
+      await openTemplate(data.template.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const restoreVersion = async (version) => {
+    if (!window.confirm(`Make version ${version} the current version again?`)) return;
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/api/prompts/${selectedId}/versions/${version}/restore`, { method: 'POST' });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to restore version');
+
+      setMessage(`Restored version ${version} as version ${data.template.currentVersion}`);
+      await fetchTemplates();
+      await openTemplate(selectedId);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteTemplate = async () => {
+    if (!window.confirm(`Delete the prompt template "${draft.name}"?`)) return;
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/api/prompts/${selectedId}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to delete prompt template');
+
+      setSelectedId(null);
+      setDraft(null);
+      await fetchTemplates();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const statsFor = (version) => versionStats.find(s => s.version === version);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white shadow rounded-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold text-gray-900">Prompt Templates</h2>
+          <button
+            onClick={newTemplate}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700"
+          >
+            New Template
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Generation instructions shared by the generation forms. Changing the text or the variables saves a
+          new version; every generated question records the template version it came from.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="space-y-2">
+            {templates.map(template => (
+              <button
+                key={template.id}
+                onClick={() => openTemplate(template.id)}
+                className={`w-full p-3 border rounded-md text-left text-sm transition-colors ${
+                  template.id === selectedId
+                    ? 'bg-blue-50 border-blue-200'
+                    : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-900">{template.name}</span>
+                  <span className="text-xs text-gray-500">v{template.currentVersion}</span>
+                </div>
+                {!template.active && <span className="text-xs text-gray-500">Inactive</span>}
+              </button>
+            ))}
+          </div>
+
+          <div className="md:col-span-2">
+            {!draft ? (
+              <p className="text-sm text-gray-500">Select a template to edit it, or create a new one.</p>
+            ) : (
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Name</label>
+                    <input
+                      type="text"
+                      value={draft.name}
+                      onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                      className="mt-1 shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Description</label>
+                    <input
+                      type="text"
+                      value={draft.description || ''}
+                      onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                      className="mt-1 shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Instructions</label>
+                  <textarea
+                    value={draft.body}
+                    onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+                    rows={10}
+                    className="mt-1 shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2 font-mono"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    Always available: {builtInVariables.map(v => `{${v}}`).join(', ')}
+                  </p>
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between">
+                    <label className="block text-sm font-medium text-gray-700">Variables</label>
+                    <button
+                      onClick={() => setDraft({ ...draft, variables: [...draft.variables, EMPTY_VARIABLE] })}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      + Add variable
+                    </button>
+                  </div>
+                  {draft.variables.length === 0 && (
+                    <p className="text-xs text-gray-500">No template variables. Use {'{name}'} in the text and add it here to let runs fill it in.</p>
+                  )}
+                  {draft.variables.map((variable, index) => (
+                    <div key={index} className="mt-2 grid grid-cols-12 gap-2 items-center">
+                      <input
+                        type="text"
+                        value={variable.name}
+                        onChange={(e) => updateVariable(index, 'name', e.target.value)}
+                        placeholder="name"
+                        className="col-span-3 shadow-sm sm:text-sm border-gray-300 rounded-md px-2 py-1 font-mono"
+                      />
+                      <input
+                        type="text"
+                        value={variable.description}
+                        onChange={(e) => updateVariable(index, 'description', e.target.value)}
+                        placeholder="What to fill in"
+                        className="col-span-4 shadow-sm sm:text-sm border-gray-300 rounded-md px-2 py-1"
+                      />
+                      <input
+                        type="text"
+                        value={variable.defaultValue}
+                        onChange={(e) => updateVariable(index, 'defaultValue', e.target.value)}
+                        placeholder="Default"
+                        className="col-span-3 shadow-sm sm:text-sm border-gray-300 rounded-md px-2 py-1"
+                      />
+                      <label className="col-span-1 flex items-center text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={variable.required}
+                          onChange={(e) => updateVariable(index, 'required', e.target.checked)}
+                          className="mr-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        />
+                        Req.
+                      </label>
+                      <button
+                        onClick={() => setDraft({ ...draft, variables: draft.variables.filter((_, i) => i !== index) })}
+                        className="col-span-1 text-red-600 hover:text-red-800"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Change note</label>
+                    <input
+                      type="text"
+                      value={draft.changeNote}
+                      onChange={(e) => setDraft({ ...draft, changeNote: e.target.value })}
+                      placeholder="What changed in this version"
+                      className="mt-1 shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+                    />
+                  </div>
+                  <label className="flex items-center text-sm text-gray-700 pb-2">
+                    <input
+                      type="checkbox"
+                      checked={draft.active}
+                      onChange={(e) => setDraft({ ...draft, active: e.target.checked })}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2">Active (offered in the generation forms)</span>
+                  </label>
+                </div>
+
+                <div className="flex gap-2">
+                  <button
+                    onClick={saveTemplate}
+                    disabled={saving || !draft.name.trim() || !draft.body.trim()}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:bg-gray-400"
+                  >
+                    {saving ? 'Saving...' : 'Save'}
+                  </button>
+                  {selectedId && (
+                    <button
+                      onClick={deleteTemplate}
+                      className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-red-600 rounded-md text-sm"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+
+                {error && <p className="text-sm text-red-600">{error}</p>}
+                {message && <p className="text-sm text-green-600">{message}</p>}
+              </div>
+            )}
+            {!draft && error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+          </div>
+        </div>
+      </div>
+
+      {versions.length > 0 && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Version History</h3>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4">Version</th>
+                <th className="py-2 pr-4">Saved</th>
+                <th className="py-2 pr-4">Note</th>
+                <th className="py-2 pr-4">Questions</th>
+                <th className="py-2 pr-4">Avg. score</th>
+                <th className="py-2 pr-4">Rejected</th>
+                <th className="py-2 pr-4">Wrong key</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {versions.map(version => {
+                const stats = statsFor(version.version);
+                return (
+                  <React.Fragment key={version.version}>
+                    <tr className="border-b">
+                      <td className="py-2 pr-4 font-medium">
+                        v{version.version}
+                        {version.version === draft?.currentVersion && <span className="ml-2 text-xs text-blue-600">current</span>}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-500">{version.createdAt ? new Date(version.createdAt).toLocaleString() : ''}</td>
+                      <td className="py-2 pr-4 text-gray-600">{version.changeNote || ''}</td>
+                      <td className="py-2 pr-4">{stats?.questions || 0}</td>
+                      <td className="py-2 pr-4">{stats?.averageScore ?? '—'}</td>
+                      <td className="py-2 pr-4">{stats?.rejected || 0}</td>
+                      <td className="py-2 pr-4">{stats?.wrongKey || 0}</td>
+                      <td className="py-2 text-right space-x-3">
+                        <button
+                          onClick={() => setViewingVersion(viewingVersion === version.version ? null : version.version)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          {viewingVersion === version.version ? 'Hide' : 'View'}
+                        </button>
+                        {version.version !== draft?.currentVersion && (
+                          <button onClick={() => restoreVersion(version.version)} className="text-blue-600 hover:underline">
+                            Restore
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {viewingVersion === version.version && (
+                      <tr>
+                        <td colSpan={8} className="py-2">
+                          <pre className="p-3 bg-gray-50 border border-gray-200 rounded-md text-xs whitespace-pre-wrap">{version.body}</pre>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
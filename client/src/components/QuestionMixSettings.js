@@ -0,0 +1,60 @@
+import React from 'react';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const QUESTION_TYPES = [
+  { id: 'multiple_choice', label: 'MC' },
+  { id: 'true_false', label: 'T/F' },
+  { id: 'which_is_not', label: 'NOT' },
+  { id: 'ordering', label: 'Order' },
+  { id: 'short_answer', label: 'Short' },
+];
+
+// Target difficulty and question type shares of a run, as two cells of the settings grid.
+// Both mixes map a key to a percentage as typed ('' means no target); onChange receives the changed mix.
+export default function QuestionMixSettings({ difficultyMix, questionTypeMix, onChange }) {
+  const inputClass = 'shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md py-2';
+
+  return (
+    <>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Difficulty Mix (%)</label>
+        <div className="mt-1 grid grid-cols-3 gap-1">
+          {DIFFICULTIES.map(difficulty => (
+            <input
+              key={difficulty}
+              type="number"
+              value={difficultyMix[difficulty]}
+              onChange={(e) => onChange({ difficultyMix: { ...difficultyMix, [difficulty]: e.target.value } })}
+              min="0"
+              max="100"
+              placeholder={difficulty}
+              title={difficulty}
+              className={`${inputClass} px-2`}
+            />
+          ))}
+        </div>
+        <p className="mt-1 text-xs text-gray-500">Easy / medium / hard share; leave empty for no target</p>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Question Types (%)</label>
+        <div className="mt-1 grid grid-cols-5 gap-1">
+          {QUESTION_TYPES.map(type => (
+            <input
+              key={type.id}
+              type="number"
+              value={questionTypeMix[type.id]}
+              onChange={(e) => onChange({ questionTypeMix: { ...questionTypeMix, [type.id]: e.target.value } })}
+              min="0"
+              max="100"
+              placeholder={type.label}
+              title={type.id}
+              className={`${inputClass} px-1`}
+            />
+          ))}
+        </div>
+        <p className="mt-1 text-xs text-gray-500">Multiple choice / true-false / which is NOT / ordering / short answer; empty means multiple choice only</p>
+      </div>
+    </>
+  );
+}
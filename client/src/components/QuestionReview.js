@@ -16,8 +16,14 @@ export default function QuestionReview({ socket }) {
 2 = Poor (vague question, obvious wrong answers)
 1 = Terrible (broken question, impossible to answer)
 
+Fact-check each correct answer against its Source Passage when one is given:
+score 1 if the passage contradicts the answer, at most 2 if it does not support it.
+
 {questions}
 
+SOURCE PASSAGES:
+{passages}
+
 RESPOND WITH ONLY A JSON ARRAY OF {count} INTEGER SCORES:
 Example: [4, 5, 3, 2, 4, 5, 1, 3, 4, 2]
 
@@ -25,6 +31,7 @@ Your response:`);
   const [reviewStats, setReviewStats] = useState(null);
   const [activeProcessId, setActiveProcessId] = useState(null);
   const [isReviewing, setIsReviewing] = useState(false);
+  const [isQueued, setIsQueued] = useState(false);
   const [reviewProgress, setReviewProgress] = useState(null);
   const [reviewResults, setReviewResults] = useState(null);
   const [questionsToDelete, setQuestionsToDelete] = useState([]);
@@ -34,11 +41,19 @@ Your response:`);
   const [isDeleting, setIsDeleting] = useState(false);
   const [error, setError] = useState('');
   const [loadingCategories, setLoadingCategories] = useState(false);
+  const [verificationStats, setVerificationStats] = useState(null);
+  const [wrongKeyAction, setWrongKeyAction] = useState('reject');
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [verifyProgress, setVerifyProgress] = useState(null);
+  const [verifyResults, setVerifyResults] = useState(null);
+  const [verdictQuestions, setVerdictQuestions] = useState(null);
   const [availableModels] = useState([
     { id: 'gemini-flash-latest', name: 'Gemini Flash', provider: 'gemini' },
     { id: 'gemini-2.5-pro', name: 'Gemini Pro', provider: 'gemini' },
     { id: 'gpt-4o-mini', name: 'GPT-4o Mini', provider: 'openai' },
     { id: 'gpt-4.1', name: 'GPT-4.1', provider: 'openai' },
+    { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5', provider: 'anthropic' },
+    { id: 'claude-haiku-4-5', name: 'Claude Haiku 4.5', provider: 'anthropic' },
   ]);
 
   useEffect(() => {
@@ -48,8 +63,10 @@ Your response:`);
   useEffect(() => {
     if (selectedCategoryId) {
       fetchReviewStats(selectedCategoryId);
+      fetchVerificationStats(selectedCategoryId);
     } else {
       setReviewStats(null);
+      setVerificationStats(null);
     }
   }, [selectedCategoryId]);
 
@@ -88,6 +105,16 @@ Your response:`);
     }
   };
 
+  const fetchVerificationStats = async (categoryId) => {
+    try {
+      const response = await fetch(`${API_URL}/api/review/verification/${categoryId}`);
+      const data = await response.json();
+      setVerificationStats(data.success ? data.stats : null);
+    } catch (err) {
+      setError('Error fetching verification statistics');
+    }
+  };
+
   const handleCategoryChange = (e) => {
     const id = e.target.value;
     setSelectedCategoryId(id);
@@ -97,6 +124,8 @@ Your response:`);
     setShowDeletePreview(false);
     setSelectedQuestionIds(new Set());
     setSelectedScoreFilters(new Set());
+    setVerifyResults(null);
+    setVerdictQuestions(null);
   };
 
   const startReview = async () => {
@@ -126,12 +155,14 @@ Your response:`);
 
       // Register listeners immediately — before any React re-render — to avoid missing events
       const onStarted = () => {
+        setIsQueued(false);
         setIsReviewing(true);
         setReviewProgress({ currentBatch: 0, totalBatches: 0, totalProcessed: 0 });
         setError('');
       };
       const onProgress = (d) => setReviewProgress(d);
       const onCompleted = (d) => {
+        setIsQueued(false);
         setIsReviewing(false);
         setReviewProgress(null);
         setReviewResults(d);
@@ -141,6 +172,7 @@ Your response:`);
         fetchReviewStats(selectedCategoryId);
       };
       const onError = (d) => {
+        setIsQueued(false);
         setIsReviewing(false);
         setReviewProgress(null);
         setError(d.error || 'Review process failed');
@@ -155,6 +187,73 @@ Your response:`);
       socket.once(`${prefix}error`, onError);
 
       setActiveProcessId(processId);
+      setIsReviewing(true);
+      setIsQueued(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startVerification = async () => {
+    if (!selectedCategoryId) {
+      setError('Please select a category first');
+      return;
+    }
+    setError('');
+    setVerifyResults(null);
+    setVerdictQuestions(null);
+    try {
+      const response = await fetch(`${API_URL}/api/review/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          categoryId: selectedCategoryId,
+          batchSize,
+          model: selectedModel,
+          wrongKeyAction,
+        }),
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to start verification');
+
+      const prefix = `verify:${data.processId}:`;
+      const categoryId = selectedCategoryId;
+
+      const onProgress = (d) => setVerifyProgress(d);
+      const cleanup = () => {
+        setIsVerifying(false);
+        setVerifyProgress(null);
+        socket.off(`${prefix}verifyProgress`, onProgress);
+        socket.off(`${prefix}completed`, onCompleted);
+        socket.off(`${prefix}error`, onError);
+      };
+      const onCompleted = (d) => {
+        cleanup();
+        setVerifyResults(d);
+        fetchVerificationStats(categoryId);
+      };
+      const onError = (d) => {
+        cleanup();
+        setError(d.error || 'Verification failed');
+        fetchVerificationStats(categoryId);
+      };
+
+      socket.on(`${prefix}verifyProgress`, onProgress);
+      socket.once(`${prefix}completed`, onCompleted);
+      socket.once(`${prefix}error`, onError);
+
+      setIsVerifying(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadVerdictQuestions = async (verdicts) => {
+    try {
+      const response = await fetch(`${API_URL}/api/review/questions/${selectedCategoryId}/verdict/${verdicts}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to fetch questions');
+      setVerdictQuestions(data.questions);
     } catch (err) {
       setError(err.message);
     }
@@ -309,7 +408,7 @@ Your response:`);
                   : 'bg-blue-600 text-white hover:bg-blue-700'
               }`}
             >
-              {isReviewing ? 'Reviewing...' : 'Start Review'}
+              {isQueued ? 'Queued...' : isReviewing ? 'Reviewing...' : 'Start Review'}
             </button>
           </div>
         </div>
@@ -320,7 +419,8 @@ Your response:`);
             Placeholders:{' '}
             <code className="text-xs bg-gray-100 px-1 rounded">{'{count}'}</code>{' '}
             <code className="text-xs bg-gray-100 px-1 rounded">{'{animeName}'}</code>{' '}
-            <code className="text-xs bg-gray-100 px-1 rounded">{'{questions}'}</code>
+            <code className="text-xs bg-gray-100 px-1 rounded">{'{questions}'}</code>{' '}
+            <code className="text-xs bg-gray-100 px-1 rounded">{'{passages}'}</code>
           </p>
           <textarea
             value={reviewPrompt}
@@ -332,6 +432,128 @@ Your response:`);
         </div>
       </div>
 
+      {/* Answer Verification */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Answer Verification</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Checks each marked answer against the wiki passage the question was generated from, using the model
+          and batch size above. Only questions with a stored source passage can be verified.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">When the key is wrong</label>
+            <select
+              value={wrongKeyAction}
+              onChange={(e) => setWrongKeyAction(e.target.value)}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            >
+              <option value="reject">Reject the question</option>
+              <option value="flag">Mark as needing a manual fix</option>
+            </select>
+          </div>
+          <div className="flex items-end">
+            <button
+              onClick={startVerification}
+              disabled={!selectedCategoryId || isVerifying}
+              className={`w-full px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+                !selectedCategoryId || isVerifying
+                  ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                  : 'bg-purple-600 text-white hover:bg-purple-700'
+              }`}
+            >
+              {isVerifying ? 'Verifying...' : 'Verify Answers'}
+            </button>
+          </div>
+        </div>
+
+        {verificationStats && (
+          <div className="mt-4 grid grid-cols-2 md:grid-cols-6 gap-4">
+            <div className="bg-gray-50 p-3 rounded-lg text-center">
+              <div className="text-xl font-bold text-gray-900">{verificationStats.unverified}</div>
+              <div className="text-xs text-gray-500">Unverified</div>
+            </div>
+            {[
+              { key: 'correct', label: 'Correct', color: 'bg-green-50 text-green-700' },
+              { key: 'wrong_key', label: 'Wrong key', color: 'bg-red-50 text-red-700' },
+              { key: 'ambiguous', label: 'Ambiguous', color: 'bg-yellow-50 text-yellow-700' },
+              { key: 'unsupported', label: 'Unsupported', color: 'bg-gray-50 text-gray-700' },
+            ].map(({ key, label, color }) => (
+              <div key={key} className={`p-3 rounded-lg text-center ${color}`}>
+                <div className="text-xl font-bold">{verificationStats.verdicts[key] ?? 0}</div>
+                <div className="text-xs">{label}</div>
+              </div>
+            ))}
+            <div className="bg-orange-50 p-3 rounded-lg text-center text-orange-700">
+              <div className="text-xl font-bold">{verificationStats.needsFix}</div>
+              <div className="text-xs">Needs fix</div>
+            </div>
+          </div>
+        )}
+
+        {verifyProgress && (
+          <p className="mt-4 text-sm text-gray-600">
+            Batch {verifyProgress.currentBatch} of {verifyProgress.totalBatches} · {verifyProgress.totalProcessed} questions verified
+          </p>
+        )}
+
+        {verifyResults && (
+          <p className="mt-4 text-sm text-gray-700">
+            Verified {verifyResults.totalProcessed} questions: {verifyResults.verdictCounts.wrong_key} wrong key
+            ({verifyResults.rejected} rejected, {verifyResults.flagged} flagged), {verifyResults.verdictCounts.ambiguous} ambiguous.
+            {verifyResults.failedBatches > 0 && ` ${verifyResults.failedBatches} batch(es) failed and will be retried next run.`}
+          </p>
+        )}
+
+        {selectedCategoryId && (
+          <div className="mt-4 flex space-x-2">
+            <button
+              onClick={() => loadVerdictQuestions('wrong_key,ambiguous')}
+              className="px-3 py-1 text-sm bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50"
+            >
+              Show wrong key and ambiguous
+            </button>
+            <button
+              onClick={() => loadVerdictQuestions('unsupported')}
+              className="px-3 py-1 text-sm bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-50"
+            >
+              Show unsupported
+            </button>
+          </div>
+        )}
+
+        {verdictQuestions && (
+          <div className="mt-4 max-h-96 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-200">
+            {verdictQuestions.length === 0 ? (
+              <p className="p-4 text-center text-sm text-gray-500">No questions with these verdicts</p>
+            ) : (
+              verdictQuestions.map(question => (
+                <div key={question.id} className="p-4">
+                  <div className="flex justify-between items-start mb-2">
+                    <h5 className="font-medium text-gray-900">{question.question_text}</h5>
+                    <span className="text-xs text-gray-500 ml-2">{question.verification_verdict} · {question.status}</span>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 text-sm">
+                    {(question.options || []).map((option, index) => (
+                      <div
+                        key={index}
+                        className={`p-2 rounded ${index === question.correct_answer ? 'bg-green-50 border border-green-200 text-green-800' : 'bg-gray-50 text-gray-700'}`}
+                      >
+                        {String.fromCharCode(65 + index)}. {option}
+                        {index === question.correct_answer && ' ✓'}
+                      </div>
+                    ))}
+                  </div>
+                  {question.verification_justification && (
+                    <p className="mt-2 text-sm text-gray-600 italic">{question.verification_justification}</p>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Review Statistics */}
       {reviewStats && (
         <div className="bg-white shadow rounded-lg p-6">
@@ -1,120 +1,607 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 
 const API_URL = process.env.REACT_APP_API_URL || '';
 
-export default function QuestionsList({ stats }) {
+const QUESTION_TYPES = [
+  { id: 'multiple_choice', label: 'Multiple choice' },
+  { id: 'true_false', label: 'True / false' },
+  { id: 'which_is_not', label: 'Which is NOT' },
+  { id: 'ordering', label: 'Ordering' },
+  { id: 'short_answer', label: 'Short answer' },
+];
+
+const MAX_ORDERING_ITEMS = 6;
+const MIN_ORDERING_ITEMS = 3;
+
+const typeLabel = (type) => (QUESTION_TYPES.find(t => t.id === type) || QUESTION_TYPES[0]).label;
+
+// Reshapes the options when the type of a question is changed in the editor
+const optionsForType = (type, options, correctAnswer) => {
+  if (type === 'true_false') return ['True', 'False'];
+  if (type === 'short_answer') return [options[correctAnswer] || options[0] || ''];
+  const size = type === 'ordering'
+    ? Math.min(MAX_ORDERING_ITEMS, Math.max(MIN_ORDERING_ITEMS, options.length))
+    : 4;
+  return Array.from({ length: size }, (_, i) => options[i] || '');
+};
+
+const SORT_OPTIONS = [
+  { id: 'newest', label: 'Newest first' },
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'score', label: 'Highest review score' },
+  { id: 'alphabetical', label: 'Alphabetical' },
+];
+
+const PAGE_SIZES = [25, 50, 100];
+
+const BULK_STATUSES = [
+  { id: 'approved', label: 'Approved' },
+  { id: 'unrated', label: 'Unrated' },
+  { id: 'needs_fix', label: 'Needs Fix' },
+  { id: 'rejected', label: 'Rejected' },
+];
+
+// The server re-reviews or regenerates at most this many questions per job
+const MAX_AI_SELECTION = 50;
+
+// "Naruto (120)" for a facet value, or just the label when the search did not count it
+const facetLabel = (facets, name, value, label) => {
+  const entry = (facets?.[name] || []).find(f => String(f.value) === String(value));
+  return entry ? `${label} (${entry.count})` : label;
+};
+
+const VERDICT_LABELS = {
+  correct: 'Verified',
+  wrong_key: 'Wrong key',
+  ambiguous: 'Ambiguous',
+  unsupported: 'Unsupported',
+};
+
+const VERDICT_STYLES = {
+  correct: 'bg-green-100 text-green-800',
+  wrong_key: 'bg-red-100 text-red-800',
+  ambiguous: 'bg-yellow-100 text-yellow-800',
+  unsupported: 'bg-gray-100 text-gray-700',
+};
+
+export default function QuestionsList({ stats, socket }) {
   const [questions, setQuestions] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [pageSize, setPageSize] = useState(50);
+  // Cursors of the visited pages, tied to the search they belong to so a new search starts at page 1
+  const [pagination, setPagination] = useState({ search: null, index: 0, cursors: [null] });
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [bulkStatus, setBulkStatus] = useState('approved');
+  const [bulkCategoryId, setBulkCategoryId] = useState('');
+  const [bulkModel, setBulkModel] = useState('');
+  const [availableModels, setAvailableModels] = useState([]);
+  const [bulkRunning, setBulkRunning] = useState('');
+  const [bulkResult, setBulkResult] = useState(null);
+  const [facets, setFacets] = useState(null);
+  const [total, setTotal] = useState(null);
+  const [facetsTruncated, setFacetsTruncated] = useState(false);
+  const [searchError, setSearchError] = useState('');
+  const [searchInput, setSearchInput] = useState('');
+  const [searchText, setSearchText] = useState('');
+  const [sort, setSort] = useState('newest');
+  const [selectedModel, setSelectedModel] = useState('');
+  const [selectedSourcePage, setSelectedSourcePage] = useState('');
+  const [selectedReviewScore, setSelectedReviewScore] = useState('');
+  const [createdFrom, setCreatedFrom] = useState('');
+  const [createdTo, setCreatedTo] = useState('');
   const [categories, setCategories] = useState([]);
   const [selectedCategoryId, setSelectedCategoryId] = useState('');
   const [selectedStatus, setSelectedStatus] = useState('');
+  const [selectedDifficulty, setSelectedDifficulty] = useState('');
+  const [selectedType, setSelectedType] = useState('');
+  // Spoiler limits are typed into drafts and applied on Enter or blur, since every fetch re-renders the list
+  const [chapterInput, setChapterInput] = useState('');
+  const [arcInput, setArcInput] = useState('');
+  const [maxChapter, setMaxChapter] = useState('');
+  const [upToArc, setUpToArc] = useState('');
+  const [arcWiki, setArcWiki] = useState('');
+  const [storyArcs, setStoryArcs] = useState([]);
+  const [includeUntagged, setIncludeUntagged] = useState(true);
   const [editingQuestion, setEditingQuestion] = useState(null);
+  const [editError, setEditError] = useState('');
   const [showExportModal, setShowExportModal] = useState(false);
+  const [expandedSources, setExpandedSources] = useState(new Set());
 
   useEffect(() => {
     fetch(`${API_URL}/api/review/categories`)
       .then(r => r.json())
       .then(data => setCategories(data.categories || []))
       .catch(err => console.error('Error fetching categories:', err));
+
+    // Defined arcs give "up to arc" its wiki, so earlier arcs of that wiki are included
+    fetch(`${API_URL}/api/arcs`)
+      .then(r => r.json())
+      .then(data => setStoryArcs(data.arcs || []))
+      .catch(err => console.error('Error fetching story arcs:', err));
+
+    fetch(`${API_URL}/api/ai/models`)
+      .then(r => r.json())
+      .then(data => {
+        if (data.success && data.models?.length > 0) {
+          setAvailableModels(data.models);
+          setBulkModel(data.models[0].id);
+        }
+      })
+      .catch(err => console.error('Error fetching available models:', err));
   }, []);
 
+  // Filters shared by the search request and the export
+  const filters = useMemo(() => ({
+    q: searchText,
+    categoryId: selectedCategoryId,
+    status: selectedStatus,
+    difficulty: selectedDifficulty,
+    questionType: selectedType,
+    reviewScore: selectedReviewScore,
+    model: selectedModel,
+    sourcePage: selectedSourcePage,
+    createdFrom,
+    createdTo,
+    maxChapter,
+    upToArc,
+    wiki: arcWiki,
+  }), [searchText, selectedCategoryId, selectedStatus, selectedDifficulty, selectedType, selectedReviewScore,
+    selectedModel, selectedSourcePage, createdFrom, createdTo, maxChapter, upToArc, arcWiki]);
+
+  const searchQuestions = useCallback(async (cursor) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    if (!includeUntagged) params.append('includeUntagged', 'false');
+    params.append('sort', sort);
+    params.append('limit', String(pageSize));
+    if (cursor) params.append('cursor', cursor);
+
+    const response = await fetch(`${API_URL}/api/questions/search?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to search questions');
+    return data;
+  }, [filters, includeUntagged, sort, pageSize]);
+
+  const samePagination = pagination.search === searchQuestions;
+  const pageIndex = samePagination ? pagination.index : 0;
+  const pageCursors = samePagination ? pagination.cursors : [null];
+  const pageCursor = pageCursors[pageIndex];
+
   const fetchQuestions = useCallback(async () => {
     setLoading(true);
+    setSearchError('');
     try {
-      const params = new URLSearchParams();
-      if (selectedCategoryId) params.append('categoryId', selectedCategoryId);
-      if (selectedStatus) params.append('status', selectedStatus);
-      params.append('limit', '100');
-
-      const response = await fetch(`${API_URL}/api/questions?${params}`);
-      const data = await response.json();
-      setQuestions(data);
+      const data = await searchQuestions(pageCursor);
+      setQuestions(data.questions);
+      setNextCursor(data.nextCursor);
+      // Facets and the total only come with the first page
+      if (data.facets) {
+        setFacets(data.facets);
+        setTotal(data.total);
+        setFacetsTruncated(!!data.truncated);
+      }
     } catch (error) {
       console.error('Error fetching questions:', error);
+      setSearchError(error.message);
+      setQuestions([]);
+      setNextCursor(null);
     } finally {
       setLoading(false);
     }
-  }, [selectedCategoryId, selectedStatus]);
+  }, [searchQuestions, pageCursor]);
 
   useEffect(() => {
     fetchQuestions();
   }, [fetchQuestions]);
 
+  const goToPage = (index) => {
+    const cursors = index > pageIndex ? [...pageCursors.slice(0, index), nextCursor] : pageCursors;
+    setPagination({ search: searchQuestions, index, cursors });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const pageCount = total !== null ? Math.max(1, Math.ceil(total / pageSize)) : null;
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const allOnPageSelected = questions.length > 0 && questions.every(q => selectedIds.has(q.id));
+
+  const togglePageSelection = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      questions.forEach(q => (allOnPageSelected ? next.delete(q.id) : next.add(q.id)));
+      return next;
+    });
+  };
+
+  // AI actions are queued as jobs; their per-question results arrive with the job's completed event
+  const waitForBulkJob = (processId) => new Promise((resolve, reject) => {
+    const prefix = `bulk:${processId}:`;
+    const onCompleted = (d) => {
+      socket.off(`${prefix}error`, onError);
+      resolve(d);
+    };
+    const onError = (d) => {
+      socket.off(`${prefix}completed`, onCompleted);
+      reject(new Error(d.error || 'Bulk job failed'));
+    };
+    socket.once(`${prefix}completed`, onCompleted);
+    socket.once(`${prefix}error`, onError);
+  });
+
+  // Runs a bulk endpoint on the selection and applies the succeeded items to the current page.
+  // Failed items stay selected so they can be retried.
+  const runBulkAction = async (action, body, applyResult) => {
+    setBulkRunning(action);
+    setBulkResult(null);
+    try {
+      const response = await fetch(`${API_URL}/api/questions/bulk/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: Array.from(selectedIds), ...body })
+      });
+      let data = await response.json();
+      if (!data.success) throw new Error(data.error || `Bulk ${action} failed`);
+      if (data.jobId) data = await waitForBulkJob(data.processId);
+
+      const succeeded = new Map(data.results.filter(r => r.success).map(r => [r.id, r]));
+      setQuestions(prev => applyResult(prev, id => succeeded.get(String(id))));
+      setSelectedIds(prev => new Set(Array.from(prev).filter(id => !succeeded.has(String(id)))));
+      setBulkResult({
+        action,
+        succeeded: data.succeeded,
+        failed: data.failed,
+        errors: data.results.filter(r => !r.success).slice(0, 5)
+      });
+      return data;
+    } catch (error) {
+      console.error(`Error running bulk ${action}:`, error);
+      setBulkResult({ action, error: error.message });
+      return null;
+    } finally {
+      setBulkRunning('');
+    }
+  };
+
+  const bulkSetStatus = () => runBulkAction('status', { status: bulkStatus }, (rows, result) =>
+    rows.map(q => (result(q.id) ? { ...q, status: bulkStatus } : q)));
+
+  const bulkMove = () => {
+    const category = categories.find(c => String(c.id) === String(bulkCategoryId));
+    runBulkAction('move', { categoryId: bulkCategoryId }, (rows, result) =>
+      rows.map(q => (result(q.id) ? { ...q, category_id: category.id, categories: { ...q.categories, name: category.name } } : q)));
+  };
+
+  const bulkReview = () => runBulkAction('review', { model: bulkModel }, (rows, result) =>
+    rows.map(q => (result(q.id) ? { ...q, review_score: result(q.id).score } : q)));
+
+  const bulkRegenerate = () => {
+    if (!window.confirm(`Rewrite ${selectedIds.size} questions from their source passages? Their current text is replaced.`)) return;
+    runBulkAction('regenerate', { model: bulkModel }, (rows, result) =>
+      rows.map(q => result(q.id)?.question || q));
+  };
+
+  const bulkDelete = async () => {
+    if (!window.confirm(`Delete ${selectedIds.size} questions? This cannot be undone.`)) return;
+    const data = await runBulkAction('delete', {}, (rows, result) => rows.filter(q => !result(q.id)));
+    if (data) setTotal(prev => (prev !== null ? prev - data.succeeded : prev));
+  };
+
   const handleDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this question?')) return;
 
     try {
       await fetch(`${API_URL}/api/questions/${id}`, { method: 'DELETE' });
       setQuestions(questions.filter(q => q.id !== id));
+      setTotal(prev => (prev ? prev - 1 : prev));
+      setSelectedIds(prev => {
+        const next = new Set(prev);
+        next.delete(id);
+        return next;
+      });
     } catch (error) {
       console.error('Error deleting question:', error);
     }
   };
 
+  const toggleSource = (id) => {
+    setExpandedSources(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
   const handleEdit = (question) => {
+    setEditError('');
     setEditingQuestion({
       ...question,
+      newType: question.question_type || 'multiple_choice',
       newQuestion: question.question_text,
       newOptions: [...question.options],
-      newCorrectAnswer: question.correct_answer
+      newCorrectAnswer: question.correct_answer,
+      newAcceptedAnswers: (question.accepted_answers || []).join(', ')
+    });
+  };
+
+  const handleTypeChange = (type) => {
+    const newOptions = optionsForType(type, editingQuestion.newOptions, editingQuestion.newCorrectAnswer);
+    setEditingQuestion({
+      ...editingQuestion,
+      newType: type,
+      newOptions,
+      newCorrectAnswer: type === 'ordering' || type === 'short_answer'
+        ? 0
+        : Math.min(editingQuestion.newCorrectAnswer, newOptions.length - 1)
+    });
+  };
+
+  const updateOption = (index, value) => {
+    const newOptions = [...editingQuestion.newOptions];
+    newOptions[index] = value;
+    setEditingQuestion({ ...editingQuestion, newOptions });
+  };
+
+  const moveOption = (index, offset) => {
+    const newOptions = [...editingQuestion.newOptions];
+    const [item] = newOptions.splice(index, 1);
+    newOptions.splice(index + offset, 0, item);
+    setEditingQuestion({ ...editingQuestion, newOptions });
+  };
+
+  const removeOption = (index) => {
+    setEditingQuestion({
+      ...editingQuestion,
+      newOptions: editingQuestion.newOptions.filter((_, i) => i !== index)
     });
   };
 
   const handleSaveEdit = async () => {
+    setEditError('');
     try {
-      await fetch(`${API_URL}/api/questions/${editingQuestion.id}`, {
+      const response = await fetch(`${API_URL}/api/questions/${editingQuestion.id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
+          questionType: editingQuestion.newType,
           question: editingQuestion.newQuestion,
           options: editingQuestion.newOptions,
-          correctAnswer: editingQuestion.newCorrectAnswer
+          correctAnswer: editingQuestion.newCorrectAnswer,
+          acceptedAnswers: editingQuestion.newAcceptedAnswers.split(',').map(a => a.trim()).filter(Boolean)
         })
       });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to update question');
 
       setQuestions(questions.map(q =>
         q.id === editingQuestion.id
           ? {
               ...q,
-              question_text: editingQuestion.newQuestion,
-              options: editingQuestion.newOptions,
-              correct_answer: editingQuestion.newCorrectAnswer
+              question_type: data.question.type,
+              question_text: data.question.question,
+              options: data.question.options,
+              correct_answer: data.question.correctAnswer,
+              accepted_answers: data.question.acceptedAnswers
             }
           : q
       ));
       setEditingQuestion(null);
     } catch (error) {
       console.error('Error updating question:', error);
+      setEditError(error.message);
     }
   };
 
+  const renderOptionsEditor = () => {
+    const { newType, newOptions, newCorrectAnswer } = editingQuestion;
+
+    if (newType === 'true_false') {
+      return (
+        <div className="flex space-x-6">
+          {newOptions.map((option, index) => (
+            <label key={option} className="flex items-center space-x-2 text-sm">
+              <input
+                type="radio"
+                checked={newCorrectAnswer === index}
+                onChange={() => setEditingQuestion({ ...editingQuestion, newCorrectAnswer: index })}
+              />
+              <span>{option}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    if (newType === 'short_answer') {
+      return (
+        <div className="space-y-2">
+          <input
+            type="text"
+            value={newOptions[0] || ''}
+            onChange={(e) => updateOption(0, e.target.value)}
+            placeholder="Answer"
+            className="w-full p-1 border border-gray-300 rounded"
+          />
+          <input
+            type="text"
+            value={editingQuestion.newAcceptedAnswers}
+            onChange={(e) => setEditingQuestion({ ...editingQuestion, newAcceptedAnswers: e.target.value })}
+            placeholder="Also accepted, comma separated"
+            className="w-full p-1 border border-gray-300 rounded"
+          />
+        </div>
+      );
+    }
+
+    if (newType === 'ordering') {
+      return (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-500">Items in their correct order</p>
+          {newOptions.map((option, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <span className="text-sm text-gray-500 w-5">{index + 1}.</span>
+              <input
+                type="text"
+                value={option}
+                onChange={(e) => updateOption(index, e.target.value)}
+                className="flex-1 p-1 border border-gray-300 rounded"
+              />
+              <button onClick={() => moveOption(index, -1)} disabled={index === 0} className="px-1 text-gray-600 disabled:text-gray-300">↑</button>
+              <button onClick={() => moveOption(index, 1)} disabled={index === newOptions.length - 1} className="px-1 text-gray-600 disabled:text-gray-300">↓</button>
+              <button onClick={() => removeOption(index)} disabled={newOptions.length <= MIN_ORDERING_ITEMS} className="px-1 text-red-600 disabled:text-gray-300">✕</button>
+            </div>
+          ))}
+          {newOptions.length < MAX_ORDERING_ITEMS && (
+            <button
+              onClick={() => setEditingQuestion({ ...editingQuestion, newOptions: [...newOptions, ''] })}
+              className="text-sm text-blue-600 hover:underline"
+            >
+              Add item
+            </button>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-2">
+        {newOptions.map((option, index) => (
+          <div key={index} className="flex items-center space-x-2">
+            <input
+              type="radio"
+              checked={newCorrectAnswer === index}
+              onChange={() => setEditingQuestion({ ...editingQuestion, newCorrectAnswer: index })}
+            />
+            <input
+              type="text"
+              value={option}
+              onChange={(e) => updateOption(index, e.target.value)}
+              className="flex-1 p-1 border border-gray-300 rounded"
+            />
+          </div>
+        ))}
+        {newType === 'which_is_not' && (
+          <p className="text-xs text-gray-500">Select the option that does NOT fit</p>
+        )}
+      </div>
+    );
+  };
+
+  const renderAnswers = (question) => {
+    const type = question.question_type || 'multiple_choice';
+
+    if (type === 'ordering') {
+      return (
+        <ol className="list-decimal list-inside text-sm text-gray-600 space-y-1">
+          {question.options.map((option, index) => <li key={index}>{option}</li>)}
+        </ol>
+      );
+    }
+
+    if (type === 'short_answer') {
+      return (
+        <div className="text-sm">
+          <span className="text-green-600 font-medium">{question.options[0]} ✓</span>
+          {question.accepted_answers?.length > 0 && (
+            <span className="text-gray-500"> · also accepted: {question.accepted_answers.join(', ')}</span>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-1">
+        {question.options.map((option, index) => (
+          <div
+            key={index}
+            className={`text-sm ${
+              index === question.correct_answer
+                ? 'text-green-600 font-medium'
+                : 'text-gray-600'
+            }`}
+          >
+            {index + 1}. {option}
+            {index === question.correct_answer && ' ✓'}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const applySearch = () => {
+    setSearchText(searchInput.trim());
+  };
+
+  const clearSearch = () => {
+    setSearchInput('');
+    setSearchText('');
+    setSelectedModel('');
+    setSelectedSourcePage('');
+    setSelectedReviewScore('');
+    setCreatedFrom('');
+    setCreatedTo('');
+  };
+
+  const applySpoilerLimits = () => {
+    setMaxChapter(chapterInput);
+    const arcName = arcInput.trim();
+    const defined = storyArcs.find(arc => arc.name.toLowerCase() === arcName.toLowerCase());
+    setUpToArc(arcName);
+    setArcWiki(defined ? defined.fandomWikiName : '');
+  };
+
+  const downloadExport = async (path, body, format) => {
+    const response = await fetch(`${API_URL}/api/questions/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ format, ...body })
+    });
+
+    const blob = await response.blob();
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `questions.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+  };
+
   const handleExport = async (format) => {
     try {
-      const response = await fetch(`${API_URL}/api/questions/export`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          format,
-          categoryId: selectedCategoryId,
-          status: selectedStatus
-        })
-      });
-
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `questions.${format}`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      window.URL.revokeObjectURL(url);
+      await downloadExport('export', { ...filters, includeUntagged }, format);
       setShowExportModal(false);
     } catch (error) {
       console.error('Error exporting questions:', error);
     }
   };
 
+  const exportSelection = async (format) => {
+    try {
+      await downloadExport('bulk/export', { ids: Array.from(selectedIds) }, format);
+    } catch (error) {
+      console.error('Error exporting selected questions:', error);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -128,7 +615,32 @@ export default function QuestionsList({ stats }) {
       {/* Filters */}
       <div className="bg-white shadow rounded-lg p-6">
         <h2 className="text-2xl font-bold text-gray-900 mb-4">Question Database</h2>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="mb-4 flex gap-2">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && applySearch()}
+            placeholder='Search questions, options and answers — use "quotes" for a phrase'
+            className="flex-1 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm px-3 py-2"
+          />
+          <button
+            onClick={applySearch}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700"
+          >
+            Search
+          </button>
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+          >
+            {SORT_OPTIONS.map(o => (
+              <option key={o.id} value={o.id}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700">Filter by Manga</label>
             <select
@@ -139,7 +651,7 @@ export default function QuestionsList({ stats }) {
               <option value="">All</option>
               {categories.map(cat => (
                 <option key={cat.id} value={cat.id}>
-                  {cat.name}
+                  {facetLabel(facets, 'category', cat.id, cat.name)}
                 </option>
               ))}
             </select>
@@ -152,9 +664,38 @@ export default function QuestionsList({ stats }) {
               className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
             >
               <option value="">All Statuses</option>
-              <option value="approved">Approved</option>
-              <option value="unrated">Unrated</option>
-              <option value="rejected">Rejected</option>
+              <option value="approved">{facetLabel(facets, 'status', 'approved', 'Approved')}</option>
+              <option value="unrated">{facetLabel(facets, 'status', 'unrated', 'Unrated')}</option>
+              <option value="rejected">{facetLabel(facets, 'status', 'rejected', 'Rejected')}</option>
+              <option value="needs_fix">{facetLabel(facets, 'status', 'needs_fix', 'Needs Fix')}</option>
+              <option value="retired">{facetLabel(facets, 'status', 'retired', 'Retired (outdated source)')}</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Filter by Difficulty</label>
+            <select
+              value={selectedDifficulty}
+              onChange={(e) => setSelectedDifficulty(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            >
+              <option value="">All Difficulties</option>
+              <option value="easy">Easy</option>
+              <option value="medium">Medium</option>
+              <option value="hard">Hard</option>
+              <option value="unlabeled">Unlabeled</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Filter by Type</label>
+            <select
+              value={selectedType}
+              onChange={(e) => setSelectedType(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            >
+              <option value="">All Types</option>
+              {QUESTION_TYPES.map(t => (
+                <option key={t.id} value={t.id}>{t.label}</option>
+              ))}
             </select>
           </div>
           <div className="flex items-end">
@@ -166,6 +707,117 @@ export default function QuestionsList({ stats }) {
             </button>
           </div>
         </div>
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Up to Chapter</label>
+            <input
+              type="number"
+              min="1"
+              value={chapterInput}
+              onChange={(e) => setChapterInput(e.target.value)}
+              onBlur={applySpoilerLimits}
+              onKeyDown={(e) => e.key === 'Enter' && applySpoilerLimits()}
+              placeholder="Any"
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm px-3 py-2"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Up to Arc</label>
+            <input
+              type="text"
+              list="spoiler-arc-options"
+              value={arcInput}
+              onChange={(e) => setArcInput(e.target.value)}
+              onBlur={applySpoilerLimits}
+              onKeyDown={(e) => e.key === 'Enter' && applySpoilerLimits()}
+              placeholder="e.g. Wano Country"
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm px-3 py-2"
+            />
+            <datalist id="spoiler-arc-options">
+              {storyArcs.map(arc => (
+                <option key={arc.id} value={arc.name} label={arc.fandomWikiName} />
+              ))}
+            </datalist>
+          </div>
+          <div className="flex items-end">
+            <label className="flex items-center text-sm text-gray-700 pb-2">
+              <input
+                type="checkbox"
+                checked={includeUntagged}
+                onChange={(e) => setIncludeUntagged(e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <span className="ml-2">Include questions without a chapter/arc</span>
+            </label>
+          </div>
+        </div>
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Review Score</label>
+            <select
+              value={selectedReviewScore}
+              onChange={(e) => setSelectedReviewScore(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            >
+              <option value="">Any Score</option>
+              {[5, 4, 3, 2, 1].map(score => (
+                <option key={score} value={score}>{facetLabel(facets, 'reviewScore', score, `${score} / 5`)}</option>
+              ))}
+              <option value="unreviewed">{facetLabel(facets, 'reviewScore', 'unreviewed', 'Unreviewed')}</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Model</label>
+            <select
+              value={selectedModel}
+              onChange={(e) => setSelectedModel(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            >
+              <option value="">All Models</option>
+              {(facets?.model || []).map(f => (
+                <option key={f.value} value={f.value}>{f.label} ({f.count})</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Source Page</label>
+            <select
+              value={selectedSourcePage}
+              onChange={(e) => setSelectedSourcePage(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            >
+              <option value="">All Pages</option>
+              {(facets?.sourcePage || []).map(f => (
+                <option key={f.value} value={f.value}>{f.label} ({f.count})</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Created From</label>
+            <input
+              type="date"
+              value={createdFrom}
+              onChange={(e) => setCreatedFrom(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm px-3 py-2"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Created To</label>
+            <input
+              type="date"
+              value={createdTo}
+              onChange={(e) => setCreatedTo(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm px-3 py-2"
+            />
+          </div>
+        </div>
+        {facets?.createdMonth?.length > 0 && (
+          <div className="mt-3 flex flex-wrap gap-2 text-xs text-gray-500">
+            {facets.createdMonth.slice(0, 12).map(m => (
+              <span key={m.value} className="px-2 py-0.5 bg-gray-100 rounded">{m.label}: {m.count}</span>
+            ))}
+          </div>
+        )}
         {stats && (
           <div className="mt-4 flex gap-6 text-sm text-gray-500">
             <span>Total: <strong>{stats.total}</strong></span>
@@ -178,7 +830,142 @@ export default function QuestionsList({ stats }) {
 
       {/* Questions List */}
       <div className="bg-white shadow rounded-lg p-6">
-        <p className="text-sm text-gray-500 mb-4">Showing {questions.length} questions</p>
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              checked={allOnPageSelected}
+              onChange={togglePageSelection}
+              disabled={questions.length === 0}
+              title="Select all on this page"
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <p className="text-sm text-gray-500">
+              {questions.length === 0
+                ? 'Showing 0'
+                : `Showing ${pageIndex * pageSize + 1}–${pageIndex * pageSize + questions.length}`}
+              {total !== null ? ` of ${total}` : ''} questions
+              {searchText && <> matching <strong>{searchText}</strong></>}
+              {facetsTruncated && <span className="ml-1 text-xs text-yellow-700">(filter counts cover the first 10,000 matches)</span>}
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            {(searchText || selectedModel || selectedSourcePage || selectedReviewScore || createdFrom || createdTo) && (
+              <button onClick={clearSearch} className="text-sm text-blue-600 hover:underline">
+                Clear search
+              </button>
+            )}
+            <select
+              value={pageSize}
+              onChange={(e) => setPageSize(parseInt(e.target.value))}
+              className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            >
+              {PAGE_SIZES.map(size => (
+                <option key={size} value={size}>{size} per page</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {selectedIds.size > 0 && (
+          <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md space-y-2">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-medium text-blue-900">{selectedIds.size} selected</span>
+              <button onClick={() => setSelectedIds(new Set())} className="text-blue-600 hover:underline">
+                Clear
+              </button>
+              <span className="mx-2 text-gray-300">|</span>
+              <select
+                value={bulkStatus}
+                onChange={(e) => setBulkStatus(e.target.value)}
+                className="rounded-md border-gray-300 sm:text-sm"
+              >
+                {BULK_STATUSES.map(s => (
+                  <option key={s.id} value={s.id}>{s.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={bulkSetStatus}
+                disabled={!!bulkRunning}
+                className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                Set status
+              </button>
+              <span className="mx-2 text-gray-300">|</span>
+              <select
+                value={bulkCategoryId}
+                onChange={(e) => setBulkCategoryId(e.target.value)}
+                className="rounded-md border-gray-300 sm:text-sm"
+              >
+                <option value="">Move to...</option>
+                {categories.map(cat => (
+                  <option key={cat.id} value={cat.id}>{cat.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={bulkMove}
+                disabled={!!bulkRunning || !bulkCategoryId}
+                className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                Move
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <select
+                value={bulkModel}
+                onChange={(e) => setBulkModel(e.target.value)}
+                className="rounded-md border-gray-300 sm:text-sm"
+              >
+                {availableModels.map(m => (
+                  <option key={m.id} value={m.id}>{m.name || m.id}</option>
+                ))}
+              </select>
+              <button
+                onClick={bulkReview}
+                disabled={!!bulkRunning || !socket || !bulkModel || selectedIds.size > MAX_AI_SELECTION}
+                className="px-3 py-1 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:bg-gray-400"
+              >
+                {bulkRunning === 'review' ? 'Reviewing...' : 'Re-review'}
+              </button>
+              <button
+                onClick={bulkRegenerate}
+                disabled={!!bulkRunning || !socket || !bulkModel || selectedIds.size > MAX_AI_SELECTION}
+                className="px-3 py-1 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:bg-gray-400"
+              >
+                {bulkRunning === 'regenerate' ? 'Regenerating...' : 'Regenerate'}
+              </button>
+              {selectedIds.size > MAX_AI_SELECTION && (
+                <span className="text-xs text-gray-500">Select at most {MAX_AI_SELECTION} to re-review or regenerate</span>
+              )}
+              <span className="mx-2 text-gray-300">|</span>
+              <button onClick={() => exportSelection('json')} className="px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700">
+                Export JSON
+              </button>
+              <button onClick={() => exportSelection('csv')} className="px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700">
+                Export CSV
+              </button>
+              <button
+                onClick={bulkDelete}
+                disabled={!!bulkRunning}
+                className="px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-gray-400"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        )}
+        {bulkResult && (
+          <div className={`mb-4 p-3 rounded-md text-sm ${bulkResult.error || bulkResult.failed ? 'bg-yellow-50 text-yellow-800' : 'bg-green-50 text-green-800'}`}>
+            {bulkResult.error
+              ? `Bulk ${bulkResult.action} failed: ${bulkResult.error}`
+              : `Bulk ${bulkResult.action}: ${bulkResult.succeeded} succeeded, ${bulkResult.failed} failed`}
+            {bulkResult.errors?.length > 0 && (
+              <ul className="mt-1 list-disc list-inside text-xs">
+                {bulkResult.errors.map(r => <li key={r.id}>#{r.id}: {r.error}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+        {searchError && <p className="mb-4 text-sm text-red-600">{searchError}</p>}
         <div className="space-y-4">
           {questions.length === 0 ? (
             <p className="text-center text-gray-500 py-8">No questions found</p>
@@ -187,6 +974,15 @@ export default function QuestionsList({ stats }) {
               <div key={question.id} className="border border-gray-200 rounded-lg p-4">
                 {editingQuestion?.id === question.id ? (
                   <div className="space-y-3">
+                    <select
+                      value={editingQuestion.newType}
+                      onChange={(e) => handleTypeChange(e.target.value)}
+                      className="block rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                    >
+                      {QUESTION_TYPES.map(t => (
+                        <option key={t.id} value={t.id}>{t.label}</option>
+                      ))}
+                    </select>
                     <textarea
                       value={editingQuestion.newQuestion}
                       onChange={(e) => setEditingQuestion({
@@ -196,30 +992,8 @@ export default function QuestionsList({ stats }) {
                       className="w-full p-2 border border-gray-300 rounded-md"
                       rows="2"
                     />
-                    <div className="space-y-2">
-                      {editingQuestion.newOptions.map((option, index) => (
-                        <div key={index} className="flex items-center space-x-2">
-                          <input
-                            type="radio"
-                            checked={editingQuestion.newCorrectAnswer === index}
-                            onChange={() => setEditingQuestion({
-                              ...editingQuestion,
-                              newCorrectAnswer: index
-                            })}
-                          />
-                          <input
-                            type="text"
-                            value={option}
-                            onChange={(e) => {
-                              const newOptions = [...editingQuestion.newOptions];
-                              newOptions[index] = e.target.value;
-                              setEditingQuestion({ ...editingQuestion, newOptions });
-                            }}
-                            className="flex-1 p-1 border border-gray-300 rounded"
-                          />
-                        </div>
-                      ))}
-                    </div>
+                    {renderOptionsEditor()}
+                    {editError && <p className="text-sm text-red-600">{editError}</p>}
                     <div className="flex justify-end space-x-2">
                       <button
                         onClick={() => setEditingQuestion(null)}
@@ -238,7 +1012,15 @@ export default function QuestionsList({ stats }) {
                 ) : (
                   <>
                     <div className="flex justify-between items-start mb-3">
-                      <h3 className="font-medium text-gray-900">{question.question_text}</h3>
+                      <label className="flex items-start gap-3">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.has(question.id)}
+                          onChange={() => toggleSelected(question.id)}
+                          className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                        <h3 className="font-medium text-gray-900">{question.question_text}</h3>
+                      </label>
                       <div className="flex space-x-2">
                         <button
                           onClick={() => handleEdit(question)}
@@ -254,37 +1036,90 @@ export default function QuestionsList({ stats }) {
                         </button>
                       </div>
                     </div>
-                    <div className="space-y-1">
-                      {question.options.map((option, index) => (
-                        <div
-                          key={index}
-                          className={`text-sm ${
-                            index === question.correct_answer
-                              ? 'text-green-600 font-medium'
-                              : 'text-gray-600'
-                          }`}
-                        >
-                          {index + 1}. {option}
-                          {index === question.correct_answer && ' ✓'}
-                        </div>
-                      ))}
-                    </div>
+                    {renderAnswers(question)}
                     <div className="mt-3 flex items-center space-x-4 text-xs text-gray-500">
                       <span>Manga: {question.categories?.name || `ID ${question.category_id}`}</span>
+                      <span>Type: {typeLabel(question.question_type)}</span>
                       <span>Status: {question.status || 'N/A'}</span>
+                      {question.difficulty && <span>Difficulty: {question.difficulty}</span>}
                       {question.review_score && <span>Score: {question.review_score}</span>}
+                      {question.generated_by_model && <span>Model: {question.generated_by_model}</span>}
+                      {question.prompt_template_id && (
+                        <span>Prompt: template {question.prompt_template_id} v{question.prompt_template_version}</span>
+                      )}
+                      {question.experiment_arm && (
+                        <span>Experiment arm {question.experiment_arm}</span>
+                      )}
+                      {(question.spoiler_chapter || question.spoiler_episode || question.spoiler_arc) && (
+                        <span className="px-2 py-0.5 rounded-full bg-purple-100 text-purple-800">
+                          {[
+                            question.spoiler_arc,
+                            question.spoiler_chapter && `Ch. ${question.spoiler_chapter}`,
+                            question.spoiler_episode && `Ep. ${question.spoiler_episode}`
+                          ].filter(Boolean).join(' · ')}
+                        </span>
+                      )}
+                      {question.verification_verdict && (
+                        <span
+                          title={question.verification_justification || ''}
+                          className={`px-2 py-0.5 rounded-full ${VERDICT_STYLES[question.verification_verdict] || 'bg-gray-100 text-gray-700'}`}
+                        >
+                          {VERDICT_LABELS[question.verification_verdict] || question.verification_verdict}
+                        </span>
+                      )}
                       {question.source_url && (
                         <a href={question.source_url} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">
                           Source
                         </a>
                       )}
+                      {question.source_context && (
+                        <button
+                          onClick={() => toggleSource(question.id)}
+                          className="text-blue-500 hover:underline"
+                        >
+                          {expandedSources.has(question.id) ? 'Hide passage' : 'Show passage'}
+                        </button>
+                      )}
                     </div>
+                    {expandedSources.has(question.id) && (
+                      <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-md">
+                        {question.source_section_title && (
+                          <p className="text-xs font-medium text-gray-700 mb-1">
+                            Section: {question.source_section_title}
+                          </p>
+                        )}
+                        <p className="text-sm text-gray-700 whitespace-pre-wrap max-h-64 overflow-y-auto">
+                          {question.source_context}
+                        </p>
+                      </div>
+                    )}
                   </>
                 )}
               </div>
             ))
           )}
         </div>
+        {(pageIndex > 0 || nextCursor) && (
+          <div className="mt-6 flex items-center justify-center gap-4">
+            <button
+              onClick={() => goToPage(pageIndex - 1)}
+              disabled={pageIndex === 0}
+              className="px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-md text-sm disabled:text-gray-400"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-500">
+              Page {pageIndex + 1}{pageCount ? ` of ${pageCount}` : ''}
+            </span>
+            <button
+              onClick={() => goToPage(pageIndex + 1)}
+              disabled={!nextCursor}
+              className="px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-md text-sm disabled:text-gray-400"
+            >
+              Next
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Export Modal */}
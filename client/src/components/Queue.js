@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || '';
+
+export default function Queue({ onViewProcess }) {
+  const [jobs, setJobs] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showFinished, setShowFinished] = useState(false);
+  const [cancellingId, setCancellingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/queue?active=${!showFinished}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to load queue');
+      setJobs(data.jobs || []);
+      setStats(data.stats || null);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showFinished]);
+
+  useEffect(() => {
+    fetchJobs();
+    const interval = setInterval(fetchJobs, 3000);
+    return () => clearInterval(interval);
+  }, [fetchJobs]);
+
+  const handleCancel = async (jobId) => {
+    if (!window.confirm('Cancel this job?')) return;
+
+    setCancellingId(jobId);
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/api/queue/${jobId}/cancel`, { method: 'POST' });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to cancel job');
+      await fetchJobs();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'queued': return 'bg-gray-100 text-gray-800';
+      case 'running': return 'bg-blue-100 text-blue-800';
+      case 'cancelling': return 'bg-yellow-100 text-yellow-800';
+      case 'completed': return 'bg-green-100 text-green-800';
+      case 'failed': return 'bg-red-100 text-red-800';
+      case 'cancelled': return 'bg-yellow-100 text-yellow-800';
+      default: return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white shadow rounded-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold text-gray-900">Job Queue</h2>
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showFinished}
+              onChange={(e) => setShowFinished(e.target.checked)}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+            />
+            Show finished jobs
+          </label>
+        </div>
+
+        {stats && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {Object.entries(stats.limits || {}).map(([key, { limit, running }]) => (
+              <div key={key} className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500 capitalize">{key}</p>
+                <p className="text-2xl font-bold text-gray-900">{running} / {limit}</p>
+                <p className="text-xs text-gray-500">running / concurrency limit</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {error && (
+          <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-6">
+        {jobs.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No jobs in the queue</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Status', 'Position', 'Type', 'Provider', 'Job', 'Queued', 'Started', 'Actions'].map(header => (
+                    <th key={header} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {header}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {jobs.map((job) => (
+                  <tr key={job.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(job.status)}`}>
+                        {job.status}
+                      </span>
+                      {job.error && (
+                        <p className="mt-1 text-xs text-red-600 max-w-xs truncate" title={job.error}>{job.error}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {job.position ? `#${job.position}` : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{job.type}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{job.provider}</td>
+                    <td className="px-6 py-4 text-sm text-gray-700">{job.label}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(job.created_at).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {job.started_at ? new Date(job.started_at).toLocaleString() : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      {job.type === 'generation' && job.ref_id && (
+                        <button
+                          onClick={() => onViewProcess(job.ref_id)}
+                          className="text-blue-600 hover:text-blue-900 mr-4"
+                        >
+                          View
+                        </button>
+                      )}
+                      {['queued', 'running'].includes(job.status) && (
+                        <button
+                          onClick={() => handleCancel(job.id)}
+                          disabled={cancellingId === job.id}
+                          className="text-red-600 hover:text-red-900 disabled:text-gray-400"
+                        >
+                          {cancellingId === job.id ? 'Cancelling...' : 'Cancel'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+
+// Whether a run regenerates processed sections whose wiki text changed, and whether it retires
+// the questions written from the old text. onChange receives the changed fields.
+export default function RefreshSettings({ refresh, retireOutdated, onChange }) {
+  const checkboxClass = 'h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded';
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">Refresh Changed Sections</label>
+      <label className="mt-2 flex items-center">
+        <input
+          type="checkbox"
+          checked={refresh}
+          onChange={(e) => onChange({ refresh: e.target.checked, retireOutdated: e.target.checked && retireOutdated })}
+          className={checkboxClass}
+        />
+        <span className="ml-2 text-sm text-gray-700">Regenerate sections whose wiki text changed</span>
+      </label>
+      <label className="mt-1 flex items-center">
+        <input
+          type="checkbox"
+          checked={retireOutdated}
+          disabled={!refresh}
+          onChange={(e) => onChange({ retireOutdated: e.target.checked })}
+          className={checkboxClass}
+        />
+        <span className={`ml-2 text-sm ${refresh ? 'text-gray-700' : 'text-gray-400'}`}>Retire questions from the old text</span>
+      </label>
+      <p className="mt-1 text-xs text-gray-500">Unchanged sections that were already processed are still skipped</p>
+    </div>
+  );
+}
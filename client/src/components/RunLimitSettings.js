@@ -0,0 +1,37 @@
+import React from 'react';
+
+// Parallel sections and cost budget of a run, as two cells of the settings grid.
+// costBudget is kept as typed ('' means no limit); onChange receives the changed fields.
+export default function RunLimitSettings({ parallelism, costBudget, onChange }) {
+  const inputClass = 'mt-1 shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2';
+
+  return (
+    <>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Parallel Sections</label>
+        <input
+          type="number"
+          value={parallelism}
+          onChange={(e) => onChange({ parallelism: parseInt(e.target.value) })}
+          min="1"
+          max="8"
+          className={inputClass}
+        />
+        <p className="mt-1 text-xs text-gray-500">Sections generated at the same time (1-8)</p>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Cost Budget (USD)</label>
+        <input
+          type="number"
+          value={costBudget}
+          onChange={(e) => onChange({ costBudget: e.target.value })}
+          min="0"
+          step="0.01"
+          placeholder="No limit"
+          className={inputClass}
+        />
+        <p className="mt-1 text-xs text-gray-500">Stops the run once AI spend reaches this amount</p>
+      </div>
+    </>
+  );
+}
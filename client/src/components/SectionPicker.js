@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || '';
+
+// Per-page section selection for a run. `selection` maps a page title to the sections to generate,
+// [{ sectionTitle, questionCount }] with '' meaning the usual count; pages without an entry run all
+// of their sections. Sections are fetched with the run's skip list and chunking settings (split sections
+// show up as "History (part 2)") so titles match what the run sees. `category` is the one the run queues
+// the pages under, so "already processed" refers to the same sections the run would skip.
+export default function SectionPicker({ fandomWikiName, pages, category = 'Individual', skipSections, chunking, model, questionsPerChunk, wordsPerChunk, selection, onChange }) {
+  const [activePage, setActivePage] = useState('');
+  const [sectionsByKey, setSectionsByKey] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Keyed by value: callers may pass a new array on every render
+  const skipKey = JSON.stringify(skipSections || []);
+  const chunkingKey = JSON.stringify({ ...(chunking || {}), model: chunking && chunking.sizing === 'tokens' ? model : '' });
+  const countKey = `${questionsPerChunk || ''}/${wordsPerChunk || ''}`;
+  const cacheKey = `${activePage}::${category}::${skipKey}::${chunkingKey}::${countKey}`;
+  const sections = sectionsByKey[cacheKey];
+
+  useEffect(() => {
+    if (activePage && !pages.includes(activePage)) setActivePage('');
+  }, [pages, activePage]);
+
+  useEffect(() => {
+    if (!activePage || !fandomWikiName || sectionsByKey[cacheKey]) return;
+
+    const params = new URLSearchParams({ page: activePage, category });
+    if (questionsPerChunk) params.append('questionsPerChunk', questionsPerChunk);
+    if (wordsPerChunk) params.append('wordsPerChunk', wordsPerChunk);
+    JSON.parse(skipKey).forEach(skip => params.append('skip', skip));
+    Object.entries(JSON.parse(chunkingKey))
+      .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      .forEach(([key, value]) => params.append(key, value));
+
+    setLoading(true);
+    setError('');
+    fetch(`${API_URL}/api/generation/wiki/${fandomWikiName}/sections?${params}`)
+      .then(r => r.json())
+      .then(data => {
+        if (!data.success) throw new Error(data.error || 'Failed to load sections');
+        setSectionsByKey(prev => ({ ...prev, [cacheKey]: data.sections }));
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [activePage, fandomWikiName, category, questionsPerChunk, wordsPerChunk, cacheKey, sectionsByKey, skipKey, chunkingKey]);
+
+  const pageEntries = selection[activePage];
+  const entries = pageEntries || (sections || []).map(s => ({ sectionTitle: s.title, questionCount: '' }));
+  const isPicked = (title) => entries.some(e => e.sectionTitle === title);
+
+  // Back to "all sections" when nothing is left out or overridden, so the request stays minimal
+  const setEntries = (next) => {
+    const updated = { ...selection };
+    if (next.length === sections.length && next.every(e => e.questionCount === '')) {
+      delete updated[activePage];
+    } else {
+      updated[activePage] = next;
+    }
+    onChange(updated);
+  };
+
+  const toggleSection = (title) => {
+    if (isPicked(title)) {
+      setEntries(entries.filter(e => e.sectionTitle !== title));
+    } else {
+      // Keep the page's section order
+      const picked = new Set([...entries.map(e => e.sectionTitle), title]);
+      setEntries(sections
+        .filter(s => picked.has(s.title))
+        .map(s => entries.find(e => e.sectionTitle === s.title) || { sectionTitle: s.title, questionCount: '' }));
+    }
+  };
+
+  const setQuestionCount = (title, value) => {
+    setEntries(entries.map(e => (e.sectionTitle === title ? { ...e, questionCount: value } : e)));
+  };
+
+  const customPages = Object.keys(selection).filter(page => pages.includes(page));
+  const missing = sections && pageEntries
+    ? pageEntries.filter(e => !sections.some(s => s.title === e.sectionTitle)).map(e => e.sectionTitle)
+    : [];
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md bg-gray-50">
+      <div className="flex items-center gap-2">
+        <select
+          value={activePage}
+          onChange={(e) => setActivePage(e.target.value)}
+          className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+        >
+          <option value="">Choose sections of a page...</option>
+          {pages.map(page => (
+            <option key={page} value={page}>
+              {page}{selection[page] ? ` (${selection[page].length} sections picked)` : ''}
+            </option>
+          ))}
+        </select>
+        {activePage && pageEntries && (
+          <button
+            type="button"
+            onClick={() => {
+              const updated = { ...selection };
+              delete updated[activePage];
+              onChange(updated);
+            }}
+            className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900 whitespace-nowrap"
+          >
+            Use all sections
+          </button>
+        )}
+      </div>
+
+      {customPages.length > 0 && !activePage && (
+        <p className="mt-2 text-xs text-gray-500">
+          Custom sections on: {customPages.map(page => `${page} (${selection[page].length})`).join(', ')}
+        </p>
+      )}
+
+      {activePage && loading && <p className="mt-2 text-sm text-gray-500">Loading sections...</p>}
+      {activePage && error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {activePage && sections && !loading && (
+        sections.length === 0 ? (
+          <p className="mt-2 text-sm text-gray-500">No sections left on this page after the skip list.</p>
+        ) : (
+          <div className="mt-2 max-h-72 overflow-y-auto divide-y divide-gray-200 bg-white rounded-md border border-gray-200">
+            {sections.map(section => {
+              const picked = isPicked(section.title);
+              const entry = entries.find(e => e.sectionTitle === section.title);
+              return (
+                <div key={section.title} className="flex items-start gap-3 p-2">
+                  {/* A page needs at least one section; remove the page to skip it entirely */}
+                  <input
+                    type="checkbox"
+                    checked={picked}
+                    disabled={picked && entries.length === 1}
+                    onChange={() => toggleSection(section.title)}
+                    className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className={`text-sm font-medium ${picked ? 'text-gray-900' : 'text-gray-400'}`}>
+                      {section.title}
+                      <span className="ml-2 text-xs font-normal text-gray-500">
+                        {section.wordCount} words · {section.questionCount} questions by default
+                      </span>
+                      {section.alreadyProcessed && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800">already processed</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">{section.preview}</p>
+                  </div>
+                  <input
+                    type="number"
+                    min="1"
+                    max="20"
+                    value={entry ? entry.questionCount : ''}
+                    placeholder={String(section.questionCount)}
+                    disabled={!picked}
+                    onChange={(e) => setQuestionCount(section.title, e.target.value)}
+                    title="Questions for this section"
+                    className="w-20 shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-100"
+                  />
+                </div>
+              );
+            })}
+          </div>
+        )
+      )}
+
+      {missing.length > 0 && (
+        <p className="mt-2 text-xs text-yellow-700">
+          Picked sections no longer on this page (the skip list or the wiki changed): {missing.join(', ')}
+        </p>
+      )}
+      <p className="mt-2 text-xs text-gray-500">
+        Untick sections to leave them out of this run only; empty counts use the questions-per-chunk setting.
+      </p>
+    </div>
+  );
+}
@@ -2,6 +2,19 @@ import React, { useState, useEffect, useCallback } from 'react';
 
 const API_URL = process.env.REACT_APP_API_URL || '';
 
+// Used until the server's provider registry has loaded
+const DEFAULT_PROVIDERS = [
+  { name: 'openai', label: 'OpenAI', configured: true },
+  { name: 'gemini', label: 'Google Gemini', configured: true },
+  { name: 'anthropic', label: 'Anthropic Claude', configured: true },
+];
+
+const PROVIDER_BADGE_STYLES = {
+  openai: 'bg-green-100 text-green-700',
+  gemini: 'bg-blue-100 text-blue-700',
+  anthropic: 'bg-orange-100 text-orange-700',
+};
+
 export default function Settings() {
   const [models, setModels] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -12,6 +25,10 @@ export default function Settings() {
     api_model_id: '',
   });
   const [formError, setFormError] = useState('');
+  const [pricingDrafts, setPricingDrafts] = useState({});
+  const [savingPricingId, setSavingPricingId] = useState(null);
+  const [providers, setProviders] = useState(DEFAULT_PROVIDERS);
+  const [providerModels, setProviderModels] = useState([]);
 
   const fetchModels = useCallback(async () => {
     try {
@@ -33,6 +50,36 @@ export default function Settings() {
     fetchModels();
   }, [fetchModels]);
 
+  useEffect(() => {
+    const fetchProviders = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/ai/providers`);
+        const data = await response.json();
+        if (data.success) setProviders(data.providers);
+      } catch (err) {
+        console.error('Error fetching AI providers:', err);
+      }
+    };
+    fetchProviders();
+  }, []);
+
+  // Suggest model ids the selected provider's endpoint reports; failures just mean no suggestions
+  useEffect(() => {
+    setProviderModels([]);
+    if (!formData.provider) return;
+
+    let cancelled = false;
+    fetch(`${API_URL}/api/ai/providers/${formData.provider}/models`)
+      .then(response => response.json())
+      .then(data => {
+        if (!cancelled && data.success) setProviderModels(data.models);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [formData.provider]);
+
+  const isRegisteredProvider = (name) => providers.some(p => p.name === name);
+
   const handleAddModel = async (e) => {
     e.preventDefault();
     setFormError('');
@@ -42,6 +89,11 @@ export default function Settings() {
       return;
     }
 
+    if (!isRegisteredProvider(formData.provider)) {
+      setFormError(`Unknown provider "${formData.provider}"`);
+      return;
+    }
+
     try {
       const response = await fetch(`${API_URL}/api/models`, {
         method: 'POST',
@@ -73,6 +125,40 @@ export default function Settings() {
     }
   };
 
+  const getPricingDraft = (model) => pricingDrafts[model.id] || {
+    input_cost_per_million: model.input_cost_per_million ?? '',
+    output_cost_per_million: model.output_cost_per_million ?? '',
+  };
+
+  const handlePricingChange = (model, field, value) => {
+    setPricingDrafts({ ...pricingDrafts, [model.id]: { ...getPricingDraft(model), [field]: value } });
+  };
+
+  const handleSavePricing = async (model) => {
+    setSavingPricingId(model.id);
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/api/models/${model.id}/pricing`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(getPricingDraft(model)),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setModels(models.map(m => (m.id === model.id ? data.model : m)));
+        const { [model.id]: _saved, ...rest } = pricingDrafts;
+        setPricingDrafts(rest);
+      } else {
+        setError(data.error || 'Failed to save pricing');
+      }
+    } catch (err) {
+      setError('Failed to save pricing');
+    } finally {
+      setSavingPricingId(null);
+    }
+  };
+
   const handleMove = async (index, direction) => {
     const newModels = [...models];
     const targetIndex = index + direction;
@@ -117,8 +203,11 @@ export default function Settings() {
             onChange={(e) => setFormData({ ...formData, provider: e.target.value })}
             className="border rounded-md px-3 py-2 text-sm"
           >
-            <option value="openai">OpenAI</option>
-            <option value="gemini">Google Gemini</option>
+            {providers.map(provider => (
+              <option key={provider.name} value={provider.name}>
+                {provider.label}{provider.configured ? '' : ' (not configured)'}
+              </option>
+            ))}
           </select>
           <input
             type="text"
@@ -130,10 +219,14 @@ export default function Settings() {
           <input
             type="text"
             placeholder="API model ID"
+            list="provider-model-ids"
             value={formData.api_model_id}
             onChange={(e) => setFormData({ ...formData, api_model_id: e.target.value })}
             className="border rounded-md px-3 py-2 text-sm"
           />
+          <datalist id="provider-model-ids">
+            {providerModels.map(id => <option key={id} value={id} />)}
+          </datalist>
           <button
             type="submit"
             className="bg-blue-600 text-white rounded-md px-4 py-2 text-sm font-medium hover:bg-blue-700"
@@ -151,6 +244,7 @@ export default function Settings() {
           </h3>
           <p className="text-xs text-gray-500 mt-1">
             The first model in this list is the default selection in the generation form.
+            Rates are in USD per million tokens and are used for run cost tracking.
           </p>
         </div>
         {models.length === 0 ? (
@@ -162,17 +256,49 @@ export default function Settings() {
             {models.map((model, index) => (
               <li key={model.id} className="px-4 py-3 flex items-center justify-between">
                 <div className="flex items-center space-x-3">
-                  <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${
-                    model.provider === 'openai'
-                      ? 'bg-green-100 text-green-700'
-                      : 'bg-blue-100 text-blue-700'
-                  }`}>
+                  <span
+                    title={isRegisteredProvider(model.provider) ? undefined : 'This provider is not registered on the server'}
+                    className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${
+                      !isRegisteredProvider(model.provider)
+                        ? 'bg-red-100 text-red-700'
+                        : PROVIDER_BADGE_STYLES[model.provider] || 'bg-purple-100 text-purple-700'
+                    }`}
+                  >
                     {model.provider}
                   </span>
                   <span className="text-sm font-medium text-gray-900">{model.display_name}</span>
                   <span className="text-xs text-gray-400">{model.api_model_id}</span>
                 </div>
                 <div className="flex items-center space-x-1">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="In $/1M"
+                    title="Input (prompt) cost per million tokens"
+                    value={getPricingDraft(model).input_cost_per_million}
+                    onChange={(e) => handlePricingChange(model, 'input_cost_per_million', e.target.value)}
+                    className="w-24 border rounded-md px-2 py-1 text-xs"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Out $/1M"
+                    title="Output (completion) cost per million tokens"
+                    value={getPricingDraft(model).output_cost_per_million}
+                    onChange={(e) => handlePricingChange(model, 'output_cost_per_million', e.target.value)}
+                    className="w-24 border rounded-md px-2 py-1 text-xs"
+                  />
+                  {pricingDrafts[model.id] && (
+                    <button
+                      onClick={() => handleSavePricing(model)}
+                      disabled={savingPricingId === model.id}
+                      className="px-2 py-1 text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                    >
+                      {savingPricingId === model.id ? 'Saving...' : 'Save'}
+                    </button>
+                  )}
                   <button
                     onClick={() => handleMove(index, -1)}
                     disabled={index === 0}
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || '';
+
+const EMPTY_ARC = { name: '', startChapter: '', endChapter: '', pages: '', categories: '' };
+
+const chapterRange = (arc) => {
+  if (arc.startChapter && arc.endChapter) return `Ch. ${arc.startChapter}–${arc.endChapter}`;
+  if (arc.startChapter) return `From ch. ${arc.startChapter}`;
+  if (arc.endChapter) return `Up to ch. ${arc.endChapter}`;
+  return 'No chapter range';
+};
+
+// Lists the story arcs defined for a wiki, lets the user tick arcs for a run and define new ones.
+// Selected arcs are expanded into their pages and categories by the server when the run starts.
+export default function StoryArcPicker({ animeName, fandomWikiName, selectedArcIds, onChange }) {
+  const [arcs, setArcs] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [newArc, setNewArc] = useState(EMPTY_ARC);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchArcs = useCallback(async () => {
+    if (!fandomWikiName) {
+      setArcs([]);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_URL}/api/arcs?wiki=${encodeURIComponent(fandomWikiName)}`);
+      const data = await response.json();
+      if (data.success) setArcs(data.arcs);
+    } catch (err) {
+      console.error('Error fetching story arcs:', err);
+    }
+  }, [fandomWikiName]);
+
+  useEffect(() => {
+    fetchArcs();
+  }, [fetchArcs]);
+
+  const toggleArc = (arcId) => {
+    onChange(selectedArcIds.includes(arcId)
+      ? selectedArcIds.filter(id => id !== arcId)
+      : [...selectedArcIds, arcId]);
+  };
+
+  const saveArc = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/api/arcs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...newArc, animeName, fandomWikiName })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to save story arc');
+
+      setNewArc(EMPTY_ARC);
+      setShowForm(false);
+      await fetchArcs();
+      onChange([...selectedArcIds, data.arc.id]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteArc = async (arc) => {
+    if (!window.confirm(`Delete the story arc "${arc.name}"?`)) return;
+    try {
+      const response = await fetch(`${API_URL}/api/arcs/${arc.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to delete story arc');
+
+      onChange(selectedArcIds.filter(id => id !== arc.id));
+      await fetchArcs();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!fandomWikiName) {
+    return <p className="text-sm text-gray-500">Enter a wiki name to load story arcs</p>;
+  }
+
+  return (
+    <div>
+      {arcs.length > 0 ? (
+        <div className="space-y-2 max-h-48 overflow-y-auto border border-gray-200 rounded-md p-3">
+          {arcs.map(arc => (
+            <div key={arc.id} className="flex items-start justify-between">
+              <label className="flex items-start">
+                <input
+                  type="checkbox"
+                  checked={selectedArcIds.includes(arc.id)}
+                  onChange={() => toggleArc(arc.id)}
+                  className="mt-0.5 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">
+                  {arc.name}
+                  <span className="ml-2 text-xs text-gray-500">
+                    {chapterRange(arc)} · {arc.pages.length} pages · {arc.categories.length} categories
+                  </span>
+                </span>
+              </label>
+              <button
+                onClick={() => deleteArc(arc)}
+                className="text-xs text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No story arcs defined for this wiki yet</p>
+      )}
+
+      {showForm ? (
+        <div className="mt-3 p-3 border border-gray-200 rounded-md space-y-2">
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="text"
+              value={newArc.name}
+              onChange={(e) => setNewArc({ ...newArc, name: e.target.value })}
+              placeholder="Arc name"
+              className="col-span-3 md:col-span-1 shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+            />
+            <input
+              type="number"
+              min="1"
+              value={newArc.startChapter}
+              onChange={(e) => setNewArc({ ...newArc, startChapter: e.target.value })}
+              placeholder="First chapter"
+              className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+            />
+            <input
+              type="number"
+              min="1"
+              value={newArc.endChapter}
+              onChange={(e) => setNewArc({ ...newArc, endChapter: e.target.value })}
+              placeholder="Last chapter"
+              className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <textarea
+              value={newArc.pages}
+              onChange={(e) => setNewArc({ ...newArc, pages: e.target.value })}
+              rows={3}
+              placeholder="Wiki pages, one per line"
+              className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+            />
+            <textarea
+              value={newArc.categories}
+              onChange={(e) => setNewArc({ ...newArc, categories: e.target.value })}
+              rows={3}
+              placeholder="Categories, one per line"
+              className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-3 py-2"
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={saveArc}
+              disabled={saving || !newArc.name.trim()}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              {saving ? 'Saving...' : 'Save Arc'}
+            </button>
+            <button
+              onClick={() => { setShowForm(false); setError(''); }}
+              className="px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-md text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => setShowForm(true)}
+          className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+        >
+          + Define a story arc
+        </button>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
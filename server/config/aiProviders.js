@@ -0,0 +1,49 @@
+// Which AI providers the server registers at startup.
+//
+// OpenAI, Gemini and Anthropic are always registered. Additional OpenAI-compatible endpoints
+// (llama.cpp, vLLM, Ollama, LM Studio, hosted gateways) come from the environment:
+// - LOCAL_LLM_BASE_URL (+ optional LOCAL_LLM_API_KEY) registers a provider named "local"
+// - AI_PROVIDERS is a JSON array of
+//   { "name": "lab", "type": "openai-compatible", "label": "Lab box", "baseUrl": "http://...", "apiKeyEnv": "LAB_KEY" }
+const BUILT_IN_PROVIDERS = [
+  { name: 'openai', type: 'openai', label: 'OpenAI' },
+  { name: 'gemini', type: 'gemini', label: 'Google Gemini' },
+  { name: 'anthropic', type: 'anthropic', label: 'Anthropic Claude' },
+];
+
+function parseCustomProviders(raw) {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) throw new Error('expected a JSON array');
+    return parsed;
+  } catch (error) {
+    console.error(`[Providers] Ignoring AI_PROVIDERS: ${error.message}`);
+    return [];
+  }
+}
+
+function getProviderConfigs(env = process.env) {
+  const configs = [...BUILT_IN_PROVIDERS];
+
+  if (env.LOCAL_LLM_BASE_URL) {
+    configs.push({
+      name: 'local',
+      type: 'openai-compatible',
+      label: 'Local model',
+      baseUrl: env.LOCAL_LLM_BASE_URL,
+      apiKey: env.LOCAL_LLM_API_KEY,
+    });
+  }
+
+  parseCustomProviders(env.AI_PROVIDERS).forEach(config => {
+    configs.push({
+      ...config,
+      apiKey: config.apiKey || (config.apiKeyEnv ? env[config.apiKeyEnv] : undefined),
+    });
+  });
+
+  return configs;
+}
+
+module.exports = { getProviderConfigs };
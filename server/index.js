@@ -11,6 +11,9 @@ const questionsRoutes = require('./routes/questions');
 const aiRoutes = require('./routes/ai');
 const questionReviewRoutes = require('./routes/questionReview');
 const modelsRoutes = require('./routes/models');
+const queueRoutes = require('./routes/queue');
+const arcsRoutes = require('./routes/arcs');
+const promptsRoutes = require('./routes/prompts');
 
 const app = express();
 const server = http.createServer(app);
@@ -40,6 +43,9 @@ app.use('/api/questions', questionsRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/review', questionReviewRoutes);
 app.use('/api/models', modelsRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/arcs', arcsRoutes);
+app.use('/api/prompts', promptsRoutes);
 
 app.get('/api/health', (req, res) => {
   res.json({
@@ -49,6 +55,7 @@ app.get('/api/health', (req, res) => {
       supabase: !!process.env.SUPABASE_URL ? 'configured' : 'not_configured',
       openai: !!process.env.OPENAI_API_KEY ? 'configured' : 'not_connected',
       gemini: !!process.env.GEMINI_KEY ? 'configured' : 'not_configured',
+      anthropic: !!process.env.ANTHROPIC_API_KEY ? 'configured' : 'not_configured',
     },
   });
 });
@@ -64,8 +71,9 @@ async function testAIProviders() {
   try {
     const aiProviderService = require('./services/aiProviderService');
     const results = await aiProviderService.testAllConnections();
-    console.log('OpenAI:', results.openai?.success ? 'connected' : 'failed');
-    console.log('Gemini:', results.gemini?.success ? 'connected' : 'failed');
+    aiProviderService.registry.list().forEach(provider => {
+      console.log(`${provider.label}:`, results[provider.name]?.success ? 'connected' : 'failed');
+    });
   } catch (error) {
     console.error('Could not test AI providers:', error.message);
   }
@@ -75,15 +83,50 @@ async function seedModelConfig() {
   try {
     const modelConfigService = require('./services/modelConfigService');
     await modelConfigService.seedDefaults();
+    await modelConfigService.applyMigrations();
     console.log('Model config: seeded/verified');
   } catch (error) {
     console.error('Could not seed model config:', error.message);
   }
 }
 
+async function recoverGenerationRuns() {
+  try {
+    const generationRunService = require('./services/generationRunService');
+    const count = await generationRunService.markInterruptedRuns();
+    if (count > 0) console.log(`Generation runs: marked ${count} interrupted run(s)`);
+  } catch (error) {
+    console.error('Could not recover generation runs:', error.message);
+  }
+}
+
+async function backfillSearchText() {
+  try {
+    const questionsService = require('./services/questionsService');
+    const count = await questionsService.backfillSearchText();
+    if (count > 0) console.log(`Questions: backfilled search text for ${count} question(s)`);
+  } catch (error) {
+    console.error('Could not backfill question search text:', error.message);
+  }
+}
+
+// Must run after recoverGenerationRuns so restarted jobs are not marked interrupted
+async function startJobQueue() {
+  try {
+    const jobQueueService = require('./services/jobQueueService');
+    const failed = await jobQueueService.start({ io });
+    console.log(`Job queue: started${failed > 0 ? ` (${failed} interrupted job(s) marked failed)` : ''}`);
+  } catch (error) {
+    console.error('Could not start job queue:', error.message);
+  }
+}
+
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
+server.listen(PORT, async () => {
   console.log(`Server running on port ${PORT} (${process.env.NODE_ENV || 'development'})`);
   seedModelConfig();
+  await recoverGenerationRuns();
+  startJobQueue();
   testAIProviders();
+  backfillSearchText();
 });
@@ -3,6 +3,10 @@ const express = require('express');
 const router = express.Router();
 const aiProviderService = require('../services/aiProviderService');
 const questionsService = require('../services/questionsService');
+const usageService = require('../services/usageService');
+const rateLimitService = require('../services/rateLimitService');
+
+const HEALTH_TEST_TIMEOUT_MS = 5000;
 
 // Get all available AI models
 router.get('/models', async (req, res) => {
@@ -11,10 +15,7 @@ router.get('/models', async (req, res) => {
     res.json({
       success: true,
       models: models.all,
-      byProvider: {
-        openai: models.openai,
-        gemini: models.gemini
-      }
+      byProvider: models.byProvider
     });
   } catch (error) {
     console.error('Error fetching AI models:', error);
@@ -26,6 +27,15 @@ router.get('/models', async (req, res) => {
   }
 });
 
+// List registered AI providers
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: aiProviderService.registry.list(),
+    types: aiProviderService.registry.getTypes()
+  });
+});
+
 // Get AI provider statistics
 router.get('/providers/stats', async (req, res) => {
   try {
@@ -52,19 +62,34 @@ router.get('/providers/test', async (req, res) => {
 router.get('/providers/:provider/test', async (req, res) => {
   try {
     const { provider } = req.params;
-    const results = await aiProviderService.testAllConnections();
-    
-    if (results[provider]) {
-      res.json({ [provider]: results[provider] });
-    } else {
-      res.status(404).json({ error: `Provider '${provider}' not found` });
+    if (!aiProviderService.registry.has(provider)) {
+      return res.status(404).json({ error: `Provider '${provider}' not found` });
     }
+
+    const result = await aiProviderService.testConnection(provider);
+    res.json({ [provider]: result });
   } catch (error) {
     console.error(`Error testing ${req.params.provider} provider:`, error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Models the provider's endpoint reports, to help fill in api_model_id in Settings
+router.get('/providers/:provider/models', async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!aiProviderService.registry.has(provider)) {
+      return res.status(404).json({ success: false, error: `Provider '${provider}' not found` });
+    }
+
+    const models = await aiProviderService.listProviderModels(provider);
+    res.json({ success: true, provider, models });
+  } catch (error) {
+    console.error(`Error listing ${req.params.provider} models:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 
 // Generate sample questions (for testing AI models)
 router.post('/test/generate', async (req, res) => {
@@ -145,6 +170,23 @@ router.get('/analytics/models', async (req, res) => {
   }
 });
 
+// Token and cost totals across recorded AI calls, rolled up per model, anime and purpose
+router.get('/usage', async (req, res) => {
+  try {
+    const summary = await usageService.getUsageSummary({
+      animeId: req.query.animeId,
+      since: req.query.since
+    });
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('Error fetching AI usage:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get detailed model information
 router.get('/models/:modelId', async (req, res) => {
   try {
@@ -191,31 +233,21 @@ router.get('/health', async (req, res) => {
       overall: 'healthy'
     };
 
-    // Check OpenAI
-    health.services.openai = {
-      available: !!process.env.OPENAI_API_KEY,
-      status: 'unknown'
-    };
-
-    // Check Gemini
-    health.services.gemini = {
-      available: !!process.env.GEMINI_KEY,
-      status: 'unknown'
-    };
+    aiProviderService.registry.list().forEach(provider => {
+      health.services[provider.name] = {
+        available: provider.configured,
+        status: 'unknown'
+      };
+    });
 
-    // Quick connection tests (with timeout)
-    const connectionTests = await Promise.allSettled([
-      Promise.race([
-        aiProviderService.testAllConnections(),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 5000))
-      ])
-    ]);
-
-    if (connectionTests[0].status === 'fulfilled') {
-      const testResults = connectionTests[0].value;
-      health.services.openai.status = testResults.openai?.success ? 'healthy' : 'error';
-      health.services.gemini.status = testResults.gemini?.success ? 'healthy' : 'error';
-    }
+    // Providers are tested in parallel, each with its own timeout
+    const testResults = await aiProviderService.testAllConnections({ timeoutMs: HEALTH_TEST_TIMEOUT_MS });
+    Object.keys(health.services).forEach(name => {
+      const result = testResults[name];
+      if (!result) return;
+      health.services[name].status = result.success ? 'healthy' : (result.timedOut ? 'timeout' : 'error');
+      if (!result.success) health.services[name].error = result.error;
+    });
 
     // Determine overall health
     const hasHealthyService = Object.values(health.services).some(service => 
@@ -226,6 +258,10 @@ router.get('/health', async (req, res) => {
       health.overall = 'degraded';
     }
 
+    // Token buckets per provider and wiki host; a non-zero blockedForMs or waiting count
+    // explains a slow run
+    health.rateLimits = rateLimitService.getState();
+
     res.json(health);
   } catch (error) {
     console.error('Error checking AI health:', error);
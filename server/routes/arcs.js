@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const storyArcService = require('../services/storyArcService');
+
+// Story arcs of one anime: GET /api/arcs?wiki=onepiece
+router.get('/', async (req, res) => {
+  try {
+    const arcs = await storyArcService.listArcs(req.query.wiki);
+    res.json({ success: true, arcs });
+  } catch (error) {
+    console.error('Error fetching story arcs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  let arc;
+  try {
+    arc = storyArcService.normalizeArc(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const created = await storyArcService.createArc(arc);
+    res.status(201).json({ success: true, arc: created });
+  } catch (error) {
+    console.error('Error creating story arc:', error);
+    const status = error.message.includes('duplicate') ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  let arc;
+  try {
+    arc = storyArcService.normalizeArc(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const updated = await storyArcService.updateArc(req.params.id, arc);
+    if (!updated) return res.status(404).json({ success: false, error: 'Story arc not found' });
+    res.json({ success: true, arc: updated });
+  } catch (error) {
+    console.error('Error updating story arc:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    await storyArcService.deleteArc(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting story arc:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
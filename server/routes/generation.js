@@ -3,10 +3,91 @@ const router = express.Router();
 const animeService = require('../services/animeService');
 const scrapingService = require('../services/scrapingService');
 const questionsService = require('../services/questionsService');
+const generationRunService = require('../services/generationRunService');
+const jobQueueService = require('../services/jobQueueService');
+const aiProviderService = require('../services/aiProviderService');
+const pageCacheService = require('../services/pageCacheService');
+const storyArcService = require('../services/storyArcService');
+const promptTemplateService = require('../services/promptTemplateService');
+const experimentService = require('../services/experimentService');
+const generationPlanService = require('../services/generationPlanService');
+const runSchedulerService = require('../services/runSchedulerService');
+const generationRunnerService = require('../services/generationRunnerService');
+const chunkingService = require('../services/chunkingService');
 const { supabase } = require('../config/supabase');
 
+// Runs executing in this server instance; the persisted record lives in generation_runs
 const activeProcesses = new Map();
 
+// Models tried after the run's own model, in order, when a section's generation fails
+const MAX_FALLBACK_MODELS = 3;
+
+// Drops blanks, repeats and the primary model; throws on models missing from model_config
+async function normalizeFallbackModels(value, primaryModel) {
+  if (value === undefined || value === null || value === '') return [];
+  if (!Array.isArray(value)) throw new Error('Fallback models must be a list of model ids');
+
+  const models = [...new Set(value.map(m => String(m || '').trim()).filter(Boolean))]
+    .filter(m => m !== primaryModel);
+  if (models.length > MAX_FALLBACK_MODELS) {
+    throw new Error(`At most ${MAX_FALLBACK_MODELS} fallback models are allowed`);
+  }
+
+  const { all } = await aiProviderService.getAllAvailableModels();
+  const unknown = models.filter(m => !all.some(model => model.id === m));
+  if (unknown.length > 0) throw new Error(`Unknown fallback model: ${unknown.join(', ')}`);
+
+  return models;
+}
+
+jobQueueService.registerHandler('generation', {
+  async run(job, { io, isCancelled }) {
+    const run = await generationRunService.getRun(job.payload.processId, { includeLogs: false });
+    if (!run) throw new Error(`Generation run ${job.payload.processId} not found`);
+
+    const process = { ...run, status: isCancelled() ? 'stopping' : 'running', error: null };
+    await generationRunService.updateRun(process.id, { status: process.status, error: null });
+    activeProcesses.set(process.id, process);
+    io.emit(`generation:${process.id}:status`, { status: process.status });
+
+    try {
+      await generationRunnerService.run(process, io);
+    } finally {
+      activeProcesses.delete(process.id);
+    }
+    if (process.status === 'error') throw new Error(process.error);
+  },
+
+  async onCancel(job, { wasRunning, ctx }) {
+    const { processId } = job.payload;
+    const process = activeProcesses.get(processId);
+
+    if (wasRunning && process) {
+      process.status = 'stopping';
+      await generationRunService.updateRun(processId, { status: 'stopping' });
+    } else if (!wasRunning) {
+      await generationRunService.updateRun(processId, { status: 'stopped', finishedAt: new Date() });
+      await generationRunService.appendLog(processId, {
+        timestamp: new Date(),
+        message: 'Cancelled while waiting in the queue.',
+        type: 'warning'
+      });
+      ctx.io.emit(`generation:${processId}:status`, { status: 'stopped' });
+    }
+  }
+});
+
+async function enqueueGeneration(process) {
+  const provider = await aiProviderService.getProviderForModel(process.openaiModel);
+  return jobQueueService.enqueue({
+    type: 'generation',
+    provider,
+    refId: process.id,
+    label: `${process.animeName} (${process.fandomWikiName}) - ${process.openaiModel}`,
+    payload: { processId: process.id }
+  });
+}
+
 // Generation Settings Management Routes
 
 router.get('/settings', async (req, res) => {
@@ -214,55 +295,124 @@ router.post('/start', async (req, res) => {
     fandomWikiName,
     categories,
     individualPages,
+    sectionSelection,
     maxApiCalls,
     questionsPerChunk,
     wordsPerChunk,
     openaiModel,
     promptInstructions,
-    skipSections
+    promptTemplateId,
+    promptTemplateVersion,
+    promptVariables,
+    experiment,
+    skipSections,
+    chunking,
+    parallelism,
+    costBudget,
+    difficultyMix,
+    questionTypeMix,
+    fallbackModels,
+    refresh,
+    retireOutdated,
+    storyArcIds,
+    dryRun
   } = req.body;
 
   const processId = Date.now().toString();
-  const io = req.app.get('io');
 
   try {
     if (!animeName || !fandomWikiName) {
       return res.status(400).json({ error: 'Anime name and Fandom wiki name are required' });
     }
 
+    const hasCostBudget = costBudget !== undefined && costBudget !== null && costBudget !== '';
+    if (hasCostBudget && !(Number(costBudget) > 0)) {
+      return res.status(400).json({ error: 'Cost budget must be a positive amount in USD' });
+    }
+
+    let normalizedDifficultyMix;
+    let normalizedQuestionTypeMix;
+    let normalizedFallbackModels;
+    let normalizedSectionSelection;
+    let normalizedChunking;
+    let storyArcs;
+    let promptTemplate = null;
+    let resolvedExperiment = null;
+    try {
+      normalizedDifficultyMix = questionsService.normalizeDifficultyMix(difficultyMix);
+      normalizedQuestionTypeMix = questionsService.normalizeQuestionTypeMix(questionTypeMix);
+      normalizedFallbackModels = await normalizeFallbackModels(fallbackModels, openaiModel || 'gpt-4o-mini');
+      normalizedSectionSelection = generationPlanService.normalizeSectionSelection(sectionSelection);
+      normalizedChunking = chunkingService.normalizeConfig(chunking);
+      // The arc definitions are copied into the run so a resume expands the same pages
+      storyArcs = await storyArcService.getArcsByIds(Array.isArray(storyArcIds) ? storyArcIds : []);
+      const otherWiki = storyArcs.find(arc => arc.fandomWikiName !== fandomWikiName);
+      if (otherWiki) throw new Error(`Story arc "${otherWiki.name}" belongs to the ${otherWiki.fandomWikiName} wiki`);
+      // Like the arcs, the template version is copied into the run so edits do not change a running job
+      if (promptTemplateId) {
+        promptTemplate = await promptTemplateService.resolveForRun(promptTemplateId, {
+          version: promptTemplateVersion,
+          values: promptVariables,
+        });
+      }
+      // Experiment arms split the run's sections; each arm falls back to the settings above
+      resolvedExperiment = await experimentService.resolveExperiment(experiment, {
+        model: openaiModel || 'gpt-4o-mini',
+        promptInstructions: promptInstructions || promptTemplateService.getDefaultInstructions(),
+        promptTemplate,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     const process = {
       id: processId,
       animeName,
       fandomWikiName,
-      status: 'running',
+      status: 'queued',
       progress: 0,
       apiCallsMade: 0,
       questionsGenerated: 0,
       startTime: new Date(),
       logs: [],
       openaiModel: openaiModel || 'gpt-4o-mini',
-      promptInstructions: promptInstructions || 'Each question should have one correct answer and three incorrect but plausible options. Create challenging and fun questions. Try and be specific if you can. For example, mention names of characters, groups, or locations if you have this information. NEVER mention "according to the text" or something similar.',
-      skipSections: skipSections || []
+      promptInstructions: promptTemplate ? promptTemplate.body : promptInstructions || promptTemplateService.getDefaultInstructions(),
+      promptTemplate,
+      experiment: resolvedExperiment,
+      skipSections: skipSections || [],
+      categories: categories || [],
+      individualPages: individualPages || [],
+      sectionSelection: normalizedSectionSelection,
+      chunking: normalizedChunking,
+      storyArcs,
+      maxApiCalls: maxApiCalls || 10,
+      questionsPerChunk: questionsPerChunk || 4,
+      wordsPerChunk: wordsPerChunk || 100,
+      parallelism: runSchedulerService.normalizeParallelism(parallelism),
+      costBudget: hasCostBudget ? Number(costBudget) : null,
+      difficultyMix: normalizedDifficultyMix,
+      questionTypeMix: normalizedQuestionTypeMix,
+      fallbackModels: normalizedFallbackModels,
+      refreshChanged: Boolean(refresh),
+      retireOutdated: Boolean(refresh && retireOutdated),
+      promptTokens: 0,
+      completionTokens: 0,
+      costUsd: 0
     };
 
-    activeProcesses.set(processId, process);
+    // A dry run lists what the run would do and what it would cost, without calling a model
+    if (dryRun) {
+      const plan = await generationPlanService.planRun(process);
+      return res.json({ success: true, dryRun: true, plan });
+    }
 
-    generateQuestions(
-      processId,
-      animeName,
-      fandomWikiName,
-      categories || [],
-      individualPages || [],
-      maxApiCalls || 10,
-      questionsPerChunk || 4,
-      wordsPerChunk || 100,
-      skipSections || [],
-      io
-    );
+    await generationRunService.createRun(process);
+    const job = await enqueueGeneration(process);
 
     res.json({
       processId,
-      message: 'Generation started successfully'
+      jobId: job.id,
+      message: 'Generation queued successfully'
     });
 
   } catch (error) {
@@ -271,35 +421,93 @@ router.post('/start', async (req, res) => {
   }
 });
 
-router.get('/status/:processId', (req, res) => {
-  const { processId } = req.params;
-  const process = activeProcesses.get(processId);
+router.get('/status/:processId', async (req, res) => {
+  try {
+    const process = await generationRunService.getRun(req.params.processId);
+
+    if (!process) {
+      return res.status(404).json({ error: 'Process not found' });
+    }
 
-  if (!process) {
-    return res.status(404).json({ error: 'Process not found' });
+    res.json(process);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  res.json(process);
+// Per-arm comparison for runs started with an experiment
+router.get('/experiments/:processId', async (req, res) => {
+  try {
+    const run = await generationRunService.getRun(req.params.processId, { includeLogs: false });
+
+    if (!run) {
+      return res.status(404).json({ error: 'Process not found' });
+    }
+    if (!run.experiment) {
+      return res.status(404).json({ error: 'This run was not started as an experiment' });
+    }
+
+    const report = await experimentService.getReport(run);
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-router.post('/stop/:processId', (req, res) => {
+router.post('/stop/:processId', async (req, res) => {
   const { processId } = req.params;
-  const process = activeProcesses.get(processId);
 
-  if (!process) {
-    return res.status(404).json({ error: 'Process not found' });
-  }
+  try {
+    const job = await jobQueueService.cancelByRef(processId);
 
-  process.status = 'stopping';
-  res.json({ message: 'Stop signal sent to process' });
+    if (!job) {
+      const run = await generationRunService.getRun(processId, { includeLogs: false });
+      if (!run) {
+        return res.status(404).json({ error: 'Process not found' });
+      }
+      return res.status(409).json({ error: `Process is not running (status: ${run.status})` });
+    }
+
+    res.json({ message: job.status === 'cancelled' ? 'Queued process cancelled' : 'Stop signal sent to process' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-router.get('/history', (req, res) => {
-  const history = Array.from(activeProcesses.values())
-    .sort((a, b) => b.startTime - a.startTime)
-    .slice(0, 20);
+router.post('/resume/:processId', async (req, res) => {
+  const { processId } = req.params;
 
-  res.json(history);
+  try {
+    if (activeProcesses.has(processId)) {
+      return res.status(409).json({ error: 'Process is already running' });
+    }
+
+    const run = await generationRunService.getRun(processId, { includeLogs: false });
+    if (!run) {
+      return res.status(404).json({ error: 'Process not found' });
+    }
+    const blocker = generationRunService.getResumeBlocker(run);
+    if (blocker) {
+      return res.status(409).json({ error: blocker });
+    }
+
+    const process = await generationRunService.prepareResume(run);
+    const job = await enqueueGeneration(process);
+
+    res.json({ processId, jobId: job.id, message: 'Generation resumed successfully' });
+  } catch (error) {
+    console.error('Error resuming generation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/history', async (req, res) => {
+  try {
+    const history = await generationRunService.listRuns(parseInt(req.query.limit) || 20);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 router.get('/anime/search/:term', async (req, res) => {
@@ -357,6 +565,51 @@ router.get('/wiki/:wikiName/categories/search', async (req, res) => {
   }
 });
 
+// Sections of one page, as a run would see them with the given skip list and chunking settings
+// (?page=Nami&skip=Trivia&strategy=sentence&maxSize=800&model=gpt-4o-mini). `category` is the one
+// the run queues the page under (Individual for picked pages) and keys alreadyProcessed;
+// questionCount is the default the run asks for with questionsPerChunk and wordsPerChunk.
+router.get('/wiki/:wikiName/sections', async (req, res) => {
+  try {
+    const { page, category, strategy, sizing, minSize, maxSize, overlap, model } = req.query;
+    // The run settings the default question count of each section comes from
+    const run = {
+      questionsPerChunk: parseInt(req.query.questionsPerChunk) || 4,
+      wordsPerChunk: parseInt(req.query.wordsPerChunk) || 100,
+    };
+    if (!page) {
+      return res.status(400).json({ error: 'A page title is required' });
+    }
+
+    let chunking;
+    try {
+      chunking = chunkingService.normalizeConfig({ strategy, sizing, minSize, maxSize, overlap });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const skipSections = [].concat(req.query.skip || []);
+    const sections = await scrapingService.fetchPageContent(page, req.params.wikiName, { skipSections, chunking, model });
+
+    const result = [];
+    for (const section of sections || []) {
+      const sectionId = scrapingService.generateSectionId(category || 'Individual', page, section.title, req.params.wikiName);
+      result.push({
+        title: section.title,
+        wordCount: section.wordCount,
+        preview: section.content.substring(0, 200),
+        questionCount: generationPlanService.plannedQuestionCount(section, run),
+        alreadyProcessed: await scrapingService.isSectionProcessed(sectionId)
+      });
+    }
+
+    res.json({ success: true, pageTitle: page, sections: result });
+  } catch (error) {
+    console.error('Error fetching page sections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/wiki/:wikiName/popular-pages', async (req, res) => {
   try {
     const { limit } = req.query;
@@ -380,170 +633,29 @@ router.get('/wiki/:wikiName/stats', async (req, res) => {
   }
 });
 
-// Main Generation Logic
-async function generateQuestions(
-  processId,
-  animeName,
-  fandomWikiName,
-  categories,
-  individualPages,
-  maxApiCalls,
-  questionsPerChunk,
-  wordsPerChunk,
-  skipSections,
-  io
-) {
-  const process = activeProcesses.get(processId);
-  const emit = (event, data) => io.emit(`generation:${processId}:${event}`, data);
-  const log = (message, type = 'info') => {
-    const logEntry = { timestamp: new Date(), message, type };
-    process.logs.push(logEntry);
-    emit('log', logEntry);
-  };
-
-  const socketEmitter = (event, data) => {
-    emit(event, data);
-  };
-
+// Fandom page/query cache: counts and hit rates, optionally for one wiki
+router.get('/cache', async (req, res) => {
   try {
-    if (skipSections && skipSections.length > 0) {
-      log(`Section filtering enabled: skipping ${skipSections.length} section types`, 'info');
-      log(`Skip sections: ${skipSections.slice(0, 5).join(', ')}${skipSections.length > 5 ? '...' : ''}`, 'info');
-    } else {
-      log('No section filtering configured - processing all sections', 'info');
-    }
-
-    log(`Fetching AniList ID for ${animeName}...`);
-    const animeData = await animeService.getAnimeId(animeName);
-    if (!animeData) throw new Error(`Could not find AniList ID for ${animeName}`);
-    process.animeId = animeData.id;
-    log(`Found manga: ${animeData.title.romaji} (ID: ${animeData.id})`, 'success');
-
-    const pagesToProcess = [];
-    if (categories && categories.length > 0) {
-      for (const category of categories) {
-        log(`Fetching pages for category: ${category}...`);
-        const pages = await scrapingService.fetchRelevantPages(category, fandomWikiName);
-        pagesToProcess.push(...pages.map(p => ({ title: p, category })));
-      }
-    }
-    if (individualPages && individualPages.length > 0) {
-      pagesToProcess.push(...individualPages.map(p => ({ title: p, category: 'Individual' })));
-    }
-
-    if (pagesToProcess.length === 0) {
-      throw new Error('No pages found to process. Please select categories or add individual pages.');
-    }
-
-    const totalWork = pagesToProcess.length;
-    let workDone = 0;
-
-    for (const page of pagesToProcess) {
-      if (process.status === 'stopping') {
-        log('Generation stopped by user.', 'warning');
-        break;
-      }
-
-      log(`Processing page: ${page.title}`);
-
-      const sections = await scrapingService.fetchPageContent(page.title, fandomWikiName, {
-        skipSections: skipSections || []
-      });
-
-      if (!sections || sections.length === 0) {
-        log(`No content sections found for page: ${page.title} (possibly all sections were filtered out)`, 'warning');
-        workDone++;
-        continue;
-      }
-
-      log(`Found ${sections.length} sections for processing (after filtering).`);
-
-      for (let sectionIndex = 0; sectionIndex < sections.length; sectionIndex++) {
-        if (process.apiCallsMade >= maxApiCalls) {
-          log(`API call limit of ${maxApiCalls} reached.`, 'warning');
-          process.status = 'stopping';
-          break;
-        }
-
-        const section = sections[sectionIndex];
-        const sectionId = scrapingService.generateSectionId(page.category, page.title, section.title, fandomWikiName);
-
-        const questionCount = Math.max(1, Math.ceil(section.wordCount * questionsPerChunk / wordsPerChunk));
-
-        log(`Processing section: "${section.title}" (${section.wordCount} words, ${questionCount} questions planned)`);
-
-        const isProcessed = await scrapingService.isSectionProcessed(sectionId);
-
-        if (!isProcessed) {
-          log(`Generating ${questionCount} questions for section: "${section.title}"`);
-
-          const questions = await questionsService.generateQuestions(
-            section.content,
-            questionCount,
-            animeName,
-            page.category,
-            page.title,
-            {
-              model: process.openaiModel,
-              promptInstructions: process.promptInstructions,
-              sectionTitle: section.title,
-              socketEmitter: socketEmitter
-            }
-          );
-
-          if (questions && questions.length > 0) {
-            const count = await questionsService.writeQuestionsToSupabase(
-              questions,
-              process.animeId,
-              {
-                fandomWikiName,
-                category: page.category,
-                pageTitle: page.title,
-                sectionTitle: section.title,
-                model: process.openaiModel,
-                promptInstructions: process.promptInstructions
-              }
-            );
-            process.questionsGenerated += count;
-            log(`Generated ${count} questions for section "${section.title}".`, 'success');
-            emit('questionsGenerated', { count, total: process.questionsGenerated });
-          }
-
-          process.apiCallsMade++;
-
-          await scrapingService.markSectionAsProcessed(sectionId, fandomWikiName, {
-            category: page.category,
-            pageTitle: page.title,
-            sectionTitle: section.title,
-            wordCount: section.wordCount,
-            questionsGenerated: questions ? questions.length : 0
-          });
-        } else {
-          log(`Skipping section "${section.title}" (already processed).`);
-        }
-      }
-
-      workDone++;
-      process.progress = Math.round((workDone / totalWork) * 100);
-      emit('progress', process.progress);
-    }
-
-    process.status = 'completed';
-    process.duration = Date.now() - new Date(process.startTime).getTime();
-    log(`Generation completed! Generated a total of ${process.questionsGenerated} questions.`, 'success');
+    const stats = await pageCacheService.getStats(req.query.wiki);
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (skipSections && skipSections.length > 0) {
-      log(`Section filtering was active during this generation (${skipSections.length} section types filtered).`, 'info');
+// Manual invalidation: ?wiki=onepiece&page=Nami (all cached revisions), ?wiki=onepiece, or everything
+router.delete('/cache', async (req, res) => {
+  try {
+    const { wiki, page } = req.query;
+    if (page && !wiki) {
+      return res.status(400).json({ error: 'A page can only be cleared together with its wiki' });
     }
 
-    emit('completed', process);
-
+    const result = await pageCacheService.invalidate({ wiki, pageTitle: page });
+    res.json({ success: true, ...result });
   } catch (error) {
-    process.status = 'error';
-    process.error = error.message;
-    log(`Fatal error: ${error.message}`, 'error');
-    emit('error', { message: error.message });
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const modelConfigService = require('../services/modelConfigService');
+const providerRegistry = require('../services/providerRegistry');
 
 router.get('/', async (req, res) => {
   try {
@@ -23,10 +24,10 @@ router.post('/', async (req, res) => {
       });
     }
 
-    if (!['openai', 'gemini'].includes(provider)) {
+    if (!providerRegistry.has(provider)) {
       return res.status(400).json({
         success: false,
-        error: 'provider must be "openai" or "gemini"',
+        error: `provider must be one of: ${providerRegistry.getNames().join(', ')}`,
       });
     }
 
@@ -49,6 +50,36 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+router.put('/:id/pricing', async (req, res) => {
+  try {
+    const rates = {};
+    for (const field of ['input_cost_per_million', 'output_cost_per_million']) {
+      const value = req.body[field];
+      if (value === null || value === undefined || value === '') {
+        rates[field] = null;
+        continue;
+      }
+      const rate = Number(value);
+      if (!Number.isFinite(rate) || rate < 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a non-negative number or empty`,
+        });
+      }
+      rates[field] = rate;
+    }
+
+    const model = await modelConfigService.updatePricing(req.params.id, rates);
+    if (!model) {
+      return res.status(404).json({ success: false, error: 'Model not found' });
+    }
+    res.json({ success: true, model });
+  } catch (error) {
+    console.error('Error updating model pricing:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 router.put('/reorder', async (req, res) => {
   try {
     const { orderedIds } = req.body;
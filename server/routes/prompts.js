@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const promptTemplateService = require('../services/promptTemplateService');
+
+// Prompt templates for the generation forms: GET /api/prompts (?includeInactive=true for the editor)
+router.get('/', async (req, res) => {
+  try {
+    const templates = await promptTemplateService.listTemplates({
+      includeInactive: req.query.includeInactive === 'true',
+    });
+    res.json({ success: true, templates, builtInVariables: promptTemplateService.getBuiltInVariables() });
+  } catch (error) {
+    console.error('Error fetching prompt templates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One template with its version history
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await promptTemplateService.getTemplate(req.params.id);
+    if (!template) return res.status(404).json({ success: false, error: 'Prompt template not found' });
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Error fetching prompt template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Questions, review scores and wrong keys per version of a template
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const versions = await promptTemplateService.getVersionStats(req.params.id);
+    res.json({ success: true, versions });
+  } catch (error) {
+    console.error('Error fetching prompt template stats:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { name, description, body, variables: [{ name, description, defaultValue, required }], active, changeNote }
+router.post('/', async (req, res) => {
+  try {
+    promptTemplateService.normalizeTemplate(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const template = await promptTemplateService.createTemplate(req.body);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('Error creating prompt template:', error);
+    const status = error.message.includes('duplicate') ? 409 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Same body as POST; a changed text or variable list is saved as a new version
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await promptTemplateService.getTemplate(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, error: 'Prompt template not found' });
+
+    try {
+      promptTemplateService.normalizeTemplate({ ...existing, ...req.body });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const template = await promptTemplateService.updateTemplate(req.params.id, req.body);
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Error updating prompt template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Writes an old version as the newest one
+router.post('/:id/versions/:version/restore', async (req, res) => {
+  try {
+    const template = await promptTemplateService.restoreVersion(req.params.id, req.params.version);
+    if (!template) return res.status(404).json({ success: false, error: 'Prompt template not found' });
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Error restoring prompt template version:', error);
+    const status = error.message.includes('does not exist') ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const used = await promptTemplateService.countQuestions(req.params.id);
+    if (used > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `This template produced ${used} questions; deactivate it instead so they stay traceable`,
+      });
+    }
+
+    await promptTemplateService.deleteTemplate(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting prompt template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
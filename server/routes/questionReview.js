@@ -1,8 +1,77 @@
 const express = require('express');
 const router = express.Router();
 const simpleQuestionReviewService = require('../services/simpleQuestionReviewService');
+const answerVerificationService = require('../services/answerVerificationService');
+const jobQueueService = require('../services/jobQueueService');
+const aiProviderService = require('../services/aiProviderService');
 const { supabase } = require('../config/supabase');
 
+jobQueueService.registerHandler('review', {
+  async run(job, { io, isCancelled }) {
+    const { processId, categoryId, batchSize, model, customPrompt } = job.payload;
+    const socketEmitter = (event, data) => {
+      io.emit(`review:${processId}:${event}`, data);
+    };
+
+    try {
+      socketEmitter('started', { processId, categoryId, batchSize, model });
+
+      const results = await simpleQuestionReviewService.reviewQuestions(
+        categoryId, batchSize, model, socketEmitter, customPrompt, { isCancelled }
+      );
+
+      if (isCancelled()) {
+        socketEmitter('error', { processId, error: `Review cancelled after ${results.totalProcessed} questions` });
+      } else {
+        socketEmitter('completed', { processId, ...results });
+      }
+    } catch (error) {
+      socketEmitter('error', { processId, error: error.message });
+      throw error;
+    }
+  },
+
+  async onCancel(job, { wasRunning, ctx }) {
+    if (!wasRunning) {
+      const { processId } = job.payload;
+      ctx.io.emit(`review:${processId}:error`, { processId, error: 'Review cancelled before it started' });
+    }
+  }
+});
+
+jobQueueService.registerHandler('verification', {
+  async run(job, { io, isCancelled }) {
+    const { processId, categoryId, batchSize, model, wrongKeyAction, reverify } = job.payload;
+    const socketEmitter = (event, data) => {
+      io.emit(`verify:${processId}:${event}`, data);
+    };
+
+    try {
+      socketEmitter('started', { processId, categoryId, batchSize, model });
+
+      const results = await answerVerificationService.verifyQuestions(categoryId, {
+        model, batchSize, wrongKeyAction, reverify, socketEmitter, isCancelled,
+      });
+
+      if (isCancelled()) {
+        socketEmitter('error', { processId, error: `Verification cancelled after ${results.totalProcessed} questions` });
+      } else {
+        socketEmitter('completed', { processId, ...results });
+      }
+    } catch (error) {
+      socketEmitter('error', { processId, error: error.message });
+      throw error;
+    }
+  },
+
+  async onCancel(job, { wasRunning, ctx }) {
+    if (!wasRunning) {
+      const { processId } = job.payload;
+      ctx.io.emit(`verify:${processId}:error`, { processId, error: 'Verification cancelled before it started' });
+    }
+  }
+});
+
 // Get review stats for a category
 // Usage: GET /api/review/stats/20  (where 20 is the AniList manga ID)
 router.get('/stats/:categoryId', async (req, res) => {
@@ -24,28 +93,77 @@ router.post('/review', async (req, res) => {
   }
 
   const processId = `review_${Date.now()}`;
-  const io = req.app.get('io');
 
   try {
-    const socketEmitter = (event, data) => {
-      io.emit(`review:${processId}:${event}`, data);
-    };
+    const provider = await aiProviderService.getProviderForModel(model);
+    const job = await jobQueueService.enqueue({
+      type: 'review',
+      provider,
+      refId: processId,
+      label: `Review category ${categoryId} - ${model}`,
+      payload: { processId, categoryId, batchSize, model, customPrompt },
+    });
 
-    setImmediate(async () => {
-      try {
-        socketEmitter('started', { processId, categoryId, batchSize, model });
+    res.json({ success: true, processId, jobId: job.id, message: `Review queued for category ${categoryId}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        const results = await simpleQuestionReviewService.reviewQuestions(
-          categoryId, batchSize, model, socketEmitter, customPrompt
-        );
+// Check each question's marked answer against its stored source passage
+// Body: { categoryId: 20, batchSize: 10, model: "gemini-flash-latest", wrongKeyAction: "reject" | "flag", reverify: false }
+router.post('/verify', async (req, res) => {
+  const { categoryId, batchSize = 10, model = 'gemini-flash-latest', wrongKeyAction = 'reject', reverify = false } = req.body;
 
-        socketEmitter('completed', { processId, ...results });
-      } catch (error) {
-        socketEmitter('error', { processId, error: error.message });
-      }
+  if (!categoryId) {
+    return res.status(400).json({ error: 'categoryId is required' });
+  }
+  if (!['reject', 'flag'].includes(wrongKeyAction)) {
+    return res.status(400).json({ error: 'wrongKeyAction must be "reject" or "flag"' });
+  }
+
+  const processId = `verify_${Date.now()}`;
+
+  try {
+    const provider = await aiProviderService.getProviderForModel(model);
+    const job = await jobQueueService.enqueue({
+      type: 'verification',
+      provider,
+      refId: processId,
+      label: `Verify answers in category ${categoryId} - ${model}`,
+      payload: { processId, categoryId, batchSize, model, wrongKeyAction, reverify: !!reverify },
     });
 
-    res.json({ success: true, processId, message: `Review started for category ${categoryId}` });
+    res.json({ success: true, processId, jobId: job.id, message: `Verification queued for category ${categoryId}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Usage: GET /api/review/verification/20
+router.get('/verification/:categoryId', async (req, res) => {
+  try {
+    const stats = await answerVerificationService.getVerificationStats(req.params.categoryId);
+    res.json({ success: true, stats });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Usage: GET /api/review/questions/20/verdict/wrong_key,ambiguous
+router.get('/questions/:categoryId/verdict/:verdicts', async (req, res) => {
+  try {
+    const verdicts = req.params.verdicts
+      .split(',')
+      .map(v => v.trim())
+      .filter(v => answerVerificationService.getVerdicts().includes(v));
+
+    if (verdicts.length === 0) {
+      return res.status(400).json({ error: `Invalid verdicts. Use any of: ${answerVerificationService.getVerdicts().join(', ')}` });
+    }
+
+    const questions = await answerVerificationService.getQuestionsByVerdict(req.params.categoryId, verdicts);
+    res.json({ success: true, questions, count: questions.length, verdicts });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
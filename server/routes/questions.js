@@ -1,14 +1,81 @@
 const express = require('express');
 const router = express.Router();
 const questionService = require('../services/questionsService');
+const duplicateService = require('../services/duplicateService');
+const questionTypeService = require('../services/questionTypeService');
+const questionSearchService = require('../services/questionSearchService');
+const questionBulkService = require('../services/questionBulkService');
+const jobQueueService = require('../services/jobQueueService');
+const aiProviderService = require('../services/aiProviderService');
 const { supabase } = require('../config/supabase');
 
-// List questions — filter by categoryId (integer) or status
+// Re-review and regenerate call a model for every batch or question, so they run on the job
+// queue and report over `bulk:<processId>:` socket events; `completed` carries the per-question
+// results of the action.
+jobQueueService.registerHandler('bulk', {
+  async run(job, { io, isCancelled }) {
+    const { processId, action, ids, model } = job.payload;
+    const socketEmitter = (event, data) => {
+      io.emit(`bulk:${processId}:${event}`, data);
+    };
+
+    try {
+      socketEmitter('started', { processId, action, total: ids.length });
+
+      const options = {
+        isCancelled,
+        onProgress: progress => socketEmitter('progress', { processId, action, ...progress }),
+      };
+      const result = action === 'review'
+        ? await questionBulkService.reReview(ids, model, options)
+        : await questionBulkService.regenerate(ids, model, options);
+
+      socketEmitter('completed', { processId, action, cancelled: isCancelled(), ...result });
+    } catch (error) {
+      socketEmitter('error', { processId, action, error: error.message });
+      throw error;
+    }
+  },
+
+  async onCancel(job, { wasRunning, ctx }) {
+    if (!wasRunning) {
+      const { processId, action } = job.payload;
+      ctx.io.emit(`bulk:${processId}:error`, { processId, action, error: 'Bulk action cancelled before it started' });
+    }
+  }
+});
+
+async function enqueueBulkJob(action, ids, model, label) {
+  const processId = `bulk_${action}_${Date.now()}`;
+  const provider = await aiProviderService.getProviderForModel(model);
+  const job = await jobQueueService.enqueue({
+    type: 'bulk',
+    provider,
+    refId: processId,
+    label: `${label} ${ids.length} questions - ${model}`,
+    payload: { processId, action, ids, model },
+  });
+  return { processId, jobId: job.id };
+}
+
+// List questions — filter by categoryId (integer), status, questionType or difficulty ('unlabeled' for none).
+// Spoiler limits: maxChapter, maxEpisode and/or upToArc (with wiki, the arcs of that wiki before it count too);
+// includeUntagged=false drops questions without a reference.
 router.get('/', async (req, res) => {
+  let spoiler;
+  try {
+    spoiler = questionService.normalizeSpoilerFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   try {
     const filters = {
       categoryId: req.query.categoryId,
       status: req.query.status,
+      questionType: req.query.questionType,
+      difficulty: req.query.difficulty,
+      spoiler,
       limit: parseInt(req.query.limit) || 50,
     };
 
@@ -20,6 +87,25 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Search across question text, options and accepted answers with facets, sorting and cursor pagination.
+// Takes the list filters plus q, reviewScore, model, sourcePage, createdFrom/createdTo, sort, cursor and limit.
+router.get('/search', async (req, res) => {
+  let params;
+  try {
+    params = questionSearchService.normalizeParams(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const result = await questionSearchService.search(params);
+    res.json(result);
+  } catch (error) {
+    console.error('Error searching questions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Question stats
 router.get('/stats', async (req, res) => {
   try {
@@ -31,6 +117,175 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Near-duplicate clusters within one category
+router.get('/duplicates', async (req, res) => {
+  try {
+    const { categoryId, threshold } = req.query;
+    if (!categoryId) {
+      return res.status(400).json({ success: false, error: 'categoryId is required' });
+    }
+
+    const clusters = await duplicateService.findClusters(categoryId, { threshold });
+    res.json({
+      success: true,
+      clusters,
+      threshold: duplicateService.getThreshold(threshold),
+      embeddings: !!duplicateService.getEmbeddingModel(),
+    });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Merge a cluster: keep one question, reject the others as its duplicates
+router.post('/duplicates/merge', async (req, res) => {
+  try {
+    const { keepId, duplicateIds } = req.body;
+    if (!keepId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'keepId and a non-empty duplicateIds array are required' });
+    }
+
+    const merged = await duplicateService.mergeCluster(keepId, duplicateIds);
+    res.json({ success: true, merged });
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Bulk actions on a selection. Body: { ids: [...], ...action fields }. Database actions answer
+// { success: true, results: [{ id, success, error? }], succeeded, failed }; AI actions answer
+// { success: true, processId, jobId } and deliver the same results with the job's completed event.
+
+// Body: { ids, status: "approved" | "unrated" | "needs_fix" | "rejected" }
+router.post('/bulk/status', async (req, res) => {
+  const { status } = req.body;
+  let ids;
+  try {
+    ids = questionBulkService.normalizeIds(req.body.ids);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (!questionBulkService.getStatuses().includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${questionBulkService.getStatuses().join(', ')}` });
+  }
+
+  try {
+    const result = await questionBulkService.setStatus(ids, status);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error updating question status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { ids }
+router.post('/bulk/delete', async (req, res) => {
+  let ids;
+  try {
+    ids = questionBulkService.normalizeIds(req.body.ids);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const result = await questionBulkService.deleteQuestions(ids);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error deleting questions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { ids, categoryId }
+router.post('/bulk/move', async (req, res) => {
+  let ids;
+  try {
+    ids = questionBulkService.normalizeIds(req.body.ids);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (!parseInt(req.body.categoryId)) {
+    return res.status(400).json({ success: false, error: 'categoryId is required' });
+  }
+
+  try {
+    const category = await questionBulkService.getCategory(req.body.categoryId);
+    if (!category) {
+      return res.status(400).json({ success: false, error: `Unknown category: ${req.body.categoryId}` });
+    }
+
+    const result = await questionBulkService.moveToCategory(ids, category);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error moving questions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { ids, model } — scores the questions again, replacing their review_score
+router.post('/bulk/review', async (req, res) => {
+  const { model } = req.body;
+  let ids;
+  try {
+    ids = questionBulkService.normalizeIds(req.body.ids, questionBulkService.getAiLimit());
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (!model) {
+    return res.status(400).json({ success: false, error: 'model is required' });
+  }
+
+  try {
+    const queued = await enqueueBulkJob('review', ids, model, 'Re-review');
+    res.json({ success: true, ...queued, message: `Re-review of ${ids.length} questions queued` });
+  } catch (error) {
+    console.error('Error queueing re-review:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { ids, model } — rewrites each question from its stored source passage
+router.post('/bulk/regenerate', async (req, res) => {
+  const { model } = req.body;
+  let ids;
+  try {
+    ids = questionBulkService.normalizeIds(req.body.ids, questionBulkService.getAiLimit());
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (!model) {
+    return res.status(400).json({ success: false, error: 'model is required' });
+  }
+
+  try {
+    const queued = await enqueueBulkJob('regenerate', ids, model, 'Regenerate');
+    res.json({ success: true, ...queued, message: `Regeneration of ${ids.length} questions queued` });
+  } catch (error) {
+    console.error('Error queueing regeneration:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { ids, format: "json" | "csv" } — downloads the selected questions
+router.post('/bulk/export', async (req, res) => {
+  let ids;
+  try {
+    ids = questionBulkService.normalizeIds(req.body.ids);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const questions = await questionBulkService.getQuestionsByIds(ids);
+    sendExport(res, questions, req.body.format);
+  } catch (error) {
+    console.error('Error exporting selected questions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Delete a question
 router.delete('/:id', async (req, res) => {
   try {
@@ -47,28 +302,39 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Edit a question
+// Edit a question. questionType defaults to multiple_choice; acceptedAnswers only applies to short_answer
 router.put('/:id', async (req, res) => {
   try {
-    const { question, options, correctAnswer } = req.body;
+    const { question, options, correctAnswer, questionType, acceptedAnswers } = req.body;
 
-    let normalizedOptions = options;
-    if (options && !Array.isArray(options)) {
-      normalizedOptions = Object.values(options);
+    const normalized = questionTypeService.normalize({
+      type: questionType,
+      question,
+      options,
+      correctAnswer,
+      acceptedAnswers,
+    });
+
+    const problem = questionTypeService.validate(normalized);
+    if (problem) {
+      return res.status(400).json({ error: problem });
     }
 
     const { error } = await supabase
       .from('questions')
       .update({
-        question_text: question,
-        options: normalizedOptions,
-        correct_answer: correctAnswer,
+        question_text: normalized.question,
+        question_type: normalized.type,
+        options: normalized.options,
+        correct_answer: normalized.correctAnswer,
+        accepted_answers: normalized.acceptedAnswers,
+        search_text: questionService.buildSearchText(normalized),
         updated_at: new Date().toISOString(),
       })
       .eq('id', req.params.id);
 
     if (error) throw error;
-    res.json({ message: 'Question updated successfully' });
+    res.json({ message: 'Question updated successfully', question: normalized });
   } catch (error) {
     console.error('Error updating question:', error);
     res.status(500).json({ error: error.message });
@@ -77,40 +343,79 @@ router.put('/:id', async (req, res) => {
 
 // Export questions
 router.post('/export', async (req, res) => {
+  // Same filters as the search, so an export matches what the list shows
+  let params;
   try {
-    const { format = 'json', ...filters } = req.body;
-    const questions = await questionService.getQuestions(filters);
+    params = questionSearchService.normalizeParams(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    if (format === 'csv') {
-      const csv = convertToCSV(questions);
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=questions.csv');
-      res.send(csv);
-    } else {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', 'attachment; filename=questions.json');
-      res.json(questions);
-    }
+  try {
+    const { format = 'json', limit } = req.body;
+    const { sort, cursor, pageSize, ...filters } = params;
+    const questions = await questionService.getQuestions({ ...filters, limit });
+    sendExport(res, questions, format);
   } catch (error) {
     console.error('Error exporting questions:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+function sendExport(res, questions, format = 'json') {
+  if (format === 'csv') {
+    const csv = convertToCSV(questions);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename=questions.csv');
+    res.send(csv);
+  } else {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename=questions.json');
+    res.json(questions.map(q => ({
+      ...q,
+      question_type: questionTypeService.resolveType(q.question_type),
+      accepted_answers: q.accepted_answers || [],
+    })));
+  }
+}
+
+const csvText = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// The first columns keep the layout of the original four-option export, so existing imports
+// still line up; Type, the further options and the rest are appended after them.
+// Options are written in stored order: for ordering questions that is the correct order.
+// Correct Answer is the 1-based option number and is left empty where it does not apply.
 function convertToCSV(questions) {
-  const headers = ['ID', 'Category ID', 'Question', 'Option 1', 'Option 2', 'Option 3', 'Option 4', 'Correct Answer', 'Status', 'Review Score'];
-  const rows = questions.map(q => [
-    q.id,
-    q.category_id,
-    `"${(q.question_text || '').replace(/"/g, '""')}"`,
-    `"${(q.options[0] || '').replace(/"/g, '""')}"`,
-    `"${(q.options[1] || '').replace(/"/g, '""')}"`,
-    `"${(q.options[2] || '').replace(/"/g, '""')}"`,
-    `"${(q.options[3] || '').replace(/"/g, '""')}"`,
-    q.correct_answer + 1,
-    q.status || '',
-    q.review_score || '',
-  ]);
+  const maxOptions = questionTypeService.getMaxOptions();
+  const optionHeaders = Array.from({ length: maxOptions }, (_, i) => `Option ${i + 1}`);
+  const headers = [
+    'ID', 'Category ID', 'Question', ...optionHeaders.slice(0, 4), 'Correct Answer', 'Difficulty', 'Status', 'Review Score',
+    'Type', ...optionHeaders.slice(4), 'Accepted Answers', 'Chapter', 'Episode', 'Arc',
+  ];
+
+  const rows = questions.map(q => {
+    const type = questionTypeService.resolveType(q.question_type);
+    const options = Array.isArray(q.options) ? q.options : Object.values(q.options || {});
+    const optionCells = optionHeaders.map((_, i) => csvText(options[i]));
+    const hasAnswerIndex = type !== 'ordering' && type !== 'short_answer';
+
+    return [
+      q.id,
+      q.category_id,
+      csvText(q.question_text),
+      ...optionCells.slice(0, 4),
+      hasAnswerIndex ? q.correct_answer + 1 : '',
+      q.difficulty || '',
+      q.status || '',
+      q.review_score || '',
+      type,
+      ...optionCells.slice(4),
+      csvText((q.accepted_answers || []).join(' | ')),
+      q.spoiler_chapter || '',
+      q.spoiler_episode || '',
+      csvText(q.spoiler_arc),
+    ];
+  });
 
   return [headers, ...rows].map(row => row.join(',')).join('\n');
 }
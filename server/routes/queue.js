@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const jobQueueService = require('../services/jobQueueService');
+
+// List jobs, newest first. ?active=true hides finished jobs.
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await jobQueueService.listJobs({
+      includeFinished: req.query.active !== 'true',
+      limit: parseInt(req.query.limit) || 50,
+    });
+    res.json({ success: true, jobs, stats: jobQueueService.getStats() });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/stats', (req, res) => {
+  res.json({ success: true, stats: jobQueueService.getStats() });
+});
+
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobQueueService.cancel(req.params.id);
+
+    if (!job) {
+      return res.status(409).json({ success: false, error: 'Job is not queued or running' });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -25,6 +25,7 @@ jest.mock('../modelConfigService', () => ({
 }));
 
 const aiProviderService = require('../aiProviderService');
+const geminiProvider = aiProviderService.registry.get('gemini');
 
 const VALID_QUESTIONS_RESULT = {
   success: true,
@@ -37,47 +38,32 @@ const VALID_QUESTIONS_RESULT = {
   ],
 };
 
-describe('generateWithGemini', () => {
+describe('gemini provider generateQuestions', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     geminiService.generateQuestionsStructured.mockResolvedValue(VALID_QUESTIONS_RESULT);
   });
 
   it('uses generateQuestionsStructured for gemini-2.5-pro', async () => {
-    const result = await aiProviderService.generateWithGemini(
-      'test prompt',
-      'gemini-2.5-pro',
-      geminiService,
-      {}
-    );
+    const result = await geminiProvider.generateQuestions('test prompt', 'gemini-2.5-pro', {});
 
-    expect(geminiService.generateQuestionsStructured).toHaveBeenCalledWith('test prompt', 'gemini-2.5-pro');
+    expect(geminiService.generateQuestionsStructured).toHaveBeenCalledWith('test prompt', 'gemini-2.5-pro', expect.any(Object));
     expect(geminiService.generateQuestions).not.toHaveBeenCalled();
     expect(result).toEqual(VALID_QUESTIONS_RESULT.questions);
   });
 
   it('uses generateQuestionsStructured for gemini-flash-latest', async () => {
-    const result = await aiProviderService.generateWithGemini(
-      'test prompt',
-      'gemini-flash-latest',
-      geminiService,
-      {}
-    );
+    const result = await geminiProvider.generateQuestions('test prompt', 'gemini-flash-latest', {});
 
-    expect(geminiService.generateQuestionsStructured).toHaveBeenCalledWith('test prompt', 'gemini-flash-latest');
+    expect(geminiService.generateQuestionsStructured).toHaveBeenCalledWith('test prompt', 'gemini-flash-latest', expect.any(Object));
     expect(geminiService.generateQuestions).not.toHaveBeenCalled();
     expect(result).toEqual(VALID_QUESTIONS_RESULT.questions);
   });
 
   it('uses generateQuestionsStructured for any new gemini model', async () => {
-    const result = await aiProviderService.generateWithGemini(
-      'test prompt',
-      'gemini-3.1-pro-preview',
-      geminiService,
-      {}
-    );
+    const result = await geminiProvider.generateQuestions('test prompt', 'gemini-3.1-pro-preview', {});
 
-    expect(geminiService.generateQuestionsStructured).toHaveBeenCalledWith('test prompt', 'gemini-3.1-pro-preview');
+    expect(geminiService.generateQuestionsStructured).toHaveBeenCalledWith('test prompt', 'gemini-3.1-pro-preview', expect.any(Object));
     expect(geminiService.generateQuestions).not.toHaveBeenCalled();
     expect(result).toEqual(VALID_QUESTIONS_RESULT.questions);
   });
@@ -89,7 +75,7 @@ describe('generateWithGemini', () => {
     });
 
     await expect(
-      aiProviderService.generateWithGemini('test prompt', 'gemini-2.5-pro', geminiService, {})
+      geminiProvider.generateQuestions('test prompt', 'gemini-2.5-pro', {})
     ).rejects.toThrow('Gemini did not return valid questions');
   });
 
@@ -97,9 +83,173 @@ describe('generateWithGemini', () => {
     geminiService.generateQuestionsStructured.mockRejectedValue(new Error('structured output failed'));
 
     await expect(
-      aiProviderService.generateWithGemini('test prompt', 'gemini-2.5-pro', geminiService, {})
+      geminiProvider.generateQuestions('test prompt', 'gemini-2.5-pro', {})
     ).rejects.toThrow();
 
     expect(geminiService.generateQuestions).not.toHaveBeenCalled();
   });
+
+  it('reports token usage from Gemini to options.onUsage', async () => {
+    const usage = { provider: 'gemini', model: 'gemini-2.5-pro', promptTokens: 1200, completionTokens: 300 };
+    geminiService.generateQuestionsStructured.mockImplementation(async (prompt, model, { onUsage }) => {
+      onUsage(usage);
+      return VALID_QUESTIONS_RESULT;
+    });
+    const onUsage = jest.fn();
+
+    await geminiProvider.generateQuestions('test prompt', 'gemini-2.5-pro', { onUsage });
+
+    expect(onUsage).toHaveBeenCalledWith(usage);
+  });
+});
+
+describe('provider dispatch', () => {
+  const modelConfigService = require('../modelConfigService');
+  const localProvider = {
+    name: 'local',
+    label: 'Local model',
+    type: 'openai-compatible',
+    isConfigured: () => true,
+    generateQuestions: jest.fn(),
+    score: jest.fn(),
+    testConnection: jest.fn(),
+    listModels: jest.fn(),
+  };
+
+  beforeAll(() => {
+    aiProviderService.registry.register(localProvider);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('generates with whichever registered provider the model_config row names', async () => {
+    modelConfigService.getModels.mockResolvedValueOnce([
+      { id: '9', provider: 'local', display_name: 'Llama', api_model_id: 'llama-3.1-8b', sort_order: 0 },
+    ]);
+    localProvider.generateQuestions.mockImplementation(async (prompt, model, options) => {
+      options.onUsage({ provider: 'local', model, promptTokens: 10, completionTokens: 5 });
+      return VALID_QUESTIONS_RESULT.questions;
+    });
+    const onUsage = jest.fn();
+
+    const result = await aiProviderService.generateQuestions('test prompt', 'llama-3.1-8b', { onUsage });
+
+    expect(localProvider.generateQuestions).toHaveBeenCalledWith('test prompt', 'llama-3.1-8b', expect.any(Object));
+    expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({ provider: 'local', promptTokens: 10 }));
+    expect(result[0]).toMatchObject({ type: 'multiple_choice', correctAnswer: 0 });
+  });
+
+  it('refuses models whose provider is not registered', async () => {
+    modelConfigService.getModels.mockResolvedValue([
+      { id: '9', provider: 'nowhere', display_name: 'Ghost', api_model_id: 'ghost-1', sort_order: 0 },
+    ]);
+
+    await expect(aiProviderService.generateQuestions('test prompt', 'ghost-1'))
+      .rejects.toThrow('not registered');
+    modelConfigService.getModels.mockReset();
+  });
+
+  it('scores with the provider of a configured model', async () => {
+    modelConfigService.getModels.mockResolvedValueOnce([
+      { id: '9', provider: 'local', display_name: 'Llama', api_model_id: 'llama-3.1-8b', sort_order: 0 },
+    ]);
+    localProvider.score.mockResolvedValue('[4, 5]');
+
+    const text = await aiProviderService.score('rate these', 'llama-3.1-8b', { json: true });
+
+    expect(text).toBe('[4, 5]');
+    expect(localProvider.score).toHaveBeenCalledWith('rate these', 'llama-3.1-8b', expect.objectContaining({ json: true }));
+  });
+
+  it('tests providers in parallel and times each one out on its own', async () => {
+    jest.spyOn(aiProviderService.registry, 'getNames').mockReturnValue(['local', 'stuck']);
+    jest.spyOn(aiProviderService, 'testConnection').mockImplementation(name => (
+      name === 'stuck' ? new Promise(() => {}) : Promise.resolve({ success: true })
+    ));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const results = await aiProviderService.testAllConnections({ timeoutMs: 20 });
+
+    expect(results).toEqual({
+      local: { success: true },
+      stuck: { success: false, timedOut: true, error: 'Timed out after 20ms' },
+    });
+    jest.restoreAllMocks();
+  });
+});
+
+describe('generateWithFallback', () => {
+  let generateSpy;
+
+  beforeEach(() => {
+    generateSpy = jest.spyOn(aiProviderService, 'generateQuestions');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves down the chain on invalid output and reports the fallback', async () => {
+    generateSpy
+      .mockRejectedValueOnce(Object.assign(new Error('Question 1 (multiple_choice): Must have exactly 4 options'), { invalidOutput: true }))
+      .mockResolvedValueOnce(VALID_QUESTIONS_RESULT.questions);
+    const onFallback = jest.fn();
+
+    const result = await aiProviderService.generateWithFallback(
+      'prompt', ['gemini-flash-latest', 'gpt-5.4', 'gemini-2.5-pro'], { onFallback }
+    );
+
+    expect(result.model).toBe('gpt-5.4');
+    expect(result.questions).toEqual(VALID_QUESTIONS_RESULT.questions);
+    expect(onFallback).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'gemini-flash-latest', to: 'gpt-5.4', reason: 'invalid output',
+    }));
+    expect(generateSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back when a provider is down after retries', async () => {
+    const exhausted = new Error('Question generation failed after 2 attempts (10ms): Connection error.');
+    exhausted.cause = new Error('Connection error.');
+    generateSpy.mockRejectedValueOnce(exhausted).mockResolvedValueOnce(VALID_QUESTIONS_RESULT.questions);
+
+    const result = await aiProviderService.generateWithFallback('prompt', ['gemini-flash-latest', 'gpt-5.4']);
+
+    expect(result.fallbacks).toEqual([expect.objectContaining({ reason: 'provider unavailable' })]);
+  });
+
+  it('stops on errors another model would hit too, and when the chain runs out', async () => {
+    generateSpy.mockRejectedValueOnce(new Error('400 Bad request: prompt is too long'));
+    await expect(aiProviderService.generateWithFallback('prompt', ['gemini-flash-latest', 'gpt-5.4']))
+      .rejects.toThrow('prompt is too long');
+    expect(generateSpy).toHaveBeenCalledTimes(1);
+
+    generateSpy.mockRejectedValue(Object.assign(new Error('Model returned no questions'), { invalidOutput: true }));
+    await expect(aiProviderService.generateWithFallback('prompt', ['gemini-flash-latest', 'gpt-5.4']))
+      .rejects.toThrow('no questions');
+  });
+
+  it('tells an exhausted chain from a request error and counts the models tried', async () => {
+    generateSpy.mockRejectedValue(Object.assign(new Error('Model returned no questions'), { invalidOutput: true }));
+    await expect(aiProviderService.generateWithFallback('prompt', ['gemini-flash-latest', 'gpt-5.4', 'gemini-2.5-pro']))
+      .rejects.toMatchObject({ attempts: 3, chainExhausted: true });
+
+    generateSpy.mockReset().mockRejectedValueOnce(new Error('400 Bad request: prompt is too long'));
+    await expect(aiProviderService.generateWithFallback('prompt', ['gemini-flash-latest', 'gpt-5.4']))
+      .rejects.toMatchObject({ attempts: 1, chainExhausted: false });
+  });
+
+  it('ends the chain as budget exhausted when beforeFallback refuses the next attempt', async () => {
+    generateSpy.mockRejectedValue(Object.assign(new Error('Model returned no questions'), { invalidOutput: true }));
+    const beforeFallback = jest.fn().mockReturnValueOnce(true).mockReturnValueOnce(false);
+
+    await expect(aiProviderService.generateWithFallback(
+      'prompt', ['gemini-flash-latest', 'gpt-5.4', 'gemini-2.5-pro'], { beforeFallback }
+    )).rejects.toMatchObject({ attempts: 2, chainExhausted: false, budgetExhausted: true });
+
+    expect(generateSpy).toHaveBeenCalledTimes(2);
+    expect(beforeFallback).toHaveBeenLastCalledWith({ from: 'gpt-5.4', to: 'gemini-2.5-pro' });
+  });
 });
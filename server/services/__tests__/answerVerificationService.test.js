@@ -0,0 +1,133 @@
+jest.mock('../../config/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(),
+  };
+  return { supabase: mockSupabase };
+});
+
+jest.mock('../usageService', () => ({ trackUsage: jest.fn() }));
+jest.mock('../aiProviderService', () => ({ score: jest.fn() }));
+
+const { supabase } = require('../../config/supabase');
+const answerVerificationService = require('../answerVerificationService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'update', 'eq', 'neq', 'not', 'is', 'in'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+const question = (id, sectionId, extra = {}) => ({
+  id,
+  question_text: `Question ${id}?`,
+  options: ['A', 'B', 'C', 'D'],
+  correct_answer: 0,
+  status: 'approved',
+  source_context: `Passage for ${sectionId}`,
+  source_section_id: sectionId,
+  ...extra,
+});
+
+describe('AnswerVerificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseVerdicts', () => {
+    it('maps verdicts to questions by number and drops unknown ones', () => {
+      const verdicts = answerVerificationService.parseVerdicts(JSON.stringify({
+        verdicts: [
+          { question: 2, verdict: 'Wrong-Key', justification: 'The passage says B.' },
+          { question: 1, verdict: 'correct', justification: 'Stated directly.' },
+          { question: 3, verdict: 'maybe', justification: '?' },
+        ],
+      }), 3);
+
+      expect(verdicts).toEqual([
+        { verdict: 'correct', justification: 'Stated directly.' },
+        { verdict: 'wrong_key', justification: 'The passage says B.' },
+        null,
+      ]);
+    });
+
+    it('throws on a response without verdicts', () => {
+      expect(() => answerVerificationService.parseVerdicts('no json here', 1)).toThrow('Could not parse');
+    });
+  });
+
+  describe('groupIntoBatches', () => {
+    it('keeps questions from one section together', () => {
+      const batches = answerVerificationService.groupIntoBatches([
+        question(1, 'a'), question(2, 'b'), question(3, 'a'), question(4, 'a'),
+      ], 2);
+
+      expect(batches.map(b => b.map(q => q.id))).toEqual([[1, 3], [4], [2]]);
+    });
+  });
+
+  describe('applyVerdicts', () => {
+    it('stores the verdict and rejects questions with a wrong key', async () => {
+      const chain = mockChain({ error: null });
+      supabase.from.mockReturnValue(chain);
+
+      const applied = await answerVerificationService.applyVerdicts(
+        [question(1, 'a'), question(2, 'a')],
+        [{ verdict: 'correct', justification: 'ok' }, { verdict: 'wrong_key', justification: 'says B' }],
+        { model: 'gemini-flash-latest', wrongKeyAction: 'reject' }
+      );
+
+      expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({
+        verification_verdict: 'correct',
+        verification_model: 'gemini-flash-latest',
+      }));
+      expect(chain.update.mock.calls[0][0]).not.toHaveProperty('status');
+      expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({ verification_verdict: 'wrong_key', status: 'rejected' }));
+      expect(applied.map(a => a.status)).toEqual(['approved', 'rejected']);
+    });
+
+    it('marks wrong keys for a manual fix when asked to', async () => {
+      const chain = mockChain({ error: null });
+      supabase.from.mockReturnValue(chain);
+
+      await answerVerificationService.applyVerdicts(
+        [question(1, 'a')],
+        [{ verdict: 'wrong_key', justification: 'says B' }],
+        { model: 'gpt-4o-mini', wrongKeyAction: 'flag' }
+      );
+
+      expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'needs_fix' }));
+    });
+
+    it('leaves questions without a verdict untouched', async () => {
+      supabase.from.mockReturnValue(mockChain({ error: null }));
+
+      const applied = await answerVerificationService.applyVerdicts([question(1, 'a')], [null], { model: 'x' });
+
+      expect(applied).toEqual([]);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getVerificationStats', () => {
+    it('does not count questions that are never verified as unverified', async () => {
+      supabase.from.mockReturnValue(mockChain({
+        data: [
+          { status: 'approved', source_context: 'x', verification_verdict: null },
+          { status: 'needs_fix', source_context: 'x', verification_verdict: 'wrong_key' },
+          { status: 'rejected', source_context: 'x', verification_verdict: null },
+          { status: 'retired', source_context: 'x', verification_verdict: null },
+          { status: 'unrated', source_context: null, verification_verdict: null },
+        ],
+        error: null,
+      }));
+
+      const stats = await answerVerificationService.getVerificationStats('1');
+
+      expect(stats).toMatchObject({ total: 5, withSource: 4, verified: 1, unverified: 1, needsFix: 1 });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('../anthropicService', () => ({
+  createMessage: jest.fn(),
+  extractUsage: jest.requireActual('../anthropicService').extractUsage,
+}));
+
+const anthropicService = require('../anthropicService');
+const AnthropicProvider = require('../providers/anthropicProvider');
+
+const provider = new AnthropicProvider();
+const usage = { input_tokens: 900, output_tokens: 150, cache_read_input_tokens: 100 };
+
+describe('AnthropicProvider', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateQuestions', () => {
+    it('forces the generate_questions tool and returns its input', async () => {
+      const questions = [{ question: 'Q?', options: ['a', 'b', 'c', 'd'], correctAnswer: 2, difficulty: 'easy' }];
+      anthropicService.createMessage.mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'generate_questions', input: { questions } }],
+        stop_reason: 'tool_use',
+        usage,
+      });
+      const onUsage = jest.fn();
+
+      const result = await provider.generateQuestions('prompt', 'claude-sonnet-4-5', { onUsage });
+
+      const body = anthropicService.createMessage.mock.calls[0][0];
+      expect(body.tool_choice).toEqual({ type: 'tool', name: 'generate_questions' });
+      expect(body.tools[0].input_schema.required).toEqual(['questions']);
+      expect(result).toEqual(questions);
+      expect(onUsage).toHaveBeenCalledWith({
+        provider: 'anthropic', model: 'claude-sonnet-4-5', promptTokens: 1000, completionTokens: 150,
+      });
+    });
+
+    it('throws when the response was truncated or has no tool call', async () => {
+      anthropicService.createMessage.mockResolvedValueOnce({ content: [], stop_reason: 'max_tokens', usage });
+      await expect(provider.generateQuestions('prompt', 'claude-haiku-4-5')).rejects.toThrow('max_tokens');
+
+      anthropicService.createMessage.mockResolvedValueOnce({ content: [{ type: 'text', text: 'Sure!' }], stop_reason: 'end_turn', usage });
+      await expect(provider.generateQuestions('prompt', 'claude-haiku-4-5')).rejects.toThrow('did not call the expected tool');
+    });
+  });
+
+  describe('score', () => {
+    it('passes the system prompt and returns the text blocks', async () => {
+      anthropicService.createMessage.mockResolvedValue({
+        content: [{ type: 'text', text: '[4, ' }, { type: 'text', text: '5]' }],
+        stop_reason: 'end_turn',
+        usage,
+      });
+
+      const text = await provider.score('rate', 'claude-sonnet-4-5', { system: 'Be strict.', temperature: 0 });
+
+      expect(anthropicService.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+        system: 'Be strict.', temperature: 0, messages: [{ role: 'user', content: 'rate' }],
+      }));
+      expect(text).toBe('[4, 5]');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const chunkingService = require('../chunkingService');
+
+const sentence = (i) => `Sentence ${i} tells part of the story.`;
+const paragraph = (from, count) => Array.from({ length: count }, (_, i) => sentence(from + i)).join(' ');
+const section = (title, content) => ({ title, level: 2, content, wordCount: chunkingService.countWords(content) });
+
+describe('ChunkingService', () => {
+  describe('chunkSections', () => {
+    it('keeps the old merge rules and leaves titles of unsplit sections alone', () => {
+      const chunks = chunkingService.chunkSections([
+        section('Introduction', paragraph(0, 5)),
+        section('History', paragraph(5, 40)),
+        section('Trivia', paragraph(45, 2)),
+      ]);
+
+      expect(chunks.map(c => [c.title, c.chunkIndex, c.chunkCount])).toEqual([
+        ['Introduction & History & Trivia', 1, 1],
+      ]);
+      expect(chunks[0].wordCount).toBe(47 * 7);
+    });
+
+    it('splits an oversized section at paragraph boundaries and keeps its title on the first part', () => {
+      const content = Array.from({ length: 6 }, (_, i) => paragraph(i * 10, 10)).join('\n\n');
+      const chunks = chunkingService.chunkSections([section('History', content)], { ...chunkingService.getDefaultConfig(), minSize: 50, maxSize: 150 });
+
+      expect(chunks.map(c => [c.title, c.chunkIndex, c.chunkCount, c.wordCount])).toEqual([
+        ['History', 1, 3, 140],
+        ['History (part 2)', 2, 3, 140],
+        ['History (part 3)', 3, 3, 140],
+      ]);
+      expect(chunks[1].content.startsWith(sentence(20))).toBe(true);
+      expect(chunks.map(c => c.content).join('\n\n')).toBe(content);
+    });
+
+    it('falls back to sentences for long paragraphs and repeats the overlap', () => {
+      const config = chunkingService.normalizeConfig({ strategy: 'paragraph', minSize: 10, maxSize: 70, overlap: 14 });
+      const chunks = chunkingService.chunkSections([section('History', paragraph(0, 20))], config);
+
+      chunks.forEach(chunk => expect(chunk.wordCount).toBeLessThanOrEqual(70));
+      expect(chunks[1].content.startsWith(`${sentence(8)} ${sentence(9)}`)).toBe(true);
+      expect(chunks[chunks.length - 1].content.endsWith(sentence(19))).toBe(true);
+    });
+
+    it('sizes chunks in tokens for the model and never exceeds the prompt cap', () => {
+      const config = chunkingService.normalizeConfig({ strategy: 'words', sizing: 'tokens', maxSize: 100000 });
+      const words = Array.from({ length: 4000 }, () => 'abcdefghi').join(' ');
+
+      const chunks = chunkingService.chunkSections([section('History', words)], config, { model: 'claude-sonnet-4-5' });
+      expect(chunks).toHaveLength(3);
+      chunks.forEach(chunk => expect(chunk.content.length).toBeLessThanOrEqual(chunkingService.getMaxChunkChars()));
+      expect(chunkingService.estimateTokens('x'.repeat(35), 'claude-sonnet-4-5')).toBe(10);
+      expect(chunkingService.estimateTokens('x'.repeat(40), 'gpt-4o-mini')).toBe(10);
+    });
+
+    it('keeps a page with a single small section', () => {
+      expect(chunkingService.chunkSections([section('Introduction', 'A short stub page.')])).toHaveLength(1);
+    });
+  });
+
+  describe('normalizeConfig', () => {
+    it('fills defaults per sizing unit and rejects invalid settings', () => {
+      expect(chunkingService.normalizeConfig(undefined)).toEqual(chunkingService.getDefaultConfig());
+      expect(chunkingService.normalizeConfig({ sizing: 'tokens', overlap: '' }))
+        .toEqual({ strategy: 'paragraph', sizing: 'tokens', minSize: 270, maxSize: 2700, overlap: 0 });
+      expect(() => chunkingService.normalizeConfig({ strategy: 'chapter' })).toThrow('strategy must be one of');
+      expect(() => chunkingService.normalizeConfig({ maxSize: 20 })).toThrow('at least 50');
+      expect(() => chunkingService.normalizeConfig({ minSize: 500, maxSize: 400 })).toThrow('below the maximum');
+      expect(() => chunkingService.normalizeConfig({ overlap: 1500 })).toThrow('at most half');
+      expect(() => chunkingService.normalizeConfig({ minSize: '1.5' })).toThrow('whole number');
+    });
+  });
+});
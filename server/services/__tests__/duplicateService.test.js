@@ -0,0 +1,142 @@
+jest.mock('../../config/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(),
+  };
+  return { supabase: mockSupabase };
+});
+
+jest.mock('../openaiService', () => ({ client: {} }));
+jest.mock('../usageService', () => ({ trackUsage: jest.fn() }));
+
+const { supabase } = require('../../config/supabase');
+const duplicateService = require('../duplicateService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'update', 'eq', 'neq', 'not', 'in', 'order', 'range'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+const row = (id, text, answer, extra = {}) => ({
+  id,
+  question_text: text,
+  options: [answer, 'Other 1', 'Other 2', 'Other 3'],
+  correct_answer: 0,
+  status: 'approved',
+  review_score: null,
+  created_at: '2024-01-01T00:00:00Z',
+  ...extra,
+});
+
+describe('DuplicateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.DUPLICATE_THRESHOLD;
+    delete process.env.DUPLICATE_EMBEDDING_MODEL;
+  });
+
+  describe('normalizeText', () => {
+    it('drops case, punctuation, accents and filler words', () => {
+      expect(duplicateService.normalizeText("What is Luffy's DREAM?")).toBe('luffy dream');
+      expect(duplicateService.normalizeText('Who is Pokémon trainer')).toBe('pokemon trainer');
+    });
+  });
+
+  describe('filterDuplicates', () => {
+    it('drops questions that paraphrase a stored question in the category', async () => {
+      const chain = mockChain({ data: [row(1, "What is Luffy's dream?", 'To become King of the Pirates')], error: null });
+      supabase.from.mockReturnValue(chain);
+
+      const { unique, duplicates } = await duplicateService.filterDuplicates([
+        { question: "What is Monkey D. Luffy's dream?", options: ['To become King of the Pirates', 'a', 'b', 'c'], correctAnswer: 0 },
+        { question: 'Who is the swordsman of the Straw Hat Pirates?', options: ['Zoro', 'a', 'b', 'c'], correctAnswer: 0 },
+      ], 21);
+
+      expect(chain.eq).toHaveBeenCalledWith('category_id', 21);
+      expect(unique.map(q => q.question)).toEqual(['Who is the swordsman of the Straw Hat Pirates?']);
+      expect(duplicates).toHaveLength(1);
+      expect(duplicates[0]).toMatchObject({ matchId: 1, matchText: "What is Luffy's dream?" });
+    });
+
+    it('also catches duplicates inside the same batch', async () => {
+      supabase.from.mockReturnValue(mockChain({ data: [], error: null }));
+
+      const { unique, duplicates } = await duplicateService.filterDuplicates([
+        { question: 'Which Devil Fruit did Luffy eat?', options: ['Gomu Gomu no Mi', 'a', 'b', 'c'], correctAnswer: 0 },
+        { question: 'What Devil Fruit did Luffy consume?', options: ['Gomu Gomu no Mi', 'a', 'b', 'c'], correctAnswer: 0 },
+      ], 21);
+
+      expect(unique).toHaveLength(1);
+      expect(duplicates[0].matchId).toBeNull();
+    });
+
+    it('reads the whole category in pages', async () => {
+      const firstPage = mockChain({
+        data: Array.from({ length: 1000 }, (_, i) => row(i + 1, `Filler question number ${i}?`, `Answer ${i}`)),
+        error: null,
+      });
+      const secondPage = mockChain({ data: [row(1001, "What is Luffy's dream?", 'To become King of the Pirates')], error: null });
+      supabase.from.mockReturnValueOnce(firstPage).mockReturnValueOnce(secondPage);
+
+      const { duplicates } = await duplicateService.filterDuplicates([
+        { question: "What is Monkey D. Luffy's dream?", options: ['To become King of the Pirates', 'a', 'b', 'c'], correctAnswer: 0 },
+      ], 21);
+
+      expect(firstPage.range).toHaveBeenCalledWith(0, 999);
+      expect(secondPage.range).toHaveBeenCalledWith(1000, 1999);
+      expect(duplicates[0].matchId).toBe(1001);
+    });
+
+    it('reads the category once per run and remembers the questions the run wrote', async () => {
+      supabase.from.mockReturnValue(mockChain({ data: [], error: null }));
+      const cache = duplicateService.createRunCache();
+      const luffy = { question: 'Which Devil Fruit did Luffy eat?', options: ['Gomu Gomu no Mi', 'a', 'b', 'c'], correctAnswer: 0 };
+
+      const first = await duplicateService.filterDuplicates([luffy], 21, { cache });
+      await duplicateService.remember(cache, 21, first.uniqueRecords);
+      const second = await duplicateService.filterDuplicates([
+        { question: 'What Devil Fruit did Luffy consume?', options: ['Gomu Gomu no Mi', 'a', 'b', 'c'], correctAnswer: 0 },
+      ], 21, { cache });
+
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(first.unique).toHaveLength(1);
+      expect(second.unique).toHaveLength(0);
+    });
+  });
+
+  describe('findClusters', () => {
+    it('groups near-duplicates and suggests keeping the best reviewed question', async () => {
+      supabase.from.mockReturnValue(mockChain({
+        data: [
+          row(1, 'Which Devil Fruit did Luffy eat?', 'Gomu Gomu no Mi'),
+          row(2, "Who is Zoro's rival?", 'Tashigi'),
+          row(3, 'What Devil Fruit did Luffy consume?', 'Gomu Gomu no Mi', { review_score: 5 }),
+        ],
+        error: null,
+      }));
+
+      const clusters = await duplicateService.findClusters(21);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].suggestedKeepId).toBe(3);
+      expect(clusters[0].questions.map(q => q.id)).toEqual([3, 1]);
+    });
+  });
+
+  describe('mergeCluster', () => {
+    it('rejects the duplicates and points them at the kept question', async () => {
+      const chain = mockChain({ data: [{ id: 1 }], error: null });
+      supabase.from.mockReturnValue(chain);
+
+      const merged = await duplicateService.mergeCluster(3, [3, 1]);
+
+      expect(merged).toBe(1);
+      expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'rejected', duplicate_of: 3 }));
+      expect(chain.in).toHaveBeenCalledWith('id', [1]);
+    });
+  });
+});
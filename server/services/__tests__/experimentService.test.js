@@ -0,0 +1,147 @@
+jest.mock('../../config/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('../aiProviderService', () => ({
+  getAllAvailableModels: jest.fn(),
+}));
+jest.mock('../promptTemplateService', () => ({
+  resolveForRun: jest.fn(),
+}));
+
+const { supabase } = require('../../config/supabase');
+const aiProviderService = require('../aiProviderService');
+const promptTemplateService = require('../promptTemplateService');
+const experimentService = require('../experimentService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'eq'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+const DEFAULTS = { model: 'gemini-flash-latest', promptInstructions: 'Be specific.' };
+
+describe('ExperimentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    aiProviderService.getAllAvailableModels.mockResolvedValue({
+      all: [{ id: 'gemini-flash-latest' }, { id: 'gpt-5.4' }],
+    });
+  });
+
+  describe('resolveExperiment', () => {
+    it('returns null without an experiment', async () => {
+      expect(await experimentService.resolveExperiment(undefined, DEFAULTS)).toBeNull();
+    });
+
+    it('fills arms from the run settings and keys them A, B, ...', async () => {
+      const experiment = await experimentService.resolveExperiment(
+        { arms: [{}, { name: 'GPT', model: 'gpt-5.4' }] },
+        DEFAULTS
+      );
+
+      expect(experiment.arms).toEqual([
+        expect.objectContaining({ key: 'A', name: 'Arm A', model: 'gemini-flash-latest', promptInstructions: 'Be specific.', promptTemplate: null }),
+        expect.objectContaining({ key: 'B', name: 'GPT', model: 'gpt-5.4', promptInstructions: 'Be specific.' }),
+      ]);
+      expect(experiment.arms[1].stats.costUsd).toBe(0);
+      expect(experiment.seed).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('keeps the seed of the plan the run was confirmed from', async () => {
+      const planned = await experimentService.resolveExperiment({ arms: [{}, { model: 'gpt-5.4' }] }, DEFAULTS);
+      const confirmed = await experimentService.resolveExperiment({ arms: [{}, { model: 'gpt-5.4' }], seed: planned.seed }, DEFAULTS);
+
+      expect(confirmed.seed).toBe(planned.seed);
+      await expect(experimentService.resolveExperiment({ arms: [{}, { model: 'gpt-5.4' }], seed: 'x:y' }, DEFAULTS))
+        .rejects.toThrow('experiment.seed');
+    });
+
+    it('resolves arm templates and prefixes their errors with the arm', async () => {
+      promptTemplateService.resolveForRun.mockResolvedValueOnce({ id: 't1', name: 'Trivia', version: 2, body: 'Trivia style.', values: {} });
+
+      const experiment = await experimentService.resolveExperiment(
+        [{}, { promptTemplateId: 't1' }],
+        DEFAULTS
+      );
+      expect(experiment.arms[1]).toEqual(expect.objectContaining({ promptInstructions: 'Trivia style.', promptTemplate: expect.objectContaining({ version: 2 }) }));
+
+      promptTemplateService.resolveForRun.mockRejectedValueOnce(new Error('Prompt template "Trivia" is not active'));
+      await expect(experimentService.resolveExperiment([{}, { promptTemplateId: 't1' }], DEFAULTS))
+        .rejects.toThrow('Arm B: Prompt template "Trivia" is not active');
+    });
+
+    it('rejects bad arm counts, unknown models and identical arms', async () => {
+      await expect(experimentService.resolveExperiment({ arms: [{}] }, DEFAULTS)).rejects.toThrow('between 2 and 4 arms');
+      await expect(experimentService.resolveExperiment({ arms: [{}, { model: 'nope' }] }, DEFAULTS)).rejects.toThrow('Arm B: unknown model nope');
+      await expect(experimentService.resolveExperiment({ arms: [{}, { promptInstructions: 'Be specific.' }] }, DEFAULTS))
+        .rejects.toThrow('Arm B uses the same model and prompt');
+    });
+  });
+
+  describe('assignArm', () => {
+    it('assigns a section to the same arm every time and uses every arm', () => {
+      const experiment = { arms: [{ key: 'A' }, { key: 'B' }] };
+      const sectionIds = Array.from({ length: 40 }, (_, i) => `section-${i}`);
+
+      const first = sectionIds.map(id => experimentService.assignArm(experiment, 'run-1', id).key);
+      const again = sectionIds.map(id => experimentService.assignArm(experiment, 'run-1', id).key);
+
+      expect(again).toEqual(first);
+      expect(new Set(first)).toEqual(new Set(['A', 'B']));
+    });
+
+    it('splits by the seed, so a dry run and the confirmed run agree', () => {
+      const experiment = { seed: 'plan-seed-1', arms: [{ key: 'A' }, { key: 'B' }] };
+      const sectionIds = Array.from({ length: 40 }, (_, i) => `section-${i}`);
+
+      const planned = sectionIds.map(id => experimentService.assignArm(experiment, 'dry-run-123', id).key);
+      const run = sectionIds.map(id => experimentService.assignArm(experiment, 'process-456', id).key);
+
+      expect(run).toEqual(planned);
+    });
+  });
+
+  describe('getReport', () => {
+    it('combines run counters with the review state of the stored questions', async () => {
+      const experiment = await experimentService.resolveExperiment({ arms: [{}, { name: 'GPT', model: 'gpt-5.4' }] }, DEFAULTS);
+      const [armA, armB] = experiment.arms;
+      experimentService.recordSection(armA, { generated: 4, written: 3 });
+      experimentService.recordUsage(armA, { promptTokens: 100, completionTokens: 50, costUsd: 0.003 });
+      experimentService.recordSection(armB, { generated: 4, written: 4 });
+      experimentService.recordUsage(armB, { promptTokens: 100, completionTokens: 50, costUsd: null });
+
+      supabase.from.mockReturnValue(mockChain({
+        data: [
+          { experiment_arm: 'A', review_score: 4, status: 'approved' },
+          { experiment_arm: 'A', review_score: 2, status: 'rejected' },
+          { experiment_arm: 'A', review_score: null, status: 'approved' },
+          { experiment_arm: 'B', review_score: 5, status: 'approved' },
+          { experiment_arm: null, review_score: 1, status: 'approved' },
+        ],
+        error: null,
+      }));
+
+      const report = await experimentService.getReport({ id: 'run-1', status: 'completed', experiment });
+
+      expect(report.arms[0]).toEqual(expect.objectContaining({
+        questions: 3,
+        reviewed: 2,
+        averageScore: 3,
+        rejected: 1,
+        rejectionRate: 0.333,
+        duplicates: 1,
+        duplicateRate: 0.25,
+        costUsd: 0.003,
+        costPerQuestion: 0.001,
+      }));
+      expect(report.arms[1]).toEqual(expect.objectContaining({ questions: 1, averageScore: 5, unpricedCalls: 1, duplicateRate: 0 }));
+      expect(report.unreviewed).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../scrapingService', () => ({
+  fetchRelevantPages: jest.fn(),
+  fetchPageContent: jest.fn(),
+  generateSectionId: jest.fn((category, page, section) => `${page}/${section}`),
+  getSectionState: jest.fn(),
+  isSectionProcessed: jest.fn(),
+  hashSectionContent: jest.fn(content => `hash:${content}`),
+}));
+jest.mock('../questionsService', () => ({
+  buildPrompt: jest.fn(() => 'x'.repeat(4000)),
+}));
+jest.mock('../storyArcService', () => ({ describe: jest.fn() }));
+jest.mock('../experimentService', () => ({ assignArm: jest.fn() }));
+jest.mock('../modelConfigService', () => ({ getPricing: jest.fn() }));
+jest.mock('../usageService', () => ({
+  calculateCost: jest.fn(({ inputCostPerMillion, outputCostPerMillion }, promptTokens, completionTokens) =>
+    (promptTokens * inputCostPerMillion + completionTokens * outputCostPerMillion) / 1e6),
+}));
+
+const scrapingService = require('../scrapingService');
+const questionsService = require('../questionsService');
+const experimentService = require('../experimentService');
+const modelConfigService = require('../modelConfigService');
+const generationPlanService = require('../generationPlanService');
+
+const RUN = {
+  id: 'run-1',
+  animeName: 'One Piece',
+  fandomWikiName: 'onepiece',
+  categories: [],
+  individualPages: ['Nami', 'Zoro'],
+  storyArcs: [],
+  skipSections: ['Trivia'],
+  maxApiCalls: 10,
+  questionsPerChunk: 4,
+  wordsPerChunk: 100,
+  openaiModel: 'gemini-flash-latest',
+  promptInstructions: 'Be specific.',
+  promptTemplate: null,
+  experiment: null,
+  costBudget: null,
+  refreshChanged: false,
+  chunking: { strategy: 'sentence', sizing: 'words', minSize: 200, maxSize: 2000, overlap: 0 },
+};
+
+describe('GenerationPlanService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scrapingService.fetchPageContent.mockImplementation(async (title) => (title === 'Nami'
+      ? [{ title: 'History', content: 'a', wordCount: 250 }, { title: 'Abilities', content: 'b', wordCount: 100 }]
+      : [{ title: 'History', content: 'c', wordCount: 400 }]));
+    scrapingService.isSectionProcessed.mockImplementation(async id => id === 'Nami/Abilities');
+    modelConfigService.getPricing.mockResolvedValue({ inputCostPerMillion: 1, outputCostPerMillion: 10 });
+  });
+
+  it('lists every section with its planned questions, processed flag and estimated cost', async () => {
+    const plan = await generationPlanService.planRun(RUN);
+
+    expect(scrapingService.fetchPageContent).toHaveBeenCalledWith('Nami', 'onepiece', {
+      skipSections: ['Trivia'], chunking: RUN.chunking, model: 'gemini-flash-latest',
+    });
+    expect(plan.sections.map(s => [s.sectionId, s.questionCount, s.alreadyProcessed, s.action])).toEqual([
+      ['Nami/History', 10, false, 'generate'],
+      ['Nami/Abilities', 4, true, 'skip'],
+      ['Zoro/History', 16, false, 'generate'],
+    ]);
+    expect(plan.sections[0]).toEqual(expect.objectContaining({ promptTokens: 1000, completionTokens: 1500, costUsd: 0.016 }));
+    expect(plan.totals).toEqual(expect.objectContaining({
+      pages: 2, sections: 3, alreadyProcessed: 1, apiCalls: 2, questions: 26, costUsd: 0.041, unpricedModels: [],
+    }));
+    expect(modelConfigService.getPricing).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks sections beyond the API call budget and reports unpriced models', async () => {
+    modelConfigService.getPricing.mockResolvedValue(null);
+
+    const plan = await generationPlanService.planRun({ ...RUN, maxApiCalls: 1 });
+
+    expect(plan.sections[2]).toEqual(expect.objectContaining({ action: 'skip', reason: 'budget' }));
+    expect(plan.totals).toEqual(expect.objectContaining({ apiCalls: 1, skippedForBudget: 1, costUsd: 0, unpricedModels: ['gemini-flash-latest'] }));
+  });
+
+  it('follows refresh mode and experiment arms like the run does', async () => {
+    scrapingService.getSectionState.mockImplementation(async id => ({
+      'Nami/History': { content_hash: 'hash:a' },
+      'Nami/Abilities': { content_hash: 'hash:old' },
+    }[id] || null));
+    experimentService.assignArm.mockReturnValue({ key: 'B', model: 'gpt-5.4', promptInstructions: 'Trivia.', promptTemplate: null });
+
+    const plan = await generationPlanService.planRun({ ...RUN, refreshChanged: true, experiment: { seed: 'plan-seed-1', arms: [] } });
+
+    expect(plan.sections.map(s => [s.action, s.reason])).toEqual([
+      ['skip', 'unchanged'],
+      ['regenerate', null],
+      ['generate', null],
+    ]);
+    expect(plan.sections[1]).toEqual(expect.objectContaining({ arm: 'B', model: 'gpt-5.4' }));
+    expect(questionsService.buildPrompt.mock.calls[0][5]).toEqual(expect.objectContaining({ promptInstructions: 'Trivia.' }));
+    expect(plan.experimentSeed).toBe('plan-seed-1');
+  });
+
+  it('only plans the selected sections of a page and uses their question counts', async () => {
+    const sectionSelection = generationPlanService.normalizeSectionSelection([
+      { pageTitle: 'Nami', sectionTitle: 'History', questionCount: '3' },
+      { pageTitle: 'Nami', sectionTitle: 'Relationships' },
+    ]);
+
+    const plan = await generationPlanService.planRun({ ...RUN, sectionSelection });
+
+    expect(plan.sections.map(s => [s.sectionId, s.questionCount, s.action, s.reason])).toEqual([
+      ['Nami/History', 3, 'generate', null],
+      ['Nami/Abilities', 4, 'skip', 'not selected'],
+      ['Zoro/History', 16, 'generate', null],
+    ]);
+    expect(plan.missingSelections).toEqual([{ pageTitle: 'Nami', sectionTitle: 'Relationships' }]);
+  });
+
+  it('validates section selections', () => {
+    expect(generationPlanService.normalizeSectionSelection(undefined)).toEqual([]);
+    expect(generationPlanService.normalizeSectionSelection([{ pageTitle: ' Nami ', sectionTitle: 'History', questionCount: '' }]))
+      .toEqual([{ pageTitle: 'Nami', sectionTitle: 'History', questionCount: null }]);
+    expect(() => generationPlanService.normalizeSectionSelection({ Nami: ['History'] })).toThrow('must be a list');
+    expect(() => generationPlanService.normalizeSectionSelection([{ pageTitle: 'Nami' }])).toThrow('needs a pageTitle and a sectionTitle');
+    expect(() => generationPlanService.normalizeSectionSelection([{ pageTitle: 'Nami', sectionTitle: 'History', questionCount: 0 }]))
+      .toThrow('from 1 to 20');
+    expect(() => generationPlanService.normalizeSectionSelection([
+      { pageTitle: 'Nami', sectionTitle: 'History' },
+      { pageTitle: 'Nami', sectionTitle: 'History' },
+    ])).toThrow('selected twice');
+  });
+
+  it('fails without pages to process', async () => {
+    await expect(generationPlanService.planRun({ ...RUN, individualPages: [] })).rejects.toThrow('No pages found');
+  });
+});
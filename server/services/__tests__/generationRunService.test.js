@@ -0,0 +1,178 @@
+jest.mock('../../config/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(),
+  };
+  return { supabase: mockSupabase };
+});
+
+const { supabase } = require('../../config/supabase');
+const generationRunService = require('../generationRunService');
+
+function mockChain(returnValue) {
+  const chain = {
+    select: jest.fn(),
+    insert: jest.fn(),
+    update: jest.fn(),
+    eq: jest.fn(),
+    in: jest.fn(),
+    order: jest.fn(),
+    limit: jest.fn(),
+    maybeSingle: jest.fn().mockResolvedValue(returnValue),
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'insert', 'update', 'eq', 'in', 'order', 'limit'].forEach(m => chain[m].mockReturnValue(chain));
+  return chain;
+}
+
+const RUN_ROW = {
+  id: '1700000000000',
+  anime_name: 'One Piece',
+  fandom_wiki_name: 'onepiece',
+  anime_id: 30013,
+  status: 'completed',
+  progress: 100,
+  api_calls_made: 4,
+  questions_generated: 12,
+  model: 'gemini-flash-latest',
+  prompt_instructions: 'Be specific.',
+  skip_sections: ['Trivia'],
+  categories: [],
+  individual_pages: ['Monkey D. Luffy'],
+  max_api_calls: 10,
+  questions_per_chunk: 4,
+  words_per_chunk: 100,
+  started_at: '2024-01-01T00:00:00.000Z',
+  finished_at: '2024-01-01T00:10:00.000Z',
+  duration_ms: 600000,
+  error: null,
+};
+
+describe('GenerationRunService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRun', () => {
+    it('stores the process definition with snake_case columns', async () => {
+      const chain = mockChain({ data: null, error: null });
+      supabase.from.mockReturnValue(chain);
+
+      await generationRunService.createRun({
+        id: '42',
+        animeName: 'Naruto',
+        fandomWikiName: 'naruto',
+        status: 'running',
+        openaiModel: 'gpt-5.4',
+        skipSections: ['References'],
+        startTime: new Date('2024-01-01T00:00:00.000Z'),
+        logs: [],
+      });
+
+      expect(supabase.from).toHaveBeenCalledWith('generation_runs');
+      expect(chain.insert).toHaveBeenCalledWith({
+        id: '42',
+        anime_name: 'Naruto',
+        fandom_wiki_name: 'naruto',
+        status: 'running',
+        model: 'gpt-5.4',
+        skip_sections: ['References'],
+        started_at: '2024-01-01T00:00:00.000Z',
+      });
+    });
+
+    it('throws when the insert fails', async () => {
+      supabase.from.mockReturnValue(mockChain({ data: null, error: { message: 'relation does not exist' } }));
+
+      await expect(generationRunService.createRun({ id: '42' }))
+        .rejects.toThrow('Failed to create generation run: relation does not exist');
+    });
+  });
+
+  describe('getRun', () => {
+    it('returns the run in the shape the client expects, with its logs', async () => {
+      const runChain = mockChain({ data: RUN_ROW, error: null });
+      const logsChain = mockChain({
+        data: [{ message: 'Started', type: 'info', created_at: '2024-01-01T00:00:01.000Z' }],
+        error: null,
+      });
+      supabase.from.mockImplementation(table => (table === 'generation_runs' ? runChain : logsChain));
+
+      const run = await generationRunService.getRun(RUN_ROW.id);
+
+      expect(run).toMatchObject({
+        id: RUN_ROW.id,
+        animeName: 'One Piece',
+        fandomWikiName: 'onepiece',
+        status: 'completed',
+        apiCallsMade: 4,
+        questionsGenerated: 12,
+        openaiModel: 'gemini-flash-latest',
+        skipSections: ['Trivia'],
+        startTime: '2024-01-01T00:00:00.000Z',
+        duration: 600000,
+      });
+      expect(run.logs).toEqual([{ timestamp: '2024-01-01T00:00:01.000Z', message: 'Started', type: 'info' }]);
+      expect(logsChain.eq).toHaveBeenCalledWith('run_id', RUN_ROW.id);
+    });
+
+    it('returns null for an unknown run', async () => {
+      supabase.from.mockReturnValue(mockChain({ data: null, error: null }));
+
+      await expect(generationRunService.getRun('missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('markInterruptedRuns', () => {
+    it('flags runs left running or stopping as interrupted', async () => {
+      const chain = mockChain({ data: [{ id: 'a' }, { id: 'b' }], error: null });
+      supabase.from.mockReturnValue(chain);
+
+      const count = await generationRunService.markInterruptedRuns();
+
+      expect(count).toBe(2);
+      expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'interrupted' }));
+      expect(chain.in).toHaveBeenCalledWith('status', ['running', 'stopping']);
+    });
+  });
+
+  describe('getResumeBlocker', () => {
+    const stopped = { ...generationRunService.fromRow(RUN_ROW), status: 'stopped' };
+
+    it('allows stopped, interrupted and failed runs with budget left', () => {
+      ['stopped', 'interrupted', 'error'].forEach(status => {
+        expect(generationRunService.getResumeBlocker({ ...stopped, status })).toBeNull();
+      });
+    });
+
+    it('refuses runs that are active or finished', () => {
+      ['queued', 'running', 'stopping', 'completed'].forEach(status => {
+        expect(generationRunService.getResumeBlocker({ ...stopped, status }))
+          .toBe(`Process cannot be resumed (status: ${status})`);
+      });
+    });
+
+    it('re-checks the API call and cost budgets', () => {
+      expect(generationRunService.getResumeBlocker({ ...stopped, apiCallsMade: 10 }))
+        .toBe('API call budget of 10 already used');
+      expect(generationRunService.getResumeBlocker({ ...stopped, costBudget: 0.5, costUsd: 0.5 }))
+        .toBe('Cost budget of $0.5 already used');
+      expect(generationRunService.getResumeBlocker({ ...stopped, costBudget: 0.5, costUsd: 0.2 })).toBeNull();
+    });
+  });
+
+  describe('prepareResume', () => {
+    it('queues the run again and counts the resume', async () => {
+      const chain = mockChain({ data: null, error: null });
+      supabase.from.mockReturnValue(chain);
+      const run = { ...generationRunService.fromRow(RUN_ROW), status: 'interrupted', error: 'Server restarted', resumeCount: 1 };
+
+      const process = await generationRunService.prepareResume(run);
+
+      expect(process).toMatchObject({ id: RUN_ROW.id, status: 'queued', error: null, resumeCount: 2, apiCallsMade: 4 });
+      expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'queued', error: null, finished_at: null, resume_count: 2,
+      }));
+      expect(chain.eq).toHaveBeenCalledWith('id', RUN_ROW.id);
+    });
+  });
+});
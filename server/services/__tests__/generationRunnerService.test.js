@@ -0,0 +1,220 @@
+jest.mock('../../config/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+jest.mock('../animeService', () => ({ getAnimeId: jest.fn() }));
+jest.mock('../scrapingService', () => ({
+  fetchRelevantPages: jest.fn(),
+  fetchPageContent: jest.fn(),
+  generateSectionId: jest.fn((category, page, section) => `${page}/${section}`),
+  hashSectionContent: jest.fn(content => `hash:${content}`),
+  getSectionState: jest.fn(),
+  recordSectionVersion: jest.fn(),
+  markSectionAsProcessed: jest.fn(),
+}));
+jest.mock('../questionsService', () => ({
+  generateQuestions: jest.fn(),
+  writeQuestionsToSupabase: jest.fn(),
+  getSectionQuestionIds: jest.fn(),
+  retireQuestions: jest.fn(),
+}));
+jest.mock('../generationRunService', () => ({
+  updateRun: jest.fn(),
+  appendLog: jest.fn(),
+}));
+jest.mock('../experimentService', () => ({
+  assignArm: jest.fn(),
+  describe: jest.fn(),
+  recordUsage: jest.fn(),
+  recordSection: jest.fn(),
+}));
+jest.mock('../modelConfigService', () => ({ getPricing: jest.fn() }));
+jest.mock('../duplicateService', () => ({ createRunCache: jest.fn(() => new Map()) }));
+jest.mock('../usageService', () => ({
+  priceUsage: jest.fn(),
+  recordUsage: jest.fn(),
+}));
+
+const scrapingService = require('../scrapingService');
+const questionsService = require('../questionsService');
+const generationRunService = require('../generationRunService');
+const generationRunnerService = require('../generationRunnerService');
+const chunkingService = require('../chunkingService');
+
+// A run as generationRunService.getRun returns it after a stop, resumed once
+const resumedRun = (overrides = {}) => ({
+  id: 'run-1',
+  animeName: 'One Piece',
+  fandomWikiName: 'onepiece',
+  animeId: 30013,
+  status: 'running',
+  progress: 0,
+  startTime: new Date(),
+  logs: [],
+  apiCallsMade: 2,
+  maxApiCalls: 10,
+  questionsGenerated: 8,
+  promptTokens: 0,
+  completionTokens: 0,
+  costUsd: 0,
+  costBudget: null,
+  openaiModel: 'gpt-4o-mini',
+  fallbackModels: [],
+  promptInstructions: 'Be specific.',
+  promptTemplate: null,
+  experiment: null,
+  skipSections: [],
+  categories: [],
+  individualPages: ['Nami'],
+  sectionSelection: [],
+  storyArcs: [],
+  chunking: null,
+  parallelism: 1,
+  questionsPerChunk: 4,
+  wordsPerChunk: 100,
+  refreshChanged: false,
+  retireOutdated: false,
+  pageQueue: [{ title: 'Nami', category: 'Individual' }],
+  resumeCount: 1,
+  ...overrides,
+});
+
+describe('GenerationRunnerService', () => {
+  let io;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    io = { emit: jest.fn() };
+    scrapingService.fetchPageContent.mockResolvedValue([
+      { title: 'History', content: 'history text', wordCount: 300 },
+      { title: 'Abilities', content: 'abilities text', wordCount: 200 },
+      { title: 'Relationships', content: 'relationships text', wordCount: 200 },
+    ]);
+    // History was generated before the run was stopped
+    scrapingService.getSectionState.mockImplementation(async id => (
+      id === 'Nami/History' ? { content_hash: 'hash:history text', revision_id: 42 } : null
+    ));
+    questionsService.generateQuestions.mockResolvedValue([{ question: 'Q?', generatedBy: 'gpt-4o-mini' }]);
+    questionsService.writeQuestionsToSupabase.mockResolvedValue(1);
+    generationRunService.updateRun.mockResolvedValue();
+    generationRunService.appendLog.mockResolvedValue();
+  });
+
+  describe('resumed runs', () => {
+    it('reuses the saved page queue and skips sections that were already processed', async () => {
+      const process = resumedRun();
+
+      await generationRunnerService.run(process, io);
+
+      expect(process.status).toBe('completed');
+      expect(questionsService.generateQuestions.mock.calls.map(call => call[0])).toEqual(['abilities text', 'relationships text']);
+      expect(scrapingService.markSectionAsProcessed.mock.calls.map(call => call[0])).toEqual(['Nami/Abilities', 'Nami/Relationships']);
+      expect(process).toMatchObject({ apiCallsMade: 4, questionsGenerated: 10 });
+      expect(process.logs.map(entry => entry.message)).toEqual(expect.arrayContaining([
+        'Resuming run (2/10 API calls used, 8 questions so far)',
+        'Reusing the saved page queue (1 pages)',
+        'Skipping section "History" on Nami (already processed).',
+      ]));
+    });
+
+    it('only spends the API calls the run has left', async () => {
+      const process = resumedRun({ apiCallsMade: 9 });
+
+      await generationRunnerService.run(process, io);
+
+      expect(questionsService.generateQuestions).toHaveBeenCalledTimes(1);
+      expect(process.apiCallsMade).toBe(10);
+      expect(scrapingService.markSectionAsProcessed.mock.calls.map(call => call[0])).toEqual(['Nami/Abilities']);
+      expect(process.logs.map(entry => entry.message)).toContain('API call limit of 10 reached.');
+    });
+  });
+
+  describe('split sections', () => {
+    it('still skips an oversized section that was processed when it was truncated', async () => {
+      const content = Array.from({ length: 3 }, (_, i) => `Paragraph ${i} ${'word '.repeat(1200).trim()}`).join('\n\n');
+      const chunks = chunkingService.chunkSections([
+        { title: 'History', level: 2, content, wordCount: chunkingService.countWords(content) },
+      ]);
+      scrapingService.fetchPageContent.mockResolvedValue(chunks);
+      const process = resumedRun({ apiCallsMade: 0, resumeCount: 0 });
+
+      await generationRunnerService.run(process, io);
+
+      expect(chunks.map(c => c.title)).toEqual(['History', 'History (part 2)', 'History (part 3)']);
+      expect(questionsService.generateQuestions.mock.calls.map(call => call[0])).toEqual([chunks[1].content, chunks[2].content]);
+      expect(scrapingService.markSectionAsProcessed.mock.calls.map(call => call[0])).toEqual(['Nami/History (part 2)', 'Nami/History (part 3)']);
+      expect(process.logs.map(entry => entry.message)).toContain('Skipping section "History" on Nami (already processed).');
+    });
+  });
+
+  describe('fallback chains', () => {
+    const exhausted = (attempts) => Object.assign(new Error('Question generation failed: Model returned no questions'), {
+      attempts,
+      chainExhausted: true,
+    });
+    // Walks the fallback chain the way aiProviderService does: a slot before each fallback,
+    // and budget exhausted when none is left
+    const failOnEveryModel = (attempts) => async (content, count, anime, category, page, options) => {
+      for (let i = 1; i < attempts; i++) {
+        if (options.beforeFallback() === false) {
+          throw Object.assign(new Error('API call budget exhausted'), { attempts: i, chainExhausted: false, budgetExhausted: true });
+        }
+        options.onFallback({ from: `model-${i}`, to: `model-${i + 1}`, reason: 'invalid output', error: 'no questions' });
+      }
+      throw exhausted(attempts);
+    };
+
+    it('leaves a section that failed on every model unprocessed and keeps going', async () => {
+      questionsService.generateQuestions
+        .mockImplementationOnce(failOnEveryModel(3))
+        .mockResolvedValueOnce([{ question: 'Q?', generatedBy: 'gpt-5.4' }]);
+      const process = resumedRun({ apiCallsMade: 0, resumeCount: 0, fallbackModels: ['gpt-5.4', 'gemini-2.5-pro'] });
+
+      await generationRunnerService.run(process, io);
+
+      expect(process.status).toBe('completed');
+      expect(scrapingService.markSectionAsProcessed.mock.calls.map(call => call[0])).toEqual(['Nami/Relationships']);
+      expect(process.apiCallsMade).toBe(4);
+      expect(process.progress).toBe(0);
+      expect(process.logs.map(entry => entry.message)).toEqual(expect.arrayContaining([
+        expect.stringContaining('Section "Abilities" on Nami failed on every model'),
+        '1 sections failed on every model and were left unprocessed; a new run over the same pages retries them.',
+      ]));
+    });
+
+    it('counts failed attempts toward the API call budget', async () => {
+      questionsService.generateQuestions.mockImplementation(failOnEveryModel(3));
+      const process = resumedRun({ apiCallsMade: 0, maxApiCalls: 3, resumeCount: 0 });
+
+      await generationRunnerService.run(process, io);
+
+      expect(questionsService.generateQuestions).toHaveBeenCalledTimes(1);
+      expect(process.apiCallsMade).toBe(3);
+      expect(process.logs.map(entry => entry.message)).toContain('API call limit of 3 reached.');
+    });
+
+    it('ends a fallback chain when the API call budget has no slot left for the next model', async () => {
+      questionsService.generateQuestions.mockImplementation(failOnEveryModel(3));
+      const process = resumedRun({ apiCallsMade: 0, maxApiCalls: 2, resumeCount: 0, fallbackModels: ['gpt-5.4', 'gemini-2.5-pro'] });
+
+      await generationRunnerService.run(process, io);
+
+      expect(questionsService.generateQuestions).toHaveBeenCalledTimes(1);
+      expect(process.apiCallsMade).toBe(2);
+      expect(scrapingService.markSectionAsProcessed).not.toHaveBeenCalled();
+      expect(process.logs.map(entry => entry.message)).toContain('API call limit of 2 reached.');
+    });
+
+    it('still fails the run on errors that are not about one model', async () => {
+      questionsService.generateQuestions.mockRejectedValue(Object.assign(new Error('Question generation failed: 400 prompt is too long'), {
+        attempts: 1,
+        chainExhausted: false,
+      }));
+      const process = resumedRun({ apiCallsMade: 0, resumeCount: 0 });
+
+      await generationRunnerService.run(process, io);
+
+      expect(process.status).toBe('error');
+      expect(process.apiCallsMade).toBe(1);
+    });
+  });
+});
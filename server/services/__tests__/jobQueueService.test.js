@@ -0,0 +1,91 @@
+jest.mock('../../config/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(),
+  };
+  return { supabase: mockSupabase };
+});
+
+const { supabase } = require('../../config/supabase');
+const jobQueueService = require('../jobQueueService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'insert', 'update', 'eq', 'in', 'order', 'limit'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JobQueueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobQueueService.running.clear();
+    jobQueueService.handlers = {};
+    delete process.env.QUEUE_CONCURRENCY_GEMINI;
+  });
+
+  describe('hasCapacity', () => {
+    it('blocks a job once its provider reaches the concurrency limit', () => {
+      jobQueueService.running.set('a', { job: { provider: 'gemini', type: 'review' } });
+      jobQueueService.running.set('b', { job: { provider: 'gemini', type: 'generation' } });
+
+      expect(jobQueueService.hasCapacity({ provider: 'gemini', type: 'review' })).toBe(false);
+      expect(jobQueueService.hasCapacity({ provider: 'openai', type: 'review' })).toBe(true);
+    });
+
+    it('honours QUEUE_CONCURRENCY_<KEY> overrides', () => {
+      process.env.QUEUE_CONCURRENCY_GEMINI = '3';
+      jobQueueService.running.set('a', { job: { provider: 'gemini', type: 'review' } });
+      jobQueueService.running.set('b', { job: { provider: 'gemini', type: 'generation' } });
+
+      expect(jobQueueService.getConcurrencyLimit('gemini')).toBe(3);
+      expect(jobQueueService.hasCapacity({ provider: 'gemini', type: 'review' })).toBe(true);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('rejects job types without a registered handler', async () => {
+      await expect(jobQueueService.enqueue({ type: 'unknown', provider: 'openai' }))
+        .rejects.toThrow('No handler registered for job type: unknown');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('drain', () => {
+    it('starts queued jobs oldest-first up to the provider limit', async () => {
+      const started = [];
+      jobQueueService.registerHandler('review', {
+        run: (job) => { started.push(job.id); return new Promise(() => {}); },
+      });
+
+      const queued = [
+        { id: 'first', type: 'review', provider: 'gemini', created_at: '2024-01-01T00:00:00Z' },
+        { id: 'second', type: 'review', provider: 'gemini', created_at: '2024-01-01T00:00:01Z' },
+        { id: 'third', type: 'review', provider: 'gemini', created_at: '2024-01-01T00:00:02Z' },
+      ];
+      supabase.from.mockImplementation(() => {
+        const chain = mockChain({ data: queued, error: null });
+        chain.update.mockImplementation(() => {
+          const claim = mockChain({ data: [], error: null });
+          claim.eq.mockImplementation((column, value) => {
+            if (column === 'id') claim.claimedId = value;
+            return claim;
+          });
+          claim.select.mockImplementation(() => mockChain({ data: [{ id: claim.claimedId }], error: null }));
+          return claim;
+        });
+        return chain;
+      });
+
+      await jobQueueService.drain();
+      await flush();
+
+      expect(started).toEqual(['first', 'second']);
+      expect(jobQueueService.running.size).toBe(2);
+    });
+  });
+});
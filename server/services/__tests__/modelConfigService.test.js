@@ -169,4 +169,54 @@ describe('ModelConfigService', () => {
       expect(supabase.from).toHaveBeenCalledTimes(1);
     });
   });
+
+  describe('applyMigrations', () => {
+    const migrationChain = (applied) => ({
+      select: jest.fn().mockResolvedValue({ data: applied.map(id => ({ id })), error: null }),
+      insert: jest.fn().mockResolvedValue({ error: null }),
+    });
+
+    it('adds the new default models and rates once, after the existing models', async () => {
+      const migrations = migrationChain([]);
+      const models = mockChain({
+        data: [
+          { id: '1', api_model_id: 'gpt-5.5', sort_order: 0, input_cost_per_million: null, output_cost_per_million: null },
+          { id: '2', api_model_id: 'gemini-2.5-pro', sort_order: 1, input_cost_per_million: null, output_cost_per_million: null },
+          { id: '3', api_model_id: 'gemini-flash-latest', sort_order: 2, input_cost_per_million: 0.5, output_cost_per_million: null },
+        ],
+        error: null,
+      });
+      models.insert.mockResolvedValue({ error: null });
+      // updatePricing awaits the chain after .select()
+      models.then = (resolve) => resolve({ data: [], error: null });
+      supabase.from.mockImplementation(table => (table === 'model_config_migrations' ? migrations : models));
+
+      const applied = await modelConfigService.applyMigrations();
+
+      expect(applied).toEqual(['claude-models-and-default-rates']);
+      expect(models.insert.mock.calls[0][0].map(m => [m.api_model_id, m.sort_order])).toEqual([
+        ['claude-opus-4-5', 3],
+        ['claude-sonnet-4-5', 4],
+        ['claude-haiku-4-5', 5],
+      ]);
+      // A row with any rate set was priced by the user and keeps it
+      expect(models.update).toHaveBeenCalledTimes(1);
+      expect(models.update).toHaveBeenCalledWith({ input_cost_per_million: 1.25, output_cost_per_million: 10 });
+      expect(models.eq).toHaveBeenCalledWith('id', '2');
+      expect(migrations.insert).toHaveBeenCalledWith([
+        expect.objectContaining({ id: 'claude-models-and-default-rates' }),
+      ]);
+    });
+
+    it('does not re-add models deleted after the migration ran', async () => {
+      const migrations = migrationChain(['claude-models-and-default-rates']);
+      supabase.from.mockReturnValue(migrations);
+
+      const applied = await modelConfigService.applyMigrations();
+
+      expect(applied).toEqual([]);
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(migrations.insert).not.toHaveBeenCalled();
+    });
+  });
 });
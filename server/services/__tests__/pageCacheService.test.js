@@ -0,0 +1,101 @@
+jest.mock('../../config/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(),
+  };
+  return { supabase: mockSupabase };
+});
+
+const { supabase } = require('../../config/supabase');
+const pageCacheService = require('../pageCacheService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'delete', 'eq', 'neq', 'order', 'limit', 'maybeSingle'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+describe('PageCacheService', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.FANDOM_CACHE_MODE;
+    delete process.env.FANDOM_CACHE_TTL_HOURS;
+    delete process.env.FANDOM_QUERY_CACHE_TTL_HOURS;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('skipSignature', () => {
+    it('ignores order, case and duplicates in the skip list', () => {
+      expect(pageCacheService.skipSignature(['Trivia', 'gallery']))
+        .toBe(pageCacheService.skipSignature([' Gallery', 'trivia', 'TRIVIA']));
+      expect(pageCacheService.skipSignature([])).toBe('all');
+    });
+  });
+
+  describe('isFresh', () => {
+    it('applies the page and query TTLs', () => {
+      process.env.FANDOM_CACHE_TTL_HOURS = '12';
+
+      expect(pageCacheService.isFresh({ fetched_at: hoursAgo(11) })).toBe(true);
+      expect(pageCacheService.isFresh({ fetched_at: hoursAgo(13) })).toBe(false);
+      expect(pageCacheService.isFresh({ fetched_at: hoursAgo(2) }, 'query')).toBe(false);
+    });
+
+    it('treats every cached entry as fresh in offline mode', () => {
+      process.env.FANDOM_CACHE_MODE = 'offline';
+
+      expect(pageCacheService.isFresh({ fetched_at: hoursAgo(24 * 365) })).toBe(true);
+    });
+  });
+
+  describe('getQuery', () => {
+    it('returns fresh responses and drops stale ones', async () => {
+      supabase.from.mockReturnValueOnce(mockChain({ data: { data: { query: 'fresh' }, fetched_at: hoursAgo(0.5) }, error: null }));
+      supabase.from.mockReturnValueOnce(mockChain({ data: { data: { query: 'stale' }, fetched_at: hoursAgo(3) }, error: null }));
+
+      const params = { action: 'query', list: 'allcategories' };
+      expect(await pageCacheService.getQuery('onepiece', params)).toEqual({ query: 'fresh' });
+      expect(await pageCacheService.getQuery('onepiece', params)).toBeNull();
+    });
+
+    it('bypasses the store when the cache is off', async () => {
+      process.env.FANDOM_CACHE_MODE = 'off';
+
+      expect(await pageCacheService.getQuery('onepiece', { action: 'query' })).toBeNull();
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('treats a read error as a miss', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      supabase.from.mockReturnValue(mockChain({ data: null, error: { message: 'relation does not exist' } }));
+
+      expect(await pageCacheService.getQuery('onepiece', { action: 'query' })).toBeNull();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('invalidate', () => {
+    it('clears every revision of one page but leaves list queries alone', async () => {
+      const pages = mockChain({ count: 3, error: null });
+      supabase.from.mockReturnValue(pages);
+
+      const result = await pageCacheService.invalidate({ wiki: 'onepiece', pageTitle: 'Nami' });
+
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(supabase.from).toHaveBeenCalledWith('fandom_page_cache');
+      expect(pages.eq).toHaveBeenCalledWith('wiki', 'onepiece');
+      expect(pages.eq).toHaveBeenCalledWith('page_title', 'Nami');
+      expect(result).toEqual({ pagesRemoved: 3, queriesRemoved: 0 });
+    });
+  });
+});
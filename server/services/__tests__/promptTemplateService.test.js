@@ -0,0 +1,144 @@
+jest.mock('../../config/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { supabase } = require('../../config/supabase');
+const promptTemplateService = require('../promptTemplateService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'insert', 'update', 'eq', 'order', 'single', 'maybeSingle'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+const TEMPLATE_ROW = {
+  id: 3,
+  name: 'Focus',
+  body: 'Ask about {focus} in {pageTitle}.',
+  variables: [{ name: 'focus', description: '', defaultValue: 'abilities', required: false }],
+  active: true,
+  current_version: 2,
+};
+
+const VERSION_ROWS = [
+  { version: 2, body: TEMPLATE_ROW.body, variables: TEMPLATE_ROW.variables },
+  { version: 1, body: 'Ask about {pageTitle}.', variables: [] },
+];
+
+describe('PromptTemplateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeTemplate', () => {
+    it('accepts built-in and declared variables', () => {
+      const template = promptTemplateService.normalizeTemplate({
+        name: ' Focus ',
+        body: 'Ask {amountOfQuestions} questions about {focus}.',
+        variables: [{ name: 'focus', defaultValue: ' abilities ' }],
+      });
+
+      expect(template).toEqual({
+        name: 'Focus',
+        description: null,
+        body: 'Ask {amountOfQuestions} questions about {focus}.',
+        variables: [{ name: 'focus', description: '', defaultValue: 'abilities', required: false }],
+        active: true,
+      });
+    });
+
+    it('rejects undeclared placeholders and bad variable names', () => {
+      expect(() => promptTemplateService.normalizeTemplate({ name: 'A', body: 'About {topic}' }))
+        .toThrow('{topic} is not a variable');
+      expect(() => promptTemplateService.normalizeTemplate({ name: 'A', body: 'x', variables: [{ name: '1st' }] }))
+        .toThrow('must start with a letter');
+      expect(() => promptTemplateService.normalizeTemplate({ name: 'A', body: 'x', variables: [{ name: 'pageTitle' }] }))
+        .toThrow('cannot be redefined');
+    });
+  });
+
+  describe('render', () => {
+    it('fills run values and generator context, leaving unknown braces alone', () => {
+      const text = promptTemplateService.render(
+        { body: 'Ask {amountOfQuestions} about {focus} on {pageTitle} {notAVariable}', values: { focus: 'haki' } },
+        { pageTitle: 'Luffy', amountOfQuestions: 3 }
+      );
+      expect(text).toBe('Ask 3 about haki on Luffy {notAVariable}');
+    });
+  });
+
+  describe('versions', () => {
+    it('writes a new version only when the text or variables change', async () => {
+      const template = mockChain({ data: TEMPLATE_ROW, error: null });
+      const versions = mockChain({ data: VERSION_ROWS, error: null });
+      const insert = mockChain({ error: null });
+      const update = mockChain({ data: { ...TEMPLATE_ROW, current_version: 3 }, error: null });
+      supabase.from
+        .mockReturnValueOnce(template)
+        .mockReturnValueOnce(versions)
+        .mockReturnValueOnce(insert)
+        .mockReturnValueOnce(update);
+
+      await promptTemplateService.updateTemplate(3, { body: 'Ask about {focus}.', changeNote: 'shorter' });
+
+      expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({
+        template_id: 3, version: 3, body: 'Ask about {focus}.', change_note: 'shorter',
+      }));
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ current_version: 3 }));
+    });
+
+    it('renames in place without a new version', async () => {
+      const update = mockChain({ data: { ...TEMPLATE_ROW, name: 'Renamed' }, error: null });
+      supabase.from
+        .mockReturnValueOnce(mockChain({ data: TEMPLATE_ROW, error: null }))
+        .mockReturnValueOnce(mockChain({ data: VERSION_ROWS, error: null }))
+        .mockReturnValueOnce(update);
+
+      await promptTemplateService.updateTemplate(3, { name: 'Renamed' });
+
+      expect(supabase.from).toHaveBeenCalledTimes(3);
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ name: 'Renamed', current_version: 2 }));
+    });
+
+    it('snapshots the requested version with defaults for missing values', async () => {
+      supabase.from
+        .mockReturnValueOnce(mockChain({ data: TEMPLATE_ROW, error: null }))
+        .mockReturnValueOnce(mockChain({ data: VERSION_ROWS, error: null }));
+
+      const snapshot = await promptTemplateService.resolveForRun(3);
+
+      expect(snapshot).toMatchObject({ id: 3, name: 'Focus', version: 2, values: { focus: 'abilities' } });
+    });
+
+    it('refuses inactive templates', async () => {
+      supabase.from
+        .mockReturnValueOnce(mockChain({ data: { ...TEMPLATE_ROW, active: false }, error: null }))
+        .mockReturnValueOnce(mockChain({ data: VERSION_ROWS, error: null }));
+
+      await expect(promptTemplateService.resolveForRun(3)).rejects.toThrow('is not active');
+    });
+  });
+
+  describe('getVersionStats', () => {
+    it('summarizes review quality per version', async () => {
+      supabase.from.mockReturnValue(mockChain({
+        data: [
+          { prompt_template_version: 1, review_score: 2, status: 'rejected', verification_verdict: 'wrong_key' },
+          { prompt_template_version: 2, review_score: 5, status: 'approved' },
+          { prompt_template_version: 2, review_score: 4, status: 'approved' },
+          { prompt_template_version: 2, review_score: null, status: 'approved' },
+        ],
+        error: null,
+      }));
+
+      expect(await promptTemplateService.getVersionStats(3)).toEqual([
+        { version: 2, questions: 3, reviewed: 2, rejected: 0, wrongKey: 0, averageScore: 4.5 },
+        { version: 1, questions: 1, reviewed: 1, rejected: 1, wrongKey: 1, averageScore: 2 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../openaiService', () => ({ createCompletion: jest.fn(), testConnection: jest.fn() }));
+jest.mock('../geminiService', () => ({ generateQuestionsStructured: jest.fn(), testConnection: jest.fn() }));
+
+const providerRegistry = require('../providerRegistry');
+const { getProviderConfigs } = require('../../config/aiProviders');
+const OpenAICompatibleProvider = require('../providers/openaiCompatibleProvider');
+
+describe('providerRegistry', () => {
+  it('registers the built-in providers', () => {
+    expect(providerRegistry.has('openai')).toBe(true);
+    expect(providerRegistry.has('gemini')).toBe(true);
+    expect(providerRegistry.has('anthropic')).toBe(true);
+  });
+
+  it('loads OpenAI-compatible endpoints from config and skips broken entries', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    providerRegistry.loadFromConfig([
+      { name: 'lab', type: 'openai-compatible', label: 'Lab box', baseUrl: 'http://localhost:8080/v1' },
+      { name: 'nourl', type: 'openai-compatible' },
+      { name: 'mystery', type: 'carrier-pigeon' },
+    ]);
+
+    expect(providerRegistry.get('lab')).toMatchObject({ label: 'Lab box', type: 'openai-compatible' });
+    expect(providerRegistry.has('nourl')).toBe(false);
+    expect(providerRegistry.has('mystery')).toBe(false);
+    expect(errorSpy).toHaveBeenCalledTimes(2);
+    errorSpy.mockRestore();
+  });
+
+  it('rejects adapters that do not implement the interface', () => {
+    expect(() => providerRegistry.register({ name: 'half', generateQuestions() {} }))
+      .toThrow('missing score, testConnection, listModels, isConfigured');
+  });
+});
+
+describe('getProviderConfigs', () => {
+  it('adds the local endpoint and custom providers from the environment', () => {
+    const configs = getProviderConfigs({
+      LOCAL_LLM_BASE_URL: 'http://localhost:11434/v1',
+      AI_PROVIDERS: JSON.stringify([{ name: 'gateway', type: 'openai-compatible', baseUrl: 'https://gw/v1', apiKeyEnv: 'GW_KEY' }]),
+      GW_KEY: 'secret',
+    });
+
+    expect(configs.map(c => c.name)).toEqual(['openai', 'gemini', 'anthropic', 'local', 'gateway']);
+    expect(configs[4].apiKey).toBe('secret');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  const provider = new OpenAICompatibleProvider({ name: 'local', label: 'Local model', baseUrl: 'http://localhost:11434/v1' });
+
+  it('sends a JSON-mode request and reports usage under its own name', async () => {
+    const create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: '```json\n{"questions": [{"question": "Q?", "options": ["a", "b", "c", "d"], "correctAnswer": 1}]}\n```' } }],
+      usage: { prompt_tokens: 100, completion_tokens: 20 },
+    });
+    provider.client = { chat: { completions: { create } } };
+    const onUsage = jest.fn();
+
+    const questions = await provider.generateQuestions('prompt', 'llama-3.1-8b', { onUsage });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ model: 'llama-3.1-8b', response_format: { type: 'json_object' } }));
+    expect(questions).toEqual([{ question: 'Q?', options: ['a', 'b', 'c', 'd'], correctAnswer: 1 }]);
+    expect(onUsage).toHaveBeenCalledWith({ provider: 'local', model: 'llama-3.1-8b', promptTokens: 100, completionTokens: 20 });
+  });
+
+  it('throws when the reply has no questions', () => {
+    expect(() => provider.parseQuestions('Sorry, I cannot help with that.')).toThrow('did not return JSON');
+    expect(() => provider.parseQuestions('{"questions": []}')).toThrow('did not return valid questions');
+  });
+});
@@ -0,0 +1,142 @@
+jest.mock('../../config/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('../questionsService', () => ({
+  generateQuestions: jest.fn(),
+  toQuestionFields: jest.fn(q => ({ question_text: q.question, generated_by_model: q.generatedBy })),
+}));
+jest.mock('../simpleQuestionReviewService', () => ({
+  requestScores: jest.fn(),
+  updateQuestionsWithScores: jest.fn(),
+}));
+jest.mock('../usageService', () => ({ trackUsage: jest.fn() }));
+
+const { supabase } = require('../../config/supabase');
+const questionsService = require('../questionsService');
+const simpleQuestionReviewService = require('../simpleQuestionReviewService');
+const questionBulkService = require('../questionBulkService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'update', 'delete', 'eq', 'in', 'single', 'maybeSingle'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+describe('QuestionBulkService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeIds', () => {
+    it('dedupes ids and enforces the limit', () => {
+      expect(questionBulkService.normalizeIds([1, '1', 2])).toEqual(['1', '2']);
+      expect(() => questionBulkService.normalizeIds([])).toThrow('non-empty array');
+      expect(() => questionBulkService.normalizeIds('1,2')).toThrow('non-empty array');
+      expect(() => questionBulkService.normalizeIds([1, 2, 3], 2)).toThrow('At most 2');
+    });
+  });
+
+  describe('setStatus', () => {
+    it('can flag questions for a fix and clear the flag again', () => {
+      expect(questionBulkService.getStatuses()).toEqual(expect.arrayContaining(['needs_fix', 'approved']));
+    });
+
+    it('reports ids the update did not touch as not found', async () => {
+      const chain = mockChain({ data: [{ id: 1 }], error: null });
+      supabase.from.mockReturnValue(chain);
+
+      const result = await questionBulkService.setStatus(['1', '2'], 'rejected');
+
+      expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'rejected' }));
+      expect(chain.in).toHaveBeenCalledWith('id', ['1', '2']);
+      expect(result).toEqual({
+        results: [
+          { id: '1', success: true, status: 'rejected' },
+          { id: '2', success: false, error: 'Question not found' },
+        ],
+        succeeded: 1,
+        failed: 1,
+      });
+    });
+  });
+
+  describe('reReview', () => {
+    it('scores per category and fails only the batch whose AI call failed', async () => {
+      supabase.from.mockReturnValue(mockChain({
+        data: [
+          { id: 1, category_id: 10 },
+          { id: 2, category_id: 20 },
+          { id: 3, category_id: 10 },
+        ],
+        error: null,
+      }));
+      simpleQuestionReviewService.requestScores
+        .mockResolvedValueOnce([5, 2])
+        .mockRejectedValueOnce(new Error('429 rate limited'));
+
+      const result = await questionBulkService.reReview(['1', '2', '3', '4'], 'gpt-4o-mini');
+
+      expect(simpleQuestionReviewService.requestScores).toHaveBeenCalledWith(
+        [{ id: 1, category_id: 10 }, { id: 3, category_id: 10 }], 'gpt-4o-mini', 10
+      );
+      expect(result.results).toEqual([
+        { id: '1', success: true, score: 5 },
+        { id: '2', success: false, error: '429 rate limited' },
+        { id: '3', success: true, score: 2 },
+        { id: '4', success: false, error: 'Question not found' },
+      ]);
+    });
+
+    it('fails the batches it did not reach when its job is cancelled', async () => {
+      supabase.from.mockReturnValue(mockChain({
+        data: Array.from({ length: 12 }, (_, i) => ({ id: i + 1, category_id: 10 })),
+        error: null,
+      }));
+      simpleQuestionReviewService.requestScores.mockResolvedValue(Array(10).fill(4));
+      let cancelled = false;
+      const onProgress = jest.fn(() => { cancelled = true; });
+
+      const ids = Array.from({ length: 12 }, (_, i) => String(i + 1));
+      const result = await questionBulkService.reReview(ids, 'gpt-4o-mini', { isCancelled: () => cancelled, onProgress });
+
+      expect(simpleQuestionReviewService.requestScores).toHaveBeenCalledTimes(1);
+      expect(onProgress.mock.calls.map(call => call[0])).toEqual([{ done: 10, total: 12 }]);
+      expect(result).toMatchObject({ succeeded: 10, failed: 2 });
+      expect(result.results[11]).toEqual({ id: '12', success: false, error: 'Cancelled' });
+    });
+  });
+
+  describe('regenerate', () => {
+    it('rewrites a question from its passage with the same type and difficulty', async () => {
+      const lookup = mockChain({
+        data: [
+          { id: 1, category_id: 10, question_type: 'true_false', difficulty: 'hard', source_context: 'Passage', source_page_title: 'Luffy', categories: { name: 'One Piece' } },
+          { id: 2, category_id: 10, source_context: null },
+        ],
+        error: null,
+      });
+      const update = mockChain({ data: { id: 1, question_text: 'New?' }, error: null });
+      supabase.from.mockReturnValueOnce(lookup).mockReturnValueOnce(update);
+      questionsService.generateQuestions.mockResolvedValue([{ question: 'New?', generatedBy: 'gpt-4o' }]);
+
+      const result = await questionBulkService.regenerate(['1', '2'], 'gpt-4o');
+
+      expect(questionsService.generateQuestions).toHaveBeenCalledWith('Passage', 1, 'One Piece', null, 'Luffy', expect.objectContaining({
+        model: 'gpt-4o',
+        questionTypeMix: { true_false: 100 },
+        difficultyMix: { hard: 100 },
+      }));
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ question_text: 'New?', review_score: null }));
+      expect(update.eq).toHaveBeenCalledWith('id', 1);
+      expect(result.results).toEqual([
+        { id: '1', success: true, question: { id: 1, question_text: 'New?' } },
+        { id: '2', success: false, error: 'No source passage stored for this question' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock('../../config/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('../aiProviderService.js', () => ({ generateWithFallback: jest.fn() }));
+jest.mock('../duplicateService', () => ({ filterDuplicates: jest.fn() }));
+jest.mock('../storyArcService', () => ({ findByName: jest.fn(), describe: jest.fn() }));
+
+const { supabase } = require('../../config/supabase');
+const questionsService = require('../questionsService');
+const questionSearchService = require('../questionSearchService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'eq', 'or', 'is', 'not', 'gte', 'lte', 'ilike', 'order', 'limit', 'range'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+describe('QuestionSearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeParams', () => {
+    it('applies defaults and clamps the page size', () => {
+      const params = questionSearchService.normalizeParams({ q: '  straw hat ', limit: '500' });
+      expect(params).toMatchObject({ q: 'straw hat', sort: 'newest', cursor: null, pageSize: 100, spoiler: null });
+    });
+
+    it('rejects unknown sorts and bad dates', () => {
+      expect(() => questionSearchService.normalizeParams({ sort: 'random' })).toThrow('sort must be one of');
+      expect(() => questionSearchService.normalizeParams({ createdFrom: 'yesterday' })).toThrow('createdFrom must be a date');
+    });
+
+    it('treats a plain end date as the whole day', () => {
+      expect(questionSearchService.normalizeParams({ createdTo: '2026-03-01' }).createdTo)
+        .toBe('2026-03-01T23:59:59.999Z');
+    });
+  });
+
+  describe('cursors', () => {
+    it('round-trips and refuses a cursor from another sort', () => {
+      const cursor = questionSearchService.encodeCursor('score', { id: 7, review_score: null });
+      expect(questionSearchService.decodeCursor(cursor, 'score')).toEqual({ value: null, id: 7 });
+      expect(() => questionSearchService.decodeCursor(cursor, 'newest')).toThrow('Invalid cursor');
+      expect(() => questionSearchService.decodeCursor('garbage', 'newest')).toThrow('Invalid cursor');
+    });
+
+    it('continues after the last row and keeps null scores at the end', () => {
+      const score = { column: 'review_score', ascending: false, nullable: true };
+      expect(questionSearchService.buildCursorFilter(score, { value: 4, id: 10 }))
+        .toBe('review_score.lt."4",and(review_score.eq."4",id.lt."10"),review_score.is.null');
+      expect(questionSearchService.buildCursorFilter(score, { value: null, id: 10 }))
+        .toBe('and(review_score.is.null,id.lt."10")');
+    });
+  });
+
+  describe('countFacets', () => {
+    const rows = [
+      { category_id: 1, categories: { name: 'One Piece' }, status: 'approved', review_score: 5, generated_by_model: 'a', created_at: '2026-02-03' },
+      { category_id: 1, categories: { name: 'One Piece' }, status: 'rejected', review_score: null, generated_by_model: 'b', created_at: '2026-02-10' },
+      { category_id: 2, categories: { name: 'Naruto' }, status: 'approved', review_score: 4, generated_by_model: 'a', created_at: '2026-01-20' },
+    ];
+
+    it('counts each facet without its own filter', () => {
+      const { facets, total } = questionSearchService.countFacets(rows, { status: 'approved' });
+
+      expect(total).toBe(2);
+      expect(facets.status).toEqual([
+        { value: 'approved', label: 'approved', count: 2 },
+        { value: 'rejected', label: 'rejected', count: 1 },
+      ]);
+      expect(facets.category).toEqual([
+        { value: 1, label: 'One Piece', count: 1 },
+        { value: 2, label: 'Naruto', count: 1 },
+      ]);
+      expect(facets.createdMonth).toEqual([
+        { value: '2026-02', label: '2026-02', count: 1 },
+        { value: '2026-01', label: '2026-01', count: 1 },
+      ]);
+    });
+
+    it('reports unreviewed questions as their own score', () => {
+      const { facets } = questionSearchService.countFacets(rows, { reviewScore: 'unreviewed' });
+      expect(facets.reviewScore.find(f => f.value === 'unreviewed').count).toBe(1);
+      expect(facets.model).toEqual([{ value: 'b', label: 'b', count: 1 }]);
+    });
+  });
+
+  describe('search', () => {
+    it('returns a page with a cursor to the next one', async () => {
+      const rows = [1, 2, 3].map(id => ({ id, created_at: `2026-02-0${id}`, question_text: `Q${id}` }));
+      const page = mockChain({ data: rows, error: null });
+      const facetRows = mockChain({ data: rows, error: null });
+      const count = mockChain({ count: 3, error: null });
+      supabase.from.mockReturnValueOnce(page).mockReturnValueOnce(facetRows).mockReturnValueOnce(count);
+
+      const params = questionSearchService.normalizeParams({ q: 'luffy', limit: '2' });
+      const result = await questionSearchService.search(params);
+
+      expect(result.questions.map(q => q.id)).toEqual([1, 2]);
+      expect(result.total).toBe(3);
+      expect(result.truncated).toBe(false);
+      expect(count.select).toHaveBeenCalledWith('id', { count: 'exact', head: true });
+      expect(page.limit).toHaveBeenCalledWith(3);
+      expect(page.or).toHaveBeenCalledWith('question_text.ilike."%luffy%",search_text.ilike."%luffy%"');
+      expect(questionSearchService.decodeCursor(result.nextCursor, 'newest')).toEqual({ value: '2026-02-02', id: 2 });
+    });
+
+    it('counts past the response cap and reads facet rows in pages', async () => {
+      const pageOf = (from, size) => Array.from({ length: size }, (_, i) => ({ id: from + i, status: 'approved', created_at: '2026-02-01' }));
+      const page = mockChain({ data: [], error: null });
+      const facetPages = [mockChain({ data: pageOf(0, 1000), error: null }), mockChain({ data: pageOf(1000, 400), error: null })];
+      const count = mockChain({ count: 1400, error: null });
+      supabase.from
+        .mockReturnValueOnce(page)
+        .mockReturnValueOnce(facetPages[0])
+        .mockReturnValueOnce(count)
+        .mockReturnValueOnce(facetPages[1]);
+
+      const result = await questionSearchService.search(questionSearchService.normalizeParams({}));
+
+      expect(facetPages[0].range).toHaveBeenCalledWith(0, 999);
+      expect(facetPages[1].range).toHaveBeenCalledWith(1000, 1999);
+      expect(result.total).toBe(1400);
+      expect(result.facets.status).toEqual([{ value: 'approved', label: 'approved', count: 1400 }]);
+      expect(result.truncated).toBe(false);
+    });
+
+    it('skips facets on later pages', async () => {
+      const page = mockChain({ data: [{ id: 4, created_at: '2026-01-01' }], error: null });
+      supabase.from.mockReturnValueOnce(page);
+
+      const cursor = questionSearchService.encodeCursor('newest', { id: 3, created_at: '2026-02-01' });
+      const result = await questionSearchService.search(questionSearchService.normalizeParams({ cursor }));
+
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ nextCursor: null, facets: null, total: null });
+      expect(page.or).toHaveBeenCalledWith('created_at.lt."2026-02-01",and(created_at.eq."2026-02-01",id.lt."3")');
+    });
+  });
+
+  describe('search terms', () => {
+    it('splits words and quoted phrases and drops filter syntax', () => {
+      expect(questionsService.splitSearchTerms('Gum-Gum "devil fruit" (Luffy),'))
+        .toEqual(['Gum-Gum', 'devil fruit', 'Luffy']);
+      expect(questionsService.splitSearchTerms('')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const questionTypeService = require('../questionTypeService');
+
+describe('QuestionTypeService', () => {
+  describe('normalize', () => {
+    it('treats questions without a type as multiple choice', () => {
+      const q = questionTypeService.normalize({ question: 'Q?', options: ['a', 'b', 'c', 'd'], correctAnswer: 2 });
+
+      expect(q).toMatchObject({ type: 'multiple_choice', correctAnswer: 2, acceptedAnswers: [] });
+      expect(questionTypeService.validate(q)).toBeNull();
+    });
+
+    it('maps true/false answers onto fixed True/False options', () => {
+      const q = questionTypeService.normalize({
+        type: 'true_false', question: 'Luffy is a swordsman.', options: ['False', 'True'], correctAnswer: 0,
+      });
+
+      expect(q.options).toEqual(['True', 'False']);
+      expect(q.correctAnswer).toBe(1);
+      expect(questionTypeService.validate(q)).toBeNull();
+    });
+
+    it('keeps the answer of a short-answer question and dedupes its aliases', () => {
+      const q = questionTypeService.normalize({
+        type: 'short answer',
+        question: "What is Luffy's bounty nickname?",
+        options: ['Straw Hat'],
+        correctAnswer: 0,
+        acceptedAnswers: ['straw hat', 'Strawhat', ' Mugiwara ', ''],
+      });
+
+      expect(q.type).toBe('short_answer');
+      expect(q.acceptedAnswers).toEqual(['Strawhat', 'Mugiwara']);
+      expect(questionTypeService.validate(q)).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    it('rejects multiple choice without four options', () => {
+      const q = questionTypeService.normalize({ question: 'Q?', options: ['a', 'b'], correctAnswer: 0 });
+      expect(questionTypeService.validate(q)).toBe('Must have exactly 4 options');
+    });
+
+    it('requires three to six distinct items for ordering', () => {
+      const tooFew = questionTypeService.normalize({ type: 'ordering', question: 'Order', options: ['a', 'b'], correctAnswer: 0 });
+      const repeated = questionTypeService.normalize({ type: 'ordering', question: 'Order', options: ['a', 'b', 'A'], correctAnswer: 0 });
+      const valid = questionTypeService.normalize({ type: 'ordering', question: 'Order', options: ['East Blue', 'Alabasta', 'Skypiea'] });
+
+      expect(questionTypeService.validate(tooFew)).toMatch('between 3 and 6');
+      expect(questionTypeService.validate(repeated)).toBe('Items to order must be distinct');
+      expect(questionTypeService.validate(valid)).toBeNull();
+    });
+  });
+
+  describe('formatForPrompt', () => {
+    it('describes ordering questions by their correct order', () => {
+      const text = questionTypeService.formatForPrompt({
+        question_type: 'ordering', question_text: 'Put these arcs in order', options: ['East Blue', 'Alabasta', 'Skypiea'], correct_answer: 0,
+      });
+
+      expect(text).toContain('Type: Ordering');
+      expect(text).toContain('Correct Order: 1. East Blue 2. Alabasta 3. Skypiea');
+    });
+  });
+});
@@ -0,0 +1,261 @@
+jest.mock('../../config/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('../aiProviderService.js', () => ({ generateWithFallback: jest.fn() }));
+jest.mock('../duplicateService', () => ({ filterDuplicates: jest.fn(), remember: jest.fn() }));
+jest.mock('../storyArcService', () => ({
+  findByName: jest.fn(),
+  listArcs: jest.fn(),
+  describe: jest.fn(arc => `${arc.name} (chapters ${arc.startChapter}–${arc.endChapter})`),
+}));
+
+const { supabase } = require('../../config/supabase');
+const aiProviderService = require('../aiProviderService.js');
+const storyArcService = require('../storyArcService');
+const questionsService = require('../questionsService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'update', 'eq', 'gt', 'or', 'in', 'is', 'not', 'lte', 'ilike', 'order', 'limit'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+describe('QuestionService difficulty', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeDifficultyMix', () => {
+    it('scales weights to percentages', () => {
+      expect(questionsService.normalizeDifficultyMix({ easy: 1, medium: 2, hard: 1 }))
+        .toEqual({ easy: 25, medium: 50, hard: 25 });
+      expect(questionsService.normalizeDifficultyMix({ easy: '', hard: '100' }))
+        .toEqual({ easy: 0, medium: 0, hard: 100 });
+    });
+
+    it('treats an empty mix as no target and rejects invalid weights', () => {
+      expect(questionsService.normalizeDifficultyMix(undefined)).toBeNull();
+      expect(questionsService.normalizeDifficultyMix({ easy: '', medium: '', hard: '' })).toBeNull();
+      expect(() => questionsService.normalizeDifficultyMix({ easy: -5 })).toThrow('"easy"');
+    });
+  });
+
+  describe('distributeDifficulty', () => {
+    it('always hands out exactly the requested number of questions', () => {
+      expect(questionsService.distributeDifficulty({ easy: 30, medium: 50, hard: 20 }, 4))
+        .toEqual({ easy: 1, medium: 2, hard: 1 });
+      expect(questionsService.distributeDifficulty({ easy: 34, medium: 33, hard: 33 }, 1))
+        .toEqual({ easy: 1, medium: 0, hard: 0 });
+    });
+  });
+
+  describe('generateQuestions', () => {
+    it('passes the target mix into the prompt and normalizes returned labels', async () => {
+      aiProviderService.generateWithFallback.mockResolvedValue({
+        questions: [
+          { question: 'Q1?', options: ['a', 'b', 'c', 'd'], correctAnswer: 0, difficulty: 'Hard' },
+          { question: 'Q2?', options: ['a', 'b', 'c', 'd'], correctAnswer: 1, difficulty: 'trivial' },
+        ],
+        model: 'gemini-flash-latest',
+        fallbacks: [],
+      });
+
+      const questions = await questionsService.generateQuestions('Some wiki text', 2, 'One Piece', 'Individual', 'Luffy', {
+        model: 'gemini-flash-latest',
+        difficultyMix: { easy: 50, medium: 0, hard: 50 },
+      });
+
+      const prompt = aiProviderService.generateWithFallback.mock.calls[0][0];
+      expect(prompt).toContain('Aim for this mix: 1 easy, 1 hard.');
+      expect(questions.map(q => q.difficulty)).toEqual(['hard', null]);
+    });
+
+    it('passes the fallback chain and tags questions with the model that wrote them', async () => {
+      aiProviderService.generateWithFallback.mockResolvedValue({
+        questions: [{ question: 'Q1?', options: ['a', 'b', 'c', 'd'], correctAnswer: 0, difficulty: 'easy' }],
+        model: 'gpt-5.4',
+        fallbacks: [{ from: 'gemini-flash-latest', to: 'gpt-5.4', reason: 'invalid output' }],
+      });
+
+      const questions = await questionsService.generateQuestions('Some wiki text', 1, 'One Piece', 'Individual', 'Luffy', {
+        model: 'gemini-flash-latest',
+        fallbackModels: ['gpt-5.4', 'gemini-2.5-pro'],
+      });
+
+      expect(aiProviderService.generateWithFallback.mock.calls[0][1])
+        .toEqual(['gemini-flash-latest', 'gpt-5.4', 'gemini-2.5-pro']);
+      expect(questions[0].generatedBy).toBe('gpt-5.4');
+    });
+  });
+
+  describe('question types', () => {
+    it('asks for the requested type mix and describes each used format', () => {
+      const prompt = questionsService.buildImprovedPrompt({
+        content: 'Some wiki text',
+        animeName: 'One Piece',
+        pageTitle: 'Luffy',
+        promptInstructions: 'Be specific.',
+        amountOfQuestions: 4,
+        questionTypeMix: questionsService.normalizeQuestionTypeMix({ multiple_choice: 50, true_false: 25, ordering: 25 }),
+      });
+
+      expect(prompt).toContain('Write 2 multiple_choice, 1 true_false, 1 ordering.');
+      expect(prompt).toContain('- ordering:');
+      expect(prompt).not.toContain('- short_answer:');
+      expect(prompt).toContain('Generate 4 quiz questions');
+    });
+
+    it('keeps the multiple-choice prompt when no type mix is given', () => {
+      const prompt = questionsService.buildImprovedPrompt({
+        content: 'Some wiki text', animeName: 'One Piece', pageTitle: 'Luffy', promptInstructions: '', amountOfQuestions: 3,
+      });
+
+      expect(prompt).not.toContain('"type"');
+      expect(prompt).toContain('Generate 3 multiple-choice questions');
+    });
+  });
+
+  describe('spoiler tagging', () => {
+    it('normalizes chapter, episode and arc references from the model', () => {
+      expect(questionsService.normalizeSpoiler({ spoilerChapter: 'Chapter 1044', spoilerEpisode: 0, spoilerArc: ' Wano Country ' }))
+        .toEqual({ spoilerChapter: 1044, spoilerEpisode: null, spoilerArc: 'Wano Country' });
+      expect(questionsService.normalizeSpoiler({ spoilerArc: 'N/A' }))
+        .toEqual({ spoilerChapter: null, spoilerEpisode: null, spoilerArc: null });
+    });
+
+    it('validates the "up to" filters', () => {
+      expect(questionsService.normalizeSpoilerFilters({})).toBeNull();
+      expect(questionsService.normalizeSpoilerFilters({ maxChapter: '900', includeUntagged: 'false' }))
+        .toEqual({ maxChapter: 900, maxEpisode: null, upToArc: null, wiki: null, includeUntagged: false });
+      expect(() => questionsService.normalizeSpoilerFilters({ maxEpisode: 'ten' })).toThrow('maxEpisode');
+    });
+
+    it('limits an arc filter to the last chapter tagged with that arc', async () => {
+      storyArcService.findByName.mockResolvedValue(null);
+      const arcLookup = mockChain({ data: [{ spoiler_chapter: 1057 }], error: null });
+      const list = mockChain({ data: [], error: null });
+      supabase.from.mockReturnValueOnce(arcLookup).mockReturnValueOnce(list);
+
+      await questionsService.getQuestions({
+        spoiler: questionsService.normalizeSpoilerFilters({ upToArc: 'Wano Country', maxChapter: 1100 }),
+      });
+
+      expect(arcLookup.ilike).toHaveBeenCalledWith('spoiler_arc', 'Wano Country');
+      expect(list.or).toHaveBeenCalledWith('spoiler_chapter.is.null,spoiler_chapter.lte.1057');
+    });
+
+    it('matches arc names literally', async () => {
+      storyArcService.findByName.mockResolvedValue(null);
+      const arcLookup = mockChain({ data: [], error: null });
+      supabase.from.mockReturnValueOnce(arcLookup).mockReturnValueOnce(mockChain({ data: [], error: null }));
+
+      await questionsService.getQuestions({
+        spoiler: questionsService.normalizeSpoilerFilters({ upToArc: '100%_Arc' }),
+      });
+
+      expect(arcLookup.ilike).toHaveBeenCalledWith('spoiler_arc', '100\\%\\_Arc');
+    });
+  });
+
+  describe('story arcs', () => {
+    it('uses the end chapter of a defined arc for "up to arc" filters', async () => {
+      storyArcService.findByName.mockResolvedValue({ name: 'Wano Country', startChapter: 909, endChapter: 1057 });
+      const list = mockChain({ data: [], error: null });
+      supabase.from.mockReturnValueOnce(list);
+
+      await questionsService.getQuestions({
+        spoiler: questionsService.normalizeSpoilerFilters({ upToArc: 'wano country', includeUntagged: false }),
+      });
+
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(list.lte).toHaveBeenCalledWith('spoiler_chapter', 1057);
+    });
+
+    it('looks the arc up among the arcs of the filtered wiki', async () => {
+      storyArcService.findByName.mockResolvedValue({ name: 'Wano Country', startChapter: 909, endChapter: 1057 });
+      supabase.from.mockReturnValueOnce(mockChain({ data: [], error: null }));
+
+      await questionsService.getQuestions({
+        spoiler: questionsService.normalizeSpoilerFilters({ upToArc: 'Wano Country', wiki: 'onepiece' }),
+      });
+
+      expect(storyArcService.findByName).toHaveBeenCalledWith('Wano Country', 'onepiece');
+    });
+
+    it('includes every earlier arc of the wiki when the arc has no chapters', async () => {
+      storyArcService.findByName.mockResolvedValue({ name: 'Dressrosa', startChapter: null, endChapter: null });
+      storyArcService.listArcs.mockResolvedValue([
+        { name: 'Punk Hazard' }, { name: 'Dressrosa' }, { name: 'Whole Cake Island' },
+      ]);
+      const arcLookup = mockChain({ data: [], error: null });
+      const list = mockChain({ data: [], error: null });
+      supabase.from.mockReturnValueOnce(arcLookup).mockReturnValueOnce(list);
+
+      await questionsService.getQuestions({
+        spoiler: questionsService.normalizeSpoilerFilters({ upToArc: 'dressrosa', wiki: 'onepiece' }),
+      });
+
+      expect(storyArcService.listArcs).toHaveBeenCalledWith('onepiece');
+      expect(list.or).toHaveBeenCalledWith('spoiler_arc.is.null,spoiler_arc.in.("Punk Hazard","Dressrosa")');
+      expect(list.ilike).not.toHaveBeenCalled();
+    });
+
+    it('leaves untagged questions out of an arc filter only when asked to', async () => {
+      storyArcService.findByName.mockResolvedValue(null);
+      const list = mockChain({ data: [], error: null });
+      supabase.from.mockReturnValueOnce(mockChain({ data: [], error: null })).mockReturnValueOnce(list);
+
+      await questionsService.getQuestions({
+        spoiler: questionsService.normalizeSpoilerFilters({ upToArc: 'Egghead', includeUntagged: 'false' }),
+      });
+
+      expect(storyArcService.listArcs).not.toHaveBeenCalled();
+      expect(list.in).toHaveBeenCalledWith('spoiler_arc', ['Egghead']);
+    });
+
+    it('scopes the prompt to the selected arc', () => {
+      const prompt = questionsService.buildImprovedPrompt({
+        content: 'Some wiki text', animeName: 'One Piece', pageTitle: 'Kaido', promptInstructions: '', amountOfQuestions: 2,
+        storyArc: { name: 'Wano Country', startChapter: 909, endChapter: 1057 },
+      });
+
+      expect(prompt).toContain("'Wano Country (chapters 909–1057)' story arc");
+    });
+  });
+
+  describe('backfillSearchText', () => {
+    it('fills search_text for older rows batch by batch', async () => {
+      const firstBatch = mockChain({
+        data: [
+          { id: 1, question_text: 'Who is the captain?', options: ['Luffy', 'Zoro'], accepted_answers: null },
+          { id: 2, question_text: 'Name the ship', options: [], accepted_answers: ['Going Merry'] },
+        ],
+        error: null,
+      });
+      const lastBatch = mockChain({ data: [{ id: 3, question_text: 'Q', options: { a: 'Nami' } }], error: null });
+      const update = mockChain({ error: null });
+      supabase.from
+        .mockReturnValueOnce(firstBatch)
+        .mockReturnValueOnce(update)
+        .mockReturnValueOnce(update)
+        .mockReturnValueOnce(lastBatch)
+        .mockReturnValue(update);
+
+      const count = await questionsService.backfillSearchText(2);
+
+      expect(count).toBe(3);
+      expect(firstBatch.is).toHaveBeenCalledWith('search_text', null);
+      expect(lastBatch.gt).toHaveBeenCalledWith('id', 2);
+      expect(update.update.mock.calls.map(call => call[0].search_text)).toEqual([
+        'who is the captain? \n luffy \n zoro',
+        'name the ship \n going merry',
+        'q \n nami',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const rateLimitService = require('../rateLimitService');
+
+describe('RateLimitService', () => {
+  let clock;
+  let sleeps;
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    sleeps = [];
+    rateLimitService.buckets.clear();
+    jest.spyOn(rateLimitService, 'now').mockImplementation(() => clock);
+    jest.spyOn(rateLimitService, 'sleep').mockImplementation(async ms => {
+      sleeps.push(ms);
+      clock += ms;
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('acquire', () => {
+    it('lets a burst through, then paces requests at the configured rate', async () => {
+      rateLimitService.configure('wiki:onepiece.fandom.com', { perMinute: 60, burst: 2 });
+
+      await rateLimitService.acquire('wiki:onepiece.fandom.com');
+      await rateLimitService.acquire('wiki:onepiece.fandom.com');
+      expect(sleeps).toEqual([]);
+
+      await rateLimitService.acquire('wiki:onepiece.fandom.com');
+      expect(sleeps).toEqual([1000]);
+    });
+
+    it('waits out the cooldown after a rate limit', async () => {
+      rateLimitService.reportRateLimited('provider:gemini', 5000);
+
+      await rateLimitService.acquire('provider:gemini');
+
+      expect(sleeps[0]).toBe(5000);
+      expect(rateLimitService.getState()[0]).toMatchObject({ key: 'provider:gemini', rateLimitedCount: 1, blockedForMs: 0 });
+    });
+  });
+
+  describe('schedule', () => {
+    it('retries a 429 after its Retry-After and resets the streak on success', async () => {
+      const rateLimited = Object.assign(new Error('Request failed with status code 429'), {
+        response: { status: 429, headers: { 'retry-after': '3' } },
+      });
+      const fn = jest.fn().mockRejectedValueOnce(rateLimited).mockResolvedValueOnce('ok');
+
+      const result = await rateLimitService.schedule('wiki:naruto.fandom.com', fn);
+
+      expect(result).toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(sleeps).toContain(3000);
+      expect(rateLimitService.getBucket('wiki:naruto.fandom.com').consecutiveRateLimits).toBe(0);
+    });
+
+    it('does not retry other errors', async () => {
+      const fn = jest.fn().mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+
+      await expect(rateLimitService.schedule('wiki:naruto.fandom.com', fn)).rejects.toThrow('Not found');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('helpers', () => {
+    it('reads Retry-After as seconds or an HTTP date, also through wrapped errors', () => {
+      expect(rateLimitService.parseRetryAfter('2')).toBe(2000);
+      expect(rateLimitService.parseRetryAfter(new Date(clock + 4000).toUTCString())).toBe(4000);
+
+      const wrapped = new Error('OpenAI API error (10ms): 429 Rate limit reached', {
+        cause: { status: 429, headers: { 'retry-after': '7' } },
+      });
+      expect(rateLimitService.getErrorStatus(wrapped)).toBe(429);
+      expect(rateLimitService.getRetryAfterMs(wrapped)).toBe(7000);
+    });
+
+    it('keeps backoff delays jittered within exponential bounds', () => {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        const delay = rateLimitService.getBackoffDelay(attempt);
+        expect(delay).toBeGreaterThanOrEqual(500);
+        expect(delay).toBeLessThanOrEqual(Math.min(60000, 1000 * 2 ** attempt));
+      }
+    });
+  });
+});
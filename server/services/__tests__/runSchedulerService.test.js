@@ -0,0 +1,105 @@
+const runSchedulerService = require('../runSchedulerService');
+
+// Resolves after the queued promise callbacks have run, so tasks can start in between
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RunSchedulerService', () => {
+  describe('normalizeParallelism', () => {
+    it('clamps to 1-8 and defaults to sequential', () => {
+      expect(runSchedulerService.normalizeParallelism(undefined)).toBe(1);
+      expect(runSchedulerService.normalizeParallelism('3')).toBe(3);
+      expect(runSchedulerService.normalizeParallelism(50)).toBe(8);
+      expect(runSchedulerService.normalizeParallelism(-2)).toBe(1);
+    });
+  });
+
+  describe('createTaskPool', () => {
+    it('never runs more tasks at once than its limit and starts them in order', async () => {
+      const pool = runSchedulerService.createTaskPool(3);
+      let active = 0;
+      let peak = 0;
+      const started = [];
+
+      const results = await Promise.all(Array.from({ length: 10 }, (_, i) => pool.run(async () => {
+        started.push(i);
+        active++;
+        peak = Math.max(peak, active);
+        for (let n = 0; n < (i % 4) + 1; n++) await tick();
+        active--;
+        return i;
+      })));
+
+      expect(peak).toBe(3);
+      expect(started).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(results).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    });
+
+    it('waits for capacity only while the pool is full', async () => {
+      const pool = runSchedulerService.createTaskPool(1);
+      let finish;
+      pool.run(() => new Promise(resolve => { finish = resolve; }));
+      await tick();
+
+      let ready = false;
+      pool.waitForCapacity().then(() => { ready = true; });
+      await tick();
+      expect(ready).toBe(false);
+
+      finish();
+      await tick();
+      expect(ready).toBe(true);
+    });
+  });
+
+  describe('createCallBudget', () => {
+    it('keeps made plus reserved calls within the limit under parallel sections', async () => {
+      const pool = runSchedulerService.createTaskPool(4);
+      const budget = runSchedulerService.createCallBudget(5, 1);
+      let peak = 0;
+      let skipped = 0;
+
+      await Promise.all(Array.from({ length: 10 }, () => pool.run(async () => {
+        if (!budget.reserve()) {
+          skipped++;
+          return;
+        }
+        peak = Math.max(peak, budget.used + budget.reserved);
+        await tick();
+        budget.commit();
+      })));
+
+      expect(peak).toBe(5);
+      expect(budget.used).toBe(5);
+      expect(budget.reserved).toBe(0);
+      expect(skipped).toBe(6);
+    });
+
+    it('frees the slot of a released reservation', () => {
+      const budget = runSchedulerService.createCallBudget(2);
+
+      expect(budget.reserve()).toBe(true);
+      expect(budget.reserve()).toBe(true);
+      expect(budget.reserve()).toBe(false);
+
+      budget.release();
+      expect(budget.reserve()).toBe(true);
+      budget.commit();
+      budget.commit();
+      expect(budget.used).toBe(2);
+      expect(budget.reserve()).toBe(false);
+    });
+
+    it('commits and releases several slots of one section at once', () => {
+      const budget = runSchedulerService.createCallBudget(4);
+
+      budget.reserve();
+      budget.reserve();
+      budget.reserve();
+      budget.commit(2);
+      budget.release(1);
+
+      expect(budget.used).toBe(2);
+      expect(budget.reserved).toBe(0);
+    });
+  });
+});
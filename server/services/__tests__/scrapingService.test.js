@@ -0,0 +1,99 @@
+jest.mock('../../config/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+jest.mock('../pageCacheService', () => ({
+  getPage: jest.fn(),
+  isFresh: jest.fn(),
+  isOffline: jest.fn(() => false),
+  savePage: jest.fn(),
+  touchPage: jest.fn(),
+  saveSections: jest.fn(),
+  getCachedSections: jest.fn(),
+  skipSignature: jest.fn(() => 'all'),
+  recordHit: jest.fn(),
+  recordMiss: jest.fn(),
+}));
+
+const axios = require('axios');
+const pageCacheService = require('../pageCacheService');
+const scrapingService = require('../scrapingService');
+
+const PAGE_HTML = `<div class="mw-parser-output"><h2>History</h2><p>${'Luffy set sail from Foosha Village to find the One Piece. '.repeat(20)}</p></div>`;
+
+describe('ScrapingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('hashSectionContent', () => {
+    it('ignores whitespace differences but not text edits', () => {
+      const hash = scrapingService.hashSectionContent('Luffy  ate the\nGomu Gomu no Mi.');
+
+      expect(scrapingService.hashSectionContent(' Luffy ate the Gomu Gomu no Mi. ')).toBe(hash);
+      expect(scrapingService.hashSectionContent('Luffy ate the Hito Hito no Mi.')).not.toBe(hash);
+    });
+  });
+
+  describe('fetchPageContent', () => {
+    it('reuses a stale cache entry when the revision is unchanged', async () => {
+      const cached = { wiki: 'onepiece', page_title: 'Luffy', revision_id: 42, html: PAGE_HTML, sections: {} };
+      pageCacheService.getPage.mockResolvedValue(cached);
+      pageCacheService.isFresh.mockReturnValue(false);
+      axios.get.mockResolvedValue({ data: { query: { pages: { 1: { revisions: [{ revid: 42 }] } } } } });
+
+      const sections = await scrapingService.fetchPageContent('Luffy', 'onepiece');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get.mock.calls[0][1].params).toMatchObject({ prop: 'revisions', rvprop: 'ids' });
+      expect(pageCacheService.touchPage).toHaveBeenCalledWith(cached);
+      expect(pageCacheService.savePage).not.toHaveBeenCalled();
+      expect(sections.length).toBeGreaterThan(0);
+      expect(sections[0].revisionId).toBe(42);
+    });
+
+    it('refetches the page when a newer revision exists', async () => {
+      pageCacheService.getPage.mockResolvedValue({ revision_id: 42, html: '', sections: {} });
+      pageCacheService.isFresh.mockReturnValue(false);
+      pageCacheService.savePage.mockImplementation(async (wiki, title, { revisionId, html }) => (
+        { wiki, page_title: title, revision_id: revisionId, html, sections: {} }
+      ));
+      axios.get
+        .mockResolvedValueOnce({ data: { query: { pages: { 1: { revisions: [{ revid: 57 }] } } } } })
+        .mockResolvedValueOnce({ data: { parse: { revid: 57, text: { '*': PAGE_HTML } } } });
+
+      const sections = await scrapingService.fetchPageContent('Luffy', 'onepiece');
+
+      expect(pageCacheService.savePage).toHaveBeenCalledWith('onepiece', 'Luffy', { revisionId: 57, html: PAGE_HTML });
+      expect(pageCacheService.saveSections).toHaveBeenCalled();
+      expect(sections[0].revisionId).toBe(57);
+    });
+
+    it('caches the parsed sections before chunking them with the run settings', async () => {
+      const cached = { wiki: 'onepiece', page_title: 'Luffy', revision_id: 42, html: PAGE_HTML, sections: {} };
+      pageCacheService.getPage.mockResolvedValue(cached);
+      pageCacheService.isFresh.mockReturnValue(true);
+
+      const sections = await scrapingService.fetchPageContent('Luffy', 'onepiece', {
+        chunking: { strategy: 'sentence', sizing: 'words', minSize: 10, maxSize: 60, overlap: 0 },
+      });
+
+      const [, signature, raw] = pageCacheService.saveSections.mock.calls[0];
+      expect(signature).toBe('raw:all');
+      expect(raw).toEqual([expect.objectContaining({ title: 'History', wordCount: 220 })]);
+      expect(sections.map(s => [s.title, s.wordCount])).toEqual([
+        ['History', 55],
+        ['History (part 2)', 55],
+        ['History (part 3)', 55],
+        ['History (part 4)', 55],
+      ]);
+    });
+  });
+});
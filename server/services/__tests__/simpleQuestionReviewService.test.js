@@ -0,0 +1,52 @@
+jest.mock('../../config/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('../usageService', () => ({ trackUsage: jest.fn() }));
+jest.mock('../aiProviderService', () => ({ score: jest.fn() }));
+
+const simpleQuestionReviewService = require('../simpleQuestionReviewService');
+
+const question = (id, extra = {}) => ({
+  id,
+  question_text: `Question ${id}?`,
+  options: ['A', 'B', 'C', 'D'],
+  correct_answer: 1,
+  ...extra,
+});
+
+describe('SimpleQuestionReviewService source passages', () => {
+  it('sends a shared section passage once and references it from each question', () => {
+    const source = { source_context: 'Luffy wants to become King of the Pirates.', source_section_title: 'Dream', source_section_id: 'abc' };
+
+    const { questionsText, passagesText } = simpleQuestionReviewService.formatQuestionsWithSources([
+      question(1, source),
+      question(2, source),
+      question(3),
+    ]);
+
+    expect(questionsText.match(/Source Passage: P1/g)).toHaveLength(2);
+    expect(questionsText).not.toContain('P2');
+    expect(passagesText).toBe('[P1] Dream\nLuffy wants to become King of the Pirates.');
+  });
+
+  it('asks the default reviewer to fact-check against the passages', () => {
+    const prompt = simpleQuestionReviewService.buildScoreOnlyPrompt([
+      question(1, { source_context: 'Zoro is a swordsman.', source_section_id: 'x' }),
+    ], 21);
+
+    expect(prompt).toContain('Fact-check the\ncorrect answer');
+    expect(prompt).toContain('Zoro is a swordsman.');
+  });
+
+  it('appends passages to custom prompts that do not place them', () => {
+    const prompt = simpleQuestionReviewService.buildCustomPrompt(
+      [question(1, { source_context: 'Nami is a navigator.', source_section_id: 'y' })],
+      21,
+      'Rate {count} questions:\n{questions}'
+    );
+
+    expect(prompt.startsWith('Rate 1 questions:')).toBe(true);
+    expect(prompt).toContain('SOURCE PASSAGES (check each correct answer against its passage):\n[P1]\nNami is a navigator.');
+  });
+});
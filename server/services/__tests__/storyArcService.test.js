@@ -0,0 +1,81 @@
+jest.mock('../../config/supabase', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { supabase } = require('../../config/supabase');
+const storyArcService = require('../storyArcService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'in', 'eq', 'ilike', 'limit', 'order'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+describe('StoryArcService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeArc', () => {
+    it('trims names and de-duplicates pages and categories', () => {
+      expect(storyArcService.normalizeArc({
+        name: ' Wano Country ',
+        fandomWikiName: 'onepiece',
+        startChapter: '909',
+        endChapter: 1057,
+        pages: 'Wano Country Arc\nKaido\n\nKaido',
+        categories: ['Wano Country Characters'],
+      })).toEqual({
+        name: 'Wano Country',
+        animeName: null,
+        fandomWikiName: 'onepiece',
+        startChapter: 909,
+        endChapter: 1057,
+        pages: ['Wano Country Arc', 'Kaido'],
+        categories: ['Wano Country Characters'],
+      });
+    });
+
+    it('rejects arcs that cannot be expanded or have a backwards chapter range', () => {
+      expect(() => storyArcService.normalizeArc({ name: 'Wano', fandomWikiName: 'onepiece' }))
+        .toThrow('at least one wiki page or category');
+      expect(() => storyArcService.normalizeArc({ name: 'Wano', fandomWikiName: 'onepiece', pages: ['Kaido'], startChapter: 1057, endChapter: 909 }))
+        .toThrow('End chapter');
+    });
+  });
+
+  describe('getArcsByIds', () => {
+    it('returns arcs in the requested order and fails on unknown ids', async () => {
+      supabase.from.mockReturnValue(mockChain({
+        data: [
+          { id: 2, name: 'Egghead', fandom_wiki_name: 'onepiece', pages: ['Egghead Arc'] },
+          { id: 1, name: 'Wano Country', fandom_wiki_name: 'onepiece', start_chapter: 909, end_chapter: 1057, categories: ['Wano'] },
+        ],
+        error: null,
+      }));
+
+      const arcs = await storyArcService.getArcsByIds([1, '2']);
+      expect(arcs.map(arc => arc.name)).toEqual(['Wano Country', 'Egghead']);
+      expect(arcs[1]).toMatchObject({ startChapter: null, categories: [] });
+
+      await expect(storyArcService.getArcsByIds([1, 3])).rejects.toThrow('Unknown story arc: 3');
+    });
+  });
+
+  describe('findByName', () => {
+    it('looks the name up literally within one wiki', async () => {
+      const chain = mockChain({ data: [{ id: 1, name: 'Arc_100%', fandom_wiki_name: 'onepiece' }], error: null });
+      supabase.from.mockReturnValue(chain);
+
+      const arc = await storyArcService.findByName('Arc_100%', 'onepiece');
+
+      expect(arc.name).toBe('Arc_100%');
+      expect(chain.ilike).toHaveBeenCalledWith('name', 'Arc\\_100\\%');
+      expect(chain.eq).toHaveBeenCalledWith('fandom_wiki_name', 'onepiece');
+    });
+  });
+});
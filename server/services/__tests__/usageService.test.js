@@ -0,0 +1,86 @@
+jest.mock('../../config/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(),
+  };
+  return { supabase: mockSupabase };
+});
+
+jest.mock('../modelConfigService', () => ({
+  getPricing: jest.fn(),
+}));
+
+const { supabase } = require('../../config/supabase');
+const modelConfigService = require('../modelConfigService');
+const usageService = require('../usageService');
+
+function mockChain(returnValue) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(returnValue).then(resolve, reject),
+  };
+  ['select', 'insert', 'eq', 'gte'].forEach(m => {
+    chain[m] = jest.fn().mockReturnValue(chain);
+  });
+  return chain;
+}
+
+describe('UsageService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('priceUsage', () => {
+    it('prices prompt and completion tokens with the per-million rates', async () => {
+      modelConfigService.getPricing.mockResolvedValue({ inputCostPerMillion: 1.25, outputCostPerMillion: 10 });
+
+      const priced = await usageService.priceUsage({
+        provider: 'gemini',
+        model: 'gemini-2.5-pro',
+        promptTokens: 2000,
+        completionTokens: 500,
+      });
+
+      expect(modelConfigService.getPricing).toHaveBeenCalledWith('gemini-2.5-pro');
+      expect(priced.costUsd).toBeCloseTo(0.0075, 6);
+    });
+
+    it('leaves the cost empty for models without rates', async () => {
+      modelConfigService.getPricing.mockResolvedValue(null);
+
+      const priced = await usageService.priceUsage({ model: 'gpt-5.5', promptTokens: 100 });
+
+      expect(priced).toMatchObject({ promptTokens: 100, completionTokens: 0, costUsd: null });
+    });
+  });
+
+  describe('getUsageSummary', () => {
+    it('rolls usage up per model, anime and purpose', async () => {
+      supabase.from.mockReturnValue(mockChain({
+        data: [
+          { purpose: 'generation', anime_id: 21, anime_name: 'One Piece', model: 'gemini-2.5-pro', provider: 'gemini', prompt_tokens: 1000, completion_tokens: 200, cost_usd: 0.003 },
+          { purpose: 'review', anime_id: 21, anime_name: null, model: 'gemini-2.5-pro', provider: 'gemini', prompt_tokens: 500, completion_tokens: 10, cost_usd: 0.0007 },
+          { purpose: 'generation', anime_id: 20, anime_name: 'Naruto', model: 'gpt-5.5', provider: 'openai', prompt_tokens: 800, completion_tokens: 300, cost_usd: null },
+        ],
+        error: null,
+      }));
+
+      const summary = await usageService.getUsageSummary();
+
+      expect(summary.totals).toMatchObject({ calls: 3, promptTokens: 2300, completionTokens: 510, unpricedCalls: 1 });
+      expect(summary.totals.costUsd).toBeCloseTo(0.0037, 6);
+      expect(summary.byModel['gemini-2.5-pro']).toMatchObject({ provider: 'gemini', calls: 2 });
+      expect(summary.byModel['gpt-5.5']).toMatchObject({ costUsd: 0, unpricedCalls: 1 });
+      expect(summary.byAnime[21]).toMatchObject({ animeName: 'One Piece', calls: 2, promptTokens: 1500 });
+      expect(summary.byPurpose.review).toMatchObject({ calls: 1, completionTokens: 10 });
+    });
+
+    it('filters by anime when requested', async () => {
+      const chain = mockChain({ data: [], error: null });
+      supabase.from.mockReturnValue(chain);
+
+      await usageService.getUsageSummary({ animeId: '21' });
+
+      expect(supabase.from).toHaveBeenCalledWith('ai_usage');
+      expect(chain.eq).toHaveBeenCalledWith('anime_id', 21);
+    });
+  });
+});
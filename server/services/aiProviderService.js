@@ -1,14 +1,14 @@
 // server/services/aiProviderService.js
-const openaiService = require('./openaiService');
-const geminiService = require('./geminiService');
+const providerRegistry = require('./providerRegistry');
 const modelConfigService = require('./modelConfigService');
+const questionTypeService = require('./questionTypeService');
+const rateLimitService = require('./rateLimitService');
+
+const CONNECTION_TEST_TIMEOUT_MS = 10000;
 
 class AIProviderService {
   constructor() {
-    this.providers = {
-      openai: openaiService,
-      gemini: geminiService
-    };
+    this.registry = providerRegistry;
   }
 
   async getAllAvailableModels() {
@@ -20,10 +20,13 @@ class AIProviderService {
       provider: m.provider,
     }));
 
-    const openai = formatted.filter(m => m.provider === 'openai');
-    const gemini = formatted.filter(m => m.provider === 'gemini');
+    const byProvider = Object.fromEntries(this.registry.getNames().map(name => [name, []]));
+    formatted.forEach(m => {
+      if (!byProvider[m.provider]) byProvider[m.provider] = [];
+      byProvider[m.provider].push(m);
+    });
 
-    return { openai, gemini, all: formatted };
+    return { byProvider, all: formatted };
   }
 
   async getProviderInfo(modelId) {
@@ -33,14 +36,40 @@ class AIProviderService {
     if (!modelInfo) {
       throw new Error(`Unknown model: ${modelId}`);
     }
+    if (!this.registry.has(modelInfo.provider)) {
+      throw new Error(`Model ${modelId} uses provider "${modelInfo.provider}", which is not registered`);
+    }
 
     return {
       provider: modelInfo.provider,
       model: modelInfo,
-      service: this.providers[modelInfo.provider]
+      service: this.registry.get(modelInfo.provider)
     };
   }
 
+  // Resolves the provider name for a model without throwing, e.g. for queue bookkeeping
+  async getProviderForModel(modelId) {
+    try {
+      const { provider } = await this.getProviderInfo(modelId);
+      return provider;
+    } catch (error) {
+      const id = String(modelId || '');
+      if (id.includes('gemini')) return 'gemini';
+      if (id.includes('claude')) return 'anthropic';
+      return 'openai';
+    }
+  }
+
+  // Like getProviderInfo, but models missing from model_config still run on the provider
+  // their name suggests; review and verification accept free-form model ids
+  async resolveAdapter(modelId) {
+    try {
+      return (await this.getProviderInfo(modelId)).service;
+    } catch (error) {
+      return this.registry.get(await this.getProviderForModel(modelId));
+    }
+  }
+
   // Unified method to generate questions regardless of provider
 // server/services/aiProviderService.js - ENHANCED generateQuestions method with retry logic
 
@@ -58,24 +87,25 @@ class AIProviderService {
       try {
         if (attempt > 0) {
           console.log(`[AIProvider] Retry attempt ${attempt} for model: ${modelId}`);
-          // Add a small delay before retry to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 2000));
+          // Back off before retrying; a rate-limited provider also makes the limiter wait out its cooldown
+          await rateLimitService.sleep(rateLimitService.getBackoffDelay(attempt - 1));
         }
         
-        const { provider, model, service } = await this.getProviderInfo(modelId);
+        const { provider, service } = await this.getProviderInfo(modelId);
         console.log(`[AIProvider] Using provider: ${provider}`);
         
-        let result;
-        
-        if (provider === 'openai') {
-          result = await this.generateWithOpenAI(prompt, modelId, service, options);
-        } else if (provider === 'gemini') {
-          result = await this.generateWithGemini(prompt, modelId, service, options);
-        } else {
-          throw new Error(`Unsupported provider: ${provider}`);
-        }
+        // Retries are handled by this loop, so the limiter only paces and records rate limits
+        let result = await rateLimitService.schedule(
+          rateLimitService.providerKey(provider),
+          () => service.generateQuestions(prompt, modelId, {
+            ...options,
+            onUsage: usage => this.reportUsage(options, usage),
+          }),
+          { maxRetries: 0 }
+        );
         
-        // Validate the result format
+        // Bring each question into the shape of its type, then validate it
+        result = Array.isArray(result) ? result.map(q => questionTypeService.normalize(q)) : result;
         this.validateQuestionResult(result);
         
         const duration = Date.now() - startTime;
@@ -107,11 +137,93 @@ class AIProviderService {
     
     // If we get here, all attempts failed
     const duration = Date.now() - startTime;
-    throw new Error(`Question generation failed after ${maxRetries + 1} attempts (${duration}ms): ${lastError.message}`);
+    const error = new Error(`Question generation failed after ${maxRetries + 1} attempts (${duration}ms): ${lastError.message}`);
+    error.cause = lastError;
+    throw error;
+  }
+
+  // Runs generateQuestions down a chain of models, moving on when a model fails in a way
+  // another model might not (see getFallbackReason). Resolves to { questions, model, fallbacks }
+  // where fallbacks lists every model that was given up on; options.onFallback(fallback) is
+  // called each time the chain moves on.
+  async generateWithFallback(prompt, models, options = {}) {
+    const chain = [...new Set(models.filter(Boolean))];
+    if (chain.length === 0) throw new Error('No model to generate with');
+
+    const fallbacks = [];
+    for (let i = 0; i < chain.length; i++) {
+      const model = chain[i];
+      try {
+        const questions = await this.generateQuestions(prompt, model, options);
+        return { questions, model, fallbacks };
+      } catch (error) {
+        const reason = this.getFallbackReason(error);
+        const next = chain[i + 1];
+        if (!reason || !next) {
+          // attempts: models called, for API call budgets. chainExhausted: every model failed in a
+          // way specific to it (down, invalid output, retries used up), not because of the request
+          throw Object.assign(error, { attempts: i + 1, chainExhausted: Boolean(reason) });
+        }
+        // options.beforeFallback returns false when the next attempt may not be made (API call budget)
+        if (typeof options.beforeFallback === 'function' && options.beforeFallback({ from: model, to: next }) === false) {
+          const budgetError = new Error(`API call budget exhausted before falling back from ${model} to ${next}: ${error.message}`);
+          throw Object.assign(budgetError, { cause: error, attempts: i + 1, chainExhausted: false, budgetExhausted: true });
+        }
+
+        const fallback = { from: model, to: next, reason, error: error.message };
+        fallbacks.push(fallback);
+        console.warn(`[AIProvider] Falling back from ${model} to ${next} (${reason}): ${error.message}`);
+        if (typeof options.onFallback === 'function') {
+          try {
+            options.onFallback(fallback);
+          } catch (callbackError) {
+            console.error('[AIProvider] onFallback callback failed:', callbackError.message);
+          }
+        }
+      }
+    }
+  }
+
+  // Why a failed generation might succeed on another model, or null when it would fail anywhere
+  getFallbackReason(error) {
+    const cause = error.cause || error;
+    if (cause.invalidOutput) return 'invalid output';
+
+    const status = rateLimitService.getErrorStatus(cause);
+    if (status === 401 || status === 403 || status === 503 || status === 529) return 'provider unavailable';
+
+    const message = cause.message.toLowerCase();
+    if (message.includes('did not return') ||
+        message.includes('did not call') ||
+        message.includes('failed to parse') ||
+        message.includes('cut off')) {
+      return 'invalid output';
+    }
+
+    if (message.includes('not initialized') ||
+        message.includes('not registered') ||
+        message.includes('unknown model') ||
+        message.includes('api key') ||
+        message.includes('authentication') ||
+        message.includes('unauthorized') ||
+        message.includes('401') ||
+        message.includes('403') ||
+        message.includes('connection error') ||
+        message.includes('overloaded') ||
+        message.includes('529')) {
+      return 'provider unavailable';
+    }
+
+    return this.isRetryableError(cause) ? 'retryable error' : null;
   }
 
   // Helper method to determine if an error is retryable
   isRetryableError(error) {
+    // Prefer the HTTP status when the SDK kept one
+    const status = rateLimitService.getErrorStatus(error);
+    if (status === 408 || status === 429 || status >= 500) return true;
+    if (status >= 400) return false;
+
     const errorMessage = error.message.toLowerCase();
     
     // Network and timeout errors are retryable
@@ -161,148 +273,97 @@ class AIProviderService {
       return false;
     }
     
+    // Configuration problems will not fix themselves on a retry
+    if (errorMessage.includes('unknown model') ||
+        errorMessage.includes('not registered')) {
+      return false;
+    }
+    
     // Default to retryable for unknown errors
     return true;
   }
 
-  // Generate questions using OpenAI
-  async generateWithOpenAI(prompt, modelId, openaiService, options) {
-    console.log(`[AIProvider] Generating with OpenAI model: ${modelId}`);
-    
-    const functions = [
-      {
-        name: 'generate_questions',
-        description: 'Generate multiple-choice questions from a text',
-        parameters: {
-          type: 'object',
-          properties: {
-            questions: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  question: { type: 'string' },
-                  options: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    minItems: 4,
-                    maxItems: 4,
-                  },
-                  correctAnswer: { type: 'integer', minimum: 0, maximum: 3 },
-                },
-                required: ['question', 'options', 'correctAnswer'],
-              },
-            },
-          },
-          required: ['questions'],
-        },
-      },
-    ];
-
-    const response = await openaiService.createCompletion({
-      model: modelId,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a helpful assistant that is an expert in generating fun, challenging, and diverse quiz questions. You will receive wiki text clearly marked with XML tags, followed by reference information and specific instructions.',
-        },
-        { role: 'user', content: prompt },
-      ],
-      functions: functions,
-      function_call: { name: 'generate_questions' },
-      max_tokens: 10000,
-      temperature: options.temperature || 0.7,
-    });
-
-    const message = response.choices[0].message;
-
-    if (message.function_call && message.function_call.name === 'generate_questions') {
-      try {
-        const args = JSON.parse(message.function_call.arguments);
-        return args.questions || [];
-      } catch (parseError) {
-        console.error('[AIProvider] Error parsing OpenAI response:', parseError.message);
-        throw new Error(`Failed to parse OpenAI response: ${parseError.message}`);
-      }
-    } else {
-      console.error('[AIProvider] OpenAI did not call the expected function');
-      throw new Error('OpenAI did not call the expected function');
-    }
-  }
-
-  // Generate questions using Gemini
-  async generateWithGemini(prompt, modelId, geminiService, options) {
-    console.log(`[AIProvider] Generating with Gemini model: ${modelId}`);
-
-    const result = await geminiService.generateQuestionsStructured(prompt, modelId);
-
-    if (result.success && result.questions && result.questions.length > 0) {
-      console.log(`[AIProvider] Gemini successfully generated ${result.questions.length} questions`);
-      return result.questions;
-    } else {
-      throw new Error('Gemini did not return valid questions');
+  // Hands token usage of a single API call to options.onUsage; every attempt is reported,
+  // including retries and responses that later fail validation, since they are all billed
+  reportUsage(options, usage) {
+    if (!usage || typeof options.onUsage !== 'function') return;
+    try {
+      options.onUsage(usage);
+    } catch (error) {
+      console.error('[AIProvider] onUsage callback failed:', error.message);
     }
   }
 
-  // Validate that the result is in the correct format
+  // Validate that the result is in the correct format; expects questions normalized by questionTypeService
+  // Errors are flagged invalidOutput so the fallback chain can tell them from request errors
   validateQuestionResult(questions) {
+    const invalid = (message) => Object.assign(new Error(message), { invalidOutput: true });
+
     if (!Array.isArray(questions)) {
-      throw new Error('Questions result must be an array');
+      throw invalid('Questions result must be an array');
+    }
+    if (questions.length === 0) {
+      throw invalid('Model returned no questions');
     }
 
-    for (let i = 0; i < questions.length; i++) {
-      const q = questions[i];
-      
-      if (!q.question || typeof q.question !== 'string') {
-        throw new Error(`Question ${i + 1}: Missing or invalid question text`);
-      }
-      
-      if (!Array.isArray(q.options) || q.options.length !== 4) {
-        throw new Error(`Question ${i + 1}: Must have exactly 4 options`);
-      }
-      
-      if (typeof q.correctAnswer !== 'number' || q.correctAnswer < 0 || q.correctAnswer > 3) {
-        throw new Error(`Question ${i + 1}: correctAnswer must be a number between 0 and 3`);
-      }
-      
-      // Check that all options are strings
-      for (let j = 0; j < q.options.length; j++) {
-        if (typeof q.options[j] !== 'string' || q.options[j].trim().length === 0) {
-          throw new Error(`Question ${i + 1}, Option ${j + 1}: Must be a non-empty string`);
-        }
+    questions.forEach((q, i) => {
+      const problem = questionTypeService.validate(q);
+      if (problem) {
+        throw invalid(`Question ${i + 1} (${q.type}): ${problem}`);
       }
-    }
+    });
 
     return true;
   }
 
+  // Runs a judging prompt (review scores, answer verification) and returns the raw response text
+  async score(prompt, modelId, options = {}) {
+    const adapter = await this.resolveAdapter(modelId);
+    return rateLimitService.schedule(rateLimitService.providerKey(adapter.name), () => adapter.score(prompt, modelId, {
+      ...options,
+      onUsage: usage => this.reportUsage(options, usage),
+    }));
+  }
+
   // Test connection for all providers
-  async testAllConnections() {
-    const results = {};
-    
-    try {
-      console.log('[AIProvider] Testing OpenAI connection...');
-      results.openai = await openaiService.testConnection();
-    } catch (error) {
-      results.openai = { success: false, error: error.message };
-    }
-    
+  // Tests every provider at once, each within its own timeout, so one slow provider
+  // neither delays nor hides the others. A timed-out test reports { success: false, timedOut: true }.
+  async testAllConnections({ timeoutMs = CONNECTION_TEST_TIMEOUT_MS } = {}) {
+    const names = this.registry.getNames();
+
+    const settled = await Promise.allSettled(names.map(name => {
+      console.log(`[AIProvider] Testing ${name} connection...`);
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ success: false, timedOut: true, error: `Timed out after ${timeoutMs}ms` }), timeoutMs);
+      });
+      return Promise.race([this.testConnection(name), timeout]).finally(() => clearTimeout(timer));
+    }));
+
+    return Object.fromEntries(names.map((name, i) => [
+      name,
+      settled[i].status === 'fulfilled' ? settled[i].value : { success: false, error: settled[i].reason.message },
+    ]));
+  }
+
+  async testConnection(name) {
     try {
-      console.log('[AIProvider] Testing Gemini connection...');
-      results.gemini = await geminiService.testConnection();
+      return await this.registry.get(name).testConnection();
     } catch (error) {
-      results.gemini = { success: false, error: error.message };
+      return { success: false, error: error.message };
     }
-    
-    return results;
+  }
+
+  async listProviderModels(name) {
+    return this.registry.get(name).listModels();
   }
 
   async getProviderStats() {
-    const { openai, gemini } = await this.getAllAvailableModels();
-    return {
-      openai: { available: !!process.env.OPENAI_API_KEY, models: openai.length },
-      gemini: { available: !!process.env.GEMINI_KEY, models: gemini.length },
-    };
+    const { byProvider } = await this.getAllAvailableModels();
+    return Object.fromEntries(this.registry.list().map(p => [
+      p.name,
+      { label: p.label, type: p.type, available: p.configured, models: (byProvider[p.name] || []).length },
+    ]));
   }
 }
 
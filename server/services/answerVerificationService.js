@@ -0,0 +1,285 @@
+const { supabase } = require('../config/supabase');
+const simpleQuestionReviewService = require('./simpleQuestionReviewService');
+const usageService = require('./usageService');
+const aiProviderService = require('./aiProviderService');
+
+const VERDICTS = ['correct', 'wrong_key', 'ambiguous', 'unsupported'];
+
+// What happens to a question whose marked answer contradicts its passage
+const WRONG_KEY_ACTIONS = {
+  reject: 'rejected',
+  flag: 'needs_fix',
+};
+
+const MAX_JUSTIFICATION_LENGTH = 500;
+
+// Questions out of circulation are neither verified nor counted as pending verification
+const EXCLUDED_STATUSES = ['rejected', 'retired'];
+
+class AnswerVerificationService {
+  getVerdicts() {
+    return VERDICTS;
+  }
+
+  // Runs the verification pass over every question of a category that has a stored source
+  // passage. Questions from the same section are verified together so the passage is sent once.
+  async verifyQuestions(categoryId, options = {}) {
+    const {
+      model = 'gemini-flash-latest',
+      batchSize = 10,
+      wrongKeyAction = 'reject',
+      reverify = false,
+      socketEmitter = null,
+      isCancelled = null,
+    } = options;
+
+    if (!WRONG_KEY_ACTIONS[wrongKeyAction]) {
+      throw new Error(`Unknown wrongKeyAction: ${wrongKeyAction}`);
+    }
+
+    const questions = await this.getQuestionsToVerify(categoryId, { reverify });
+    console.log(`[Verify] Found ${questions.length} questions to verify for category ${categoryId}`);
+
+    const batches = this.groupIntoBatches(questions, batchSize);
+    const results = [];
+    let failedBatches = 0;
+
+    for (let i = 0; i < batches.length; i++) {
+      if (isCancelled && isCancelled()) {
+        console.log(`[Verify] Verification cancelled after ${results.length} questions`);
+        break;
+      }
+
+      const batch = batches[i];
+      if (socketEmitter) {
+        socketEmitter('verifyProgress', {
+          currentBatch: i + 1,
+          totalBatches: batches.length,
+          questionsInBatch: batch.length,
+          totalProcessed: results.length,
+        });
+      }
+
+      try {
+        const verdicts = await this.getVerdictsFromAI(batch, model, categoryId);
+        const applied = await this.applyVerdicts(batch, verdicts, { model, wrongKeyAction });
+        results.push(...applied);
+      } catch (error) {
+        // Unverified questions are picked up again by the next pass
+        failedBatches++;
+        console.error(`[Verify] Batch ${i + 1}/${batches.length} failed:`, error.message);
+      }
+    }
+
+    return {
+      success: true,
+      totalProcessed: results.length,
+      failedBatches,
+      verdictCounts: this.countVerdicts(results),
+      rejected: results.filter(r => r.status === WRONG_KEY_ACTIONS.reject).length,
+      flagged: results.filter(r => r.status === WRONG_KEY_ACTIONS.flag).length,
+      results,
+    };
+  }
+
+  async getQuestionsToVerify(categoryId, { reverify = false } = {}) {
+    let query = supabase
+      .from('questions')
+      .select('id, question_text, question_type, options, correct_answer, accepted_answers, status, source_context, source_section_title, source_section_id')
+      .eq('category_id', parseInt(categoryId))
+      .not('status', 'in', `(${EXCLUDED_STATUSES.join(',')})`)
+      .not('source_context', 'is', null);
+
+    if (!reverify) {
+      query = query.is('verification_verdict', null);
+    }
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch questions to verify: ${error.message}`);
+    return data || [];
+  }
+
+  groupIntoBatches(questions, batchSize) {
+    const size = Math.max(1, parseInt(batchSize) || 10);
+    const bySection = new Map();
+    questions.forEach(q => {
+      const key = q.source_section_id || q.source_context;
+      if (!bySection.has(key)) bySection.set(key, []);
+      bySection.get(key).push(q);
+    });
+
+    const batches = [];
+    bySection.forEach(group => {
+      for (let i = 0; i < group.length; i += size) {
+        batches.push(group.slice(i, i + size));
+      }
+    });
+    return batches;
+  }
+
+  buildPrompt(questions) {
+    const { questionsText, passagesText } = simpleQuestionReviewService.formatQuestionsWithSources(questions);
+
+    return `You are verifying manga quiz questions against the wiki passage they were written from.
+Use ONLY the passage as evidence, not your own knowledge of the series.
+
+For each question decide one verdict:
+- "correct": the passage supports the marked correct answer and rules out every other option
+- "wrong_key": the passage supports a different option than the one marked correct
+- "ambiguous": the marked answer is supported, but the passage also supports another option
+- "unsupported": the passage does not say enough to confirm or rule out the marked answer
+
+For ordering questions the marked answer is the listed order; for short answer questions
+it is the answer together with the accepted alternatives.
+
+SOURCE PASSAGES:
+${passagesText}
+
+${questionsText}
+
+Respond with a JSON object of this shape, one entry per question in order:
+{"verdicts": [{"question": 1, "verdict": "correct", "justification": "One or two sentences citing the passage."}]}`;
+  }
+
+  async getVerdictsFromAI(questions, model, categoryId) {
+    const text = await aiProviderService.score(this.buildPrompt(questions), model, {
+      system: 'You are a meticulous fact-checker for quiz questions. Respond only with JSON.',
+      temperature: 0,
+      maxTokens: 4000,
+      json: true,
+      onUsage: usage => this.trackUsage(categoryId, usage),
+    });
+    return this.parseVerdicts(text, questions.length);
+  }
+
+  trackUsage(categoryId, usage) {
+    usageService.trackUsage(usage, {
+      purpose: 'verification',
+      animeId: categoryId ? parseInt(categoryId) : null,
+    });
+  }
+
+  // Returns one verdict per question, or null where the model gave nothing usable
+  parseVerdicts(responseText, expectedCount) {
+    let parsed;
+    try {
+      const jsonMatch = String(responseText).match(/\{[\s\S]*\}/);
+      parsed = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
+    } catch (error) {
+      throw new Error(`Could not parse verification response: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed?.verdicts;
+    if (!Array.isArray(entries)) throw new Error('Verification response has no verdicts array');
+
+    const verdicts = Array(expectedCount).fill(null);
+    entries.forEach((entry, index) => {
+      const position = Number.isInteger(entry?.question) ? entry.question - 1 : index;
+      const verdict = String(entry?.verdict || '').toLowerCase().replace(/[\s-]/g, '_');
+      if (position < 0 || position >= expectedCount || !VERDICTS.includes(verdict)) return;
+
+      verdicts[position] = {
+        verdict,
+        justification: String(entry.justification || '').trim().substring(0, MAX_JUSTIFICATION_LENGTH),
+      };
+    });
+
+    return verdicts;
+  }
+
+  async applyVerdicts(questions, verdicts, { model, wrongKeyAction = 'reject' }) {
+    const verifiedAt = new Date().toISOString();
+    const applied = [];
+
+    await Promise.all(questions.map(async (question, index) => {
+      const result = verdicts[index];
+      if (!result) return;
+
+      const update = {
+        verification_verdict: result.verdict,
+        verification_justification: result.justification,
+        verification_model: model,
+        verified_at: verifiedAt,
+        updated_at: verifiedAt,
+      };
+      if (result.verdict === 'wrong_key') {
+        update.status = WRONG_KEY_ACTIONS[wrongKeyAction];
+      }
+
+      const { error } = await supabase
+        .from('questions')
+        .update(update)
+        .eq('id', question.id);
+
+      if (error) {
+        console.error(`[Verify] Could not store verdict for question ${question.id}:`, error.message);
+        return;
+      }
+
+      applied.push({
+        questionId: question.id,
+        question: question.question_text,
+        verdict: result.verdict,
+        justification: result.justification,
+        status: update.status || question.status,
+      });
+    }));
+
+    console.log(`[Verify] Stored ${applied.length}/${questions.length} verdicts`);
+    return applied;
+  }
+
+  countVerdicts(results) {
+    const counts = Object.fromEntries(VERDICTS.map(v => [v, 0]));
+    results.forEach(r => {
+      if (counts[r.verdict] !== undefined) counts[r.verdict]++;
+    });
+    return counts;
+  }
+
+  async getVerificationStats(categoryId) {
+    const { data, error } = await supabase
+      .from('questions')
+      .select('verification_verdict, source_context, status')
+      .eq('category_id', parseInt(categoryId));
+
+    if (error) throw new Error(`Failed to fetch verification stats: ${error.message}`);
+
+    const stats = {
+      total: data.length,
+      withSource: 0,
+      verified: 0,
+      unverified: 0,
+      needsFix: 0,
+      verdicts: Object.fromEntries(VERDICTS.map(v => [v, 0])),
+    };
+
+    data.forEach(q => {
+      if (q.status === WRONG_KEY_ACTIONS.flag) stats.needsFix++;
+      if (!q.source_context) return;
+      stats.withSource++;
+      if (q.verification_verdict && stats.verdicts[q.verification_verdict] !== undefined) {
+        stats.verified++;
+        stats.verdicts[q.verification_verdict]++;
+      } else if (!EXCLUDED_STATUSES.includes(q.status)) {
+        stats.unverified++;
+      }
+    });
+
+    return stats;
+  }
+
+  async getQuestionsByVerdict(categoryId, verdicts) {
+    const { data, error } = await supabase
+      .from('questions')
+      .select('*')
+      .eq('category_id', parseInt(categoryId))
+      .in('verification_verdict', verdicts)
+      .order('verified_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to fetch questions by verdict: ${error.message}`);
+    return data || [];
+  }
+}
+
+module.exports = new AnswerVerificationService();
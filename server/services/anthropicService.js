@@ -0,0 +1,91 @@
+// server/services/anthropicService.js
+const axios = require('axios');
+
+const API_URL = 'https://api.anthropic.com/v1';
+const API_VERSION = '2023-06-01';
+
+class AnthropicService {
+  constructor() {
+    if (!process.env.ANTHROPIC_API_KEY) {
+      console.error('[Anthropic] ANTHROPIC_API_KEY not found in environment variables');
+      this.client = null;
+    } else {
+      this.client = axios.create({
+        baseURL: API_URL,
+        timeout: 120000,
+        headers: {
+          'x-api-key': process.env.ANTHROPIC_API_KEY,
+          'anthropic-version': API_VERSION,
+          'content-type': 'application/json',
+        },
+      });
+      console.log('[Anthropic] Service initialized successfully');
+    }
+  }
+
+  getClient() {
+    if (!this.client) {
+      throw new Error('Anthropic client not initialized. Check ANTHROPIC_API_KEY environment variable.');
+    }
+    return this.client;
+  }
+
+  // POST /v1/messages; returns the message object ({ content, stop_reason, usage, ... })
+  async createMessage(body) {
+    const startTime = Date.now();
+    console.log(`[Anthropic] Starting API call at ${new Date().toISOString()}`);
+
+    try {
+      const response = await this.getClient().post('/messages', body);
+      console.log(`[Anthropic] API call completed successfully in ${Date.now() - startTime}ms`);
+      return response.data;
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      const message = this.describeError(error);
+      console.error(`[Anthropic] API call failed after ${duration}ms:`, message);
+      throw new Error(`Anthropic API error (${duration}ms): ${message}`, { cause: error });
+    }
+  }
+
+  // Keeps the HTTP status in the message so aiProviderService can tell rate limits from bad requests
+  describeError(error) {
+    const status = error.response?.status;
+    const detail = error.response?.data?.error?.message || error.message;
+    return status ? `${status} ${detail}` : detail;
+  }
+
+  // Normalizes the usage block; cache reads and writes are billed as input
+  extractUsage(response, model) {
+    const usage = response?.usage;
+    if (!usage) return null;
+
+    return {
+      provider: 'anthropic',
+      model,
+      promptTokens: (usage.input_tokens || 0)
+        + (usage.cache_creation_input_tokens || 0)
+        + (usage.cache_read_input_tokens || 0),
+      completionTokens: usage.output_tokens || 0,
+    };
+  }
+
+  async listModels() {
+    const response = await this.getClient().get('/models', { params: { limit: 100 } });
+    return (response.data?.data || []).map(m => m.id);
+  }
+
+  async testConnection() {
+    try {
+      console.log('[Anthropic] Testing connection...');
+      const models = await this.listModels();
+      console.log('[Anthropic] Connection test successful');
+      return { success: true, models };
+    } catch (error) {
+      const message = this.describeError(error);
+      console.error('[Anthropic] Connection test failed:', message);
+      return { success: false, error: message };
+    }
+  }
+}
+
+module.exports = new AnthropicService();
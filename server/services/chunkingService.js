@@ -0,0 +1,217 @@
+// The most section text one prompt takes (questionsService cuts content beyond it), so every
+// chunk stays below it whatever the size settings
+const MAX_CHUNK_CHARS = 15000;
+
+const STRATEGIES = ['paragraph', 'sentence', 'words'];
+const SIZINGS = ['words', 'tokens'];
+
+// The old fixed rules: merge sections under 200 words, nothing over 2000 words
+const DEFAULT_SIZES = {
+  words: { minSize: 200, maxSize: 2000 },
+  tokens: { minSize: 270, maxSize: 2700 },
+};
+const MIN_MAX_SIZE = 50;
+
+// Rough characters per token by model family; used when chunks are sized in tokens
+const CHARS_PER_TOKEN = [
+  { pattern: /^claude/i, chars: 3.5 },
+  { pattern: /^gemini/i, chars: 4 },
+  { pattern: /^(gpt|o\d)/i, chars: 4 },
+];
+const DEFAULT_CHARS_PER_TOKEN = 4;
+
+// Boundaries from coarse to fine; a piece too big at one level is split at the next
+const LEVELS = [
+  { name: 'paragraph', separator: '\n\n', split: text => text.split(/\n\s*\n/) },
+  { name: 'sentence', separator: ' ', split: text => text.split(/(?<=[.!?])\s+/) },
+  { name: 'words', separator: ' ', split: text => text.split(/\s+/) },
+];
+
+// Turns the parsed sections of a page into the chunks a run generates questions from.
+// Sections below the minimum size are merged with their neighbour; sections above the maximum
+// are split at paragraph, sentence or word boundaries (optionally repeating the end of the
+// previous chunk) instead of being cut. The first chunk of a split section keeps the section's
+// title, and with it the section id older runs recorded for the truncated section; the rest are
+// titled "History (part 2)" and so on, each with its own id in processed_sections.
+class ChunkingService {
+  getDefaultConfig() {
+    return { strategy: 'paragraph', sizing: 'words', ...DEFAULT_SIZES.words, overlap: 0 };
+  }
+
+  getMaxChunkChars() {
+    return MAX_CHUNK_CHARS;
+  }
+
+  // Validates the `chunking` field of /api/generation/start; blanks use the defaults for the
+  // sizing unit. Errors are meant for the user (400).
+  normalizeConfig(input) {
+    if (!input) return this.getDefaultConfig();
+
+    const strategy = input.strategy || 'paragraph';
+    if (!STRATEGIES.includes(strategy)) throw new Error(`Chunking strategy must be one of: ${STRATEGIES.join(', ')}`);
+    const sizing = input.sizing || 'words';
+    if (!SIZINGS.includes(sizing)) throw new Error(`Chunk sizing must be one of: ${SIZINGS.join(', ')}`);
+
+    const number = (value, fallback, label) => {
+      if (value === undefined || value === null || value === '') return fallback;
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < 0) throw new Error(`${label} must be a whole number of ${sizing}`);
+      return parsed;
+    };
+
+    const minSize = number(input.minSize, DEFAULT_SIZES[sizing].minSize, 'Minimum chunk size');
+    const maxSize = number(input.maxSize, DEFAULT_SIZES[sizing].maxSize, 'Maximum chunk size');
+    const overlap = number(input.overlap, 0, 'Chunk overlap');
+
+    if (maxSize < MIN_MAX_SIZE) throw new Error(`Maximum chunk size must be at least ${MIN_MAX_SIZE} ${sizing}`);
+    if (minSize >= maxSize) throw new Error('Minimum chunk size must be below the maximum');
+    if (overlap > maxSize / 2) throw new Error('Chunk overlap can be at most half the maximum chunk size');
+
+    return { strategy, sizing, minSize, maxSize, overlap };
+  }
+
+  describe(config) {
+    const overlap = config.overlap ? `${config.overlap} ${config.sizing} overlap` : 'no overlap';
+    return `${config.strategy} boundaries, ${config.minSize}–${config.maxSize} ${config.sizing}, ${overlap}`;
+  }
+
+  countWords(text) {
+    if (!text || typeof text !== 'string') return 0;
+    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  estimateTokens(text, model) {
+    const family = CHARS_PER_TOKEN.find(entry => entry.pattern.test(model || ''));
+    return Math.ceil(String(text || '').length / (family ? family.chars : DEFAULT_CHARS_PER_TOKEN));
+  }
+
+  // sections: [{ title, level, content, wordCount }] in page order; model sizes token-based chunks
+  chunkSections(sections, config = null, { model = null } = {}) {
+    const settings = config || this.getDefaultConfig();
+    const measure = settings.sizing === 'tokens'
+      ? text => this.estimateTokens(text, model)
+      : text => this.countWords(text);
+
+    return this.mergeSmallSections(sections || [], settings, measure)
+      .flatMap(section => this.splitSection(section, settings, measure));
+  }
+
+  // A section below the minimum takes in the next one; a small last section joins the previous one
+  mergeSmallSections(sections, config, measure) {
+    const merged = [];
+    let current = null;
+
+    sections.forEach(section => {
+      if (!current) {
+        current = { ...section };
+      } else if (measure(current.content) < config.minSize) {
+        current.title = `${current.title} & ${section.title}`;
+        current.content = `${current.content}\n\n${section.content}`;
+      } else {
+        merged.push(current);
+        current = { ...section };
+      }
+    });
+
+    if (current) {
+      if (measure(current.content) < config.minSize && merged.length > 0) {
+        const last = merged[merged.length - 1];
+        last.title = `${last.title} & ${current.title}`;
+        last.content = `${last.content}\n\n${current.content}`;
+      } else {
+        merged.push(current);
+      }
+    }
+
+    return merged;
+  }
+
+  splitSection(section, config, measure) {
+    const fits = text => measure(text) <= config.maxSize && text.length <= MAX_CHUNK_CHARS;
+    if (fits(section.content)) {
+      return [this.finalizeChunk(section, section.title, section.content, 1, 1)];
+    }
+
+    const startLevel = STRATEGIES.indexOf(config.strategy);
+    const units = this.toUnits(section.content, startLevel, null, fits)
+      .map(unit => ({ ...unit, size: measure(unit.text) }));
+    const total = units.reduce((sum, unit) => sum + unit.size, 0);
+    // Aim for even chunks so the last one is not a small remainder
+    const target = Math.ceil(total / Math.max(2, Math.ceil(total / config.maxSize)));
+
+    const join = parts => parts.map((unit, i) => (i === 0 ? unit.text : unit.separator + unit.text)).join('');
+    const texts = [];
+    let current = [];
+    let size = 0;
+    let chars = 0;
+    let added = 0;
+    const start = parts => {
+      current = parts;
+      size = parts.reduce((sum, unit) => sum + unit.size, 0);
+      chars = join(parts).length;
+    };
+    const charsWith = unit => chars + (current.length > 0 ? unit.separator.length : 0) + unit.text.length;
+    const fitsWith = unit => size + unit.size <= config.maxSize && charsWith(unit) <= MAX_CHUNK_CHARS;
+
+    units.forEach(unit => {
+      if (added > 0 && (size >= target || !fitsWith(unit))) {
+        texts.push(join(current));
+        start(this.overlapUnits(current, config.overlap));
+        added = 0;
+      }
+      // Overlap gives way when it would push the next unit over the limit
+      while (current.length > 0 && !fitsWith(unit)) start(current.slice(1));
+      chars = charsWith(unit);
+      size += unit.size;
+      current.push(unit);
+      added++;
+    });
+    if (added > 0) texts.push(join(current));
+
+    return texts.map((text, i) => {
+      const title = i === 0 ? section.title : `${section.title} (part ${i + 1})`;
+      return this.finalizeChunk(section, title, text, i + 1, texts.length);
+    });
+  }
+
+  // Splits text at the given level; pieces that are still too big go down a level
+  toUnits(text, level, separator, fits) {
+    const { split, separator: levelSeparator } = LEVELS[level];
+    const pieces = split(text).map(piece => piece.trim()).filter(Boolean);
+
+    return pieces.flatMap((piece, i) => {
+      // The first piece keeps the boundary it had in the parent text
+      const before = i === 0 && separator ? separator : levelSeparator;
+      if (fits(piece) || level === LEVELS.length - 1) return [{ text: piece, separator: before }];
+      return this.toUnits(piece, level + 1, before, fits);
+    });
+  }
+
+  // Trailing units of the previous chunk that fit within the overlap
+  overlapUnits(units, overlap) {
+    const kept = [];
+    let size = 0;
+    for (let i = units.length - 1; i >= 0 && overlap > 0; i--) {
+      size += units[i].size;
+      if (size > overlap) break;
+      kept.unshift(units[i]);
+    }
+    return kept;
+  }
+
+  finalizeChunk(section, title, content, chunkIndex, chunkCount) {
+    const wordCount = this.countWords(content);
+    return {
+      ...section,
+      title,
+      content,
+      wordCount,
+      questionCount: Math.max(1, Math.ceil(wordCount / 100)),
+      parentTitle: section.title,
+      chunkIndex,
+      chunkCount,
+    };
+  }
+}
+
+module.exports = new ChunkingService();
@@ -0,0 +1,342 @@
+const { supabase } = require('../config/supabase');
+const openaiService = require('./openaiService');
+const usageService = require('./usageService');
+
+// Defaults tuned on paraphrased questions; override with DUPLICATE_THRESHOLD / DUPLICATE_EMBEDDING_THRESHOLD
+const DEFAULT_THRESHOLD = 0.6;
+const DEFAULT_EMBEDDING_THRESHOLD = 0.9;
+// Two questions with the same correct answer are more likely to ask the same thing
+const SAME_ANSWER_BONUS = 0.15;
+const SHINGLE_SIZE = 3;
+const EMBEDDING_BATCH_SIZE = 100;
+// PostgREST returns at most 1000 rows per response, so category reads are paged
+const PAGE_SIZE = 1000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'what', 'which', 'who', 'whom', 'whose',
+  'how', 'does', 'do', 'did', 'of', 'in', 'on', 'to', 'for', 'by', 'with', 'and', 'or', 's', 'that',
+  'this', 'has', 'have', 'had', 'as', 'at', 'from', 'his', 'her', 'their', 'its', 'name', 'called',
+]);
+
+class DuplicateService {
+  constructor() {
+    this.embeddingCache = new Map();
+  }
+
+  getThreshold(override) {
+    const value = parseFloat(override ?? process.env.DUPLICATE_THRESHOLD);
+    return value > 0 && value <= 1 ? value : DEFAULT_THRESHOLD;
+  }
+
+  // Embeddings are optional and only used when a model is configured
+  getEmbeddingModel() {
+    return process.env.DUPLICATE_EMBEDDING_MODEL || null;
+  }
+
+  normalizeText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token && !STOPWORDS.has(token))
+      .join(' ');
+  }
+
+  shingles(normalized) {
+    const result = new Set();
+    if (normalized.length <= SHINGLE_SIZE) {
+      if (normalized) result.add(normalized);
+      return result;
+    }
+    for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+      result.add(normalized.substring(i, i + SHINGLE_SIZE));
+    }
+    return result;
+  }
+
+  jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+    smaller.forEach(item => {
+      if (larger.has(item)) intersection++;
+    });
+    return intersection / (a.size + b.size - intersection);
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  // Builds the comparison record for a stored row or a freshly generated question
+  prepare({ id = null, text, answer }) {
+    const normalized = this.normalizeText(text);
+    return {
+      id,
+      text,
+      normalized,
+      tokens: new Set(normalized.split(' ').filter(Boolean)),
+      shingles: this.shingles(normalized),
+      answer: this.normalizeText(answer),
+    };
+  }
+
+  fromRow(row) {
+    const options = Array.isArray(row.options) ? row.options : Object.values(row.options || {});
+    return this.prepare({ id: row.id, text: row.question_text, answer: options[row.correct_answer] });
+  }
+
+  fromQuestion(question) {
+    const options = Array.isArray(question.options) ? question.options : Object.values(question.options || {});
+    return this.prepare({ text: question.question, answer: options[question.correctAnswer] });
+  }
+
+  similarity(a, b) {
+    let score = this.jaccard(a.shingles, b.shingles);
+    if (a.answer && a.answer === b.answer) {
+      score = Math.min(1, score + SAME_ANSWER_BONUS);
+    }
+    if (a.embedding && b.embedding) {
+      const cosine = this.cosine(a.embedding, b.embedding);
+      const embeddingThreshold = parseFloat(process.env.DUPLICATE_EMBEDDING_THRESHOLD) || DEFAULT_EMBEDDING_THRESHOLD;
+      // A close embedding match is treated as a duplicate even when the wording differs
+      if (cosine >= embeddingThreshold) score = Math.max(score, 1);
+    }
+    return Math.round(score * 1000) / 1000;
+  }
+
+  async attachEmbeddings(records) {
+    const model = this.getEmbeddingModel();
+    if (!model) return;
+
+    const missing = records.filter(r => !this.embeddingCache.has(`${model}:${r.normalized}`));
+    for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+      try {
+        const response = await openaiService.client.embeddings.create({
+          model,
+          input: batch.map(r => r.text),
+        });
+        response.data.forEach((item, index) => {
+          this.embeddingCache.set(`${model}:${batch[index].normalized}`, item.embedding);
+        });
+        if (response.usage) {
+          usageService.trackUsage(
+            { provider: 'openai', model, promptTokens: response.usage.prompt_tokens || 0, completionTokens: 0 },
+            { purpose: 'embedding' }
+          );
+        }
+      } catch (error) {
+        // Fall back to text similarity rather than failing the write or the scan
+        console.error('[Duplicates] Embedding request failed:', error.message);
+        return;
+      }
+    }
+
+    records.forEach(r => {
+      r.embedding = this.embeddingCache.get(`${model}:${r.normalized}`) || null;
+    });
+  }
+
+  async getCategoryQuestions(categoryId) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('questions')
+        .select('id, question_text, options, correct_answer, status, review_score, source_url, created_at')
+        .eq('category_id', parseInt(categoryId))
+        .not('status', 'in', '(rejected,retired)')
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(`Failed to fetch questions for duplicate check: ${error.message}`);
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  // Comparison records indexed by content word, so a question is only compared with the
+  // records it shares a word with (or with all of them when embeddings can match rewordings)
+  buildIndex(records = []) {
+    const index = { records: [], byToken: new Map() };
+    records.forEach(record => this.addToIndex(index, record));
+    return index;
+  }
+
+  addToIndex(index, record) {
+    const position = index.records.push(record) - 1;
+    record.tokens.forEach(token => {
+      if (!index.byToken.has(token)) index.byToken.set(token, []);
+      index.byToken.get(token).push(position);
+    });
+  }
+
+  candidatesFor(index, record) {
+    if (record.embedding) return index.records;
+    const positions = new Set();
+    record.tokens.forEach(token => (index.byToken.get(token) || []).forEach(position => positions.add(position)));
+    return Array.from(positions, position => index.records[position]);
+  }
+
+  // A cache for one generation run: each category's stored questions are read once, and the
+  // questions the run writes are added with remember() instead of being read back
+  createRunCache() {
+    return new Map();
+  }
+
+  async loadCategoryIndex(categoryId, cache = null) {
+    const key = String(categoryId);
+    if (cache && cache.has(key)) return cache.get(key);
+
+    const load = (async () => {
+      const records = (await this.getCategoryQuestions(categoryId)).map(row => this.fromRow(row));
+      await this.attachEmbeddings(records);
+      return this.buildIndex(records);
+    })();
+
+    if (cache) {
+      cache.set(key, load);
+      // A failed read is retried by the next write instead of being cached
+      load.catch(() => cache.delete(key));
+    }
+    return load;
+  }
+
+  // Adds the records of questions that were written to the run cache of their category
+  async remember(cache, categoryId, records) {
+    const key = String(categoryId);
+    if (!cache || !cache.has(key) || records.length === 0) return;
+    const index = await cache.get(key);
+    records.forEach(record => this.addToIndex(index, record));
+  }
+
+  // Splits generated questions into ones worth inserting and near-duplicates of stored
+  // questions in the same category (or of an earlier question in the same batch).
+  // options.cache: a createRunCache() map; uniqueRecords are what remember() takes once written.
+  async filterDuplicates(questions, categoryId, options = {}) {
+    const threshold = this.getThreshold(options.threshold);
+    const stored = await this.loadCategoryIndex(categoryId, options.cache);
+    const incoming = questions.map(q => this.fromQuestion(q));
+
+    await this.attachEmbeddings(incoming);
+
+    const unique = [];
+    const uniqueRecords = [];
+    const duplicates = [];
+    const batch = this.buildIndex();
+
+    incoming.forEach((record, index) => {
+      let best = null;
+      const candidates = [...this.candidatesFor(stored, record), ...this.candidatesFor(batch, record)];
+      for (const candidate of candidates) {
+        const score = this.similarity(record, candidate);
+        if (score >= threshold && (!best || score > best.score)) {
+          best = { candidate, score };
+        }
+      }
+
+      if (best) {
+        duplicates.push({
+          question: questions[index],
+          matchId: best.candidate.id,
+          matchText: best.candidate.text,
+          score: best.score,
+        });
+      } else {
+        unique.push(questions[index]);
+        uniqueRecords.push(record);
+        this.addToIndex(batch, record);
+      }
+    });
+
+    return { unique, duplicates, uniqueRecords };
+  }
+
+  // Groups stored questions of a category into clusters of near-duplicates.
+  // Only pairs sharing at least one content word are compared.
+  async findClusters(categoryId, options = {}) {
+    const threshold = this.getThreshold(options.threshold);
+    const rows = await this.getCategoryQuestions(categoryId);
+    const records = rows.map(row => this.fromRow(row));
+
+    await this.attachEmbeddings(records);
+
+    const parent = records.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const pairScores = new Map();
+
+    const byToken = new Map();
+    records.forEach((record, i) => {
+      const candidates = new Set();
+      record.tokens.forEach(token => (byToken.get(token) || []).forEach(j => candidates.add(j)));
+
+      candidates.forEach(j => {
+        const score = this.similarity(record, records[j]);
+        if (score >= threshold) {
+          parent[find(i)] = find(j);
+          pairScores.set(i, Math.max(pairScores.get(i) || 0, score));
+          pairScores.set(j, Math.max(pairScores.get(j) || 0, score));
+        }
+      });
+
+      record.tokens.forEach(token => {
+        if (!byToken.has(token)) byToken.set(token, []);
+        byToken.get(token).push(i);
+      });
+    });
+
+    const groups = new Map();
+    records.forEach((_, i) => {
+      if (!pairScores.has(i)) return;
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(i);
+    });
+
+    return Array.from(groups.values())
+      .map(indexes => {
+        const questions = indexes
+          .map(i => ({ ...rows[i], similarity: pairScores.get(i) }))
+          .sort((a, b) => (b.review_score || 0) - (a.review_score || 0)
+            || new Date(a.created_at) - new Date(b.created_at));
+        return {
+          id: questions[0].id,
+          suggestedKeepId: questions[0].id,
+          maxSimilarity: Math.max(...questions.map(q => q.similarity)),
+          questions,
+        };
+      })
+      .sort((a, b) => b.questions.length - a.questions.length || b.maxSimilarity - a.maxSimilarity);
+  }
+
+  // Keeps one question of a cluster; the others are rejected and point at the kept one
+  async mergeCluster(keepId, duplicateIds) {
+    const ids = duplicateIds.filter(id => String(id) !== String(keepId));
+    if (ids.length === 0) return 0;
+
+    const { data, error } = await supabase
+      .from('questions')
+      .update({
+        status: 'rejected',
+        duplicate_of: keepId,
+        updated_at: new Date().toISOString(),
+      })
+      .in('id', ids)
+      .select('id');
+
+    if (error) throw new Error(`Failed to merge duplicates: ${error.message}`);
+    return (data || []).length;
+  }
+}
+
+module.exports = new DuplicateService();
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const aiProviderService = require('./aiProviderService');
+const promptTemplateService = require('./promptTemplateService');
+
+const ARM_KEYS = ['A', 'B', 'C', 'D'];
+const MIN_ARMS = 2;
+const SEED_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const emptyStats = () => ({
+  sections: 0,
+  questionsGenerated: 0,
+  questionsWritten: 0,
+  duplicates: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  costUsd: 0,
+  unpricedCalls: 0,
+});
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+// Prompt A/B experiments inside one generation run. Each arm is a model and/or prompt; every
+// section of the run is assigned to one arm and its questions are tagged with the arm's key.
+// The arms and their counters are stored on the run (generation_runs.experiment), so a resumed
+// run keeps the same arms and adds to the same totals.
+class ExperimentService {
+  // Validates the `experiment` field of /api/generation/start; errors are meant for the user (400).
+  // Arms inherit the run's model and prompt (template or instructions) for whatever they leave out.
+  // The seed that splits sections between arms is made here; a run confirmed from a dry-run plan
+  // sends the plan's seed back (experiment.seed) so it uses the arms the plan showed.
+  async resolveExperiment(input, { model, promptInstructions, promptTemplate: runTemplate = null }) {
+    if (input === undefined || input === null || input === false) return null;
+
+    const arms = Array.isArray(input) ? input : input.arms;
+    const seed = Array.isArray(input) ? undefined : input.seed;
+    if (seed !== undefined && seed !== null && !SEED_PATTERN.test(String(seed))) {
+      throw new Error('experiment.seed must be the seed of a generation plan');
+    }
+    if (!Array.isArray(arms) || arms.length < MIN_ARMS || arms.length > ARM_KEYS.length) {
+      throw new Error(`An experiment needs between ${MIN_ARMS} and ${ARM_KEYS.length} arms`);
+    }
+
+    const { all } = await aiProviderService.getAllAvailableModels();
+
+    const resolved = [];
+    for (const [index, arm] of arms.entries()) {
+      const key = ARM_KEYS[index];
+      const armModel = String(arm.model || '').trim() || model;
+      if (!all.some(m => m.id === armModel)) throw new Error(`Arm ${key}: unknown model ${armModel}`);
+
+      let promptTemplate = arm.promptInstructions ? null : runTemplate;
+      if (arm.promptTemplateId) {
+        try {
+          promptTemplate = await promptTemplateService.resolveForRun(arm.promptTemplateId, {
+            version: arm.promptTemplateVersion,
+            values: arm.promptVariables,
+          });
+        } catch (error) {
+          throw new Error(`Arm ${key}: ${error.message}`);
+        }
+      }
+
+      resolved.push({
+        key,
+        name: String(arm.name || '').trim() || `Arm ${key}`,
+        model: armModel,
+        promptInstructions: promptTemplate ? promptTemplate.body : arm.promptInstructions || promptInstructions,
+        promptTemplate,
+        stats: emptyStats(),
+      });
+    }
+
+    const signatures = resolved.map(arm => JSON.stringify([
+      arm.model,
+      arm.promptTemplate ? [arm.promptTemplate.id, arm.promptTemplate.version, arm.promptTemplate.values] : arm.promptInstructions,
+    ]));
+    const repeated = signatures.findIndex((signature, i) => signatures.indexOf(signature) !== i);
+    if (repeated !== -1) {
+      throw new Error(`Arm ${resolved[repeated].key} uses the same model and prompt as an earlier arm`);
+    }
+
+    return { seed: seed ? String(seed) : crypto.randomUUID(), arms: resolved };
+  }
+
+  // Sections are split by a hash of the experiment seed and their id, so the same section lands in
+  // the same arm in the plan, the run and its resumes, whatever the processing order. Experiments
+  // stored before seeds existed were split by run id.
+  assignArm(experiment, runId, sectionId) {
+    const digest = crypto.createHash('sha1').update(`${experiment.seed || runId}:${sectionId}`).digest();
+    return experiment.arms[digest.readUInt32BE(0) % experiment.arms.length];
+  }
+
+  describe(arm) {
+    const prompt = arm.promptTemplate
+      ? `template "${arm.promptTemplate.name}" v${arm.promptTemplate.version}`
+      : 'custom instructions';
+    const name = arm.name === `Arm ${arm.key}` ? '' : ` "${arm.name}"`;
+    return `Arm ${arm.key}${name}: ${arm.model}, ${prompt}`;
+  }
+
+  // usage: priced usage from usageService.priceUsage
+  recordUsage(arm, usage) {
+    const stats = arm.stats;
+    stats.promptTokens += usage.promptTokens || 0;
+    stats.completionTokens += usage.completionTokens || 0;
+    if (usage.costUsd === null || usage.costUsd === undefined) {
+      stats.unpricedCalls++;
+    } else {
+      stats.costUsd = Math.round((stats.costUsd + usage.costUsd) * 1e6) / 1e6;
+    }
+  }
+
+  // generated: questions the model returned; written: the ones left after the near-duplicate check
+  recordSection(arm, { generated, written }) {
+    arm.stats.sections++;
+    arm.stats.questionsGenerated += generated;
+    arm.stats.questionsWritten += written;
+    arm.stats.duplicates += generated - written;
+  }
+
+  // Compares the arms of a run. Review scores and rejections come from the stored questions, so
+  // the report fills in as the questions are reviewed; duplicates and cost come from the run.
+  async getReport(run) {
+    const { data, error } = await supabase
+      .from('questions')
+      .select('experiment_arm, review_score, status')
+      .eq('generation_run_id', run.id);
+
+    if (error) throw new Error(`Failed to fetch experiment questions: ${error.message}`);
+
+    const arms = run.experiment.arms.map(arm => {
+      const rows = (data || []).filter(row => row.experiment_arm === arm.key);
+      const scores = rows.map(row => row.review_score).filter(Boolean);
+      const scoreDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+      scores.forEach(score => { if (score >= 1 && score <= 5) scoreDistribution[score]++; });
+      const rejected = rows.filter(row => row.status === 'rejected').length;
+      const stats = { ...emptyStats(), ...arm.stats };
+
+      return {
+        key: arm.key,
+        name: arm.name,
+        model: arm.model,
+        promptTemplate: arm.promptTemplate
+          ? { id: arm.promptTemplate.id, name: arm.promptTemplate.name, version: arm.promptTemplate.version }
+          : null,
+        ...stats,
+        duplicateRate: rate(stats.duplicates, stats.questionsGenerated),
+        questions: rows.length,
+        reviewed: scores.length,
+        averageScore: scores.length ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100 : null,
+        scoreDistribution,
+        rejected,
+        rejectionRate: rate(rejected, rows.length),
+        costPerQuestion: stats.questionsWritten ? Math.round((stats.costUsd / stats.questionsWritten) * 1e6) / 1e6 : null,
+      };
+    });
+
+    return {
+      runId: run.id,
+      status: run.status,
+      animeName: run.animeName,
+      arms,
+      unreviewed: arms.reduce((total, arm) => total + arm.questions - arm.reviewed, 0),
+    };
+  }
+}
+
+module.exports = new ExperimentService();
@@ -1,5 +1,6 @@
 // server/services/geminiService.js
 const { GoogleGenAI, Type } = require('@google/genai');
+const questionTypeService = require('./questionTypeService');
 
 class GeminiService {
   constructor() {
@@ -16,7 +17,7 @@ class GeminiService {
 
 // server/services/geminiService.js - ENHANCED error handling for generateQuestions method
 
-  async generateQuestions(prompt, model = 'gemini-2.5-pro') {
+  async generateQuestions(prompt, model = 'gemini-2.5-pro', options = {}) {
     const startTime = Date.now();
     console.log(`[Gemini] Starting API call at ${new Date().toISOString()}`);
     console.log(`[Gemini] Using model: ${model}`);
@@ -29,7 +30,7 @@ class GeminiService {
       // Define the function declaration for question generation
       const generateQuestionsFunctionDeclaration = {
         name: 'generate_questions',
-        description: 'Generate multiple-choice questions from a text with exactly 4 options each. The correctAnswer must be the INDEX (0, 1, 2, or 3) of the correct option, NOT the actual answer text.',
+        description: 'Generate quiz questions from a text. Multiple-choice questions have exactly 4 options. The correctAnswer must be the INDEX (0, 1, 2, or 3) of the correct option, NOT the actual answer text.',
         parameters: {
           type: Type.OBJECT,
           properties: {
@@ -42,10 +43,20 @@ class GeminiService {
                     type: Type.STRING,
                     description: 'The question text'
                   },
+                  type: {
+                    type: Type.STRING,
+                    enum: questionTypeService.getTypes(),
+                    description: 'Question type; multiple_choice unless the instructions ask for other types'
+                  },
                   options: {
                     type: Type.ARRAY,
                     items: { type: Type.STRING },
-                    description: 'Exactly 4 answer options (A, B, C, D)'
+                    description: 'Answer options: 4 for multiple_choice and which_is_not, True/False for true_false, the items in correct order for ordering, only the answer for short_answer'
+                  },
+                  acceptedAnswers: {
+                    type: Type.ARRAY,
+                    items: { type: Type.STRING },
+                    description: 'short_answer only: other spellings or names that also count as correct'
                   },
                   correctAnswer: {
                     type: Type.INTEGER,
@@ -53,8 +64,25 @@ class GeminiService {
                     minimum: 0,
                     maximum: 3
                   },
+                  difficulty: {
+                    type: Type.STRING,
+                    enum: ['easy', 'medium', 'hard'],
+                    description: 'How hard the question is for a fan of the series: easy, medium or hard'
+                  },
+                  spoilerChapter: {
+                    type: Type.INTEGER,
+                    description: 'Latest manga chapter the question reveals, when the text names one'
+                  },
+                  spoilerEpisode: {
+                    type: Type.INTEGER,
+                    description: 'Latest anime episode the question reveals, when the text names one'
+                  },
+                  spoilerArc: {
+                    type: Type.STRING,
+                    description: 'Story arc the question reveals, when the text names one'
+                  },
                 },
-                required: ['question', 'options', 'correctAnswer'],
+                required: ['question', 'options', 'correctAnswer', 'difficulty'],
               },
               description: 'Array of generated questions'
             },
@@ -81,6 +109,7 @@ class GeminiService {
 
       // Race between the API call and timeout
       const response = await Promise.race([apiCallPromise, timeoutPromise]);
+      if (options.onUsage) options.onUsage(this.extractUsage(response, model));
       
       const duration = Date.now() - startTime;
       console.log(`[Gemini] API call completed successfully in ${duration}ms`);
@@ -104,7 +133,7 @@ class GeminiService {
           return {
             success: true,
             questions: questions,
-            usage: response.usage || null
+            usage: this.extractUsage(response, model)
           };
         } else {
           console.error(`[Gemini] Function call missing questions array`);
@@ -127,14 +156,14 @@ class GeminiService {
             return {
               success: true,
               questions: parsedQuestions,
-              usage: response.usage || null
+              usage: this.extractUsage(response, model)
             };
           }
         }
         
         // FALLBACK: Try structured output instead
         console.log('[Gemini] Function calling failed, falling back to structured output...');
-        return await this.generateQuestionsStructured(prompt, model);
+        return await this.generateQuestionsStructured(prompt, model, options);
       }
       
     } catch (error) {
@@ -149,7 +178,7 @@ class GeminiService {
       }
       
       // Add more context to the error
-      const enhancedError = new Error(`Gemini API error (${duration}ms, model: ${model}): ${error.message}`);
+      const enhancedError = new Error(`Gemini API error (${duration}ms, model: ${model}): ${error.message}`, { cause: error });
       enhancedError.originalError = error;
       enhancedError.model = model;
       enhancedError.duration = duration;
@@ -277,7 +306,8 @@ class GeminiService {
   }
 
   // Alternative method using structured output instead of function calling
-  async generateQuestionsStructured(prompt, model = 'gemini-flash-latest') {
+  // options.onUsage(usage) is called as soon as the API answers, even if the answer cannot be parsed
+  async generateQuestionsStructured(prompt, model = 'gemini-flash-latest', options = {}) {
     const startTime = Date.now();
     console.log(`[Gemini] Starting structured output API call at ${new Date().toISOString()}`);
     console.log(`[Gemini] Using model: ${model}`);
@@ -300,10 +330,20 @@ class GeminiService {
                   type: Type.STRING,
                   description: 'The question text'
                 },
+                type: {
+                  type: Type.STRING,
+                  enum: questionTypeService.getTypes(),
+                  description: 'Question type; multiple_choice unless the instructions ask for other types'
+                },
                 options: {
                   type: Type.ARRAY,
                   items: { type: Type.STRING },
-                  description: 'Exactly 4 answer options'
+                  description: 'Answer options: 4 for multiple_choice and which_is_not, True/False for true_false, the items in correct order for ordering, only the answer for short_answer'
+                },
+                acceptedAnswers: {
+                  type: Type.ARRAY,
+                  items: { type: Type.STRING },
+                  description: 'short_answer only: other spellings or names that also count as correct'
                 },
                 correctAnswer: {
                   type: Type.INTEGER,
@@ -311,8 +351,25 @@ class GeminiService {
                   minimum: 0,
                   maximum: 3
                 },
+                difficulty: {
+                  type: Type.STRING,
+                  enum: ['easy', 'medium', 'hard'],
+                  description: 'How hard the question is for a fan of the series: easy, medium or hard'
+                },
+                spoilerChapter: {
+                  type: Type.INTEGER,
+                  description: 'Latest manga chapter the question reveals, when the text names one'
+                },
+                spoilerEpisode: {
+                  type: Type.INTEGER,
+                  description: 'Latest anime episode the question reveals, when the text names one'
+                },
+                spoilerArc: {
+                  type: Type.STRING,
+                  description: 'Story arc the question reveals, when the text names one'
+                },
               },
-              required: ['question', 'options', 'correctAnswer'],
+              required: ['question', 'options', 'correctAnswer', 'difficulty'],
             },
           },
         },
@@ -336,6 +393,7 @@ class GeminiService {
 
       // Race between the API call and timeout
       const response = await Promise.race([apiCallPromise, timeoutPromise]);
+      if (options.onUsage) options.onUsage(this.extractUsage(response, model));
       
       const duration = Date.now() - startTime;
       console.log(`[Gemini] Structured output API call completed successfully in ${duration}ms`);
@@ -367,7 +425,7 @@ class GeminiService {
         // Validate question structure
         for (let i = 0; i < parsedResponse.questions.length; i++) {
           const q = parsedResponse.questions[i];
-          if (!q.question || !Array.isArray(q.options) || q.options.length !== 4) {
+          if (!q.question || !Array.isArray(q.options) || q.options.length === 0) {
             console.error(`[Gemini] Invalid question structure at index ${i}:`, q);
             throw new Error(`Invalid question structure at index ${i}`);
           }
@@ -419,7 +477,7 @@ class GeminiService {
         return {
           success: true,
           questions: parsedResponse.questions,
-          usage: response.usage || null
+          usage: this.extractUsage(response, model)
         };
       } catch (parseError) {
         console.error('[Gemini] Error parsing structured response:', parseError.message);
@@ -436,7 +494,7 @@ class GeminiService {
             return {
               success: true,
               questions: partialParsed.questions,
-              usage: response.usage || null
+              usage: this.extractUsage(response, model)
             };
           }
         } catch (cleanupError) {
@@ -451,10 +509,23 @@ class GeminiService {
       console.error(`[Gemini] Structured output API call failed after ${duration}ms:`, error.message);
       
       // Re-throw with more context
-      throw new Error(`Gemini structured output API error (${duration}ms): ${error.message}`);
+      throw new Error(`Gemini structured output API error (${duration}ms): ${error.message}`, { cause: error });
     }
   }
 
+  // Normalizes usageMetadata from @google/genai; thinking tokens are billed as output
+  extractUsage(response, model) {
+    const meta = response?.usageMetadata;
+    if (!meta) return null;
+
+    return {
+      provider: 'gemini',
+      model,
+      promptTokens: meta.promptTokenCount || 0,
+      completionTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0),
+    };
+  }
+
   async testConnection() {
     try {
       console.log('[Gemini] Testing connection...');
@@ -509,28 +580,12 @@ class GeminiService {
       throw new Error('Questions must be an array');
     }
 
-    for (let i = 0; i < questions.length; i++) {
-      const q = questions[i];
-      
-      if (!q.question || typeof q.question !== 'string') {
-        throw new Error(`Question ${i + 1}: Missing or invalid question text`);
+    questions.forEach((q, i) => {
+      const problem = questionTypeService.validate(questionTypeService.normalize(q));
+      if (problem) {
+        throw new Error(`Question ${i + 1}: ${problem}`);
       }
-      
-      if (!Array.isArray(q.options) || q.options.length !== 4) {
-        throw new Error(`Question ${i + 1}: Must have exactly 4 options`);
-      }
-      
-      if (typeof q.correctAnswer !== 'number' || q.correctAnswer < 0 || q.correctAnswer > 3) {
-        throw new Error(`Question ${i + 1}: correctAnswer must be a number between 0 and 3`);
-      }
-      
-      // Check that all options are strings
-      for (let j = 0; j < q.options.length; j++) {
-        if (typeof q.options[j] !== 'string' || q.options[j].trim().length === 0) {
-          throw new Error(`Question ${i + 1}, Option ${j + 1}: Must be a non-empty string`);
-        }
-      }
-    }
+    });
 
     return true;
   }
@@ -0,0 +1,238 @@
+const scrapingService = require('./scrapingService');
+const questionsService = require('./questionsService');
+const storyArcService = require('./storyArcService');
+const experimentService = require('./experimentService');
+const modelConfigService = require('./modelConfigService');
+const usageService = require('./usageService');
+const chunkingService = require('./chunkingService');
+
+// Rough completion size for the cost estimate; real usage depends on the model's answers
+const COMPLETION_TOKENS_PER_QUESTION = 150;
+
+// Upper bound for a per-section question count override
+const MAX_SECTION_QUESTIONS = 20;
+
+// Dry-run planning for generation runs. A plan walks the same pages and sections a run would,
+// with the same skip rules and budgets, and estimates tokens and cost from the prompts the run
+// would send. It reads the wiki (through the page cache) and processed_sections but never
+// calls a model and never writes anything.
+class GenerationPlanService {
+  // Expands a run definition into its page queue: categories, individual pages, then story arcs
+  async collectPages(run, log = () => {}) {
+    const pages = [];
+
+    for (const category of run.categories || []) {
+      log(`Fetching pages for category: ${category}...`);
+      const titles = await scrapingService.fetchRelevantPages(category, run.fandomWikiName);
+      pages.push(...titles.map(title => ({ title, category })));
+    }
+    pages.push(...(run.individualPages || []).map(title => ({ title, category: 'Individual' })));
+
+    for (const arc of run.storyArcs || []) {
+      log(`Expanding story arc: ${storyArcService.describe(arc)}`);
+      const arcPages = arc.pages.map(title => ({ title, category: 'Individual' }));
+      for (const category of arc.categories) {
+        log(`Fetching pages for category: ${category}...`);
+        const titles = await scrapingService.fetchRelevantPages(category, run.fandomWikiName);
+        arcPages.push(...titles.map(title => ({ title, category })));
+      }
+      pages.push(...arcPages.map(page => ({ ...page, arcId: arc.id })));
+    }
+
+    return pages;
+  }
+
+  plannedQuestionCount(section, run) {
+    return Math.max(1, Math.ceil(section.wordCount * run.questionsPerChunk / run.wordsPerChunk));
+  }
+
+  // Validates the `sectionSelection` field of /api/generation/start: [{ pageTitle, sectionTitle, questionCount? }].
+  // A page listed here only runs the listed sections; pages that are not listed run all of theirs.
+  // Errors are meant for the user (400).
+  normalizeSectionSelection(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) throw new Error('Section selection must be a list of { pageTitle, sectionTitle }');
+
+    const seen = new Set();
+    return value.map(entry => {
+      const pageTitle = String(entry?.pageTitle || '').trim();
+      const sectionTitle = String(entry?.sectionTitle || '').trim();
+      if (!pageTitle || !sectionTitle) throw new Error('Every selected section needs a pageTitle and a sectionTitle');
+
+      const key = `${pageTitle}\n${sectionTitle}`;
+      if (seen.has(key)) throw new Error(`Section "${sectionTitle}" on ${pageTitle} is selected twice`);
+      seen.add(key);
+
+      let questionCount = null;
+      if (entry.questionCount !== undefined && entry.questionCount !== null && entry.questionCount !== '') {
+        questionCount = Number(entry.questionCount);
+        if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_SECTION_QUESTIONS) {
+          throw new Error(`Question count for "${sectionTitle}" on ${pageTitle} must be a whole number from 1 to ${MAX_SECTION_QUESTIONS}`);
+        }
+      }
+
+      return { pageTitle, sectionTitle, questionCount };
+    });
+  }
+
+  // Whether the run generates a section and how many questions it asks for
+  chooseSection(run, page, section) {
+    const pageSelection = (run.sectionSelection || []).filter(entry => entry.pageTitle === page.title);
+    if (pageSelection.length === 0) {
+      return { selected: true, questionCount: this.plannedQuestionCount(section, run) };
+    }
+
+    const entry = pageSelection.find(e => e.sectionTitle === section.title);
+    if (!entry) return { selected: false, questionCount: this.plannedQuestionCount(section, run) };
+    return { selected: true, questionCount: entry.questionCount || this.plannedQuestionCount(section, run) };
+  }
+
+  // Selected section titles the page no longer has, e.g. after a wiki edit or a different skip list
+  missingSelections(run, page, sections) {
+    const titles = new Set((sections || []).map(section => section.title));
+    return (run.sectionSelection || [])
+      .filter(entry => entry.pageTitle === page.title && !titles.has(entry.sectionTitle))
+      .map(entry => entry.sectionTitle);
+  }
+
+  estimateTokens(prompt, questionCount, model) {
+    return {
+      promptTokens: chunkingService.estimateTokens(prompt, model),
+      completionTokens: questionCount * COMPLETION_TOKENS_PER_QUESTION,
+    };
+  }
+
+  // run: the process object /start builds. Returns { pages, sections, totals }; sections are
+  // listed in run order with action 'generate', 'regenerate' or 'skip' (and a reason).
+  async planRun(run) {
+    const pages = await this.collectPages(run);
+    if (pages.length === 0) {
+      throw new Error('No pages found to process. Please select categories, story arcs or add individual pages.');
+    }
+
+    const arcsById = new Map((run.storyArcs || []).map(arc => [String(arc.id), arc]));
+    const pricing = new Map();
+    const getPricing = async (model) => {
+      if (!pricing.has(model)) pricing.set(model, await modelConfigService.getPricing(model));
+      return pricing.get(model);
+    };
+
+    const seen = new Set();
+    const plannedPages = [];
+    const sections = [];
+    const missingSelections = [];
+    let apiCalls = 0;
+    let costUsd = 0;
+
+    for (const page of pages) {
+      const pageSections = await scrapingService.fetchPageContent(page.title, run.fandomWikiName, {
+        skipSections: run.skipSections || [],
+        chunking: run.chunking,
+        model: run.openaiModel,
+      });
+      plannedPages.push({ title: page.title, category: page.category, arcId: page.arcId || null, sections: (pageSections || []).length });
+      this.missingSelections(run, page, pageSections)
+        .forEach(sectionTitle => missingSelections.push({ pageTitle: page.title, sectionTitle }));
+
+      for (const section of pageSections || []) {
+        const sectionId = scrapingService.generateSectionId(page.category, page.title, section.title, run.fandomWikiName);
+        const { selected, questionCount } = this.chooseSection(run, page, section);
+        const entry = {
+          sectionId,
+          pageTitle: page.title,
+          category: page.category,
+          sectionTitle: section.title,
+          wordCount: section.wordCount,
+          questionCount,
+          alreadyProcessed: false,
+          action: 'generate',
+          reason: null,
+        };
+        sections.push(entry);
+
+        if (!selected) {
+          Object.assign(entry, { action: 'skip', reason: 'not selected' });
+          continue;
+        }
+        if (seen.has(sectionId)) {
+          Object.assign(entry, { action: 'skip', reason: 'duplicate' });
+          continue;
+        }
+        seen.add(sectionId);
+
+        // Same decisions as processSection in generationRunnerService
+        if (run.refreshChanged) {
+          const previous = await scrapingService.getSectionState(sectionId);
+          if (previous) {
+            entry.alreadyProcessed = true;
+            if (!previous.content_hash) {
+              Object.assign(entry, { action: 'skip', reason: 'already processed' });
+            } else if (previous.content_hash === scrapingService.hashSectionContent(section.content)) {
+              Object.assign(entry, { action: 'skip', reason: 'unchanged' });
+            } else {
+              entry.action = 'regenerate';
+            }
+          }
+        } else if (await scrapingService.isSectionProcessed(sectionId)) {
+          Object.assign(entry, { alreadyProcessed: true, action: 'skip', reason: 'already processed' });
+        }
+        if (entry.action === 'skip') continue;
+
+        if (apiCalls >= run.maxApiCalls) {
+          Object.assign(entry, { action: 'skip', reason: 'budget' });
+          continue;
+        }
+        if (run.costBudget && costUsd >= run.costBudget) {
+          Object.assign(entry, { action: 'skip', reason: 'cost budget' });
+          continue;
+        }
+
+        const arm = run.experiment ? experimentService.assignArm(run.experiment, run.id, sectionId) : null;
+        const model = arm ? arm.model : run.openaiModel;
+        const prompt = questionsService.buildPrompt(section.content, questionCount, run.animeName, page.category, page.title, {
+          promptInstructions: arm ? arm.promptInstructions : run.promptInstructions,
+          promptTemplate: arm ? arm.promptTemplate : run.promptTemplate,
+          difficultyMix: run.difficultyMix,
+          questionTypeMix: run.questionTypeMix,
+          storyArc: page.arcId ? arcsById.get(String(page.arcId)) || null : null,
+          sectionTitle: section.title,
+        });
+        const tokens = this.estimateTokens(prompt, questionCount, model);
+        const rates = await getPricing(model);
+
+        Object.assign(entry, {
+          model,
+          arm: arm ? arm.key : null,
+          ...tokens,
+          costUsd: rates ? usageService.calculateCost(rates, tokens.promptTokens, tokens.completionTokens) : null,
+        });
+        apiCalls++;
+        if (entry.costUsd !== null) costUsd = Math.round((costUsd + entry.costUsd) * 1e6) / 1e6;
+      }
+    }
+
+    const planned = sections.filter(s => s.action !== 'skip');
+    return {
+      pages: plannedPages,
+      // Sent back with the confirmed run so it assigns sections to the same arms
+      experimentSeed: run.experiment ? run.experiment.seed : null,
+      sections,
+      missingSelections,
+      totals: {
+        pages: plannedPages.length,
+        sections: sections.length,
+        alreadyProcessed: sections.filter(s => s.alreadyProcessed).length,
+        apiCalls,
+        questions: planned.reduce((total, s) => total + s.questionCount, 0),
+        words: planned.reduce((total, s) => total + s.wordCount, 0),
+        promptTokens: planned.reduce((total, s) => total + s.promptTokens, 0),
+        completionTokens: planned.reduce((total, s) => total + s.completionTokens, 0),
+        costUsd,
+        unpricedModels: [...new Set(planned.filter(s => s.costUsd === null).map(s => s.model))],
+        skippedForBudget: sections.filter(s => s.reason === 'budget' || s.reason === 'cost budget').length,
+      },
+    };
+  }
+}
+
+module.exports = new GenerationPlanService();
@@ -0,0 +1,200 @@
+const { supabase } = require('../config/supabase');
+
+const RUNS_TABLE = 'generation_runs';
+const LOGS_TABLE = 'generation_run_logs';
+
+// Runs that ended before finishing their pages; completed runs start over as a new run instead
+const RESUMABLE_STATUSES = ['stopped', 'interrupted', 'error'];
+
+// Maps the in-memory process fields used by routes/generation.js and generationRunnerService to table columns
+const RUN_COLUMNS = {
+  id: 'id',
+  animeName: 'anime_name',
+  fandomWikiName: 'fandom_wiki_name',
+  animeId: 'anime_id',
+  status: 'status',
+  progress: 'progress',
+  apiCallsMade: 'api_calls_made',
+  questionsGenerated: 'questions_generated',
+  openaiModel: 'model',
+  promptInstructions: 'prompt_instructions',
+  promptTemplate: 'prompt_template',
+  experiment: 'experiment',
+  skipSections: 'skip_sections',
+  categories: 'categories',
+  individualPages: 'individual_pages',
+  sectionSelection: 'section_selection',
+  chunking: 'chunking',
+  storyArcs: 'story_arcs',
+  maxApiCalls: 'max_api_calls',
+  questionsPerChunk: 'questions_per_chunk',
+  wordsPerChunk: 'words_per_chunk',
+  parallelism: 'parallelism',
+  promptTokens: 'prompt_tokens',
+  completionTokens: 'completion_tokens',
+  costUsd: 'cost_usd',
+  costBudget: 'cost_budget',
+  difficultyMix: 'difficulty_mix',
+  questionTypeMix: 'question_type_mix',
+  fallbackModels: 'fallback_models',
+  refreshChanged: 'refresh_changed',
+  retireOutdated: 'retire_outdated',
+  pageQueue: 'page_queue',
+  resumeCount: 'resume_count',
+  startTime: 'started_at',
+  finishedAt: 'finished_at',
+  duration: 'duration_ms',
+  error: 'error',
+};
+
+class GenerationRunService {
+  async createRun(run) {
+    const { error } = await supabase
+      .from(RUNS_TABLE)
+      .insert(this.toRow(run));
+
+    if (error) throw new Error(`Failed to create generation run: ${error.message}`);
+  }
+
+  async updateRun(id, fields) {
+    const { error } = await supabase
+      .from(RUNS_TABLE)
+      .update({ ...this.toRow(fields), updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) throw new Error(`Failed to update generation run: ${error.message}`);
+  }
+
+  async appendLog(runId, entry) {
+    const { error } = await supabase
+      .from(LOGS_TABLE)
+      .insert({
+        run_id: runId,
+        message: entry.message,
+        type: entry.type || 'info',
+        created_at: new Date(entry.timestamp || Date.now()).toISOString(),
+      });
+
+    if (error) throw new Error(`Failed to write generation log: ${error.message}`);
+  }
+
+  async getRun(id, { includeLogs = true } = {}) {
+    const { data, error } = await supabase
+      .from(RUNS_TABLE)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to fetch generation run: ${error.message}`);
+    if (!data) return null;
+
+    const logs = includeLogs ? await this.getLogs(id) : [];
+    return this.fromRow(data, logs);
+  }
+
+  async getLogs(runId) {
+    const { data, error } = await supabase
+      .from(LOGS_TABLE)
+      .select('message, type, created_at')
+      .eq('run_id', runId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw new Error(`Failed to fetch generation logs: ${error.message}`);
+
+    return (data || []).map(l => ({ timestamp: l.created_at, message: l.message, type: l.type }));
+  }
+
+  async listRuns(limit = 20) {
+    const { data, error } = await supabase
+      .from(RUNS_TABLE)
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to fetch generation runs: ${error.message}`);
+    return (data || []).map(row => this.fromRow(row));
+  }
+
+  // Runs still flagged as active when the server boots were cut off by a crash or reload
+  async markInterruptedRuns() {
+    const { data, error } = await supabase
+      .from(RUNS_TABLE)
+      .update({
+        status: 'interrupted',
+        error: 'Server restarted while the run was in progress',
+        finished_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .in('status', ['running', 'stopping'])
+      .select('id');
+
+    if (error) throw new Error(`Failed to mark interrupted runs: ${error.message}`);
+    return (data || []).length;
+  }
+
+  // Why a stored run cannot be resumed (for a 409), or null when it can
+  getResumeBlocker(run) {
+    if (!RESUMABLE_STATUSES.includes(run.status)) return `Process cannot be resumed (status: ${run.status})`;
+    if (run.apiCallsMade >= run.maxApiCalls) return `API call budget of ${run.maxApiCalls} already used`;
+    if (run.costBudget && run.costUsd >= run.costBudget) return `Cost budget of $${run.costBudget} already used`;
+    return null;
+  }
+
+  // Queues a stored run again; returns the process to hand to the job queue
+  async prepareResume(run) {
+    const process = {
+      ...run,
+      status: 'queued',
+      error: null,
+      resumeCount: (run.resumeCount || 0) + 1,
+    };
+
+    await this.updateRun(run.id, {
+      status: process.status,
+      error: null,
+      finishedAt: null,
+      resumeCount: process.resumeCount,
+    });
+    return process;
+  }
+
+  toRow(fields) {
+    const row = {};
+    for (const [key, column] of Object.entries(RUN_COLUMNS)) {
+      if (fields[key] === undefined) continue;
+      const value = fields[key];
+      row[column] = value instanceof Date ? value.toISOString() : value;
+    }
+    return row;
+  }
+
+  fromRow(row, logs = []) {
+    const run = {};
+    for (const [key, column] of Object.entries(RUN_COLUMNS)) {
+      run[key] = row[column] ?? null;
+    }
+    run.apiCallsMade = run.apiCallsMade || 0;
+    run.questionsGenerated = run.questionsGenerated || 0;
+    run.progress = run.progress || 0;
+    run.skipSections = run.skipSections || [];
+    run.categories = run.categories || [];
+    run.individualPages = run.individualPages || [];
+    run.sectionSelection = run.sectionSelection || [];
+    run.storyArcs = run.storyArcs || [];
+    run.pageQueue = run.pageQueue || [];
+    run.fallbackModels = run.fallbackModels || [];
+    run.refreshChanged = Boolean(run.refreshChanged);
+    run.retireOutdated = Boolean(run.retireOutdated);
+    run.resumeCount = run.resumeCount || 0;
+    run.parallelism = run.parallelism || 1;
+    run.promptTokens = run.promptTokens || 0;
+    run.completionTokens = run.completionTokens || 0;
+    run.costUsd = Number(run.costUsd) || 0;
+    run.costBudget = run.costBudget == null ? null : Number(run.costBudget);
+    run.logs = logs;
+    return run;
+  }
+}
+
+module.exports = new GenerationRunService();
@@ -0,0 +1,537 @@
+const animeService = require('./animeService');
+const scrapingService = require('./scrapingService');
+const questionsService = require('./questionsService');
+const generationRunService = require('./generationRunService');
+const usageService = require('./usageService');
+const experimentService = require('./experimentService');
+const generationPlanService = require('./generationPlanService');
+const chunkingService = require('./chunkingService');
+const runSchedulerService = require('./runSchedulerService');
+const duplicateService = require('./duplicateService');
+
+// Executes generation runs for the 'generation' job handler in routes/generation.js.
+// A run reads its whole definition from the process record so a resumed run
+// continues with the same pages, settings and remaining API-call budget.
+// Up to `parallelism` sections are generated at once; pages are fetched in
+// order and only when the pool has room, so parallelism 1 behaves sequentially.
+class GenerationRunnerService {
+  // process: the run record (see generationRunService.fromRow), updated in place as the run
+  // progresses; io: the socket.io server the progress events go to
+  async run(process, io) {
+    const {
+      id: processId,
+      animeName,
+      fandomWikiName,
+      storyArcs,
+      maxApiCalls,
+      skipSections
+    } = process;
+    const parallelism = runSchedulerService.normalizeParallelism(process.parallelism);
+    const emit = (event, data) => io.emit(`generation:${processId}:${event}`, data);
+
+    // Log rows are written one after another so their ids follow emission order
+    let logWrites = Promise.resolve();
+    const log = (message, type = 'info') => {
+      const logEntry = { timestamp: new Date(), message, type };
+      process.logs.push(logEntry);
+      emit('log', logEntry);
+      logWrites = logWrites
+        .then(() => generationRunService.appendLog(processId, logEntry))
+        .catch(err => console.error(`[Generation] Could not persist log for ${processId}:`, err.message));
+    };
+
+    // Updates are chained too, so counters written by concurrent sections never go backwards
+    let runWrites = Promise.resolve();
+    const persist = (fields) => {
+      runWrites = runWrites
+        .then(() => generationRunService.updateRun(processId, fields))
+        .catch(err => console.error(`[Generation] Could not persist run ${processId}:`, err.message));
+      return runWrites;
+    };
+
+    const socketEmitter = (event, data) => {
+      emit(event, data);
+    };
+
+    // Per-section status for ProgressMonitor: queued, generating, done, skipped or failed
+    const sectionStatus = (sectionId, page, section, status, extra = {}) => {
+      emit('section', {
+        id: sectionId,
+        pageTitle: page.title,
+        sectionTitle: section.title,
+        status,
+        ...extra,
+        timestamp: new Date()
+      });
+    };
+
+    const pool = runSchedulerService.createTaskPool(parallelism);
+    const callBudget = runSchedulerService.createCallBudget(maxApiCalls, process.apiCallsMade);
+    const arcsById = new Map((storyArcs || []).map(arc => [String(arc.id), arc]));
+    const claimedSections = new Set();
+    // The category's stored questions are read once per run for the duplicate check
+    const duplicateCache = duplicateService.createRunCache();
+    let budgetExhausted = false;
+    let costExceeded = Boolean(process.costBudget) && process.costUsd >= process.costBudget;
+    let fatalError = null;
+    let failedSections = 0;
+    const unpricedModels = new Set();
+
+    const shouldHalt = () => process.status === 'stopping' || budgetExhausted || costExceeded || fatalError !== null;
+    const haltReason = () => {
+      if (fatalError) return 'run failed';
+      if (budgetExhausted) return 'budget';
+      if (costExceeded) return 'cost budget';
+      return 'stopped';
+    };
+
+    // Adds the token usage of one section's API calls to the run (and its experiment arm)
+    // and enforces the cost budget
+    const recordUsage = async (usages, arm = null) => {
+      if (usages.length === 0) return;
+
+      for (const usage of usages) {
+        const priced = await usageService.priceUsage(usage);
+        if (arm) experimentService.recordUsage(arm, priced);
+        process.promptTokens += priced.promptTokens;
+        process.completionTokens += priced.completionTokens;
+
+        if (priced.costUsd === null) {
+          if (!unpricedModels.has(priced.model)) {
+            unpricedModels.add(priced.model);
+            log(`No pricing configured for ${priced.model}; its calls are not included in the run cost. Set rates in the Settings tab.`, 'warning');
+          }
+        } else {
+          process.costUsd = Math.round((process.costUsd + priced.costUsd) * 1e6) / 1e6;
+        }
+
+        usageService.recordUsage({ ...priced, purpose: 'generation', runId: processId, animeId: process.animeId, animeName })
+          .catch(err => console.error(`[Generation] Could not record usage for ${processId}:`, err.message));
+      }
+
+      emit('usage', {
+        promptTokens: process.promptTokens,
+        completionTokens: process.completionTokens,
+        costUsd: process.costUsd
+      });
+
+      if (process.costBudget && process.costUsd >= process.costBudget && !costExceeded) {
+        costExceeded = true;
+        log(`Cost budget of $${process.costBudget} reached ($${process.costUsd.toFixed(4)} spent). No new sections will be started.`, 'warning');
+      }
+    };
+
+    // Resolves to false when the section was left for a later run (stop, budget or failure)
+    const processSection = async (page, section, sectionId) => {
+      const label = `"${section.title}" on ${page.title}`;
+      const storyArc = page.arcId ? arcsById.get(String(page.arcId)) || null : null;
+
+      if (shouldHalt()) {
+        sectionStatus(sectionId, page, section, 'skipped', { reason: haltReason() });
+        return false;
+      }
+      const { selected, questionCount } = generationPlanService.chooseSection(process, page, section);
+      if (!selected) {
+        log(`Skipping section ${label} (not selected).`);
+        sectionStatus(sectionId, page, section, 'skipped', { reason: 'not selected' });
+        return true;
+      }
+      if (claimedSections.has(sectionId)) {
+        log(`Skipping section ${label} (duplicate section in this run).`);
+        sectionStatus(sectionId, page, section, 'skipped', { reason: 'duplicate' });
+        return true;
+      }
+      claimedSections.add(sectionId);
+
+      // Refresh runs regenerate processed sections whose text no longer matches the stored hash
+      const contentHash = scrapingService.hashSectionContent(section.content);
+      const previous = await scrapingService.getSectionState(sectionId);
+      let outdatedQuestionIds = [];
+      if (previous) {
+        if (!process.refreshChanged) {
+          log(`Skipping section ${label} (already processed).`);
+          sectionStatus(sectionId, page, section, 'skipped', { reason: 'already processed' });
+          return true;
+        }
+        if (!previous.content_hash) {
+          // Processed before content hashes were stored; its current text becomes the baseline
+          await scrapingService.recordSectionVersion(sectionId, { contentHash, revisionId: section.revisionId });
+          log(`Skipping section ${label} (already processed; recorded its current text for future refreshes).`);
+          sectionStatus(sectionId, page, section, 'skipped', { reason: 'already processed' });
+          return true;
+        }
+        if (previous.content_hash === contentHash) {
+          log(`Skipping section ${label} (unchanged since it was processed).`);
+          sectionStatus(sectionId, page, section, 'skipped', { reason: 'unchanged' });
+          return true;
+        }
+
+        const since = previous.revision_id ? ` since revision ${previous.revision_id}` : '';
+        log(`Section ${label} changed${since}; regenerating.`);
+        if (process.retireOutdated) {
+          outdatedQuestionIds = await questionsService.getSectionQuestionIds(sectionId);
+        }
+      }
+
+      if (shouldHalt()) {
+        sectionStatus(sectionId, page, section, 'skipped', { reason: haltReason() });
+        return false;
+      }
+      // Reserve the API call synchronously so concurrent sections cannot overshoot the budget
+      if (!callBudget.reserve()) {
+        if (!budgetExhausted) log(`API call limit of ${maxApiCalls} reached.`, 'warning');
+        budgetExhausted = true;
+        sectionStatus(sectionId, page, section, 'skipped', { reason: 'budget' });
+        return false;
+      }
+
+      const arm = process.experiment ? experimentService.assignArm(process.experiment, processId, sectionId) : null;
+      const model = arm ? arm.model : process.openaiModel;
+      const promptInstructions = arm ? arm.promptInstructions : process.promptInstructions;
+      const promptTemplate = arm ? arm.promptTemplate : process.promptTemplate;
+
+      const armLabel = arm ? ` with arm ${arm.key}` : '';
+      log(`Generating ${questionCount} questions for section ${label}${armLabel} (${section.wordCount} words)`);
+      sectionStatus(sectionId, page, section, 'generating', { questionsPlanned: questionCount });
+
+      let questions;
+      let callsMade = 0;
+      let fallbacks = 0;
+      let slots = 1;
+      const usages = [];
+      try {
+        questions = await questionsService.generateQuestions(
+          section.content,
+          questionCount,
+          animeName,
+          page.category,
+          page.title,
+          {
+            model,
+            promptInstructions,
+            promptTemplate,
+            difficultyMix: process.difficultyMix,
+            questionTypeMix: process.questionTypeMix,
+            fallbackModels: process.fallbackModels,
+            storyArc,
+            sectionTitle: section.title,
+            socketEmitter: socketEmitter,
+            onUsage: usage => usages.push(usage),
+            // Every fallback attempt needs a slot of its own; without one the chain ends here
+            beforeFallback: () => {
+              if (!callBudget.reserve()) return false;
+              slots++;
+              return true;
+            },
+            onFallback: ({ from, to, reason, error }) => {
+              fallbacks++;
+              log(`${from} failed for section ${label} (${reason}: ${error}). Falling back to ${to}.`, 'warning');
+            }
+          }
+        );
+        callsMade = fallbacks + 1;
+      } catch (error) {
+        callsMade = error.attempts || 0;
+        throw error;
+      } finally {
+        // Every model the chain tried counts, so a dead provider cannot work through sections
+        // for free; slots the section made no call with go back to the budget
+        if (callsMade > 0) callBudget.commit(callsMade);
+        if (slots > callsMade) callBudget.release(slots - callsMade);
+        process.apiCallsMade = callBudget.used;
+        await recordUsage(usages, arm);
+      }
+
+      // Retired before the new questions are written so they do not count as near-duplicates
+      if (outdatedQuestionIds.length > 0) {
+        const retired = await questionsService.retireQuestions(outdatedQuestionIds);
+        log(`Retired ${retired} questions based on the previous text of section ${label}.`);
+      }
+
+      let count = 0;
+      if (questions && questions.length > 0) {
+        count = await questionsService.writeQuestionsToSupabase(
+          questions,
+          process.animeId,
+          {
+            fandomWikiName,
+            category: page.category,
+            pageTitle: page.title,
+            sectionTitle: section.title,
+            sectionId,
+            sectionContent: section.content,
+            storyArc,
+            model,
+            promptInstructions,
+            promptTemplate,
+            experimentArm: arm ? arm.key : null,
+            runId: processId,
+            duplicateCache
+          }
+        );
+        process.questionsGenerated += count;
+        const usedModel = questions[0].generatedBy;
+        const byFallback = usedModel && usedModel !== model ? ` with fallback model ${usedModel}` : '';
+        log(`Generated ${count} questions for section ${label}${byFallback}.`, 'success');
+        if (count < questions.length) {
+          log(`Skipped ${questions.length - count} near-duplicate questions for section ${label}.`, 'warning');
+        }
+        emit('questionsGenerated', { count, total: process.questionsGenerated });
+      }
+      if (arm) {
+        experimentService.recordSection(arm, { generated: questions ? questions.length : 0, written: count });
+      }
+
+      // Only marked once its questions are stored, so a stop or crash never leaves
+      // a section flagged as processed without questions (or the other way round)
+      await scrapingService.markSectionAsProcessed(sectionId, fandomWikiName, {
+        category: page.category,
+        pageTitle: page.title,
+        sectionTitle: section.title,
+        wordCount: section.wordCount,
+        questionsGenerated: count,
+        contentHash,
+        revisionId: section.revisionId,
+        chunkIndex: section.chunkIndex,
+        chunkCount: section.chunkCount
+      });
+
+      sectionStatus(sectionId, page, section, 'done', { questionsGenerated: count });
+      await persist({
+        experiment: process.experiment || undefined,
+        apiCallsMade: process.apiCallsMade,
+        questionsGenerated: process.questionsGenerated,
+        promptTokens: process.promptTokens,
+        completionTokens: process.completionTokens,
+        costUsd: process.costUsd
+      });
+      return true;
+    };
+
+    const runSection = (page, section, sectionId) => pool.run(async () => {
+      try {
+        return await processSection(page, section, sectionId);
+      } catch (error) {
+        // The budget ran out in the middle of the fallback chain: the section stays unprocessed
+        if (error.budgetExhausted) {
+          if (!budgetExhausted) log(`API call limit of ${maxApiCalls} reached.`, 'warning');
+          budgetExhausted = true;
+          sectionStatus(sectionId, page, section, 'skipped', { reason: 'budget' });
+          return false;
+        }
+        // Every model in the chain failed on this section: it stays unprocessed and the run goes on
+        if (error.chainExhausted) {
+          failedSections++;
+          log(`Section "${section.title}" on ${page.title} failed on every model (${error.message}). It stays unprocessed for a later run.`, 'error');
+          sectionStatus(sectionId, page, section, 'failed', { error: error.message });
+          return false;
+        }
+        if (!fatalError) fatalError = error;
+        log(`Section "${section.title}" on ${page.title} failed: ${error.message}`, 'error');
+        sectionStatus(sectionId, page, section, 'failed', { error: error.message });
+        return false;
+      }
+    });
+
+    const pagesInFlight = [];
+
+    try {
+      if (process.resumeCount > 0) {
+        log(`Resuming run (${process.apiCallsMade}/${maxApiCalls} API calls used, ${process.questionsGenerated} questions so far)`);
+      }
+
+      if (skipSections && skipSections.length > 0) {
+        log(`Section filtering enabled: skipping ${skipSections.length} section types`, 'info');
+        log(`Skip sections: ${skipSections.slice(0, 5).join(', ')}${skipSections.length > 5 ? '...' : ''}`, 'info');
+      } else {
+        log('No section filtering configured - processing all sections', 'info');
+      }
+
+      log(`Chunking: ${chunkingService.describe(process.chunking || chunkingService.getDefaultConfig())}`);
+
+      if (process.sectionSelection && process.sectionSelection.length > 0) {
+        const selectedPages = new Set(process.sectionSelection.map(entry => entry.pageTitle));
+        log(`Section selection: ${process.sectionSelection.length} sections picked on ${selectedPages.size} pages; their other sections are skipped`);
+      }
+
+      if (parallelism > 1) {
+        log(`Processing up to ${parallelism} sections in parallel`);
+      }
+
+      if (process.costBudget) {
+        log(`Cost budget: $${process.costBudget} ($${process.costUsd.toFixed(4)} spent so far)`);
+      }
+
+      if (process.difficultyMix) {
+        const { easy, medium, hard } = process.difficultyMix;
+        log(`Target difficulty mix: ${easy}% easy, ${medium}% medium, ${hard}% hard`);
+      }
+
+      if (process.questionTypeMix) {
+        const mix = Object.entries(process.questionTypeMix)
+          .filter(([, percent]) => percent > 0)
+          .map(([type, percent]) => `${percent}% ${type}`);
+        log(`Question type mix: ${mix.join(', ')}`);
+      }
+
+      if (process.refreshChanged) {
+        log(`Refresh mode: regenerating sections whose wiki text changed${process.retireOutdated ? ' and retiring their old questions' : ''}`);
+      }
+
+      if (process.promptTemplate) {
+        log(`Prompt template: ${process.promptTemplate.name} (version ${process.promptTemplate.version})`);
+      }
+
+      if (process.experiment) {
+        log(`Experiment with ${process.experiment.arms.length} arms; sections are split between them:`);
+        process.experiment.arms.forEach(arm => log(`  ${experimentService.describe(arm)}`));
+      }
+
+      if (process.fallbackModels && process.fallbackModels.length > 0) {
+        log(`Fallback chain: ${[process.openaiModel, ...process.fallbackModels].join(' → ')}`);
+      }
+
+      if (process.animeId) {
+        log(`Using AniList ID ${process.animeId} for ${animeName}`);
+      } else {
+        log(`Fetching AniList ID for ${animeName}...`);
+        const animeData = await animeService.getAnimeId(animeName);
+        if (!animeData) throw new Error(`Could not find AniList ID for ${animeName}`);
+        process.animeId = animeData.id;
+        await persist({ animeId: process.animeId });
+        log(`Found manga: ${animeData.title.romaji} (ID: ${animeData.id})`, 'success');
+      }
+
+      let pagesToProcess = process.pageQueue || [];
+      if (pagesToProcess.length > 0) {
+        log(`Reusing the saved page queue (${pagesToProcess.length} pages)`);
+      } else {
+        pagesToProcess = await generationPlanService.collectPages(process, log);
+
+        if (pagesToProcess.length === 0) {
+          throw new Error('No pages found to process. Please select categories, story arcs or add individual pages.');
+        }
+
+        process.pageQueue = pagesToProcess;
+        await persist({ pageQueue: pagesToProcess });
+      }
+
+      const totalWork = pagesToProcess.length;
+      let workDone = 0;
+
+      const completePage = () => {
+        workDone++;
+        process.progress = Math.round((workDone / totalWork) * 100);
+        emit('progress', process.progress);
+        return persist({ progress: process.progress });
+      };
+
+      for (const page of pagesToProcess) {
+        await pool.waitForCapacity();
+
+        if (process.status === 'stopping') {
+          log('Generation stopped by user.', 'warning');
+          break;
+        }
+        if (budgetExhausted || costExceeded || fatalError) break;
+
+        log(`Processing page: ${page.title}`);
+
+        const sections = await scrapingService.fetchPageContent(page.title, fandomWikiName, {
+          skipSections: skipSections || [],
+          chunking: process.chunking,
+          model: process.openaiModel
+        });
+
+        if (!sections || sections.length === 0) {
+          log(`No content sections found for page: ${page.title} (possibly all sections were filtered out)`, 'warning');
+          await completePage();
+          continue;
+        }
+
+        log(`Found ${sections.length} sections for processing (after filtering).`);
+        const missing = generationPlanService.missingSelections(process, page, sections);
+        if (missing.length > 0) {
+          log(`Selected sections not found on ${page.title}: ${missing.join(', ')}. The page may have changed since they were picked.`, 'warning');
+        }
+
+        const sectionTasks = sections.map(section => {
+          const sectionId = scrapingService.generateSectionId(page.category, page.title, section.title, fandomWikiName);
+          sectionStatus(sectionId, page, section, 'queued', { wordCount: section.wordCount });
+          return runSection(page, section, sectionId);
+        });
+
+        pagesInFlight.push(Promise.all(sectionTasks).then(results => {
+          // A page cut short by a stop, the budget or an error is not counted as done
+          if (results.every(Boolean)) return completePage();
+        }));
+      }
+
+      // Let sections already generating finish so their questions and processed flags are stored
+      await Promise.all(pagesInFlight);
+      if (fatalError) throw fatalError;
+
+      const stoppedByUser = process.status === 'stopping';
+      process.status = stoppedByUser || costExceeded ? 'stopped' : 'completed';
+      if (costExceeded && !stoppedByUser) {
+        process.error = `Cost budget of $${process.costBudget} exceeded`;
+      }
+      process.duration = Date.now() - new Date(process.startTime).getTime();
+      await persist({
+        status: process.status,
+        error: process.error,
+        duration: process.duration,
+        finishedAt: new Date(),
+        experiment: process.experiment || undefined,
+        apiCallsMade: process.apiCallsMade,
+        questionsGenerated: process.questionsGenerated,
+        promptTokens: process.promptTokens,
+        completionTokens: process.completionTokens,
+        costUsd: process.costUsd
+      });
+      if (costExceeded && !stoppedByUser) {
+        log(`Generation stopped by the cost budget after ${process.questionsGenerated} questions ($${process.costUsd.toFixed(4)}).`, 'warning');
+      } else if (stoppedByUser) {
+        log(`Generation stopped after ${process.questionsGenerated} questions. It can be resumed from the History tab.`, 'warning');
+      } else {
+        log(`Generation completed! Generated a total of ${process.questionsGenerated} questions.`, 'success');
+      }
+
+      if (failedSections > 0) {
+        log(`${failedSections} sections failed on every model and were left unprocessed; a new run over the same pages retries them.`, 'warning');
+      }
+
+      if (skipSections && skipSections.length > 0) {
+        log(`Section filtering was active during this generation (${skipSections.length} section types filtered).`, 'info');
+      }
+
+      emit('completed', process);
+
+    } catch (error) {
+      if (!fatalError) fatalError = error;
+      await Promise.all(pagesInFlight);
+
+      process.status = 'error';
+      process.error = error.message;
+      process.duration = Date.now() - new Date(process.startTime).getTime();
+      log(`Fatal error: ${error.message}`, 'error');
+      await persist({
+        status: process.status,
+        error: process.error,
+        duration: process.duration,
+        finishedAt: new Date(),
+        experiment: process.experiment || undefined,
+        apiCallsMade: process.apiCallsMade,
+        questionsGenerated: process.questionsGenerated,
+        promptTokens: process.promptTokens,
+        completionTokens: process.completionTokens,
+        costUsd: process.costUsd
+      });
+      emit('error', { message: error.message });
+    } finally {
+      await logWrites;
+    }
+  }
+}
+
+module.exports = new GenerationRunnerService();
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+
+const TABLE = 'jobs';
+
+// Defaults for how many jobs may run at once per AI provider and per job type.
+// Override with QUEUE_CONCURRENCY_<KEY>, e.g. QUEUE_CONCURRENCY_GEMINI=3.
+const DEFAULT_CONCURRENCY = {
+  openai: 2,
+  gemini: 2,
+  anthropic: 2,
+  generation: 2, // each generation job also scrapes Fandom
+  review: 2,
+  verification: 2,
+  bulk: 2, // re-review and regenerate of a question selection
+};
+
+class JobQueueService {
+  constructor() {
+    this.handlers = {};
+    this.running = new Map();
+    this.context = {};
+    this.draining = false;
+    this.drainRequested = false;
+  }
+
+  // handler: { run(job, ctx), onCancel?(job, { wasRunning, ctx }) }
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  async start(context = {}) {
+    this.context = context;
+
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({
+        status: 'failed',
+        error: 'Server restarted while the job was running',
+        finished_at: new Date().toISOString(),
+      })
+      .eq('status', 'running')
+      .select('id');
+
+    if (error) throw new Error(`Failed to recover jobs: ${error.message}`);
+
+    await this.drain();
+    return (data || []).length;
+  }
+
+  getConcurrencyLimit(key) {
+    const override = parseInt(process.env[`QUEUE_CONCURRENCY_${String(key).toUpperCase()}`]);
+    if (override > 0) return override;
+    return DEFAULT_CONCURRENCY[key] || 1;
+  }
+
+  async enqueue({ type, provider, refId = null, label = '', payload = {} }) {
+    if (!this.handlers[type]) throw new Error(`No handler registered for job type: ${type}`);
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      provider: provider || 'unknown',
+      ref_id: refId,
+      label,
+      payload,
+      status: 'queued',
+      created_at: new Date().toISOString(),
+    };
+
+    const { error } = await supabase.from(TABLE).insert(job);
+    if (error) throw new Error(`Failed to enqueue job: ${error.message}`);
+
+    console.log(`[Queue] Enqueued ${type} job ${job.id} (provider: ${job.provider})`);
+    this.drain();
+    return job;
+  }
+
+  hasCapacity(job) {
+    const running = Array.from(this.running.values());
+    const sameProvider = running.filter(r => r.job.provider === job.provider).length;
+    const sameType = running.filter(r => r.job.type === job.type).length;
+
+    return sameProvider < this.getConcurrencyLimit(job.provider)
+      && sameType < this.getConcurrencyLimit(job.type);
+  }
+
+  // Starts queued jobs oldest-first while their provider and type have free slots
+  async drain() {
+    if (this.draining) {
+      this.drainRequested = true;
+      return;
+    }
+    this.draining = true;
+
+    try {
+      do {
+        this.drainRequested = false;
+
+        const { data: queued, error } = await supabase
+          .from(TABLE)
+          .select('*')
+          .eq('status', 'queued')
+          .order('created_at', { ascending: true });
+
+        if (error) throw new Error(error.message);
+
+        for (const job of queued || []) {
+          if (!this.handlers[job.type] || !this.hasCapacity(job)) continue;
+
+          const { data: claimed, error: claimError } = await supabase
+            .from(TABLE)
+            .update({ status: 'running', started_at: new Date().toISOString() })
+            .eq('id', job.id)
+            .eq('status', 'queued')
+            .select('id');
+
+          if (claimError) throw new Error(claimError.message);
+          if (!claimed || claimed.length === 0) continue;
+
+          this.execute({ ...job, status: 'running' });
+        }
+      } while (this.drainRequested);
+    } catch (error) {
+      console.error('[Queue] Failed to dispatch jobs:', error.message);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async execute(job) {
+    const entry = { job, cancelled: false };
+    this.running.set(job.id, entry);
+
+    const ctx = { ...this.context, isCancelled: () => entry.cancelled };
+    let status = 'completed';
+    let errorMessage = null;
+
+    console.log(`[Queue] Starting ${job.type} job ${job.id}`);
+
+    try {
+      await this.handlers[job.type].run(job, ctx);
+      if (entry.cancelled) status = 'cancelled';
+    } catch (error) {
+      console.error(`[Queue] Job ${job.id} failed:`, error.message);
+      status = entry.cancelled ? 'cancelled' : 'failed';
+      errorMessage = error.message;
+    } finally {
+      this.running.delete(job.id);
+    }
+
+    const { error } = await supabase
+      .from(TABLE)
+      .update({ status, error: errorMessage, finished_at: new Date().toISOString() })
+      .eq('id', job.id);
+
+    if (error) console.error(`[Queue] Could not record result for job ${job.id}:`, error.message);
+
+    this.drain();
+  }
+
+  async cancel(jobId) {
+    const entry = this.running.get(jobId);
+    const handler = entry ? this.handlers[entry.job.type] : null;
+
+    if (entry) {
+      entry.cancelled = true;
+      if (handler?.onCancel) await handler.onCancel(entry.job, { wasRunning: true, ctx: this.context });
+      return { ...entry.job, status: 'cancelling' };
+    }
+
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({ status: 'cancelled', finished_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('status', 'queued')
+      .select('*');
+
+    if (error) throw new Error(`Failed to cancel job: ${error.message}`);
+    if (!data || data.length === 0) return null;
+
+    const job = data[0];
+    const queuedHandler = this.handlers[job.type];
+    if (queuedHandler?.onCancel) await queuedHandler.onCancel(job, { wasRunning: false, ctx: this.context });
+    return job;
+  }
+
+  // Cancels the active job that belongs to a run or review, e.g. a generation processId
+  async cancelByRef(refId) {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('id')
+      .eq('ref_id', refId)
+      .in('status', ['queued', 'running'])
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw new Error(`Failed to find job: ${error.message}`);
+    if (!data || data.length === 0) return null;
+    return this.cancel(data[0].id);
+  }
+
+  async listJobs({ includeFinished = true, limit = 50 } = {}) {
+    let query = supabase
+      .from(TABLE)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (!includeFinished) {
+      query = query.in('status', ['queued', 'running']);
+    }
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch jobs: ${error.message}`);
+
+    const queued = (data || [])
+      .filter(j => j.status === 'queued')
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    return (data || []).map(j => ({
+      ...j,
+      status: this.running.get(j.id)?.cancelled ? 'cancelling' : j.status,
+      position: j.status === 'queued' ? queued.findIndex(q => q.id === j.id) + 1 : null,
+    }));
+  }
+
+  getStats() {
+    const keys = new Set(Object.keys(DEFAULT_CONCURRENCY));
+    for (const { job } of this.running.values()) {
+      keys.add(job.provider);
+      keys.add(job.type);
+    }
+
+    const limits = {};
+    keys.forEach(key => {
+      limits[key] = {
+        limit: this.getConcurrencyLimit(key),
+        running: Array.from(this.running.values())
+          .filter(({ job }) => job.provider === key || job.type === key).length,
+      };
+    });
+
+    return { running: this.running.size, limits };
+  }
+}
+
+module.exports = new JobQueueService();
@@ -1,13 +1,29 @@
 const { supabase } = require('../config/supabase');
 
 const TABLE = 'model_config';
+const MIGRATIONS_TABLE = 'model_config_migrations';
 
+// Rates are USD per million tokens; null means "not priced yet" and is editable in the Settings tab
 const DEFAULT_MODELS = [
-  { provider: 'openai', display_name: 'GPT-5.5', api_model_id: 'gpt-5.5', sort_order: 0 },
-  { provider: 'openai', display_name: 'GPT-5.4', api_model_id: 'gpt-5.4', sort_order: 1 },
-  { provider: 'gemini', display_name: 'Gemini 2.5 Pro', api_model_id: 'gemini-2.5-pro', sort_order: 2 },
-  { provider: 'gemini', display_name: 'Gemini 2.5 Flash', api_model_id: 'gemini-flash-latest', sort_order: 3 },
-  { provider: 'gemini', display_name: 'Gemini 3.1 Pro', api_model_id: 'gemini-3.1-pro-preview', sort_order: 4 },
+  { provider: 'openai', display_name: 'GPT-5.5', api_model_id: 'gpt-5.5', sort_order: 0, input_cost_per_million: null, output_cost_per_million: null },
+  { provider: 'openai', display_name: 'GPT-5.4', api_model_id: 'gpt-5.4', sort_order: 1, input_cost_per_million: null, output_cost_per_million: null },
+  { provider: 'gemini', display_name: 'Gemini 2.5 Pro', api_model_id: 'gemini-2.5-pro', sort_order: 2, input_cost_per_million: 1.25, output_cost_per_million: 10 },
+  { provider: 'gemini', display_name: 'Gemini 2.5 Flash', api_model_id: 'gemini-flash-latest', sort_order: 3, input_cost_per_million: 0.3, output_cost_per_million: 2.5 },
+  { provider: 'gemini', display_name: 'Gemini 3.1 Pro', api_model_id: 'gemini-3.1-pro-preview', sort_order: 4, input_cost_per_million: null, output_cost_per_million: null },
+  { provider: 'anthropic', display_name: 'Claude Opus 4.5', api_model_id: 'claude-opus-4-5', sort_order: 5, input_cost_per_million: 5, output_cost_per_million: 25 },
+  { provider: 'anthropic', display_name: 'Claude Sonnet 4.5', api_model_id: 'claude-sonnet-4-5', sort_order: 6, input_cost_per_million: 3, output_cost_per_million: 15 },
+  { provider: 'anthropic', display_name: 'Claude Haiku 4.5', api_model_id: 'claude-haiku-4-5', sort_order: 7, input_cost_per_million: 1, output_cost_per_million: 5 },
+];
+
+// Defaults added after installs were first seeded. Each migration runs once per install and is
+// recorded in model_config_migrations, so a model deleted or a rate cleared afterwards stays that way.
+const MODEL_MIGRATIONS = [
+  {
+    id: 'claude-models-and-default-rates',
+    addModels: ['claude-opus-4-5', 'claude-sonnet-4-5', 'claude-haiku-4-5'],
+    // Rate columns arrived with this migration, so a model without rates was never priced
+    priceModels: ['gemini-2.5-pro', 'gemini-flash-latest'],
+  },
 ];
 
 class ModelConfigService {
@@ -62,6 +78,34 @@ class ModelConfigService {
     }
   }
 
+  async updatePricing(id, { input_cost_per_million, output_cost_per_million }) {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({ input_cost_per_million, output_cost_per_million })
+      .eq('id', id)
+      .select();
+
+    if (error) throw new Error(`Failed to update pricing: ${error.message}`);
+    return data[0] || null;
+  }
+
+  // Returns { inputCostPerMillion, outputCostPerMillion } or null when the model has no rates
+  async getPricing(apiModelId) {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('input_cost_per_million, output_cost_per_million')
+      .eq('api_model_id', apiModelId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to fetch pricing: ${error.message}`);
+    if (!data || data.input_cost_per_million == null || data.output_cost_per_million == null) return null;
+
+    return {
+      inputCostPerMillion: Number(data.input_cost_per_million),
+      outputCostPerMillion: Number(data.output_cost_per_million),
+    };
+  }
+
   async seedDefaults() {
     const { data: existing, error: fetchError } = await supabase
       .from(TABLE)
@@ -77,6 +121,68 @@ class ModelConfigService {
       .insert(DEFAULT_MODELS);
 
     if (error) throw new Error(`Failed to seed defaults: ${error.message}`);
+
+    // A fresh table already holds everything the migrations would add
+    await this.recordMigrations(MODEL_MIGRATIONS.map(m => m.id));
+  }
+
+  async getAppliedMigrations() {
+    const { data, error } = await supabase
+      .from(MIGRATIONS_TABLE)
+      .select('id');
+
+    if (error) throw new Error(`Failed to fetch model migrations: ${error.message}`);
+    return new Set((data || []).map(row => row.id));
+  }
+
+  async recordMigrations(ids) {
+    if (ids.length === 0) return;
+
+    const appliedAt = new Date().toISOString();
+    const { error } = await supabase
+      .from(MIGRATIONS_TABLE)
+      .insert(ids.map(id => ({ id, applied_at: appliedAt })));
+
+    if (error) throw new Error(`Failed to record model migrations: ${error.message}`);
+  }
+
+  // Brings a populated table up to the current defaults, once per migration. Only adds models
+  // the table does not have and rates on rows that have none; nothing else is changed.
+  async applyMigrations() {
+    const applied = await this.getAppliedMigrations();
+    const pending = MODEL_MIGRATIONS.filter(m => !applied.has(m.id));
+    if (pending.length === 0) return [];
+
+    for (const migration of pending) {
+      const existing = await this.getModels();
+      const byModelId = new Map(existing.map(m => [m.api_model_id, m]));
+      let nextSortOrder = existing.length > 0
+        ? Math.max(...existing.map(m => m.sort_order)) + 1
+        : 0;
+
+      const missing = DEFAULT_MODELS
+        .filter(m => migration.addModels.includes(m.api_model_id) && !byModelId.has(m.api_model_id))
+        .map(m => ({ ...m, sort_order: nextSortOrder++ }));
+
+      if (missing.length > 0) {
+        const { error } = await supabase
+          .from(TABLE)
+          .insert(missing);
+
+        if (error) throw new Error(`Failed to add default models: ${error.message}`);
+      }
+
+      for (const modelId of migration.priceModels) {
+        const row = byModelId.get(modelId);
+        if (!row || row.input_cost_per_million != null || row.output_cost_per_million != null) continue;
+        await this.updatePricing(row.id, DEFAULT_MODELS.find(m => m.api_model_id === modelId));
+      }
+
+      await this.recordMigrations([migration.id]);
+      console.log(`[Models] Applied migration "${migration.id}" (${missing.length} models added)`);
+    }
+
+    return pending.map(m => m.id);
   }
 }
 
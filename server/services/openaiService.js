@@ -49,7 +49,7 @@ class OpenAIService {
       }
       
       // Re-throw with more context
-      throw new Error(`OpenAI API error (${duration}ms): ${error.message}`);
+      throw new Error(`OpenAI API error (${duration}ms): ${error.message}`, { cause: error });
     }
   }
 
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+
+const PAGES_TABLE = 'fandom_page_cache';
+const QUERIES_TABLE = 'fandom_query_cache';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Caches Fandom traffic so runs do not refetch pages that have not changed:
+// - fandom_page_cache: one row per wiki + page + revision id, holding the raw parse HTML and
+//   the sections parsed from it, keyed by the skip-section list that produced them
+// - fandom_query_cache: MediaWiki list responses (category members, category lists, popular pages)
+//
+// FANDOM_CACHE_MODE is "on" (default), "off" (always fetch) or "offline" (serve whatever is
+// cached regardless of age and never hit Fandom, for replaying a run). Pages are trusted for
+// FANDOM_CACHE_TTL_HOURS (default 24) and list queries for FANDOM_QUERY_CACHE_TTL_HOURS
+// (default 1); a stale page is revalidated against its latest revision id before refetching.
+class PageCacheService {
+  constructor() {
+    this.stats = { hits: 0, misses: 0, revalidated: 0, errors: 0 };
+  }
+
+  getMode() {
+    const mode = String(process.env.FANDOM_CACHE_MODE || 'on').toLowerCase();
+    return ['on', 'off', 'offline'].includes(mode) ? mode : 'on';
+  }
+
+  isEnabled() {
+    return this.getMode() !== 'off';
+  }
+
+  isOffline() {
+    return this.getMode() === 'offline';
+  }
+
+  getTtlMs(kind) {
+    const [envName, fallbackHours] = kind === 'query'
+      ? ['FANDOM_QUERY_CACHE_TTL_HOURS', 1]
+      : ['FANDOM_CACHE_TTL_HOURS', 24];
+    const hours = parseFloat(process.env[envName]);
+    return (hours >= 0 ? hours : fallbackHours) * HOUR_MS;
+  }
+
+  isFresh(row, kind = 'page') {
+    if (this.isOffline()) return true;
+    const fetchedAt = Date.parse(row?.fetched_at);
+    return !Number.isNaN(fetchedAt) && Date.now() - fetchedAt < this.getTtlMs(kind);
+  }
+
+  hash(value) {
+    return crypto.createHash('md5').update(value).digest('hex');
+  }
+
+  // Parsed sections depend on the skip list, so each list gets its own slot on the page row
+  skipSignature(skipSections = []) {
+    if (!skipSections.length) return 'all';
+    const normalized = [...new Set(skipSections.map(s => String(s).trim().toLowerCase()))].sort();
+    return this.hash(normalized.join('\n'));
+  }
+
+  queryKey(wiki, params) {
+    const sorted = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+    return this.hash(`${wiki}?${sorted}`);
+  }
+
+  // Newest cached revision of a page, or null
+  async getPage(wiki, pageTitle) {
+    if (!this.isEnabled()) return null;
+
+    try {
+      const { data, error } = await supabase
+        .from(PAGES_TABLE)
+        .select('*')
+        .eq('wiki', wiki)
+        .eq('page_title', pageTitle)
+        .order('revision_id', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`[PageCache] Could not read ${wiki}/${pageTitle}:`, error.message);
+      return null;
+    }
+  }
+
+  async savePage(wiki, pageTitle, { revisionId, html }) {
+    const row = {
+      cache_key: this.hash(`${wiki}:${pageTitle}:${revisionId}`),
+      wiki,
+      page_title: pageTitle,
+      revision_id: revisionId,
+      html,
+      sections: {},
+      fetched_at: new Date().toISOString(),
+    };
+    if (!this.isEnabled()) return row;
+
+    try {
+      const { error } = await supabase.from(PAGES_TABLE).upsert(row);
+      if (error) throw error;
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`[PageCache] Could not store ${wiki}/${pageTitle}:`, error.message);
+    }
+    return row;
+  }
+
+  // The latest revision is still the cached one; restart its TTL
+  async touchPage(row) {
+    row.fetched_at = new Date().toISOString();
+    this.stats.revalidated++;
+    await this.updatePage(row, { fetched_at: row.fetched_at });
+  }
+
+  async saveSections(row, signature, sections) {
+    row.sections = { ...(row.sections || {}), [signature]: sections };
+    await this.updatePage(row, { sections: row.sections });
+  }
+
+  async updatePage(row, fields) {
+    if (!this.isEnabled()) return;
+
+    try {
+      const { error } = await supabase
+        .from(PAGES_TABLE)
+        .update(fields)
+        .eq('cache_key', row.cache_key);
+      if (error) throw error;
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`[PageCache] Could not update ${row.wiki}/${row.page_title}:`, error.message);
+    }
+  }
+
+  getCachedSections(row, signature) {
+    const sections = row?.sections || {};
+    return Object.prototype.hasOwnProperty.call(sections, signature) ? sections[signature] : undefined;
+  }
+
+  // Cached MediaWiki response body for these params, or null when missing or stale
+  async getQuery(wiki, params) {
+    if (!this.isEnabled()) return null;
+
+    try {
+      const { data, error } = await supabase
+        .from(QUERIES_TABLE)
+        .select('data, fetched_at')
+        .eq('cache_key', this.queryKey(wiki, params))
+        .maybeSingle();
+
+      if (error) throw error;
+      if (data && this.isFresh(data, 'query')) {
+        this.stats.hits++;
+        return data.data;
+      }
+      this.stats.misses++;
+      return null;
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`[PageCache] Could not read cached query for ${wiki}:`, error.message);
+      return null;
+    }
+  }
+
+  async saveQuery(wiki, params, body) {
+    if (!this.isEnabled()) return;
+
+    try {
+      const { error } = await supabase
+        .from(QUERIES_TABLE)
+        .upsert({
+          cache_key: this.queryKey(wiki, params),
+          wiki,
+          params,
+          data: body,
+          fetched_at: new Date().toISOString(),
+        });
+      if (error) throw error;
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`[PageCache] Could not store query for ${wiki}:`, error.message);
+    }
+  }
+
+  recordHit() {
+    this.stats.hits++;
+  }
+
+  recordMiss() {
+    this.stats.misses++;
+  }
+
+  // Drops cached pages (all revisions) and list queries. Without a page every entry for the
+  // wiki goes; without a wiki the whole cache is cleared.
+  async invalidate({ wiki, pageTitle } = {}) {
+    let pages = supabase.from(PAGES_TABLE).delete({ count: 'exact' });
+    pages = wiki ? pages.eq('wiki', wiki) : pages.neq('cache_key', '');
+    if (pageTitle) pages = pages.eq('page_title', pageTitle);
+
+    const { count: pagesRemoved, error: pagesError } = await pages;
+    if (pagesError) throw new Error(`Failed to clear cached pages: ${pagesError.message}`);
+
+    let queriesRemoved = 0;
+    if (!pageTitle) {
+      let queries = supabase.from(QUERIES_TABLE).delete({ count: 'exact' });
+      queries = wiki ? queries.eq('wiki', wiki) : queries.neq('cache_key', '');
+
+      const { count, error } = await queries;
+      if (error) throw new Error(`Failed to clear cached queries: ${error.message}`);
+      queriesRemoved = count || 0;
+    }
+
+    console.log(`[PageCache] Cleared ${pagesRemoved || 0} pages and ${queriesRemoved} queries${wiki ? ` for ${wiki}` : ''}${pageTitle ? `/${pageTitle}` : ''}`);
+    return { pagesRemoved: pagesRemoved || 0, queriesRemoved };
+  }
+
+  async getStats(wiki) {
+    const countRows = async table => {
+      let query = supabase.from(table).select('cache_key', { count: 'exact', head: true });
+      if (wiki) query = query.eq('wiki', wiki);
+      const { count, error } = await query;
+      if (error) throw new Error(`Failed to count cache entries: ${error.message}`);
+      return count || 0;
+    };
+
+    return {
+      mode: this.getMode(),
+      pageTtlHours: this.getTtlMs('page') / HOUR_MS,
+      queryTtlHours: this.getTtlMs('query') / HOUR_MS,
+      cachedPages: await countRows(PAGES_TABLE),
+      cachedQueries: await countRows(QUERIES_TABLE),
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = new PageCacheService();
@@ -0,0 +1,361 @@
+const { supabase } = require('../config/supabase');
+
+const TEMPLATES_TABLE = 'prompt_templates';
+const VERSIONS_TABLE = 'prompt_template_versions';
+
+const DEFAULT_INSTRUCTIONS = 'Each question should have one correct answer and three incorrect but plausible options. Create challenging and fun questions. Try and be specific if you can. For example, mention names of characters, groups, or locations if you have this information. NEVER mention "according to the text" or something similar.';
+
+// Filled in by the generator for every section; templates can use them without declaring them
+const BUILT_IN_VARIABLES = ['animeName', 'pageTitle', 'sectionTitle', 'category', 'amountOfQuestions'];
+
+const VARIABLE_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+const PLACEHOLDER = /\{([A-Za-z][A-Za-z0-9_]*)\}/g;
+
+// Written to an empty library so the presets that used to live in the generation forms stay available
+const SEED_TEMPLATES = [
+  {
+    name: 'Challenging & Specific (Default)',
+    description: 'The instructions runs use when no template is picked',
+    body: DEFAULT_INSTRUCTIONS,
+  },
+  {
+    name: 'Challenging & Specific (Detailed Rules)',
+    description: 'The default style spelled out as rules',
+    body: 'Create challenging and fun multiple-choice questions with one correct answer and three wrong but believable options.\n\n## Rules:\n- Use specific names of characters, groups, locations, and abilities when possible\n- Make wrong answers seem reasonable (not obviously fake)\n- Keep language natural and conversational\n- NEVER NEVER say "according to the text" or something similar\n- Mix up where you put the correct answer (A, B, C, or D)\n- Review your questions to make sure they\'re high quality\n- It\'s okay to test memory of specific details\n- Avoid asking questions that don\'t have any specific details that can happen at any time during the story\n\n## What makes good questions:\n- Use your broader anime knowledge if you\'re confident, but base it on the text\n- Include specific character names, jutsu/abilities, locations, and plot details\n- Wrong answers should be from the same universe or similar situations\n- Make questions challenging but fair\n\n## Format:\nWrite a clear question, then list A, B, C, D options.',
+  },
+  {
+    name: 'Trivia Style',
+    body: 'Generate trivia-style questions with one correct answer and three plausible incorrect options. Focus on memorable details, character names, abilities, and plot points. Make the questions engaging for anime fans.',
+  },
+  {
+    name: 'Character Focused',
+    body: 'Create questions that focus on character details, relationships, abilities, and development. Include specific character names and traits. Make incorrect options believable but clearly wrong.',
+  },
+  {
+    name: 'Plot & Events',
+    body: 'Generate questions about plot events, story arcs, battles, and key moments. Focus on what happened, when, and why. Include specific details about locations and circumstances.',
+  },
+  {
+    name: 'Technical Details',
+    body: 'Create detailed questions about abilities, techniques, power systems, and world-building elements. Focus on specific mechanics and technical aspects of the anime universe.',
+  },
+];
+
+// Prompt templates: named generation instructions with {variables} and a version history.
+// Editing the body or the variables writes a new version; runs copy the version they use and
+// every question stores the template id and version that produced it. Inactive templates are
+// hidden from the generation forms but kept so old questions can still be traced to them.
+class PromptTemplateService {
+  getDefaultInstructions() {
+    return DEFAULT_INSTRUCTIONS;
+  }
+
+  getBuiltInVariables() {
+    return BUILT_IN_VARIABLES;
+  }
+
+  async listTemplates({ includeInactive = false } = {}) {
+    let query = supabase
+      .from(TEMPLATES_TABLE)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (!includeInactive) query = query.eq('active', true);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch prompt templates: ${error.message}`);
+
+    if ((data || []).length === 0 && !(await this.hasTemplates())) {
+      await this.seedTemplates();
+      return this.listTemplates({ includeInactive });
+    }
+    return (data || []).map(row => this.fromRow(row));
+  }
+
+  async hasTemplates() {
+    const { count, error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .select('id', { count: 'exact', head: true });
+
+    if (error) throw new Error(`Failed to count prompt templates: ${error.message}`);
+    return count > 0;
+  }
+
+  async seedTemplates() {
+    console.log(`[Prompts] Seeding ${SEED_TEMPLATES.length} prompt templates`);
+    for (const template of SEED_TEMPLATES) {
+      await this.createTemplate({ ...template, changeNote: 'Initial version' });
+    }
+  }
+
+  // The template with its versions, newest first, or null
+  async getTemplate(id) {
+    const { data, error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to fetch prompt template: ${error.message}`);
+    if (!data) return null;
+
+    const { data: versions, error: versionsError } = await supabase
+      .from(VERSIONS_TABLE)
+      .select('*')
+      .eq('template_id', id)
+      .order('version', { ascending: false });
+
+    if (versionsError) throw new Error(`Failed to fetch prompt template versions: ${versionsError.message}`);
+    return { ...this.fromRow(data), versions: (versions || []).map(row => this.versionFromRow(row)) };
+  }
+
+  async createTemplate(input) {
+    const template = this.normalizeTemplate(input);
+
+    const { data, error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .insert({
+        name: template.name,
+        description: template.description,
+        body: template.body,
+        variables: template.variables,
+        active: template.active,
+        current_version: 1,
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create prompt template: ${error.message}`);
+
+    await this.insertVersion(data.id, 1, template, input.changeNote);
+    return this.fromRow(data);
+  }
+
+  // Name, description and active change in place; a new body or variables list becomes a new version
+  async updateTemplate(id, input) {
+    const existing = await this.getTemplate(id);
+    if (!existing) return null;
+
+    const template = this.normalizeTemplate({ ...existing, ...input });
+    const changed = template.body !== existing.body
+      || JSON.stringify(template.variables) !== JSON.stringify(existing.variables);
+    const version = changed ? existing.currentVersion + 1 : existing.currentVersion;
+
+    if (changed) await this.insertVersion(id, version, template, input.changeNote);
+
+    const { data, error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .update({
+        name: template.name,
+        description: template.description,
+        body: template.body,
+        variables: template.variables,
+        active: template.active,
+        current_version: version,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update prompt template: ${error.message}`);
+    if (changed) console.log(`[Prompts] "${template.name}" is now at version ${version}`);
+    return this.fromRow(data);
+  }
+
+  // Makes an old version current again by writing it as the newest version
+  async restoreVersion(id, version) {
+    const existing = await this.getTemplate(id);
+    if (!existing) return null;
+
+    const old = existing.versions.find(v => v.version === Number(version));
+    if (!old) throw new Error(`Version ${version} does not exist`);
+
+    return this.updateTemplate(id, {
+      body: old.body,
+      variables: old.variables,
+      changeNote: `Restored version ${old.version}`,
+    });
+  }
+
+  async insertVersion(templateId, version, template, changeNote) {
+    const { error } = await supabase
+      .from(VERSIONS_TABLE)
+      .insert({
+        template_id: templateId,
+        version,
+        body: template.body,
+        variables: template.variables,
+        change_note: String(changeNote || '').trim() || null,
+      });
+
+    if (error) throw new Error(`Failed to save prompt template version: ${error.message}`);
+  }
+
+  // Templates that produced questions are kept for tracing (routes refuse to delete them)
+  async countQuestions(id) {
+    const { count, error } = await supabase
+      .from('questions')
+      .select('id', { count: 'exact', head: true })
+      .eq('prompt_template_id', id);
+
+    if (error) throw new Error(`Failed to check prompt template usage: ${error.message}`);
+    return count || 0;
+  }
+
+  async deleteTemplate(id) {
+    const { error: versionsError } = await supabase
+      .from(VERSIONS_TABLE)
+      .delete()
+      .eq('template_id', id);
+    if (versionsError) throw new Error(`Failed to delete prompt template versions: ${versionsError.message}`);
+
+    const { error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .delete()
+      .eq('id', id);
+    if (error) throw new Error(`Failed to delete prompt template: ${error.message}`);
+  }
+
+  // Snapshot of the version a run generates with: { id, name, version, body, variables, values }.
+  // values fills the template's own variables; missing ones fall back to their defaults.
+  async resolveForRun(id, { version, values } = {}) {
+    const template = await this.getTemplate(id);
+    if (!template) throw new Error(`Unknown prompt template: ${id}`);
+    if (!template.active) throw new Error(`Prompt template "${template.name}" is not active`);
+
+    const wanted = version ? Number(version) : template.currentVersion;
+    const snapshot = template.versions.find(v => v.version === wanted);
+    if (!snapshot) throw new Error(`Prompt template "${template.name}" has no version ${version}`);
+
+    const filled = {};
+    snapshot.variables.forEach(variable => {
+      const value = values && values[variable.name] !== undefined ? String(values[variable.name]) : variable.defaultValue;
+      if (variable.required && !value) throw new Error(`Prompt variable "${variable.name}" needs a value`);
+      filled[variable.name] = value || '';
+    });
+
+    return {
+      id: template.id,
+      name: template.name,
+      version: snapshot.version,
+      body: snapshot.body,
+      variables: snapshot.variables,
+      values: filled,
+    };
+  }
+
+  // Fills {placeholders} from the generator context and the run's values; unknown ones are left as is
+  render(snapshot, context = {}) {
+    const values = { ...(snapshot.values || {}) };
+    BUILT_IN_VARIABLES.forEach(name => {
+      if (context[name] !== undefined && context[name] !== null) values[name] = String(context[name]);
+    });
+    return snapshot.body.replace(PLACEHOLDER, (match, name) => (
+      Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+    ));
+  }
+
+  // Question count and review quality per version, to see whether a prompt change helped
+  async getVersionStats(id) {
+    const { data, error } = await supabase
+      .from('questions')
+      .select('prompt_template_version, review_score, status, verification_verdict')
+      .eq('prompt_template_id', id);
+
+    if (error) throw new Error(`Failed to fetch prompt template stats: ${error.message}`);
+
+    const byVersion = new Map();
+    (data || []).forEach(row => {
+      const version = row.prompt_template_version;
+      if (!byVersion.has(version)) {
+        byVersion.set(version, { version, questions: 0, reviewed: 0, scoreTotal: 0, rejected: 0, wrongKey: 0 });
+      }
+      const stats = byVersion.get(version);
+      stats.questions++;
+      if (row.review_score) {
+        stats.reviewed++;
+        stats.scoreTotal += row.review_score;
+      }
+      if (row.status === 'rejected') stats.rejected++;
+      if (row.verification_verdict === 'wrong_key') stats.wrongKey++;
+    });
+
+    return Array.from(byVersion.values())
+      .sort((a, b) => b.version - a.version)
+      .map(({ scoreTotal, ...stats }) => ({
+        ...stats,
+        averageScore: stats.reviewed ? Math.round((scoreTotal / stats.reviewed) * 100) / 100 : null,
+      }));
+  }
+
+  // Validates a template; errors are meant for the user (routes answer 400)
+  normalizeTemplate(input = {}) {
+    const name = String(input.name || '').trim();
+    const body = String(input.body || '').trim();
+    if (!name) throw new Error('Template name is required');
+    if (!body) throw new Error('Template text is required');
+
+    const rawVariables = Array.isArray(input.variables) ? input.variables : [];
+    const variables = rawVariables.map(variable => {
+      const variableName = String(variable?.name || '').trim();
+      if (!VARIABLE_NAME.test(variableName)) {
+        throw new Error(`Variable name "${variableName}" must start with a letter and use only letters, digits and _`);
+      }
+      if (BUILT_IN_VARIABLES.includes(variableName)) {
+        throw new Error(`"${variableName}" is filled in by the generator and cannot be redefined`);
+      }
+      return {
+        name: variableName,
+        description: String(variable.description || '').trim(),
+        defaultValue: String(variable.defaultValue ?? '').trim(),
+        required: Boolean(variable.required),
+      };
+    });
+
+    const names = variables.map(v => v.name);
+    const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+    if (duplicate) throw new Error(`Variable "${duplicate}" is defined twice`);
+
+    const unknown = [...body.matchAll(PLACEHOLDER)]
+      .map(match => match[1])
+      .find(placeholder => !BUILT_IN_VARIABLES.includes(placeholder) && !names.includes(placeholder));
+    if (unknown) {
+      throw new Error(`{${unknown}} is not a variable of this template. Built-in variables: ${BUILT_IN_VARIABLES.join(', ')}`);
+    }
+
+    return {
+      name,
+      description: String(input.description || '').trim() || null,
+      body,
+      variables,
+      active: input.active === undefined ? true : Boolean(input.active),
+    };
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description || null,
+      body: row.body,
+      variables: row.variables || [],
+      active: row.active !== false,
+      currentVersion: row.current_version || 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  versionFromRow(row) {
+    return {
+      version: row.version,
+      body: row.body,
+      variables: row.variables || [],
+      changeNote: row.change_note || null,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new PromptTemplateService();
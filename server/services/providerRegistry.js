@@ -0,0 +1,87 @@
+// server/services/providerRegistry.js
+const { getProviderConfigs } = require('../config/aiProviders');
+const OpenAIProvider = require('./providers/openaiProvider');
+const GeminiProvider = require('./providers/geminiProvider');
+const AnthropicProvider = require('./providers/anthropicProvider');
+const OpenAICompatibleProvider = require('./providers/openaiCompatibleProvider');
+
+// Every provider adapter implements this interface:
+// - generateQuestions(prompt, modelId, options) -> raw question objects
+// - score(prompt, modelId, { system, temperature, maxTokens, json, onUsage }) -> response text
+// - testConnection() -> { success, error? }
+// - listModels() -> model ids the endpoint serves
+// plus name, label, type and isConfigured()
+const REQUIRED_METHODS = ['generateQuestions', 'score', 'testConnection', 'listModels', 'isConfigured'];
+
+const FACTORIES = {
+  openai: config => new OpenAIProvider(config),
+  gemini: config => new GeminiProvider(config),
+  anthropic: config => new AnthropicProvider(config),
+  'openai-compatible': config => new OpenAICompatibleProvider(config),
+};
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(adapter) {
+    if (!adapter || !NAME_PATTERN.test(adapter.name || '')) {
+      throw new Error(`Invalid provider name: ${adapter?.name}`);
+    }
+    const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Provider "${adapter.name}" is missing ${missing.join(', ')}`);
+    }
+
+    this.providers.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  // Bad entries are skipped so one typo in the environment does not take down the server
+  loadFromConfig(configs) {
+    configs.forEach(config => {
+      try {
+        const factory = FACTORIES[config.type];
+        if (!factory) throw new Error(`unknown type "${config.type}"`);
+        this.register(factory(config));
+      } catch (error) {
+        console.error(`[Providers] Skipping provider "${config.name}": ${error.message}`);
+      }
+    });
+  }
+
+  get(name) {
+    const adapter = this.providers.get(name);
+    if (!adapter) throw new Error(`Unknown provider: ${name}`);
+    return adapter;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  getTypes() {
+    return Object.keys(FACTORIES);
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(adapter => ({
+      name: adapter.name,
+      label: adapter.label,
+      type: adapter.type,
+      configured: adapter.isConfigured(),
+    }));
+  }
+}
+
+const registry = new ProviderRegistry();
+registry.loadFromConfig(getProviderConfigs());
+
+module.exports = registry;
@@ -0,0 +1,83 @@
+// server/services/providers/anthropicProvider.js
+const anthropicService = require('../anthropicService');
+const { GENERATION_SYSTEM_PROMPT, GENERATE_QUESTIONS_TOOL, getQuestionsSchema } = require('./questionSchema');
+
+const MAX_GENERATION_TOKENS = 10000;
+
+class AnthropicProvider {
+  constructor({ name = 'anthropic', label = 'Anthropic Claude' } = {}) {
+    this.name = name;
+    this.label = label;
+    this.type = 'anthropic';
+  }
+
+  isConfigured() {
+    return !!process.env.ANTHROPIC_API_KEY;
+  }
+
+  async generateQuestions(prompt, modelId, options = {}) {
+    console.log(`[AIProvider] Generating with Anthropic model: ${modelId}`);
+
+    const response = await anthropicService.createMessage({
+      model: modelId,
+      system: GENERATION_SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: prompt }],
+      tools: [{ ...GENERATE_QUESTIONS_TOOL, input_schema: getQuestionsSchema() }],
+      tool_choice: { type: 'tool', name: GENERATE_QUESTIONS_TOOL.name },
+      max_tokens: MAX_GENERATION_TOKENS,
+      temperature: options.temperature || 0.7,
+    });
+
+    this.reportUsage(options, modelId, response);
+
+    if (response.stop_reason === 'max_tokens') {
+      throw new Error('Anthropic response was cut off at max_tokens');
+    }
+
+    const toolUse = (response.content || []).find(
+      block => block.type === 'tool_use' && block.name === GENERATE_QUESTIONS_TOOL.name
+    );
+    if (!toolUse) {
+      console.error('[AIProvider] Anthropic did not call the expected tool');
+      throw new Error('Anthropic did not call the expected tool');
+    }
+
+    return toolUse.input?.questions || [];
+  }
+
+  // Claude has no JSON response mode; options.json is satisfied by the prompt asking for JSON,
+  // which the review and verification parsers already extract from surrounding text
+  async score(prompt, modelId, options = {}) {
+    const response = await anthropicService.createMessage({
+      model: modelId,
+      ...(options.system ? { system: options.system } : {}),
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: options.maxTokens || 10000,
+      temperature: options.temperature ?? 0.3,
+    });
+
+    this.reportUsage(options, modelId, response);
+
+    return (response.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  async testConnection() {
+    return anthropicService.testConnection();
+  }
+
+  async listModels() {
+    return anthropicService.listModels();
+  }
+
+  reportUsage(options, modelId, response) {
+    const usage = anthropicService.extractUsage(response, modelId);
+    if (usage && typeof options.onUsage === 'function') {
+      options.onUsage({ ...usage, provider: this.name });
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,70 @@
+// server/services/providers/geminiProvider.js
+const geminiService = require('../geminiService');
+
+class GeminiProvider {
+  constructor({ name = 'gemini', label = 'Google Gemini' } = {}) {
+    this.name = name;
+    this.label = label;
+    this.type = 'gemini';
+  }
+
+  isConfigured() {
+    return !!process.env.GEMINI_KEY;
+  }
+
+  async generateQuestions(prompt, modelId, options = {}) {
+    console.log(`[AIProvider] Generating with Gemini model: ${modelId}`);
+
+    const result = await geminiService.generateQuestionsStructured(prompt, modelId, {
+      onUsage: options.onUsage,
+    });
+
+    if (result.success && result.questions && result.questions.length > 0) {
+      console.log(`[AIProvider] Gemini successfully generated ${result.questions.length} questions`);
+      return result.questions;
+    } else {
+      throw new Error('Gemini did not return valid questions');
+    }
+  }
+
+  async score(prompt, modelId, options = {}) {
+    const client = this.getClient();
+
+    const response = await client.models.generateContent({
+      model: modelId,
+      contents: prompt,
+      config: {
+        temperature: options.temperature ?? 0.3,
+        ...(options.system ? { systemInstruction: options.system } : {}),
+        ...(options.json ? { responseMimeType: 'application/json' } : {}),
+      },
+    });
+
+    const usage = geminiService.extractUsage(response, modelId);
+    if (usage && typeof options.onUsage === 'function') options.onUsage(usage);
+
+    return response.text || '';
+  }
+
+  async testConnection() {
+    return geminiService.testConnection();
+  }
+
+  async listModels() {
+    const pager = await this.getClient().models.list();
+    const ids = [];
+    for await (const model of pager) {
+      ids.push(String(model.name).replace(/^models\//, ''));
+    }
+    return ids;
+  }
+
+  getClient() {
+    if (!geminiService.client) {
+      throw new Error('Gemini client not initialized. Check GEMINI_KEY environment variable.');
+    }
+    return geminiService.client;
+  }
+}
+
+module.exports = GeminiProvider;
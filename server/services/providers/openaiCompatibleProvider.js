@@ -0,0 +1,118 @@
+// server/services/providers/openaiCompatibleProvider.js
+const OpenAI = require('openai');
+const questionTypeService = require('../questionTypeService');
+const { GENERATION_SYSTEM_PROMPT } = require('./questionSchema');
+
+// Local and self-hosted servers rarely support function calling, so the question
+// shape is spelled out in the system prompt and the reply is requested as plain JSON
+const JSON_GENERATION_SYSTEM_PROMPT = `${GENERATION_SYSTEM_PROMPT}
+
+Respond ONLY with a JSON object of this shape:
+{"questions": [{"question": "...", "type": "${questionTypeService.getTypes().join('|')}", "options": ["..."], "correctAnswer": 0, "acceptedAnswers": [], "difficulty": "easy|medium|hard", "spoilerChapter": null, "spoilerEpisode": null, "spoilerArc": null}]}`;
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+class OpenAICompatibleProvider {
+  // config: { name, label, baseUrl, apiKey, jsonMode = true, timeoutMs }
+  constructor(config) {
+    if (!config.baseUrl) {
+      throw new Error(`Provider "${config.name}" needs a baseUrl`);
+    }
+
+    this.name = config.name;
+    this.label = config.label || config.name;
+    this.type = 'openai-compatible';
+    this.baseUrl = config.baseUrl;
+    // Some servers reject response_format; they can turn it off and rely on the prompt
+    this.jsonMode = config.jsonMode !== false;
+    this.client = new OpenAI({
+      // Most local servers ignore the key but the SDK insists on one
+      apiKey: config.apiKey || 'not-needed',
+      baseURL: config.baseUrl,
+      timeout: config.timeoutMs || DEFAULT_TIMEOUT_MS,
+      maxRetries: 1,
+    });
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  async generateQuestions(prompt, modelId, options = {}) {
+    console.log(`[AIProvider] Generating with ${this.label} model: ${modelId}`);
+
+    const text = await this.complete(modelId, [
+      { role: 'system', content: JSON_GENERATION_SYSTEM_PROMPT },
+      { role: 'user', content: prompt },
+    ], { ...options, json: true, maxTokens: 10000, temperature: options.temperature || 0.7 });
+
+    return this.parseQuestions(text);
+  }
+
+  async score(prompt, modelId, options = {}) {
+    const messages = [];
+    if (options.system) messages.push({ role: 'system', content: options.system });
+    messages.push({ role: 'user', content: prompt });
+
+    return this.complete(modelId, messages, options);
+  }
+
+  async complete(modelId, messages, options) {
+    const response = await this.client.chat.completions.create({
+      model: modelId,
+      messages,
+      ...(options.json && this.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      temperature: options.temperature ?? 0.3,
+      max_tokens: options.maxTokens || 10000,
+    });
+
+    if (response.usage && typeof options.onUsage === 'function') {
+      options.onUsage({
+        provider: this.name,
+        model: modelId,
+        promptTokens: response.usage.prompt_tokens || 0,
+        completionTokens: response.usage.completion_tokens || 0,
+      });
+    }
+
+    return response.choices?.[0]?.message?.content || '';
+  }
+
+  // Accepts {"questions": [...]} or a bare array, optionally wrapped in a markdown fence
+  parseQuestions(text) {
+    const cleaned = String(text).replace(/```(?:json)?/g, '').trim();
+    const start = cleaned.search(/[[{]/);
+    if (start === -1) throw new Error(`${this.label} did not return JSON`);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(cleaned.substring(start));
+    } catch (error) {
+      throw new Error(`Failed to parse ${this.label} response: ${error.message}`);
+    }
+
+    const questions = Array.isArray(parsed) ? parsed : parsed.questions;
+    if (!Array.isArray(questions) || questions.length === 0) {
+      throw new Error(`${this.label} did not return valid questions`);
+    }
+    return questions;
+  }
+
+  async testConnection() {
+    try {
+      console.log(`[AIProvider] Testing ${this.label} at ${this.baseUrl}...`);
+      const models = await this.listModels();
+      return { success: true, models };
+    } catch (error) {
+      console.error(`[AIProvider] ${this.label} connection test failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listModels() {
+    const response = await this.client.models.list();
+    return response.data.map(m => m.id);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,88 @@
+// server/services/providers/openaiProvider.js
+const openaiService = require('../openaiService');
+const { GENERATION_SYSTEM_PROMPT, GENERATE_QUESTIONS_TOOL, getQuestionsSchema } = require('./questionSchema');
+
+class OpenAIProvider {
+  constructor({ name = 'openai', label = 'OpenAI' } = {}) {
+    this.name = name;
+    this.label = label;
+    this.type = 'openai';
+  }
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  async generateQuestions(prompt, modelId, options = {}) {
+    console.log(`[AIProvider] Generating with OpenAI model: ${modelId}`);
+
+    const functions = [{ ...GENERATE_QUESTIONS_TOOL, parameters: getQuestionsSchema() }];
+
+    const response = await openaiService.createCompletion({
+      model: modelId,
+      messages: [
+        { role: 'system', content: GENERATION_SYSTEM_PROMPT },
+        { role: 'user', content: prompt },
+      ],
+      functions: functions,
+      function_call: { name: 'generate_questions' },
+      max_tokens: 10000,
+      temperature: options.temperature || 0.7,
+    });
+
+    this.reportUsage(options, modelId, response.usage);
+
+    const message = response.choices[0].message;
+
+    if (message.function_call && message.function_call.name === 'generate_questions') {
+      try {
+        const args = JSON.parse(message.function_call.arguments);
+        return args.questions || [];
+      } catch (parseError) {
+        console.error('[AIProvider] Error parsing OpenAI response:', parseError.message);
+        throw new Error(`Failed to parse OpenAI response: ${parseError.message}`);
+      }
+    } else {
+      console.error('[AIProvider] OpenAI did not call the expected function');
+      throw new Error('OpenAI did not call the expected function');
+    }
+  }
+
+  async score(prompt, modelId, options = {}) {
+    const messages = [];
+    if (options.system) messages.push({ role: 'system', content: options.system });
+    messages.push({ role: 'user', content: prompt });
+
+    const response = await openaiService.createCompletion({
+      model: modelId,
+      messages,
+      ...(options.json ? { response_format: { type: 'json_object' } } : {}),
+      temperature: options.temperature ?? 0.3,
+      max_tokens: options.maxTokens || 10000,
+    });
+
+    this.reportUsage(options, modelId, response.usage);
+    return response.choices[0].message.content || '';
+  }
+
+  async testConnection() {
+    return openaiService.testConnection();
+  }
+
+  async listModels() {
+    const response = await openaiService.client.models.list();
+    return response.data.map(m => m.id);
+  }
+
+  reportUsage(options, modelId, usage) {
+    if (!usage || typeof options.onUsage !== 'function') return;
+    options.onUsage({
+      provider: this.name,
+      model: modelId,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+    });
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,45 @@
+// server/services/providers/questionSchema.js
+const questionTypeService = require('../questionTypeService');
+
+// Shared by the providers that force a generate_questions function/tool call
+const GENERATION_SYSTEM_PROMPT = 'You are a helpful assistant that is an expert in generating fun, challenging, and diverse quiz questions. You will receive wiki text clearly marked with XML tags, followed by reference information and specific instructions.';
+
+const GENERATE_QUESTIONS_TOOL = {
+  name: 'generate_questions',
+  description: 'Generate quiz questions from a text',
+};
+
+// JSON schema of the generate_questions arguments
+function getQuestionsSchema() {
+  return {
+    type: 'object',
+    properties: {
+      questions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            question: { type: 'string' },
+            type: { type: 'string', enum: questionTypeService.getTypes() },
+            options: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 1,
+              maxItems: questionTypeService.getMaxOptions(),
+            },
+            correctAnswer: { type: 'integer', minimum: 0, maximum: 3 },
+            acceptedAnswers: { type: 'array', items: { type: 'string' } },
+            difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+            spoilerChapter: { type: 'integer', minimum: 1 },
+            spoilerEpisode: { type: 'integer', minimum: 1 },
+            spoilerArc: { type: 'string' },
+          },
+          required: ['question', 'options', 'correctAnswer', 'difficulty'],
+        },
+      },
+    },
+    required: ['questions'],
+  };
+}
+
+module.exports = { GENERATION_SYSTEM_PROMPT, GENERATE_QUESTIONS_TOOL, getQuestionsSchema };
@@ -0,0 +1,222 @@
+const { supabase } = require('../config/supabase');
+const questionsService = require('./questionsService');
+const simpleQuestionReviewService = require('./simpleQuestionReviewService');
+const usageService = require('./usageService');
+
+const BULK_STATUSES = ['approved', 'unrated', 'needs_fix', 'rejected'];
+
+// Database-only actions can take a whole selection; AI actions run as queued jobs
+const MAX_BULK_ITEMS = 500;
+const MAX_AI_ITEMS = 50;
+const REVIEW_BATCH_SIZE = 10;
+
+const REVIEW_FIELDS = 'id, category_id, question_text, question_type, options, correct_answer, accepted_answers, review_score, source_context, source_section_title, source_section_id';
+const REGENERATE_FIELDS = 'id, category_id, question_type, difficulty, source_context, source_section_title, source_page_title, spoiler_arc, story_arc_id, categories(name)';
+
+// Multi-select actions for the question bank. Every action answers per question:
+// { results: [{ id, success, error?, ...details }], succeeded, failed }
+// The AI actions take { isCancelled, onProgress({ done, total }) } from the job that runs them;
+// questions not reached before a cancel fail with "Cancelled".
+class QuestionBulkService {
+  getStatuses() {
+    return BULK_STATUSES;
+  }
+
+  // Validates a selection; errors are meant for the user (400)
+  normalizeIds(ids, max = MAX_BULK_ITEMS) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('ids must be a non-empty array of question ids');
+    }
+    const unique = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+    if (unique.length === 0) throw new Error('ids must be a non-empty array of question ids');
+    if (unique.length > max) throw new Error(`At most ${max} questions can be selected for this action`);
+    return unique;
+  }
+
+  getAiLimit() {
+    return MAX_AI_ITEMS;
+  }
+
+  summarize(results) {
+    const succeeded = results.filter(r => r.success).length;
+    return { results, succeeded, failed: results.length - succeeded };
+  }
+
+  // One result per requested id, in request order; ids the query did not touch are reported missing
+  resultsFor(ids, touchedRows, details = () => ({})) {
+    const touched = new Map((touchedRows || []).map(row => [String(row.id), row]));
+    return this.summarize(ids.map(id => (touched.has(id)
+      ? { id, success: true, ...details(touched.get(id)) }
+      : { id, success: false, error: 'Question not found' })));
+  }
+
+  async setStatus(ids, status) {
+    const { data, error } = await supabase
+      .from('questions')
+      .update({ status, updated_at: new Date().toISOString() })
+      .in('id', ids)
+      .select('id');
+
+    if (error) throw new Error(`Failed to update question status: ${error.message}`);
+    console.log(`[Bulk] Set status "${status}" on ${(data || []).length}/${ids.length} questions`);
+    return this.resultsFor(ids, data, () => ({ status }));
+  }
+
+  async deleteQuestions(ids) {
+    const { data, error } = await supabase
+      .from('questions')
+      .delete()
+      .in('id', ids)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete questions: ${error.message}`);
+    console.log(`[Bulk] Deleted ${(data || []).length}/${ids.length} questions`);
+    return this.resultsFor(ids, data);
+  }
+
+  async getCategory(categoryId) {
+    const { data, error } = await supabase
+      .from('categories')
+      .select('id, name')
+      .eq('id', parseInt(categoryId))
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to fetch category: ${error.message}`);
+    return data;
+  }
+
+  async moveToCategory(ids, category) {
+    const { data, error } = await supabase
+      .from('questions')
+      .update({ category_id: category.id, updated_at: new Date().toISOString() })
+      .in('id', ids)
+      .select('id');
+
+    if (error) throw new Error(`Failed to move questions: ${error.message}`);
+    console.log(`[Bulk] Moved ${(data || []).length}/${ids.length} questions to ${category.name}`);
+    return this.resultsFor(ids, data, () => ({ categoryId: category.id, categoryName: category.name }));
+  }
+
+  async getQuestionsByIds(ids, fields = '*, categories(name, slug)') {
+    const { data, error } = await supabase
+      .from('questions')
+      .select(fields)
+      .in('id', ids);
+
+    if (error) throw new Error(`Failed to fetch questions: ${error.message}`);
+
+    // Keep the order of the selection
+    const byId = new Map((data || []).map(row => [String(row.id), row]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  // Scores the selection again with the given model. Questions are scored in batches per category
+  // so the prompt keeps its anime context; a failed batch fails its questions instead of scoring 3.
+  async reReview(ids, model, { isCancelled = () => false, onProgress = () => {} } = {}) {
+    const questions = await this.getQuestionsByIds(ids, REVIEW_FIELDS);
+    const outcomes = new Map();
+
+    const byCategory = new Map();
+    questions.forEach(q => {
+      if (!byCategory.has(q.category_id)) byCategory.set(q.category_id, []);
+      byCategory.get(q.category_id).push(q);
+    });
+
+    for (const [categoryId, categoryQuestions] of byCategory) {
+      for (let i = 0; i < categoryQuestions.length; i += REVIEW_BATCH_SIZE) {
+        const batch = categoryQuestions.slice(i, i + REVIEW_BATCH_SIZE);
+        if (isCancelled()) {
+          batch.forEach(q => outcomes.set(String(q.id), { success: false, error: 'Cancelled' }));
+          continue;
+        }
+        try {
+          const scores = await simpleQuestionReviewService.requestScores(batch, model, categoryId);
+          await simpleQuestionReviewService.updateQuestionsWithScores(batch, scores);
+          batch.forEach((q, index) => outcomes.set(String(q.id), { success: true, score: scores[index] }));
+        } catch (error) {
+          console.error(`[Bulk] Re-review failed for ${batch.length} questions in category ${categoryId}:`, error.message);
+          batch.forEach(q => outcomes.set(String(q.id), { success: false, error: error.message }));
+        }
+        onProgress({ done: outcomes.size, total: questions.length });
+      }
+    }
+
+    return this.summarize(ids.map(id => ({ id, ...(outcomes.get(id) || { success: false, error: 'Question not found' }) })));
+  }
+
+  // Replaces each question in place with a new one written from its stored source passage,
+  // keeping its id, category, type and difficulty. The new text has not been reviewed yet.
+  async regenerate(ids, model, { isCancelled = () => false, onProgress = () => {} } = {}) {
+    const questions = await this.getQuestionsByIds(ids, REGENERATE_FIELDS);
+    const byId = new Map(questions.map(q => [String(q.id), q]));
+
+    const results = [];
+    for (const id of ids) {
+      const row = byId.get(id);
+      if (!row) {
+        results.push({ id, success: false, error: 'Question not found' });
+        continue;
+      }
+      if (isCancelled()) {
+        results.push({ id, success: false, error: 'Cancelled' });
+        continue;
+      }
+      try {
+        const question = await this.regenerateQuestion(row, model);
+        results.push({ id, success: true, question });
+      } catch (error) {
+        console.error(`[Bulk] Could not regenerate question ${id}:`, error.message);
+        results.push({ id, success: false, error: error.message });
+      }
+      onProgress({ done: results.length, total: ids.length });
+    }
+
+    return this.summarize(results);
+  }
+
+  async regenerateQuestion(row, model) {
+    if (!row.source_context) {
+      throw new Error('No source passage stored for this question');
+    }
+
+    const type = row.question_type || 'multiple_choice';
+    const [generated] = await questionsService.generateQuestions(
+      row.source_context,
+      1,
+      row.categories?.name || `Category ${row.category_id}`,
+      null,
+      row.source_page_title || row.source_section_title || '',
+      {
+        model,
+        sectionTitle: row.source_section_title,
+        questionTypeMix: { [type]: 100 },
+        difficultyMix: row.difficulty ? { [row.difficulty]: 100 } : null,
+        onUsage: usage => usageService.trackUsage(usage, { purpose: 'generation', animeId: row.category_id }),
+      }
+    );
+    if (!generated) throw new Error('The model returned no question');
+
+    const fields = questionsService.toQuestionFields(generated);
+    const { data, error } = await supabase
+      .from('questions')
+      .update({
+        ...fields,
+        // A question generated for a defined story arc stays tagged with it
+        spoiler_arc: row.story_arc_id ? row.spoiler_arc : fields.spoiler_arc || row.spoiler_arc,
+        review_score: null,
+        verification_verdict: null,
+        verification_justification: null,
+        verification_model: null,
+        verified_at: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', row.id)
+      .select('*, categories(name, slug)')
+      .single();
+
+    if (error) throw new Error(`Failed to save regenerated question: ${error.message}`);
+    return data;
+  }
+}
+
+module.exports = new QuestionBulkService();
@@ -0,0 +1,219 @@
+const { supabase } = require('../config/supabase');
+const questionsService = require('./questionsService');
+
+const SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  oldest: { column: 'created_at', ascending: true },
+  score: { column: 'review_score', ascending: false, nullable: true },
+  alphabetical: { column: 'question_text', ascending: true },
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Facet counts are computed from at most this many matching rows, read in pages because
+// PostgREST caps a single response (1000 rows by default)
+const FACET_ROW_LIMIT = 10000;
+const FACET_PAGE_SIZE = 1000;
+const MAX_FACET_VALUES = 50;
+
+// Facets that are also filters: each one is counted over the rows matching every *other*
+// facet filter, so picking a status still shows how many questions the other statuses have
+const FACETS = {
+  category: { filter: 'categoryId', value: row => row.category_id, label: row => row.categories?.name || `Category ${row.category_id}` },
+  status: { filter: 'status', value: row => row.status },
+  reviewScore: { filter: 'reviewScore', value: row => (row.review_score ? String(row.review_score) : 'unreviewed') },
+  model: { filter: 'model', value: row => row.generated_by_model },
+  sourcePage: { filter: 'sourcePage', value: row => row.source_page_title },
+};
+
+class QuestionSearchService {
+  // Validates GET /api/questions/search parameters; errors are meant for the user (400)
+  normalizeParams(input = {}) {
+    const sort = input.sort || 'newest';
+    if (!SORTS[sort]) {
+      throw new Error(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    const date = (value, label, endOfDay = false) => {
+      if (!value) return null;
+      const text = String(value);
+      // A plain date as the upper bound includes the whole day
+      const withTime = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text;
+      const parsed = new Date(withTime);
+      if (Number.isNaN(parsed.getTime())) throw new Error(`${label} must be a date`);
+      return parsed.toISOString();
+    };
+
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(input.limit) || DEFAULT_PAGE_SIZE));
+
+    return {
+      q: String(input.q || '').trim(),
+      categoryId: input.categoryId || null,
+      status: input.status || null,
+      questionType: input.questionType || null,
+      difficulty: input.difficulty || null,
+      reviewScore: input.reviewScore || null,
+      model: input.model || null,
+      sourcePage: input.sourcePage || null,
+      createdFrom: date(input.createdFrom, 'createdFrom'),
+      createdTo: date(input.createdTo, 'createdTo', true),
+      spoiler: questionsService.normalizeSpoilerFilters(input),
+      sort,
+      cursor: input.cursor ? this.decodeCursor(input.cursor, sort) : null,
+      pageSize,
+    };
+  }
+
+  // Returns { questions, nextCursor, facets, total, truncated }. Facets and total are only computed
+  // for the first page (no cursor); later pages reuse what the client got with the first one.
+  // total is an exact count; truncated says the facet counts only cover the first FACET_ROW_LIMIT rows.
+  async search(params) {
+    const sort = SORTS[params.sort];
+    const spoilerLimits = await questionsService.resolveSpoilerLimits(params.spoiler, params.categoryId);
+
+    let query = supabase
+      .from('questions')
+      .select('*, categories(name, slug)');
+
+    query = questionsService.applyFilters(query, params, spoilerLimits);
+    if (params.cursor) query = query.or(this.buildCursorFilter(sort, params.cursor));
+
+    query = query
+      .order(sort.column, { ascending: sort.ascending, nullsFirst: false })
+      .order('id', { ascending: sort.ascending })
+      .limit(params.pageSize + 1);
+
+    const [{ data, error }, facets, total] = await Promise.all([
+      query,
+      params.cursor ? null : this.getFacets(params, spoilerLimits),
+      params.cursor ? null : this.countMatches(params, spoilerLimits),
+    ]);
+    if (error) throw new Error(`Failed to search questions: ${error.message}`);
+
+    const rows = data || [];
+    const questions = rows.slice(0, params.pageSize);
+    const last = questions[questions.length - 1];
+
+    return {
+      questions,
+      nextCursor: rows.length > params.pageSize && last ? this.encodeCursor(params.sort, last) : null,
+      facets: facets ? facets.facets : null,
+      total,
+      truncated: facets ? facets.truncated : false,
+    };
+  }
+
+  async countMatches(params, spoilerLimits) {
+    let query = supabase
+      .from('questions')
+      .select('id', { count: 'exact', head: true });
+
+    query = questionsService.applyFilters(query, params, spoilerLimits);
+
+    const { count, error } = await query;
+    if (error) throw new Error(`Failed to count questions: ${error.message}`);
+    return count || 0;
+  }
+
+  async getFacets(params, spoilerLimits) {
+    const withoutFacetFilters = { ...params };
+    Object.values(FACETS).forEach(facet => { withoutFacetFilters[facet.filter] = null; });
+
+    const rows = [];
+    for (let from = 0; from < FACET_ROW_LIMIT; from += FACET_PAGE_SIZE) {
+      let query = supabase
+        .from('questions')
+        .select('id, category_id, status, review_score, generated_by_model, source_page_title, created_at, categories(name)');
+
+      query = questionsService.applyFilters(query, withoutFacetFilters, spoilerLimits)
+        .order('id', { ascending: true })
+        .range(from, from + FACET_PAGE_SIZE - 1);
+
+      const { data, error } = await query;
+      if (error) throw new Error(`Failed to compute search facets: ${error.message}`);
+
+      rows.push(...(data || []));
+      if (!data || data.length < FACET_PAGE_SIZE) break;
+    }
+
+    return this.countFacets(rows, params);
+  }
+
+  countFacets(rows, params) {
+    const matches = (row, except) => Object.entries(FACETS).every(([name, facet]) => {
+      const wanted = params[facet.filter];
+      return name === except || !wanted || String(facet.value(row)) === String(wanted);
+    });
+
+    const facets = {};
+    Object.entries(FACETS).forEach(([name, facet]) => {
+      const counts = new Map();
+      rows.filter(row => matches(row, name)).forEach(row => {
+        const value = facet.value(row);
+        if (value === null || value === undefined) return;
+        const entry = counts.get(value) || { value, label: facet.label ? facet.label(row) : String(value), count: 0 };
+        entry.count++;
+        counts.set(value, entry);
+      });
+      facets[name] = Array.from(counts.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_FACET_VALUES);
+    });
+
+    const matching = rows.filter(row => matches(row, null));
+    const months = new Map();
+    matching.forEach(row => {
+      const month = String(row.created_at || '').slice(0, 7);
+      if (month) months.set(month, (months.get(month) || 0) + 1);
+    });
+    facets.createdMonth = Array.from(months.entries())
+      .sort(([a], [b]) => b.localeCompare(a))
+      .map(([value, count]) => ({ value, label: value, count }));
+
+    return { facets, total: matching.length, truncated: rows.length >= FACET_ROW_LIMIT };
+  }
+
+  // Keyset pagination on (sort column, id); nulls sort last
+  buildCursorFilter(sort, cursor) {
+    const op = sort.ascending ? 'gt' : 'lt';
+    const value = this.quote(cursor.value);
+    const id = this.quote(cursor.id);
+
+    if (cursor.value === null) {
+      return `and(${sort.column}.is.null,id.${op}.${id})`;
+    }
+
+    const parts = [
+      `${sort.column}.${op}.${value}`,
+      `and(${sort.column}.eq.${value},id.${op}.${id})`,
+    ];
+    if (sort.nullable) parts.push(`${sort.column}.is.null`);
+    return parts.join(',');
+  }
+
+  quote(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  encodeCursor(sortName, row) {
+    const payload = { s: sortName, v: row[SORTS[sortName].column] ?? null, id: row.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  decodeCursor(cursor, sortName) {
+    try {
+      const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (payload.s !== sortName || payload.id === undefined) throw new Error('cursor does not match');
+      return { value: payload.v ?? null, id: payload.id };
+    } catch (error) {
+      throw new Error('Invalid cursor; start the search again without one');
+    }
+  }
+
+  getSorts() {
+    return Object.keys(SORTS);
+  }
+}
+
+module.exports = new QuestionSearchService();
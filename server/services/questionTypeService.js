@@ -0,0 +1,167 @@
+// Question types and how each one is stored in the questions table:
+// - multiple_choice / which_is_not: 4 options, correct_answer is the index of the right option
+//   (for which_is_not that is the option that does NOT fit)
+// - true_false: options are always ['True', 'False'], correct_answer 0 or 1
+// - ordering: options hold the items in their correct order, correct_answer is 0
+// - short_answer: options[0] is the canonical answer, accepted_answers holds aliases
+const QUESTION_TYPES = {
+  multiple_choice: {
+    label: 'Multiple choice',
+    prompt: 'multiple_choice: 4 options with exactly one correct; correctAnswer is the index (0-3) of the correct option.',
+  },
+  true_false: {
+    label: 'True / false',
+    prompt: 'true_false: a statement about the text; options are ["True", "False"] and correctAnswer is 0 if the statement is true, 1 if it is false.',
+  },
+  which_is_not: {
+    label: 'Which is NOT',
+    prompt: 'which_is_not: a "Which of these is NOT ..." question with 4 options where three fit and one does not; correctAnswer is the index (0-3) of the option that does NOT fit.',
+  },
+  ordering: {
+    label: 'Ordering',
+    prompt: 'ordering: ask to put 3-6 events, arcs or items in order; list the options in the CORRECT order and set correctAnswer to 0.',
+  },
+  short_answer: {
+    label: 'Short answer',
+    prompt: 'short_answer: a question with a short free-text answer (a name, place or number); options holds only the answer, acceptedAnswers lists other spellings or names that should also count, correctAnswer is 0.',
+  },
+};
+
+const DEFAULT_TYPE = 'multiple_choice';
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+const MIN_ORDERING_ITEMS = 3;
+const MAX_ORDERING_ITEMS = 6;
+const MAX_ACCEPTED_ANSWERS = 10;
+
+class QuestionTypeService {
+  getTypes() {
+    return Object.keys(QUESTION_TYPES);
+  }
+
+  getLabel(type) {
+    return QUESTION_TYPES[type]?.label || type;
+  }
+
+  getPromptFormat(type) {
+    return QUESTION_TYPES[type]?.prompt || null;
+  }
+
+  getMaxOptions() {
+    return MAX_ORDERING_ITEMS;
+  }
+
+  // Questions without a type (older rows, or models that left it out) are multiple choice
+  resolveType(type) {
+    const normalized = String(type || '').trim().toLowerCase().replace(/[\s/-]+/g, '_');
+    return QUESTION_TYPES[normalized] ? normalized : DEFAULT_TYPE;
+  }
+
+  // Brings a generated or edited question into the stored shape of its type.
+  // Works on { type, question, options, correctAnswer, acceptedAnswers }.
+  normalize(question) {
+    const type = this.resolveType(question.type);
+    let options = Array.isArray(question.options) ? question.options : Object.values(question.options || {});
+    options = options.map(o => (typeof o === 'string' ? o.trim() : o));
+    let correctAnswer = question.correctAnswer;
+    let acceptedAnswers = [];
+
+    if (type === 'true_false') {
+      correctAnswer = this.resolveTrueFalse(options, correctAnswer);
+      options = [...TRUE_FALSE_OPTIONS];
+    } else if (type === 'ordering') {
+      correctAnswer = 0;
+    } else if (type === 'short_answer') {
+      const answer = options[0];
+      options = answer === undefined ? [] : [answer];
+      correctAnswer = 0;
+      acceptedAnswers = this.normalizeAliases(question.acceptedAnswers, answer);
+    }
+
+    return { ...question, type, options, correctAnswer, acceptedAnswers };
+  }
+
+  resolveTrueFalse(options, correctAnswer) {
+    if (typeof correctAnswer === 'boolean') return correctAnswer ? 0 : 1;
+    const picked = typeof correctAnswer === 'number' ? options[correctAnswer] : correctAnswer;
+    if (typeof picked === 'string') {
+      const value = picked.trim().toLowerCase();
+      if (value === 'true') return 0;
+      if (value === 'false') return 1;
+    }
+    return correctAnswer;
+  }
+
+  normalizeAliases(aliases, answer) {
+    if (!Array.isArray(aliases)) return [];
+    const seen = new Set([String(answer || '').trim().toLowerCase()]);
+    const result = [];
+    aliases.forEach(alias => {
+      if (typeof alias !== 'string') return;
+      const trimmed = alias.trim();
+      const key = trimmed.toLowerCase();
+      if (!trimmed || seen.has(key)) return;
+      seen.add(key);
+      result.push(trimmed);
+    });
+    return result.slice(0, MAX_ACCEPTED_ANSWERS);
+  }
+
+  // Returns an error message for a normalized question, or null when it is valid
+  validate(question) {
+    if (!question.question || typeof question.question !== 'string') {
+      return 'Missing or invalid question text';
+    }
+
+    const { type, options, correctAnswer } = question;
+    if (!Array.isArray(options) || options.some(o => typeof o !== 'string' || o.trim().length === 0)) {
+      return 'Options must be non-empty strings';
+    }
+
+    switch (type) {
+      case 'multiple_choice':
+      case 'which_is_not':
+        if (options.length !== 4) return 'Must have exactly 4 options';
+        if (!Number.isInteger(correctAnswer) || correctAnswer < 0 || correctAnswer > 3) {
+          return 'correctAnswer must be a number between 0 and 3';
+        }
+        return null;
+      case 'true_false':
+        if (correctAnswer !== 0 && correctAnswer !== 1) return 'correctAnswer must be 0 (true) or 1 (false)';
+        return null;
+      case 'ordering':
+        if (options.length < MIN_ORDERING_ITEMS || options.length > MAX_ORDERING_ITEMS) {
+          return `Must have between ${MIN_ORDERING_ITEMS} and ${MAX_ORDERING_ITEMS} items to order`;
+        }
+        if (new Set(options.map(o => o.toLowerCase())).size !== options.length) {
+          return 'Items to order must be distinct';
+        }
+        return null;
+      case 'short_answer':
+        if (options.length !== 1) return 'Must have exactly one answer';
+        return null;
+      default:
+        return `Unknown question type: ${type}`;
+    }
+  }
+
+  // Describes a stored row for review and verification prompts
+  formatForPrompt(row) {
+    const type = this.resolveType(row.question_type);
+    const options = Array.isArray(row.options) ? row.options : Object.values(row.options || {});
+    const lines = [`Type: ${this.getLabel(type)}`, row.question_text];
+
+    if (type === 'ordering') {
+      lines.push(`Correct Order: ${options.map((o, i) => `${i + 1}. ${o}`).join(' ')}`);
+    } else if (type === 'short_answer') {
+      lines.push(`Answer: ${options[0] || ''}`);
+      if (row.accepted_answers?.length) lines.push(`Also Accepted: ${row.accepted_answers.join(', ')}`);
+    } else {
+      options.forEach((option, i) => lines.push(`${String.fromCharCode(65 + i)}. ${option}`));
+      lines.push(`Correct Answer: ${String.fromCharCode(65 + row.correct_answer)}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new QuestionTypeService();
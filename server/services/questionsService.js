@@ -1,16 +1,47 @@
 const { z } = require('zod');
 const aiProviderService = require('./aiProviderService.js');
+const duplicateService = require('./duplicateService');
+const questionTypeService = require('./questionTypeService');
+const storyArcService = require('./storyArcService');
+const promptTemplateService = require('./promptTemplateService');
+const chunkingService = require('./chunkingService');
 const { supabase } = require('../config/supabase');
 
+// Prompt content cap in generateQuestions, so the stored passage is what the model saw. Chunks are
+// sized below it; the cut only applies to content that did not come through the chunker.
+const MAX_SOURCE_CONTEXT_LENGTH = chunkingService.getMaxChunkChars();
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const MAX_SEARCH_TERMS = 8;
+const SEARCH_TEXT_BATCH_SIZE = 500;
+
+// ilike treats % and _ as wildcards; escaped, an arc name only matches itself
+const escapeLikePattern = text => String(text).replace(/[\\%_]/g, '\\$&');
+
+const SPOILER_INSTRUCTIONS = 'If the wiki text says which manga chapter, anime episode or story arc a fact comes from, set "spoilerChapter", "spoilerEpisode" and "spoilerArc" to the latest chapter, episode and arc the question reveals. Leave them out when the text does not say; never guess.';
+
+// Shape shared by all question types; per-type rules live in questionTypeService.validate
 const QuestionsSchema = z.array(
   z.object({
+    type: z.enum(questionTypeService.getTypes()).optional(),
     question: z.string(),
-    options: z.array(z.string()).length(4),
+    options: z.array(z.string()).min(1).max(questionTypeService.getMaxOptions()),
     correctAnswer: z.number().int().min(0).max(3),
+    acceptedAnswers: z.array(z.string()).optional(),
+    difficulty: z.enum(DIFFICULTIES).optional(),
+    spoilerChapter: z.number().int().positive().nullable().optional(),
+    spoilerEpisode: z.number().int().positive().nullable().optional(),
+    spoilerArc: z.string().nullable().optional(),
   })
 );
 
 class QuestionService {
+  constructor() {
+    // Pending writes per category, so parallel sections cannot insert the same near-duplicate twice
+    this.categoryWrites = new Map();
+  }
+
   async generateQuestions(content, amountOfQuestions, animeName, category, pageTitle, options = {}) {
     const startTime = Date.now();
     console.log(`[Questions] Starting generation for ${amountOfQuestions} questions`);
@@ -22,23 +53,12 @@ class QuestionService {
       throw new Error('Cannot generate questions from empty content');
     }
 
-    if (content.length > 15000) {
-      console.warn(`[Questions] Content is very large (${content.length} chars), truncating to 15000`);
-      content = content.substring(0, 15000);
+    if (content.length > MAX_SOURCE_CONTEXT_LENGTH) {
+      console.warn(`[Questions] Content is very large (${content.length} chars), truncating to ${MAX_SOURCE_CONTEXT_LENGTH}`);
+      content = content.substring(0, MAX_SOURCE_CONTEXT_LENGTH);
     }
 
-    const defaultInstructions = 'Each question should have one correct answer and three incorrect but plausible options. Create challenging and fun questions. Try and be specific if you can. For example, mention names of characters, groups, or locations if you have this information. NEVER mention "according to the text" or something similar.';
-    const promptInstructions = options.promptInstructions || defaultInstructions;
-
-    const prompt = this.buildImprovedPrompt({
-      content,
-      animeName,
-      pageTitle,
-      sectionTitle: options.sectionTitle,
-      category,
-      promptInstructions,
-      amountOfQuestions
-    });
+    const prompt = this.buildPrompt(content, amountOfQuestions, animeName, category, pageTitle, options);
 
     if (options.socketEmitter) {
       options.socketEmitter('promptGenerated', {
@@ -58,9 +78,10 @@ class QuestionService {
       console.log(`[Questions] Making AI API call with improved prompt structure...`);
       console.log(`[Questions] Using AI Provider Service with model: ${options.model || 'gpt-4o-mini'}`);
 
-      const questions = await aiProviderService.generateQuestions(
+      // options.fallbackModels are tried in order when the primary model fails
+      const { questions, model } = await aiProviderService.generateWithFallback(
         prompt,
-        options.model || 'gpt-4o-mini',
+        [options.model || 'gpt-4o-mini', ...(options.fallbackModels || [])],
         {
           temperature: 0.7,
           ...options
@@ -69,22 +90,57 @@ class QuestionService {
 
       const duration = Date.now() - startTime;
       console.log(`[Questions] AI response received in ${duration}ms`);
-      console.log(`[Questions] Successfully validated ${questions.length} questions`);
+      console.log(`[Questions] Successfully validated ${questions.length} questions from ${model}`);
 
-      return questions;
+      return questions.map(q => ({
+        ...q,
+        ...this.normalizeSpoiler(q),
+        difficulty: this.normalizeDifficulty(q.difficulty),
+        generatedBy: model
+      }));
 
     } catch (error) {
       const duration = Date.now() - startTime;
       console.error(`[Questions] Generation failed after ${duration}ms:`, error.message);
 
-      if (error.message.includes('timeout') || error.message.includes('timed out')) {
-        throw new Error(`Question generation timed out after ${duration}ms`);
-      }
-
-      throw new Error(`Question generation failed: ${error.message}`);
+      const message = error.message.includes('timeout') || error.message.includes('timed out')
+        ? `Question generation timed out after ${duration}ms`
+        : `Question generation failed: ${error.message}`;
+      // Keeps how far the fallback chain got, so a run can tell a failed section from a broken run
+      throw Object.assign(new Error(message), {
+        attempts: error.attempts || 0,
+        chainExhausted: Boolean(error.chainExhausted),
+      });
     }
   }
 
+  // The full prompt generateQuestions sends for a section; also used to estimate dry-run costs
+  buildPrompt(content, amountOfQuestions, animeName, category, pageTitle, options = {}) {
+    // A template snapshot is rendered per section so it can use the page and section names
+    const promptInstructions = options.promptTemplate
+      ? promptTemplateService.render(options.promptTemplate, {
+        animeName,
+        pageTitle,
+        sectionTitle: options.sectionTitle,
+        category,
+        amountOfQuestions,
+      })
+      : options.promptInstructions || promptTemplateService.getDefaultInstructions();
+
+    return this.buildImprovedPrompt({
+      content: content.substring(0, MAX_SOURCE_CONTEXT_LENGTH),
+      animeName,
+      pageTitle,
+      sectionTitle: options.sectionTitle,
+      category,
+      promptInstructions,
+      amountOfQuestions,
+      difficultyMix: options.difficultyMix,
+      questionTypeMix: options.questionTypeMix,
+      storyArc: options.storyArc
+    });
+  }
+
   async getAvailableModels() {
     return await aiProviderService.getAllAvailableModels();
   }
@@ -97,7 +153,112 @@ class QuestionService {
     return await aiProviderService.getProviderStats();
   }
 
-  buildImprovedPrompt({ content, animeName, pageTitle, sectionTitle, category, promptInstructions, amountOfQuestions }) {
+  getDifficulties() {
+    return DIFFICULTIES;
+  }
+
+  normalizeDifficulty(value) {
+    const difficulty = String(value || '').trim().toLowerCase();
+    return DIFFICULTIES.includes(difficulty) ? difficulty : null;
+  }
+
+  // Models return the spoiler reference as numbers, numeric strings ("Chapter 1044") or nothing
+  normalizeSpoiler(question) {
+    const toNumber = value => {
+      const match = String(value ?? '').match(/\d+/);
+      const number = match ? parseInt(match[0], 10) : NaN;
+      return number > 0 ? number : null;
+    };
+    const arc = String(question.spoilerArc ?? '').trim();
+
+    return {
+      spoilerChapter: toNumber(question.spoilerChapter),
+      spoilerEpisode: toNumber(question.spoilerEpisode),
+      spoilerArc: arc && !/^(none|null|n\/a|unknown)$/i.test(arc) ? arc : null,
+    };
+  }
+
+  // Turns a { easy, medium, hard } weight mix into percentages that add up to 100.
+  // Returns null when no mix is given; throws on negative or non-numeric weights.
+  normalizeDifficultyMix(mix) {
+    return this.normalizeMix(mix, DIFFICULTIES, 'Difficulty mix');
+  }
+
+  // Same for a { multiple_choice, true_false, ... } question type mix
+  normalizeQuestionTypeMix(mix) {
+    return this.normalizeMix(mix, questionTypeService.getTypes(), 'Question type mix');
+  }
+
+  normalizeMix(mix, keys, label) {
+    if (!mix || typeof mix !== 'object') return null;
+
+    const weights = {};
+    for (const key of keys) {
+      const raw = mix[key];
+      const value = raw === undefined || raw === null || raw === '' ? 0 : Number(raw);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${label} for "${key}" must be a non-negative number`);
+      }
+      weights[key] = value;
+    }
+
+    const total = keys.reduce((sum, key) => sum + weights[key], 0);
+    if (total === 0) return null;
+
+    return this.distribute(weights, keys, 100);
+  }
+
+  distributeDifficulty(mix, amount) {
+    return this.distribute(mix, DIFFICULTIES, amount);
+  }
+
+  // Splits `amount` questions over `keys` in proportion to the mix
+  // (largest remainder, so the counts always add up to `amount`)
+  distribute(mix, keys, amount) {
+    const total = keys.reduce((sum, key) => sum + (mix[key] || 0), 0);
+    const shares = keys.map(key => {
+      const exact = total > 0 ? (mix[key] || 0) * amount / total : 0;
+      return { key, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    let left = amount - shares.reduce((sum, s) => sum + s.count, 0);
+    [...shares]
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(share => {
+        if (left > 0 && share.remainder > 0) {
+          share.count++;
+          left--;
+        }
+      });
+
+    return Object.fromEntries(shares.map(s => [s.key, s.count]));
+  }
+
+  buildDifficultyInstructions(difficultyMix, amountOfQuestions) {
+    let text = `Label each question with its difficulty: "easy" (main facts most fans of the series know), "medium" (details a regular reader would remember) or "hard" (specific details only dedicated fans know).`;
+
+    if (difficultyMix) {
+      const counts = this.distributeDifficulty(difficultyMix, amountOfQuestions);
+      const parts = DIFFICULTIES.filter(d => counts[d] > 0).map(d => `${counts[d]} ${d}`);
+      text += ` Aim for this mix: ${parts.join(', ')}.`;
+    }
+
+    return text;
+  }
+
+  // Without a mix every question stays 4-option multiple choice, as before question types existed
+  buildQuestionTypeInstructions(questionTypeMix, amountOfQuestions) {
+    if (!questionTypeMix) return '';
+
+    const types = questionTypeService.getTypes();
+    const counts = this.distribute(questionTypeMix, types, amountOfQuestions);
+    const used = types.filter(type => counts[type] > 0);
+
+    return `Set the "type" of each question. Write ${used.map(type => `${counts[type]} ${type}`).join(', ')}. Formats:
+${used.map(type => `- ${questionTypeService.getPromptFormat(type)}`).join('\n')}`;
+  }
+
+  buildImprovedPrompt({ content, animeName, pageTitle, sectionTitle, category, promptInstructions, amountOfQuestions, difficultyMix = null, questionTypeMix = null, storyArc = null }) {
     console.log(`[Questions] Building improved prompt structure...`);
 
     const cleanContent = content
@@ -115,6 +276,12 @@ class QuestionService {
       referenceInfo += ` from category: '${category}'`;
     }
 
+    if (storyArc) {
+      referenceInfo += `. The questions are for the '${storyArcService.describe(storyArc)}' story arc: focus on events of that arc`;
+    }
+
+    const typeInstructions = this.buildQuestionTypeInstructions(questionTypeMix, amountOfQuestions);
+
     const prompt = `<FANDOM WIKI TEXT>
 
 ${cleanContent}
@@ -125,7 +292,11 @@ ${referenceInfo}
 
 ${promptInstructions}
 
-Generate ${amountOfQuestions} multiple-choice questions based on the 'FANDOM WIKI TEXT'.`;
+${this.buildDifficultyInstructions(difficultyMix, amountOfQuestions)}
+
+${SPOILER_INSTRUCTIONS}
+
+${typeInstructions ? `${typeInstructions}\n\n` : ''}Generate ${amountOfQuestions} ${typeInstructions ? 'quiz' : 'multiple-choice'} questions based on the 'FANDOM WIKI TEXT'.`;
 
     console.log(`[Questions] Prompt preview: ${prompt.substring(0, 500)}...`);
     console.log(`[Questions] Total prompt length: ${prompt.length} characters`);
@@ -133,38 +304,87 @@ Generate ${amountOfQuestions} multiple-choice questions based on the 'FANDOM WIK
     return prompt;
   }
 
+  // Inserts generated questions, dropping near-duplicates of questions already stored
+  // in the same category unless metadata.skipDuplicateCheck is set. metadata.duplicateCache
+  // (duplicateService.createRunCache) spares a run re-reading the category on every write.
+  // Returns the inserted count.
   async writeQuestionsToSupabase(questions, categoryId, metadata = {}) {
-    const startTime = Date.now();
-    console.log(`[Questions] Writing ${questions.length} questions to Supabase...`);
-
     if (!questions || questions.length === 0) {
       console.warn('[Questions] No questions to write');
       return 0;
     }
 
-    const rows = questions.map(q => {
-      let options = q.options;
-      if (!Array.isArray(options)) {
-        options = Object.values(options);
+    const previous = this.categoryWrites.get(categoryId) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(() => this.writeUniqueQuestions(questions, categoryId, metadata));
+    this.categoryWrites.set(categoryId, write);
+
+    try {
+      return await write;
+    } finally {
+      if (this.categoryWrites.get(categoryId) === write) this.categoryWrites.delete(categoryId);
+    }
+  }
+
+  async writeUniqueQuestions(questions, categoryId, metadata) {
+    let toInsert = questions;
+    let records = [];
+
+    if (!metadata.skipDuplicateCheck) {
+      try {
+        const { unique, duplicates, uniqueRecords } = await duplicateService.filterDuplicates(questions, categoryId, {
+          cache: metadata.duplicateCache,
+        });
+        duplicates.forEach(d => {
+          console.log(`[Questions] Skipping near-duplicate (${d.score}): "${d.question.question}" ~ "${d.matchText}"`);
+        });
+        toInsert = unique;
+        records = uniqueRecords;
+      } catch (error) {
+        console.warn(`[Questions] Duplicate check failed, inserting all questions: ${error.message}`);
       }
+    }
+
+    if (toInsert.length === 0) {
+      console.log('[Questions] All questions were near-duplicates, nothing to write');
+      return 0;
+    }
+
+    const count = await this.insertQuestions(toInsert, categoryId, metadata);
+    await duplicateService.remember(metadata.duplicateCache, categoryId, records);
+    return count;
+  }
+
+  async insertQuestions(questions, categoryId, metadata) {
+    const startTime = Date.now();
+    console.log(`[Questions] Writing ${questions.length} questions to Supabase...`);
 
+    const rows = questions.map(question => {
       const pageTitle = metadata.pageTitle || '';
       const fandomWikiName = metadata.fandomWikiName || '';
 
       return {
         category_id: categoryId,
-        question_text: q.question,
-        options: options,
-        correct_answer: q.correctAnswer,
-        is_manga_spoiler: false,
+        ...this.toQuestionFields(question),
+        spoiler_arc: metadata.storyArc?.name || question.spoilerArc || null,
+        story_arc_id: metadata.storyArc?.id || null,
+        prompt_template_id: metadata.promptTemplate?.id || null,
+        prompt_template_version: metadata.promptTemplate?.version || null,
+        experiment_arm: metadata.experimentArm || null,
         source_url: fandomWikiName && pageTitle
           ? `https://${fandomWikiName}.fandom.com/wiki/${encodeURIComponent(pageTitle)}`
           : null,
         source_context: metadata.sectionContent
-          ? metadata.sectionContent.substring(0, 2000)
+          ? metadata.sectionContent.substring(0, MAX_SOURCE_CONTEXT_LENGTH)
           : null,
+        source_section_title: metadata.sectionTitle || null,
+        source_section_id: metadata.sectionId || null,
+        source_page_title: pageTitle || null,
         review_score: null,
         status: 'approved',
+        generation_run_id: metadata.runId || null,
+        generated_by_model: question.generatedBy || metadata.model || null,
       };
     });
 
@@ -183,12 +403,76 @@ Generate ${amountOfQuestions} multiple-choice questions based on the 'FANDOM WIK
     return data.length;
   }
 
+  // Columns that come from a generated question itself (not from where it was generated)
+  toQuestionFields(question) {
+    const q = questionTypeService.normalize(question);
+
+    return {
+      question_text: q.question,
+      question_type: q.type,
+      options: q.options,
+      correct_answer: q.correctAnswer,
+      accepted_answers: q.acceptedAnswers,
+      difficulty: this.normalizeDifficulty(q.difficulty),
+      // Content referenced only by chapter has most likely not been animated yet
+      is_manga_spoiler: Boolean(question.spoilerChapter && !question.spoilerEpisode),
+      spoiler_chapter: question.spoilerChapter || null,
+      spoiler_episode: question.spoilerEpisode || null,
+      spoiler_arc: question.spoilerArc || null,
+      search_text: this.buildSearchText(q),
+      generated_by_model: question.generatedBy || null,
+    };
+  }
+
+  // Ids of the live questions generated from a section, before a refresh replaces them
+  async getSectionQuestionIds(sectionId) {
+    const { data, error } = await supabase
+      .from('questions')
+      .select('id')
+      .eq('source_section_id', sectionId)
+      .not('status', 'in', '(rejected,retired)');
+
+    if (error) throw new Error(`Failed to fetch section questions: ${error.message}`);
+    return (data || []).map(row => row.id);
+  }
+
+  // Questions whose source text changed on the wiki are kept for reference but taken out of play
+  async retireQuestions(ids) {
+    if (!ids || ids.length === 0) return 0;
+
+    const { data, error } = await supabase
+      .from('questions')
+      .update({
+        status: 'retired',
+        updated_at: new Date().toISOString(),
+      })
+      .in('id', ids)
+      .select('id');
+
+    if (error) throw new Error(`Failed to retire questions: ${error.message}`);
+    return (data || []).length;
+  }
+
   async getQuestions(filters = {}) {
+    const spoilerLimits = await this.resolveSpoilerLimits(filters.spoiler, filters.categoryId);
+
     let query = supabase
       .from('questions')
       .select('*, categories(name, slug)')
       .order('created_at', { ascending: false });
 
+    query = this.applyFilters(query, filters, spoilerLimits);
+
+    const limit = parseInt(filters.limit) || 50;
+    query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  // Filters shared by the list, search and export. Synchronous for the same reason as applySpoilerLimits.
+  applyFilters(query, filters, spoilerLimits = null) {
     if (filters.categoryId) {
       query = query.eq('category_id', parseInt(filters.categoryId));
     }
@@ -197,26 +481,203 @@ Generate ${amountOfQuestions} multiple-choice questions based on the 'FANDOM WIK
       query = query.eq('status', filters.status);
     }
 
-    const limit = parseInt(filters.limit) || 50;
-    query = query.limit(limit);
+    // Rows stored before question types existed have no type and are multiple choice
+    if (filters.questionType === 'multiple_choice') {
+      query = query.or('question_type.is.null,question_type.eq.multiple_choice');
+    } else if (filters.questionType) {
+      query = query.eq('question_type', filters.questionType);
+    }
+
+    if (filters.difficulty === 'unlabeled') {
+      query = query.is('difficulty', null);
+    } else if (filters.difficulty) {
+      query = query.eq('difficulty', filters.difficulty);
+    }
+
+    if (filters.reviewScore === 'unreviewed') {
+      query = query.is('review_score', null);
+    } else if (filters.reviewScore) {
+      query = query.eq('review_score', parseInt(filters.reviewScore));
+    }
+
+    if (filters.model) query = query.eq('generated_by_model', filters.model);
+    if (filters.sourcePage) query = query.eq('source_page_title', filters.sourcePage);
+    if (filters.createdFrom) query = query.gte('created_at', filters.createdFrom);
+    if (filters.createdTo) query = query.lte('created_at', filters.createdTo);
+
+    // Every term has to appear in the question text or (via search_text) in an option or accepted answer
+    this.splitSearchTerms(filters.q).forEach(term => {
+      query = query.or(`question_text.ilike."%${term}%",search_text.ilike."%${term}%"`);
+    });
+
+    if (spoilerLimits) query = this.applySpoilerLimits(query, spoilerLimits);
+    return query;
+  }
+
+  // Words and "quoted phrases", stripped of characters that are special in PostgREST filters
+  splitSearchTerms(text) {
+    const terms = String(text || '').match(/"[^"]+"|\S+/g) || [];
+    return terms
+      .map(term => term.replace(/[%_*,()"\\]/g, ' ').replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .slice(0, MAX_SEARCH_TERMS);
+  }
+
+  // Lower-cased text of the options and accepted answers, stored next to the question so
+  // search can match answers without unpacking the options JSON
+  buildSearchText(question) {
+    const options = Array.isArray(question.options) ? question.options : Object.values(question.options || {});
+    return [question.question, ...options, ...(question.acceptedAnswers || [])]
+      .filter(Boolean)
+      .join(' \n ')
+      .toLowerCase();
+  }
+
+  // Writes search_text for questions stored before the column existed, so searching by option or
+  // accepted-answer text finds them too. Walks the rows by id, so a row that cannot be updated
+  // does not stall it. Returns how many rows were updated.
+  async backfillSearchText(batchSize = SEARCH_TEXT_BATCH_SIZE) {
+    let updated = 0;
+    let lastId = null;
+
+    for (;;) {
+      let query = supabase
+        .from('questions')
+        .select('id, question_text, options, accepted_answers')
+        .is('search_text', null)
+        .order('id', { ascending: true })
+        .limit(batchSize);
+      if (lastId !== null) query = query.gt('id', lastId);
+
+      const { data, error } = await query;
+      if (error) throw new Error(`Failed to fetch questions without search text: ${error.message}`);
+
+      for (const row of data || []) {
+        const searchText = this.buildSearchText({
+          question: row.question_text,
+          options: row.options,
+          acceptedAnswers: row.accepted_answers,
+        });
+        const { error: updateError } = await supabase
+          .from('questions')
+          .update({ search_text: searchText })
+          .eq('id', row.id);
+
+        if (updateError) throw new Error(`Failed to backfill search text: ${updateError.message}`);
+        updated++;
+      }
+
+      if (!data || data.length < batchSize) return updated;
+      lastId = data[data.length - 1].id;
+    }
+  }
+
+  // Parses "up to chapter N / episode N / arc X" filters from a query string or export body.
+  // Returns null when none is set; throws on a chapter or episode that is not a positive integer.
+  normalizeSpoilerFilters(input = {}) {
+    const parseLimit = (value, label) => {
+      if (value === undefined || value === null || value === '') return null;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${label} must be a positive whole number`);
+      }
+      return number;
+    };
+
+    const filters = {
+      maxChapter: parseLimit(input.maxChapter, 'maxChapter'),
+      maxEpisode: parseLimit(input.maxEpisode, 'maxEpisode'),
+      upToArc: String(input.upToArc || '').trim() || null,
+      // The wiki whose story arcs give the arc its chapters and its place in the story
+      wiki: String(input.wiki || '').trim() || null,
+      // Untagged questions are included unless asked otherwise; most come from general pages
+      includeUntagged: input.includeUntagged === undefined || input.includeUntagged === ''
+        ? true
+        : input.includeUntagged === true || input.includeUntagged === 'true',
+    };
+
+    return filters.maxChapter || filters.maxEpisode || filters.upToArc ? filters : null;
+  }
+
+  // The last chapter of an arc: its story arc definition for the wiki, or else the highest
+  // chapter among stored questions tagged with it
+  async resolveArcChapter(arc, categoryId, wiki = null) {
+    const defined = await storyArcService.findByName(arc, wiki);
+    if (defined?.endChapter) return defined.endChapter;
+
+    let query = supabase
+      .from('questions')
+      .select('spoiler_chapter')
+      .ilike('spoiler_arc', escapeLikePattern(arc))
+      .not('spoiler_chapter', 'is', null)
+      .order('spoiler_chapter', { ascending: false })
+      .limit(1);
+
+    if (categoryId) query = query.eq('category_id', parseInt(categoryId));
 
     const { data, error } = await query;
-    if (error) throw new Error(error.message);
-    return data || [];
+    if (error) throw new Error(`Failed to resolve arc "${arc}": ${error.message}`);
+    return data && data.length > 0 ? data[0].spoiler_chapter : null;
+  }
+
+  // The names of the wiki's arcs up to and including `arc`, in chapter order. Only the arc
+  // itself when it is not defined for the wiki, since nothing says which arcs come before it.
+  async resolveArcsUpTo(arc, wiki) {
+    if (!wiki) return [arc];
+
+    const arcs = await storyArcService.listArcs(wiki);
+    const index = arcs.findIndex(defined => defined.name.toLowerCase() === arc.toLowerCase());
+    return index === -1 ? [arc] : arcs.slice(0, index + 1).map(defined => defined.name);
+  }
+
+  // Turns the spoiler filters into column limits; an arc becomes the last chapter known for it,
+  // or the arcs up to it when no chapter is known
+  async resolveSpoilerLimits(spoiler, categoryId) {
+    if (!spoiler) return null;
+
+    const limits = { ...spoiler, arcNames: null };
+    if (spoiler.upToArc) {
+      const arcChapter = await this.resolveArcChapter(spoiler.upToArc, categoryId, spoiler.wiki);
+      if (arcChapter) {
+        limits.maxChapter = spoiler.maxChapter ? Math.min(spoiler.maxChapter, arcChapter) : arcChapter;
+      } else {
+        limits.arcNames = await this.resolveArcsUpTo(spoiler.upToArc, spoiler.wiki);
+      }
+    }
+    return limits;
+  }
+
+  // Must stay synchronous: awaiting a Supabase query builder runs the query
+  applySpoilerLimits(query, limits) {
+    const limitColumn = (column, max) => (limits.includeUntagged
+      ? query.or(`${column}.is.null,${column}.lte.${max}`)
+      : query.lte(column, max));
+
+    if (limits.arcNames) {
+      const names = limits.arcNames.map(name => `"${name.replace(/["\\]/g, '\\$&')}"`).join(',');
+      query = limits.includeUntagged
+        ? query.or(`spoiler_arc.is.null,spoiler_arc.in.(${names})`)
+        : query.in('spoiler_arc', limits.arcNames);
+    }
+    if (limits.maxChapter) query = limitColumn('spoiler_chapter', limits.maxChapter);
+    if (limits.maxEpisode) query = limitColumn('spoiler_episode', limits.maxEpisode);
+    return query;
   }
 
   async getQuestionStats() {
     const { data, error } = await supabase
       .from('questions')
-      .select('category_id, status, review_score, categories(name)');
+      .select('category_id, status, review_score, difficulty, question_type, categories(name)');
 
     if (error) throw new Error(error.message);
 
     const stats = {
       total: data.length,
       byCategory: {},
-      byStatus: { approved: 0, unrated: 0, rejected: 0 },
+      byStatus: { approved: 0, unrated: 0, rejected: 0, needs_fix: 0, retired: 0 },
       byReviewScore: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, unreviewed: 0 },
+      byDifficulty: { easy: 0, medium: 0, hard: 0, unlabeled: 0 },
+      byType: Object.fromEntries(questionTypeService.getTypes().map(type => [type, 0])),
     };
 
     data.forEach(q => {
@@ -232,6 +693,9 @@ Generate ${amountOfQuestions} multiple-choice questions based on the 'FANDOM WIK
       } else {
         stats.byReviewScore.unreviewed++;
       }
+
+      stats.byDifficulty[this.normalizeDifficulty(q.difficulty) || 'unlabeled']++;
+      stats.byType[questionTypeService.resolveType(q.question_type)]++;
     });
 
     return stats;
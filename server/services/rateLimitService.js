@@ -0,0 +1,219 @@
+// Token buckets for outgoing API traffic, keyed "provider:<name>" for AI providers and
+// "wiki:<host>" for Fandom wikis. A bucket refills at perMinute / 60 tokens per second up to
+// `burst`; a 429 or Retry-After puts it in a cooldown that every caller of that key waits out.
+// Override the rate with RATE_LIMIT_<PROVIDER> or RATE_LIMIT_WIKI (requests per minute).
+const DEFAULT_LIMITS = {
+  provider: { perMinute: 60, burst: 5 },
+  wiki: { perMinute: 60, burst: 3 },
+};
+
+const PROVIDER_LIMITS = {
+  openai: { perMinute: 120, burst: 10 },
+  gemini: { perMinute: 60, burst: 5 },
+  anthropic: { perMinute: 50, burst: 5 },
+};
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+const DEFAULT_MAX_RETRIES = 3;
+
+class RateLimitService {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  providerKey(provider) {
+    return `provider:${provider}`;
+  }
+
+  wikiKey(url) {
+    try {
+      return `wiki:${new URL(url).host}`;
+    } catch (error) {
+      return `wiki:${url}`;
+    }
+  }
+
+  getLimit(key) {
+    const [kind, name] = key.split(':');
+    const envName = kind === 'wiki' ? 'RATE_LIMIT_WIKI' : `RATE_LIMIT_${String(name).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    const base = (kind === 'provider' && PROVIDER_LIMITS[name]) || DEFAULT_LIMITS[kind] || DEFAULT_LIMITS.provider;
+
+    const override = parseFloat(process.env[envName]);
+    if (override > 0) return { perMinute: override, burst: Math.max(1, Math.min(base.burst, Math.ceil(override / 10))) };
+    return base;
+  }
+
+  getBucket(key) {
+    if (!this.buckets.has(key)) {
+      const limit = this.getLimit(key);
+      this.buckets.set(key, {
+        ...limit,
+        tokens: limit.burst,
+        updatedAt: this.now(),
+        blockedUntil: 0,
+        consecutiveRateLimits: 0,
+        rateLimitedCount: 0,
+        waiting: 0,
+        totalWaitMs: 0,
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  // Changes a bucket's rate, e.g. from tests or an admin tool
+  configure(key, { perMinute, burst }) {
+    const bucket = this.getBucket(key);
+    bucket.perMinute = perMinute;
+    bucket.burst = burst;
+    bucket.tokens = Math.min(bucket.tokens, burst);
+  }
+
+  refill(bucket) {
+    const now = this.now();
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + elapsed * bucket.perMinute / 60000);
+    bucket.updatedAt = now;
+  }
+
+  // Resolves once a request for `key` may be sent; waits out cooldowns and empty buckets
+  async acquire(key) {
+    const bucket = this.getBucket(key);
+    const startedAt = this.now();
+    bucket.waiting++;
+
+    try {
+      for (;;) {
+        this.refill(bucket);
+        const now = this.now();
+
+        let waitMs = 0;
+        if (bucket.blockedUntil > now) {
+          waitMs = bucket.blockedUntil - now;
+        } else if (bucket.tokens < 1) {
+          waitMs = Math.ceil((1 - bucket.tokens) * 60000 / bucket.perMinute);
+        } else {
+          bucket.tokens -= 1;
+          return;
+        }
+
+        await this.sleep(waitMs);
+      }
+    } finally {
+      bucket.waiting--;
+      bucket.totalWaitMs += this.now() - startedAt;
+    }
+  }
+
+  // Called on a 429: honours Retry-After when the server sent one, otherwise backs off
+  // exponentially with the number of rate limits in a row. Returns the cooldown in ms.
+  reportRateLimited(key, retryAfterMs = null) {
+    const bucket = this.getBucket(key);
+    bucket.consecutiveRateLimits++;
+    bucket.rateLimitedCount++;
+    bucket.tokens = 0;
+
+    const cooldown = retryAfterMs ?? this.getBackoffDelay(bucket.consecutiveRateLimits - 1);
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, this.now() + cooldown);
+    console.warn(`[RateLimit] ${key} rate limited, pausing for ${Math.round(cooldown / 1000)}s`);
+    return cooldown;
+  }
+
+  reportSuccess(key) {
+    this.getBucket(key).consecutiveRateLimits = 0;
+  }
+
+  // Exponential backoff with jitter: a random delay between base / 2 and base * 2^attempt, capped
+  getBackoffDelay(attempt, { baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS } = {}) {
+    const ceiling = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt));
+    return Math.round(baseMs / 2 + Math.random() * (ceiling - baseMs / 2));
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - this.now());
+  }
+
+  // Follows error.cause, so wrapped SDK errors keep their status and headers
+  findInCauses(error, read) {
+    for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+      const value = read(current);
+      if (value !== undefined && value !== null) return value;
+    }
+    return null;
+  }
+
+  // Reads the HTTP status from axios, OpenAI SDK, Gemini SDK and our own wrapped errors
+  getErrorStatus(error) {
+    return this.findInCauses(error, e => {
+      const status = e.status ?? e.response?.status;
+      return Number.isInteger(status) ? status : null;
+    });
+  }
+
+  getRetryAfterMs(error) {
+    return this.findInCauses(error, e => {
+      if (e.retryAfterMs !== undefined) return e.retryAfterMs;
+      const headers = e.headers || e.response?.headers;
+      if (!headers) return null;
+      const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+      return this.parseRetryAfter(value);
+    });
+  }
+
+  isRateLimitError(error) {
+    if (this.getErrorStatus(error) === 429) return true;
+    const message = String(error?.message || '').toLowerCase();
+    return message.includes('429') || message.includes('rate limit') || message.includes('too many requests')
+      || message.includes('resource_exhausted');
+  }
+
+  // Runs fn under the key's bucket, retrying rate-limited attempts after their cooldown
+  async schedule(key, fn, { maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(key);
+      try {
+        const result = await fn();
+        this.reportSuccess(key);
+        return result;
+      } catch (error) {
+        if (!this.isRateLimitError(error)) throw error;
+        this.reportRateLimited(key, this.getRetryAfterMs(error));
+        if (attempt >= maxRetries) throw error;
+      }
+    }
+  }
+
+  getState() {
+    const now = this.now();
+    return Array.from(this.buckets.entries()).map(([key, bucket]) => {
+      this.refill(bucket);
+      return {
+        key,
+        perMinute: bucket.perMinute,
+        burst: bucket.burst,
+        tokens: Math.floor(bucket.tokens * 100) / 100,
+        waiting: bucket.waiting,
+        blockedForMs: Math.max(0, bucket.blockedUntil - now),
+        consecutiveRateLimits: bucket.consecutiveRateLimits,
+        rateLimitedCount: bucket.rateLimitedCount,
+        totalWaitMs: bucket.totalWaitMs,
+      };
+    });
+  }
+}
+
+module.exports = new RateLimitService();
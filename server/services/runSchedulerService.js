@@ -0,0 +1,84 @@
+// How many sections of one run may be generated at the same time
+const MAX_PARALLELISM = 8;
+
+// Scheduling for parallel generation runs: a task pool that caps how many sections are in
+// flight, and an API-call budget that sections reserve from before they call a model, so
+// concurrent sections can never start more calls than the run has left.
+class RunSchedulerService {
+  normalizeParallelism(value) {
+    return Math.min(MAX_PARALLELISM, Math.max(1, parseInt(value) || 1));
+  }
+
+  // Runs async tasks with at most `limit` in flight, starting them in submission order
+  createTaskPool(limit) {
+    let active = 0;
+    const pending = [];
+    let waiters = [];
+
+    const next = () => {
+      while (active < limit && pending.length > 0) {
+        const { task, resolve, reject } = pending.shift();
+        active++;
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            active--;
+            next();
+          });
+      }
+      if (active < limit && pending.length === 0) {
+        waiters.forEach(resolve => resolve());
+        waiters = [];
+      }
+    };
+
+    return {
+      run(task) {
+        return new Promise((resolve, reject) => {
+          pending.push({ task, resolve, reject });
+          next();
+        });
+      },
+      // Resolves once a newly submitted task would start immediately
+      waitForCapacity() {
+        if (active < limit && pending.length === 0) return Promise.resolve();
+        return new Promise(resolve => waiters.push(resolve));
+      }
+    };
+  }
+
+  // `used` calls were already made (e.g. before a resume). A section reserves a slot
+  // synchronously before its first call and another before each fallback attempt, then commits
+  // the calls it made and releases the slots it did not use, so concurrent sections and
+  // fallback chains never take `used` past the limit.
+  createCallBudget(limit, used = 0) {
+    let reserved = 0;
+
+    return {
+      get used() {
+        return used;
+      },
+      get reserved() {
+        return reserved;
+      },
+      // False once the made and reserved calls reach the limit
+      reserve() {
+        if (used + reserved >= limit) return false;
+        reserved++;
+        return true;
+      },
+      // Turns `calls` reserved slots into made calls
+      commit(calls = 1) {
+        reserved -= calls;
+        used += calls;
+      },
+      // Frees reserved slots the section made no call with after all
+      release(slots = 1) {
+        reserved -= slots;
+      }
+    };
+  }
+}
+
+module.exports = new RunSchedulerService();
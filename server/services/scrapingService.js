@@ -3,6 +3,9 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const crypto = require('crypto');
 const { supabase } = require('../config/supabase');
+const rateLimitService = require('./rateLimitService');
+const pageCacheService = require('./pageCacheService');
+const chunkingService = require('./chunkingService');
 
 const BROWSER_HEADERS = {
   'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
@@ -17,8 +20,28 @@ class ScrapingService {
     return `https://${topic}.fandom.com/api.php`;
   }
 
+  // Every MediaWiki API call goes through the wiki host's rate limiter, which also retries 429s
+  wikiGet(url, config) {
+    return rateLimitService.schedule(rateLimitService.wikiKey(url), () => axios.get(url, config));
+  }
+
+  // MediaWiki list queries, served from the query cache while fresh
+  async wikiQuery(topic, params, config = {}) {
+    const cached = await pageCacheService.getQuery(topic, params);
+    if (cached) return cached;
+
+    if (pageCacheService.isOffline()) {
+      throw new Error(`No cached ${params.list || params.action} response for ${topic} (offline mode)`);
+    }
+
+    const response = await this.wikiGet(this.createFandomUrl(topic), { params, ...config });
+    if (!response.data.error) {
+      await pageCacheService.saveQuery(topic, params, response.data);
+    }
+    return response.data;
+  }
+
   async fetchRelevantPages(category, topic) {
-    const url = this.createFandomUrl(topic);
     const params = {
       action: 'query',
       list: 'categorymembers',
@@ -29,8 +52,7 @@ class ScrapingService {
     };
 
     try {
-      const response = await axios.get(url, { params, headers: BROWSER_HEADERS });
-      const data = response.data;
+      const data = await this.wikiQuery(topic, params, { headers: BROWSER_HEADERS });
 
       if (!data.query || !data.query.categorymembers) {
         console.error(`No pages found for category: ${category}`);
@@ -45,62 +67,134 @@ class ScrapingService {
   }
 
   // ENHANCED: Now accepts options including skipSections
+  // options.chunking ({ strategy, sizing, minSize, maxSize, overlap }, see chunkingService) decides how
+  // sections are merged and split; options.model sizes token-based chunks.
+  // The parsed sections come from the page cache when the same revision was already parsed with the
+  // same skip list; they are cached before chunking so every chunking setting can reuse them.
   async fetchPageContent(title, topic, options = {}) {
-    const url = this.createFandomUrl(topic);
+    const skipSections = options.skipSections || [];
+
+    try {
+      const page = await this.getPageHtml(title, topic);
+      // Namespaced apart from older entries, which held sections already merged and truncated
+      const signature = `raw:${pageCacheService.skipSignature(skipSections)}`;
+
+      let sections = pageCacheService.getCachedSections(page, signature);
+      if (sections !== undefined) {
+        console.log(`[Content] Using cached sections for '${title}' (revision ${page.revision_id})`);
+      } else {
+        sections = this.parsePageSections(page.html, title, skipSections);
+        await pageCacheService.saveSections(page, signature, sections);
+      }
+
+      const chunks = this.processSections(sections || [], options.chunking, { model: options.model });
+
+      // Each section carries the revision it was read from so processed_sections can record it
+      return chunks.map(section => ({ ...section, revisionId: page.revision_id ?? null }));
+
+    } catch (error) {
+      console.error(`Error fetching page '${title}':`, error.message);
+      throw error;
+    }
+  }
+
+  // Returns the page cache row ({ html, revision_id, sections, ... }) for the page's latest revision.
+  // A stale row is kept when Fandom reports the same revision id, so unchanged pages are not refetched.
+  async getPageHtml(title, topic) {
+    const cached = await pageCacheService.getPage(topic, title);
+    if (cached && pageCacheService.isFresh(cached)) {
+      pageCacheService.recordHit();
+      return cached;
+    }
+
+    if (pageCacheService.isOffline()) {
+      throw new Error(`Page '${title}' is not in the Fandom cache (offline mode)`);
+    }
+
+    if (cached) {
+      const latestRevisionId = await this.fetchLatestRevisionId(title, topic);
+      if (latestRevisionId === cached.revision_id) {
+        console.log(`[Content] '${title}' unchanged since revision ${latestRevisionId}, reusing cached copy`);
+        await pageCacheService.touchPage(cached);
+        return cached;
+      }
+    }
+
+    pageCacheService.recordMiss();
+
     const params = {
       action: 'parse',
       page: title,
       format: 'json',
-      prop: 'text',
+      prop: 'text|revid',
     };
 
-    try {
-      const response = await axios.get(url, { params, headers: BROWSER_HEADERS });
-      const data = response.data;
+    const response = await this.wikiGet(this.createFandomUrl(topic), { params, headers: BROWSER_HEADERS });
+    const data = response.data;
 
-      if (data.error) {
-        throw new Error(`Error fetching page '${title}': ${data.error.info}`);
-      }
+    if (data.error) {
+      throw new Error(`Error fetching page '${title}': ${data.error.info}`);
+    }
 
-      const htmlContent = data.parse.text['*'];
-      const $ = cheerio.load(htmlContent);
+    return pageCacheService.savePage(topic, title, {
+      revisionId: data.parse.revid,
+      html: data.parse.text['*'],
+    });
+  }
 
-      // Check if it's a category page
-      if ($('div.category-page__members').length > 0) {
-        console.log(`Skipping category page: ${title}`);
-        return null;
-      }
+  // Cheap revision lookup used to revalidate stale cache entries; null when it cannot be read
+  async fetchLatestRevisionId(title, topic) {
+    const params = {
+      action: 'query',
+      prop: 'revisions',
+      titles: title,
+      rvprop: 'ids',
+      format: 'json',
+    };
 
-      console.log(`[Content] Raw HTML length: ${htmlContent.length} characters`);
-      console.log(`[Content] Found elements: h1=${$('h1').length}, h2=${$('h2').length}, h3=${$('h3').length}, p=${$('p').length}`);
+    try {
+      const response = await this.wikiGet(this.createFandomUrl(topic), { params, headers: BROWSER_HEADERS });
+      const pages = Object.values(response.data?.query?.pages || {});
+      return pages[0]?.revisions?.[0]?.revid ?? null;
+    } catch (error) {
+      console.warn(`[Content] Could not check the latest revision of '${title}':`, error.message);
+      return null;
+    }
+  }
 
-      // Remove unwanted elements but keep structure for section parsing
-      $('script, style, .navbox, .sidebar, .toc, .thumb, .gallery').remove();
-      
-      // Remove edit links but keep the content structure
-      $('span.mw-editsection').remove();
+  // Cleans the parse HTML and splits it into sections; null for category pages
+  parsePageSections(htmlContent, title, skipSections = []) {
+    const $ = cheerio.load(htmlContent);
 
-      // ENHANCED: Use configurable skip sections instead of hardcoded list
-      const skipSections = options.skipSections || [];
-      
-      if (skipSections.length > 0) {
-        console.log(`[Content] Applying section filtering: ${skipSections.length} section types to skip`);
-        console.log(`[Content] Skip list: ${skipSections.slice(0, 10).join(', ')}${skipSections.length > 10 ? '...' : ''}`);
-        
-        this.removeUnwantedSections($, skipSections);
-      } else {
-        console.log(`[Content] No section filtering applied - processing all sections`);
-      }
+    // Check if it's a category page
+    if ($('div.category-page__members').length > 0) {
+      console.log(`Skipping category page: ${title}`);
+      return null;
+    }
 
-      console.log(`[Content] After cleanup: h1=${$('h1').length}, h2=${$('h2').length}, h3=${$('h3').length}, p=${$('p').length}`);
+    console.log(`[Content] Raw HTML length: ${htmlContent.length} characters`);
+    console.log(`[Content] Found elements: h1=${$('h1').length}, h2=${$('h2').length}, h3=${$('h3').length}, p=${$('p').length}`);
 
-      // Extract sections with their structure
-      return this.extractSections($, title, skipSections);
+    // Remove unwanted elements but keep structure for section parsing
+    $('script, style, .navbox, .sidebar, .toc, .thumb, .gallery').remove();
+    
+    // Remove edit links but keep the content structure
+    $('span.mw-editsection').remove();
 
-    } catch (error) {
-      console.error(`Error fetching page '${title}':`, error.message);
-      throw error;
+    // ENHANCED: Use configurable skip sections instead of hardcoded list
+    if (skipSections.length > 0) {
+      console.log(`[Content] Applying section filtering: ${skipSections.length} section types to skip`);
+      console.log(`[Content] Skip list: ${skipSections.slice(0, 10).join(', ')}${skipSections.length > 10 ? '...' : ''}`);
+      
+      this.removeUnwantedSections($, skipSections);
+    } else {
+      console.log(`[Content] No section filtering applied - processing all sections`);
     }
+
+    console.log(`[Content] After cleanup: h1=${$('h1').length}, h2=${$('h2').length}, h3=${$('h3').length}, p=${$('p').length}`);
+
+    // Extract sections with their structure
+    return this.extractSections($, title, skipSections);
   }
 
   // NEW: Enhanced method to remove unwanted sections with better pattern matching
@@ -289,7 +383,7 @@ class ScrapingService {
     };
 
     // Fandom wikis use specific structure - let's target the main content area
-    const contentArea = $('.mw-parser-output, .mw-content-text, .page-content').first();
+    let contentArea = $('.mw-parser-output, .mw-content-text, .page-content').first();
     if (contentArea.length === 0) {
       console.log('[Sections] Could not find main content area, using body');
       contentArea = $('body');
@@ -371,7 +465,8 @@ class ScrapingService {
             .trim();
           
           if (cleanText.length > 10) { // Only add substantial content
-            currentSection.content += (currentSection.content ? ' ' : '') + cleanText;
+            // Blocks stay separate paragraphs so chunking can split between them
+            currentSection.content += (currentSection.content ? '\n\n' : '') + cleanText;
           }
         }
       }
@@ -407,77 +502,20 @@ class ScrapingService {
       console.log(`[Sections] Post-processing removed ${sections.length - filteredSections.length} additional sections`);
     }
     
-    // Process sections according to word count rules
-    return this.processSections(filteredSections);
+    // Merging and splitting happens per run in processSections, after the page cache
+    return filteredSections;
   }
 
-  // Process sections according to word count rules (unchanged)
-  processSections(rawSections) {
-    console.log(`[Sections] Processing ${rawSections.length} raw sections...`);
-    
-    const processedSections = [];
-    let currentSection = null;
-
-    for (let i = 0; i < rawSections.length; i++) {
-      const section = rawSections[i];
-      
-      console.log(`[Sections] Processing: "${section.title}" (${section.wordCount} words)`);
-
-      if (!currentSection) {
-        currentSection = { ...section };
-      } else {
-        // Merge sections if current is below minimum
-        if (currentSection.wordCount < 200) {
-          console.log(`[Sections] Merging "${currentSection.title}" with "${section.title}" (below 200 words)`);
-          currentSection.title = `${currentSection.title} & ${section.title}`;
-          currentSection.content += ' ' + section.content;
-          currentSection.wordCount = this.countWords(currentSection.content);
-        } else {
-          // Current section is valid, save it and start new one
-          processedSections.push(this.finalizeSection(currentSection));
-          currentSection = { ...section };
-        }
-      }
-
-      // Check if current section exceeds maximum
-      if (currentSection.wordCount > 2000) {
-        console.log(`[Sections] Truncating "${currentSection.title}" (exceeds 2000 words)`);
-        const words = currentSection.content.split(/\s+/);
-        currentSection.content = words.slice(0, 2000).join(' ');
-        currentSection.wordCount = 2000;
-      }
-    }
-
-    // Handle the last section
-    if (currentSection) {
-      if (currentSection.wordCount >= 200) {
-        processedSections.push(this.finalizeSection(currentSection));
-      } else if (processedSections.length > 0) {
-        // Merge with previous section if below minimum
-        console.log(`[Sections] Merging final section "${currentSection.title}" with previous section`);
-        const lastSection = processedSections[processedSections.length - 1];
-        lastSection.title = `${lastSection.title} & ${currentSection.title}`;
-        lastSection.content += ' ' + currentSection.content;
-        lastSection.wordCount = this.countWords(lastSection.content);
-        lastSection.questionCount = Math.ceil(lastSection.wordCount / 100);
-      }
-    }
+  // Merges small sections and splits oversized ones into chunks (see chunkingService)
+  processSections(rawSections, chunking = null, options = {}) {
+    const chunks = chunkingService.chunkSections(rawSections, chunking, options);
 
-    console.log(`[Sections] Final result: ${processedSections.length} sections`);
-    processedSections.forEach(section => {
+    console.log(`[Sections] ${rawSections.length} sections -> ${chunks.length} chunks`);
+    chunks.forEach(section => {
       console.log(`[Sections] - "${section.title}": ${section.wordCount} words, ${section.questionCount} questions`);
     });
 
-    return processedSections;
-  }
-
-  // Finalize section with question count calculation (unchanged)
-  finalizeSection(section) {
-    const questionCount = Math.ceil(section.wordCount / 100);
-    return {
-      ...section,
-      questionCount: Math.max(1, questionCount) // Minimum 1 question per section
-    };
+    return chunks;
   }
 
   // Count words in text (unchanged)
@@ -492,6 +530,25 @@ class ScrapingService {
     return crypto.createHash('md5').update(data).digest('hex');
   }
 
+  // Hash of the section text with whitespace collapsed, so re-rendered but unchanged
+  // wiki text does not count as an edit
+  hashSectionContent(content) {
+    const normalized = String(content || '').replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // The processed_sections row ({ content_hash, revision_id, ... }) or null when never processed
+  async getSectionState(sectionId) {
+    const { data, error } = await supabase
+      .from('processed_sections')
+      .select('section_id, content_hash, revision_id, processed_at')
+      .eq('section_id', sectionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
   async isSectionProcessed(sectionId) {
     const { data, error } = await supabase
       .from('processed_sections')
@@ -514,15 +571,31 @@ class ScrapingService {
         section_title: metadata.sectionTitle || '',
         word_count: metadata.wordCount || 0,
         questions_generated: metadata.questionsGenerated || 0,
+        content_hash: metadata.contentHash || null,
+        revision_id: metadata.revisionId || null,
+        chunk_index: metadata.chunkIndex || 1,
+        chunk_count: metadata.chunkCount || 1,
         processed_at: new Date().toISOString(),
       });
 
     if (error) throw error;
   }
 
+  // Stores the hash and revision of a section without touching its other processed_sections fields
+  async recordSectionVersion(sectionId, { contentHash, revisionId }) {
+    const { error } = await supabase
+      .from('processed_sections')
+      .update({
+        content_hash: contentHash,
+        revision_id: revisionId || null,
+      })
+      .eq('section_id', sectionId);
+
+    if (error) throw error;
+  }
+
   // Remaining methods unchanged...
   async getAvailableCategories(fandomWikiName, searchTerm = '', limit = 1000, offset = 0) {
-    const url = this.createFandomUrl(fandomWikiName);
     const params = {
       action: 'query',
       list: 'allcategories',
@@ -541,8 +614,7 @@ class ScrapingService {
     }
 
     try {
-      const response = await axios.get(url, { params });
-      const data = response.data;
+      const data = await this.wikiQuery(fandomWikiName, params);
 
       if (!data.query || !data.query.allcategories) {
         return { categories: [], hasMore: false };
@@ -610,7 +682,6 @@ class ScrapingService {
   async getPopularPages(fandomWikiName, limit = 500) {
     console.log(`[PopularPages] Fetching popular pages for ${fandomWikiName} via API...`);
 
-    const url = this.createFandomUrl(fandomWikiName);
     const params = {
       action: 'query',
       list: 'querypage',
@@ -620,8 +691,7 @@ class ScrapingService {
     };
 
     try {
-      const response = await axios.get(url, { params, headers: BROWSER_HEADERS });
-      const data = response.data;
+      const data = await this.wikiQuery(fandomWikiName, params, { headers: BROWSER_HEADERS });
 
       if (data.error) {
         throw new Error(data.error.info || 'MediaWiki API error');
@@ -1,9 +1,15 @@
 const { supabase } = require('../config/supabase');
+const usageService = require('./usageService');
+const aiProviderService = require('./aiProviderService');
+const questionTypeService = require('./questionTypeService');
+
+// Keeps review prompts bounded when a batch spans many long sections
+const MAX_PASSAGE_LENGTH = 6000;
 
 class SimpleQuestionReviewService {
   constructor() {}
 
-  async reviewQuestions(categoryId, batchSize = 10, model = 'gemini-flash-latest', socketEmitter = null, customPrompt = null) {
+  async reviewQuestions(categoryId, batchSize = 10, model = 'gemini-flash-latest', socketEmitter = null, customPrompt = null, options = {}) {
     console.log(`[SimpleReview] Starting review for category ${categoryId} with batch size ${batchSize}`);
 
     try {
@@ -19,6 +25,11 @@ class SimpleQuestionReviewService {
       const totalBatches = Math.ceil(unreviewed.length / batchSize);
 
       for (let i = 0; i < unreviewed.length; i += batchSize) {
+        if (options.isCancelled && options.isCancelled()) {
+          console.log(`[SimpleReview] Review cancelled after ${results.length} questions`);
+          break;
+        }
+
         const batch = unreviewed.slice(i, i + batchSize);
         const batchNumber = Math.floor(i / batchSize) + 1;
 
@@ -67,7 +78,7 @@ class SimpleQuestionReviewService {
   async getUnreviewedQuestions(categoryId) {
     const { data, error } = await supabase
       .from('questions')
-      .select('id, question_text, options, correct_answer, review_score')
+      .select('id, question_text, question_type, options, correct_answer, accepted_answers, review_score, source_context, source_section_title, source_section_id')
       .eq('category_id', parseInt(categoryId))
       .is('review_score', null);
 
@@ -76,43 +87,89 @@ class SimpleQuestionReviewService {
   }
 
   async getScoresFromAI(questions, model, categoryId, customPrompt = null) {
+    try {
+      return await this.requestScores(questions, model, categoryId, customPrompt);
+    } catch (error) {
+      console.error(`[SimpleReview] AI scoring failed:`, error.message);
+      return questions.map(() => 3);
+    }
+  }
+
+  // Like getScoresFromAI, but a failed AI call throws instead of falling back to neutral scores
+  async requestScores(questions, model, categoryId, customPrompt = null) {
     console.log(`[SimpleReview] Getting scores from AI for ${questions.length} questions using ${model}`);
 
     const prompt = customPrompt
       ? this.buildCustomPrompt(questions, categoryId, customPrompt)
       : this.buildScoreOnlyPrompt(questions, categoryId);
 
-    try {
-      if (model.includes('gemini')) {
-        return await this.getScoresFromGemini(prompt, model, questions.length);
-      } else {
-        return await this.getScoresFromOpenAI(prompt, model, questions.length);
-      }
-    } catch (error) {
-      console.error(`[SimpleReview] AI scoring failed:`, error.message);
-      return questions.map(() => 3);
-    }
+    const text = await aiProviderService.score(prompt, model, {
+      system: 'You are a quiz quality expert. Respond only with a JSON array of integer scores from 1-5.',
+      temperature: 0.3,
+      onUsage: usage => this.trackUsage(categoryId, usage),
+    });
+    return this.parseScoreArray(text, questions.length);
   }
 
-  buildCustomPrompt(questions, categoryId, customPrompt) {
+  // Lists each question with a reference to the wiki passage it was generated from.
+  // Questions from the same section share one passage so it is only sent once.
+  formatQuestionsWithSources(questions) {
+    const passages = new Map();
+
     const questionsText = questions.map((q, index) => {
-      const optionsText = q.options.map((option, i) => `${String.fromCharCode(65 + i)}. ${option}`).join('\n');
-      const correctLetter = String.fromCharCode(65 + q.correct_answer);
-      return `Question ${index + 1}:\n${q.question_text}\n${optionsText}\nCorrect Answer: ${correctLetter}`;
+      let text = `Question ${index + 1}:\n${questionTypeService.formatForPrompt(q)}`;
+
+      if (q.source_context) {
+        const key = q.source_section_id || q.source_context;
+        if (!passages.has(key)) {
+          passages.set(key, {
+            label: `P${passages.size + 1}`,
+            title: q.source_section_title,
+            text: q.source_context.substring(0, MAX_PASSAGE_LENGTH),
+          });
+        }
+        text += `\nSource Passage: ${passages.get(key).label}`;
+      }
+      return text;
     }).join('\n\n');
 
-    return customPrompt
+    const passagesText = Array.from(passages.values())
+      .map(p => `[${p.label}]${p.title ? ` ${p.title}` : ''}\n${p.text}`)
+      .join('\n\n');
+
+    return { questionsText, passagesText };
+  }
+
+  buildCustomPrompt(questions, categoryId, customPrompt) {
+    const { questionsText, passagesText } = this.formatQuestionsWithSources(questions);
+
+    let prompt = customPrompt
       .replace(/\{count\}/g, questions.length.toString())
       .replace(/\{animeName\}/g, `Category ${categoryId}`)
       .replace(/\{questions\}/g, questionsText);
+
+    if (prompt.includes('{passages}')) {
+      prompt = prompt.replace(/\{passages\}/g, passagesText || 'No source passages available.');
+    } else if (passagesText) {
+      prompt += `\n\nSOURCE PASSAGES (check each correct answer against its passage):\n${passagesText}`;
+    }
+
+    return prompt;
   }
 
   buildScoreOnlyPrompt(questions, categoryId) {
-    const questionsText = questions.map((q, index) => {
-      const optionsText = q.options.map((option, i) => `${String.fromCharCode(65 + i)}. ${option}`).join('\n');
-      const correctLetter = String.fromCharCode(65 + q.correct_answer);
-      return `Question ${index + 1}:\n${q.question_text}\n${optionsText}\nCorrect Answer: ${correctLetter}`;
-    }).join('\n\n');
+    const { questionsText, passagesText } = this.formatQuestionsWithSources(questions);
+
+    const factCheck = passagesText
+      ? `
+Questions marked with a Source Passage were generated from that wiki text. Fact-check the
+correct answer against it: score 1 if the passage contradicts the answer, and at most 2 if
+the passage does not support it.
+
+SOURCE PASSAGES:
+${passagesText}
+`
+      : '';
 
     return `Rate these ${questions.length} manga quiz questions on a scale of 1-5:
 
@@ -121,7 +178,7 @@ class SimpleQuestionReviewService {
 3 = Acceptable (basic question, adequate options)
 2 = Poor (vague question, obvious wrong answers)
 1 = Terrible (broken question, impossible to answer)
-
+${factCheck}
 ${questionsText}
 
 RESPOND WITH ONLY A JSON ARRAY OF ${questions.length} INTEGER SCORES:
@@ -130,44 +187,11 @@ Example: [4, 5, 3, 2, 4, 5, 1, 3, 4, 2]
 Your response:`;
   }
 
-  async getScoresFromGemini(prompt, model, expectedCount) {
-    try {
-      const { GoogleGenAI } = require('@google/genai');
-      const genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_KEY });
-
-      const response = await genAI.models.generateContent({
-        model,
-        contents: prompt,
-        config: { temperature: 0.3 },
-      });
-
-      return this.parseScoreArray(response.text || '', expectedCount);
-    } catch (error) {
-      console.error(`[SimpleReview] Gemini error:`, error.message);
-      return Array(expectedCount).fill(3);
-    }
-  }
-
-  async getScoresFromOpenAI(prompt, model, expectedCount) {
-    try {
-      const OpenAI = require('openai');
-      const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-      const response = await openai.chat.completions.create({
-        model,
-        messages: [
-          { role: 'system', content: 'You are a quiz quality expert. Respond only with a JSON array of integer scores from 1-5.' },
-          { role: 'user', content: prompt },
-        ],
-        temperature: 0.3,
-        max_tokens: 10000,
-      });
-
-      return this.parseScoreArray(response.choices[0].message.content, expectedCount);
-    } catch (error) {
-      console.error(`[SimpleReview] OpenAI error:`, error.message);
-      return Array(expectedCount).fill(3);
-    }
+  trackUsage(categoryId, usage) {
+    usageService.trackUsage(usage, {
+      purpose: 'review',
+      animeId: categoryId ? parseInt(categoryId) : null,
+    });
   }
 
   parseScoreArray(responseText, expectedCount) {
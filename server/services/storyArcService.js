@@ -0,0 +1,164 @@
+const { supabase } = require('../config/supabase');
+
+const TABLE = 'story_arcs';
+
+// ilike treats % and _ as wildcards; escaped, an arc name only matches itself
+const escapeLikePattern = text => String(text).replace(/[\\%_]/g, '\\$&');
+
+// Story arcs per anime (keyed by Fandom wiki): a name, an optional chapter range and the wiki
+// pages and categories that cover the arc. A run can select arcs instead of (or next to) pages.
+class StoryArcService {
+  async listArcs(fandomWikiName) {
+    let query = supabase
+      .from(TABLE)
+      .select('*')
+      .order('start_chapter', { ascending: true, nullsFirst: false })
+      .order('name', { ascending: true });
+
+    if (fandomWikiName) query = query.eq('fandom_wiki_name', fandomWikiName);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch story arcs: ${error.message}`);
+    return (data || []).map(row => this.fromRow(row));
+  }
+
+  // Throws when an id does not exist, so a run never silently drops a selected arc
+  async getArcsByIds(ids) {
+    if (!ids || ids.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select('*')
+      .in('id', ids);
+
+    if (error) throw new Error(`Failed to fetch story arcs: ${error.message}`);
+
+    const byId = new Map((data || []).map(row => [String(row.id), this.fromRow(row)]));
+    return ids.map(id => {
+      const arc = byId.get(String(id));
+      if (!arc) throw new Error(`Unknown story arc: ${id}`);
+      return arc;
+    });
+  }
+
+  // Case-insensitive lookup by name, used to turn "up to arc X" into a chapter limit
+  async findByName(name, fandomWikiName) {
+    let query = supabase
+      .from(TABLE)
+      .select('*')
+      .ilike('name', escapeLikePattern(name))
+      .limit(1);
+
+    if (fandomWikiName) query = query.eq('fandom_wiki_name', fandomWikiName);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch story arc: ${error.message}`);
+    return data && data.length > 0 ? this.fromRow(data[0]) : null;
+  }
+
+  async createArc(input) {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .insert(this.toRow(this.normalizeArc(input)))
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create story arc: ${error.message}`);
+    return this.fromRow(data);
+  }
+
+  async updateArc(id, input) {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({ ...this.toRow(this.normalizeArc(input)), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to update story arc: ${error.message}`);
+    return data ? this.fromRow(data) : null;
+  }
+
+  async deleteArc(id) {
+    const { error } = await supabase
+      .from(TABLE)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw new Error(`Failed to delete story arc: ${error.message}`);
+  }
+
+  // Validates an arc definition; errors are meant for the user (routes answer 400)
+  normalizeArc(input = {}) {
+    const name = String(input.name || '').trim();
+    const fandomWikiName = String(input.fandomWikiName || '').trim();
+    if (!name) throw new Error('Arc name is required');
+    if (!fandomWikiName) throw new Error('Fandom wiki name is required');
+
+    const chapter = (value, label) => {
+      if (value === undefined || value === null || value === '') return null;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) throw new Error(`${label} must be a positive whole number`);
+      return number;
+    };
+    const startChapter = chapter(input.startChapter, 'Start chapter');
+    const endChapter = chapter(input.endChapter, 'End chapter');
+    if (startChapter && endChapter && endChapter < startChapter) {
+      throw new Error('End chapter must not be before the start chapter');
+    }
+
+    const list = value => [...new Set((Array.isArray(value) ? value : String(value || '').split('\n'))
+      .map(item => String(item).trim())
+      .filter(Boolean))];
+    const pages = list(input.pages);
+    const categories = list(input.categories);
+    if (pages.length === 0 && categories.length === 0) {
+      throw new Error('An arc needs at least one wiki page or category');
+    }
+
+    return {
+      name,
+      animeName: String(input.animeName || '').trim() || null,
+      fandomWikiName,
+      startChapter,
+      endChapter,
+      pages,
+      categories,
+    };
+  }
+
+  toRow(arc) {
+    return {
+      name: arc.name,
+      anime_name: arc.animeName,
+      fandom_wiki_name: arc.fandomWikiName,
+      start_chapter: arc.startChapter,
+      end_chapter: arc.endChapter,
+      pages: arc.pages,
+      categories: arc.categories,
+    };
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      animeName: row.anime_name || null,
+      fandomWikiName: row.fandom_wiki_name,
+      startChapter: row.start_chapter ?? null,
+      endChapter: row.end_chapter ?? null,
+      pages: row.pages || [],
+      categories: row.categories || [],
+    };
+  }
+
+  // "Wano Country (chapters 909–1057)"
+  describe(arc) {
+    if (arc.startChapter && arc.endChapter) return `${arc.name} (chapters ${arc.startChapter}–${arc.endChapter})`;
+    if (arc.startChapter) return `${arc.name} (from chapter ${arc.startChapter})`;
+    if (arc.endChapter) return `${arc.name} (up to chapter ${arc.endChapter})`;
+    return arc.name;
+  }
+}
+
+module.exports = new StoryArcService();
@@ -0,0 +1,110 @@
+const { supabase } = require('../config/supabase');
+const modelConfigService = require('./modelConfigService');
+
+const TABLE = 'ai_usage';
+
+class UsageService {
+  // usage: { model, provider, promptTokens, completionTokens }
+  // Returns the usage with costUsd added; costUsd is null when the model has no rates configured
+  async priceUsage(usage) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    let pricing = null;
+    try {
+      pricing = await modelConfigService.getPricing(usage.model);
+    } catch (error) {
+      console.error(`[Usage] Could not load pricing for ${usage.model}:`, error.message);
+    }
+
+    return {
+      ...usage,
+      promptTokens,
+      completionTokens,
+      costUsd: pricing ? this.calculateCost(pricing, promptTokens, completionTokens) : null,
+    };
+  }
+
+  calculateCost({ inputCostPerMillion, outputCostPerMillion }, promptTokens, completionTokens) {
+    const cost = (promptTokens * inputCostPerMillion + completionTokens * outputCostPerMillion) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  // entry: priced usage plus { purpose, runId, animeId, animeName }
+  async recordUsage(entry) {
+    const { error } = await supabase
+      .from(TABLE)
+      .insert({
+        purpose: entry.purpose || 'generation',
+        run_id: entry.runId || null,
+        anime_id: entry.animeId || null,
+        anime_name: entry.animeName || null,
+        model: entry.model,
+        provider: entry.provider || null,
+        prompt_tokens: entry.promptTokens || 0,
+        completion_tokens: entry.completionTokens || 0,
+        cost_usd: entry.costUsd,
+        created_at: new Date().toISOString(),
+      });
+
+    if (error) throw new Error(`Failed to record AI usage: ${error.message}`);
+  }
+
+  // Prices and stores usage in one go, for callers that do not need the cost synchronously
+  async trackUsage(usage, context = {}) {
+    try {
+      const priced = await this.priceUsage(usage);
+      await this.recordUsage({ ...priced, ...context });
+      return priced;
+    } catch (error) {
+      console.error('[Usage] Could not track AI usage:', error.message);
+      return null;
+    }
+  }
+
+  async getUsageSummary({ animeId, since } = {}) {
+    let query = supabase
+      .from(TABLE)
+      .select('purpose, anime_id, anime_name, model, provider, prompt_tokens, completion_tokens, cost_usd');
+
+    if (animeId) query = query.eq('anime_id', parseInt(animeId));
+    if (since) query = query.gte('created_at', since);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch AI usage: ${error.message}`);
+
+    const emptyTotals = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, unpricedCalls: 0 });
+    const add = (totals, row) => {
+      totals.calls++;
+      totals.promptTokens += row.prompt_tokens || 0;
+      totals.completionTokens += row.completion_tokens || 0;
+      if (row.cost_usd == null) {
+        totals.unpricedCalls++;
+      } else {
+        totals.costUsd = Math.round((totals.costUsd + Number(row.cost_usd)) * 1e6) / 1e6;
+      }
+    };
+
+    const summary = { totals: emptyTotals(), byModel: {}, byAnime: {}, byPurpose: {} };
+
+    (data || []).forEach(row => {
+      add(summary.totals, row);
+
+      if (!summary.byModel[row.model]) summary.byModel[row.model] = { provider: row.provider, ...emptyTotals() };
+      add(summary.byModel[row.model], row);
+
+      if (row.anime_id) {
+        if (!summary.byAnime[row.anime_id]) summary.byAnime[row.anime_id] = { animeName: row.anime_name, ...emptyTotals() };
+        add(summary.byAnime[row.anime_id], row);
+      }
+
+      const purpose = row.purpose || 'generation';
+      if (!summary.byPurpose[purpose]) summary.byPurpose[purpose] = emptyTotals();
+      add(summary.byPurpose[purpose], row);
+    });
+
+    return summary;
+  }
+}
+
+module.exports = new UsageService();